@@ -1,234 +1,1223 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.8;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/proxy/utils/UUPSUpgradeable.sol";
+import "@openzeppelin/contracts/utils/cryptography/draft-EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@chainlink/contracts/src/v0.8/AutomationCompatible.sol";
-
-// Errors
-error Payroll__InvalidPaymentData(
-    address recipient,
-    uint256 amount,
-    uint256 interval
-);
-error Payroll__RecipientAlreadyExists(address recipient);
-error Payroll__WithdrawalFailed();
-error Payroll__PaymentWithdrawalFailed();
+import "./PayrollBase.sol";
+import "./libraries/PaymentSchedules.sol";
 
 /// @title A smart contract payroll
 /// @dev It uses Chainlink Automation to allocate payments to recipients.
 /// They can withdraw their payments.
-contract Payroll is Ownable, AutomationCompatibleInterface {
-    struct PaymentSchedule {
-        uint256 amount;
-        uint256 interval; // seconds
-        uint256 lastTimestamp; // seconds
-    }
-
-    address[] private s_recipients;
-    mapping(address => PaymentSchedule) private s_paymentSchedules;
-    mapping(address => uint256) private s_balances;
-
-    // Events
-    event RecipientAdded(
-        address indexed recipient,
-        uint256 indexed amount,
-        uint256 indexed interval
-    );
-    event RecipientRemoved(address indexed recipient);
-    event Transfer(
-        address indexed from,
-        address indexed to,
-        uint256 indexed amount
-    );
-    event PaymentDone(address indexed recipient, uint256 indexed amount);
-    event InsufficientBalance(
-        address indexed recipient,
-        uint256 indexed requiredAmount,
-        uint256 indexed contractBalance
-    );
-
-    /// Add funds to the contract.
+/// Payroll admins manage the payment schedules, treasurers withdraw the surplus
+/// and pausers can freeze accruals and withdrawals during an incident.
+/// It is deployed behind an ERC-1967 proxy (UUPS) that the admin can upgrade.
+/// Upgrades must only append state variables: the deploy script checks the
+/// storage layout against the previous implementation.
+/// The configuration setters and most views are implemented by PayrollExtension,
+/// to which the calls Payroll doesn't implement are delegated.
+contract Payroll is
+    PayrollBase,
+    UUPSUpgradeable,
+    EIP712,
+    AutomationCompatibleInterface
+{
+    using SafeERC20 for IERC20;
+
+    bytes32 private constant CLAIM_TYPEHASH =
+        keccak256(
+            "Claim(address recipient,address token,uint256 amount,address to,uint256 maxFee,uint256 nonce,uint256 deadline)"
+        );
+    // the gas an IOU payee gets to receive ETH, enough for a smart wallet
+    uint256 private constant IOU_GAS_LIMIT = 50000;
+    // the PayrollExtension the calls Payroll doesn't implement are delegated to
+    address private immutable i_extension;
+
+    /// @param admin the account granted every role, it can hand them out
+    /// @param name the name of the payroll, e.g. a department or a client project
+    /// @param extension the PayrollExtension implementing the configuration and most views
+    constructor(
+        address admin,
+        string memory name,
+        address extension
+    ) EIP712("Payroll", "1") {
+        if (extension.code.length == 0) {
+            revert Payroll__InvalidExtension(extension);
+        }
+        i_extension = extension;
+        initialize(admin, name);
+    }
+
+    /// Initialize a proxy of the payroll.
+    /// @param admin the account granted every role, it can hand them out
+    /// @param name the name of the payroll, e.g. a department or a client project
+    /// @dev proxies don't run the constructor nor the storage initializers
+    function initialize(address admin, string memory name) public initializer {
+        if (admin == address(0)) {
+            revert Payroll__InvalidAdmin();
+        }
+        _grantRole(DEFAULT_ADMIN_ROLE, admin);
+        _grantRole(PAYROLL_ADMIN_ROLE, admin);
+        _grantRole(TREASURER_ROLE, admin);
+        _grantRole(PAUSER_ROLE, admin);
+        s_maxBatchSize = DEFAULT_MAX_BATCH_SIZE;
+        s_name = name;
+    }
+
+    /// Add ETH funds to the contract.
+    /// @dev the queued IOUs are settled by `settleIous`, so that a payee can't
+    /// make the top-ups fail
     receive() external payable {}
 
-    /// Add a recipient.
+    /// Delegate the calls Payroll doesn't implement to the extension.
+    /// @dev the extension runs in the storage of the payroll, and of the proxy
+    /// when the payroll is its implementation
+    fallback() external {
+        address extension = i_extension;
+        assembly {
+            calldatacopy(0, 0, calldatasize())
+            let result := delegatecall(
+                gas(),
+                extension,
+                0,
+                calldatasize(),
+                0,
+                0
+            )
+            returndatacopy(0, 0, returndatasize())
+            switch result
+            case 0 {
+                revert(0, returndatasize())
+            }
+            default {
+                return(0, returndatasize())
+            }
+        }
+    }
+
+    /// Add ERC-20 funds to the contract.
+    /// @param token the address of the ERC-20 token
+    /// @param amount the token amount to transfer from the caller
+    /// @dev the caller must have approved the contract to spend `amount`
+    function fund(address token, uint256 amount) public {
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+    }
+
+    /// Add a recipient paid every interval by the upkeep.
     /// @param recipient the address of the recipient
-    /// @param amount the wei amount the recipient will be allocated
+    /// @param token the token the recipient is paid in (NATIVE_TOKEN for ETH)
+    /// @param amount the token amount (wei for ETH) the recipient will be allocated
     /// @param interval how often in seconds the recipient will be allocated the amount
-    /// @dev stores the recipient in `s_recipients` and the PaymentSchedule in `s_paymentSchedules`
+    /// @dev stores the recipient in `s_recipients`, its index in `s_recipientIndexes`
+    /// and the PaymentSchedule in `s_paymentSchedules`
     function addRecipient(
         address recipient,
+        address token,
         uint256 amount,
         uint256 interval
-    ) public onlyOwner {
+    ) public onlyRole(PAYROLL_ADMIN_ROLE) {
+        checkTimelock(
+            addPaymentSchedule(
+                recipient,
+                token,
+                amount,
+                interval,
+                Term(0, 0, 0, 0, false, false)
+            )
+        );
+    }
+
+    /// Add a recipient whose salary streams every second.
+    /// @param recipient the address of the recipient
+    /// @param token the token the recipient is paid in (NATIVE_TOKEN for ETH)
+    /// @param amount the token amount (wei for ETH) streamed over each interval
+    /// @param interval the duration in seconds over which the amount is streamed
+    /// @dev the streamed amount is settled by `withdrawPayments`, without upkeep
+    function addStreamingRecipient(
+        address recipient,
+        address token,
+        uint256 amount,
+        uint256 interval
+    ) public onlyRole(PAYROLL_ADMIN_ROLE) {
+        checkTimelock(
+            addPaymentSchedule(
+                recipient,
+                token,
+                amount,
+                interval,
+                Term(0, 0, 0, 0, true, false)
+            )
+        );
+    }
+
+    /// Add a recipient whose salary is agreed in USD and paid in a token.
+    /// @param recipient the address of the recipient
+    /// @param token the token the recipient is paid in (NATIVE_TOKEN for ETH)
+    /// @param usdAmount the USD amount, with USD_DECIMALS, allocated every interval
+    /// @param interval how often in seconds the recipient will be allocated the amount
+    /// @dev the amount is converted with the token price feed at accrual time
+    function addUsdRecipient(
+        address recipient,
+        address token,
+        uint256 usdAmount,
+        uint256 interval
+    ) public onlyRole(PAYROLL_ADMIN_ROLE) {
+        checkTimelock(
+            addPaymentSchedule(
+                recipient,
+                token,
+                usdAmount,
+                interval,
+                Term(0, 0, 0, 0, false, true)
+            )
+        );
+    }
+
+    /// Add a recipient for a fixed term.
+    /// @param recipient the address of the recipient
+    /// @param token the token the recipient is paid in (NATIVE_TOKEN for ETH)
+    /// @param amount the token amount (wei for ETH) allocated or streamed every interval
+    /// @param interval the payment interval in seconds
+    /// @param term the start time, the end time or the maximum number of payments
+    /// (the earliest end applies), the cliff, whether the amount streams and
+    /// whether it is in USD
+    /// @dev the periods elapsed before the cliff are paid once it's reached.
+    /// The schedule retires itself with a PaymentScheduleCompleted event at the end
+    /// of the term, after paying the last period pro rata.
+    function addFixedTermRecipient(
+        address recipient,
+        address token,
+        uint256 amount,
+        uint256 interval,
+        Term calldata term
+    ) public onlyRole(PAYROLL_ADMIN_ROLE) {
+        checkTimelock(
+            addPaymentSchedule(recipient, token, amount, interval, term)
+        );
+    }
+
+    /// Add several recipients in one transaction.
+    /// @param recipients the recipients, with the arguments of `addFixedTermRecipient`
+    /// @dev the whole batch is timelocked when a schedule exceeds what is left
+    /// of its instant limit
+    function addRecipients(NewRecipient[] calldata recipients)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        bool instant = true;
+        for (uint256 i = 0; i < recipients.length; ++i) {
+            NewRecipient calldata newRecipient = recipients[i];
+            if (
+                !addPaymentSchedule(
+                    newRecipient.recipient,
+                    newRecipient.token,
+                    newRecipient.amount,
+                    newRecipient.interval,
+                    newRecipient.term
+                )
+            ) {
+                instant = false;
+            }
+        }
+        checkTimelock(instant);
+    }
+
+    /// Remove a recipient.
+    /// @param recipient the address of the recipient to remove
+    /// @dev removes the recipient from `s_recipients` by moving the last recipient
+    /// to its index, and from `s_paymentSchedules` by deleting the recipient.
+    /// A streaming recipient is paid what was streamed until the removal.
+    function removeRecipient(address recipient)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        dropRecipient(recipient);
+    }
+
+    /// Remove several recipients in one transaction.
+    /// @param recipients the addresses of the recipients to remove, the others are skipped
+    function removeRecipients(address[] calldata recipients)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        for (uint256 i = 0; i < recipients.length; ++i) {
+            dropRecipient(recipients[i]);
+        }
+    }
+
+    /// Update a recipient's payment schedule.
+    /// @param recipient the address of the recipient
+    /// @param newAmount the token amount the recipient will be allocated
+    /// @param newInterval how often in seconds the recipient will be allocated the amount
+    /// @param effectiveAt when the new terms apply (0 for now, or the start of a schedule
+    /// that hasn't started yet), not before the last payment nor after the end of the term
+    /// @dev the period in progress at `effectiveAt` is paid pro rata at the old rate.
+    /// A future update, or any update while paused, is stored in `s_scheduleUpdates`
+    /// and applied by `performUpkeep`, or by the next settlement of a streaming recipient.
+    function updatePaymentSchedule(
+        address recipient,
+        uint256 newAmount,
+        uint256 newInterval,
+        uint256 effectiveAt
+    ) public onlyRole(PAYROLL_ADMIN_ROLE) {
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        if (paymentSchedule.amount == 0) {
+            revert Payroll__RecipientNotFound(recipient);
+        }
+        if (newAmount == 0 || newInterval == 0) {
+            revert Payroll__InvalidPaymentData(
+                recipient,
+                newAmount,
+                newInterval
+            );
+        }
+        if (effectiveAt == 0) {
+            effectiveAt = block.timestamp > paymentSchedule.lastTimestamp
+                ? block.timestamp
+                : paymentSchedule.lastTimestamp;
+        }
+        if (
+            effectiveAt < paymentSchedule.lastTimestamp ||
+            (paymentSchedule.endTime > 0 &&
+                effectiveAt >= paymentSchedule.endTime)
+        ) {
+            revert Payroll__InvalidEffectiveTime(effectiveAt);
+        }
+        // a raise or a shorter interval above the instant limit is timelocked
+        uint256 newDailyAmount = dailyAmount(newAmount, newInterval);
+        checkTimelock(
+            newDailyAmount <=
+                dailyAmount(paymentSchedule.amount, paymentSchedule.interval) ||
+                spendInstantLimit(
+                    paymentSchedule.usdDenominated
+                        ? USD
+                        : paymentSchedule.token,
+                    newDailyAmount
+                )
+        );
+        s_scheduleUpdates[recipient] = ScheduleUpdate(
+            newAmount,
+            newInterval,
+            effectiveAt
+        );
+        emit PaymentScheduleUpdated(
+            recipient,
+            paymentSchedule.amount,
+            newAmount,
+            paymentSchedule.interval,
+            newInterval,
+            effectiveAt
+        );
+        if (effectiveAt <= block.timestamp && !paused()) {
+            accrue(recipient);
+        }
+    }
+
+    /// Restrict the upgrades of the proxy (`upgradeTo`) to the admin.
+    /// @dev an upgrade is timelocked when a timelock delay is set
+    function _authorizeUpgrade(address)
+        internal
+        override
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        checkTimelock(false);
+    }
+
+    /// Freeze accruals and withdrawals.
+    function pause() public onlyRole(PAUSER_ROLE) {
+        _pause();
+    }
+
+    /// Resume accruals and withdrawals.
+    /// @dev the payments missed while paused are allocated by the next upkeep
+    function unpause() public onlyRole(PAUSER_ROLE) {
+        _unpause();
+    }
+
+    /// Withdraw contract funds of a token that aren't owed to recipients.
+    /// @param token the token to withdraw (NATIVE_TOKEN for ETH)
+    /// @param amount the amount to withdraw, at most the surplus
+    /// @dev only the surplus can be sent so that every recipient can still
+    /// withdraw. An amount above the instant limit is timelocked.
+    function withdraw(address token, uint256 amount)
+        public
+        onlyRole(TREASURER_ROLE)
+        whenNotPaused
+        nonReentrant
+    {
+        uint256 available = surplusBalance(token);
+        if (amount > available) {
+            revert Payroll__AmountExceedsSurplus(amount, available);
+        }
+        checkTimelock(spendInstantLimit(token, amount));
+        bool success = sendFunds(token, msg.sender, amount, gasleft());
+        if (!success) {
+            revert Payroll__WithdrawalFailed();
+        }
+    }
+
+    /// Withdraw a recipient's payments in a token to its payout address.
+    /// @param token the token to withdraw (NATIVE_TOKEN for ETH)
+    /// @dev settles the amount streamed so far for a streaming recipient. The
+    /// accruals still in the clawback window stay in the contract.
+    function withdrawPayments(address token) public whenNotPaused {
+        withdrawPaymentsTo(token, getPayoutAddress(msg.sender));
+    }
+
+    /// Withdraw a recipient's payments in a token to another address.
+    /// @param token the token to withdraw (NATIVE_TOKEN for ETH)
+    /// @param to the address receiving the payments
+    /// @dev queues an IOU for the balance if the contract can't cover it
+    function withdrawPaymentsTo(address token, address to)
+        public
+        whenNotPaused
+        nonReentrant
+    {
+        withdrawAmount(msg.sender, token, type(uint256).max, to, false, 0);
+    }
+
+    /// Withdraw part of a recipient's payments in a token.
+    /// @param token the token to withdraw (NATIVE_TOKEN for ETH)
+    /// @param amount the amount to withdraw, at most the recipient's balance
+    /// @param to the address receiving the payments
+    /// @param payAvailable whether to send what the contract can cover when it
+    /// can't cover the amount, the rest is queued as an IOU either way
+    function withdrawPartialPayments(
+        address token,
+        uint256 amount,
+        address to,
+        bool payAvailable
+    ) public whenNotPaused nonReentrant {
+        withdrawAmount(msg.sender, token, amount, to, payAvailable, 0);
+    }
+
+    /// Withdraw a recipient's payments with its EIP-712 signed claim, e.g.
+    /// for a recipient without ETH to pay the gas.
+    /// @param claim the withdrawal signed by the recipient
+    /// @param fee the amount the caller takes out of the payment, at most `claim.maxFee`
+    /// @param signature the recipient's signature of the claim
+    /// @dev the fee is only paid if the contract covers it, the rest of the
+    /// amount is queued as an IOU if the contract can't cover it
+    function withdrawPaymentsWithSig(
+        Claim calldata claim,
+        uint256 fee,
+        bytes calldata signature
+    ) public whenNotPaused nonReentrant {
+        if (block.timestamp > claim.deadline) {
+            revert Payroll__ClaimExpired(claim.deadline);
+        }
+        if (claim.nonce != s_nonces[claim.recipient]) {
+            revert Payroll__InvalidNonce(claim.nonce);
+        }
+        if (fee > claim.maxFee) {
+            revert Payroll__FeeTooHigh(fee, claim.maxFee);
+        }
+        bytes32 digest = _hashTypedDataV4(
+            keccak256(
+                abi.encode(
+                    CLAIM_TYPEHASH,
+                    claim.recipient,
+                    claim.token,
+                    claim.amount,
+                    claim.to,
+                    claim.maxFee,
+                    claim.nonce,
+                    claim.deadline
+                )
+            )
+        );
+        if (ECDSA.recover(digest, signature) != claim.recipient) {
+            revert Payroll__InvalidSignature();
+        }
+        ++s_nonces[claim.recipient];
+        withdrawAmount(
+            claim.recipient,
+            claim.token,
+            claim.amount,
+            claim.to,
+            false,
+            fee
+        );
+    }
+
+    /// Settle the queued IOUs of a token with the contract balance, oldest first.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @dev called by anyone after a top-up. Settles at most `s_maxBatchSize`
+    /// IOUs, skipping the cancelled ones. A payee gets IOU_GAS_LIMIT to receive
+    /// ETH: a failed send drops the IOU, still credited to the recipient, and
+    /// emits a PaymentPushFailed event.
+    function settleIous(address token) public whenNotPaused nonReentrant {
+        Iou[] storage queue = s_iouQueues[token];
+        uint256 end = s_iouQueueHeads[token] + s_maxBatchSize;
+        if (end > queue.length) {
+            end = queue.length;
+        }
+        // every IOU is dequeued before its transfer, the head is read again after
+        for (
+            uint256 head = s_iouQueueHeads[token];
+            head < end;
+            head = s_iouQueueHeads[token]
+        ) {
+            Iou memory iou = queue[head];
+            if (iou.amount == 0) {
+                dequeueIou(token, head); // cancelled by `cancelIou`
+                continue;
+            }
+            uint256 available = contractBalance(token);
+            if (available == 0) {
+                break;
+            }
+            uint256 paid = iou.amount < available ? iou.amount : available;
+            // update the queue before sending, the payee may reenter
+            if (paid == iou.amount) {
+                dequeueIou(token, head);
+            } else {
+                queue[head].amount -= paid;
+                s_queuedPayments[token] -= paid;
+            }
+            if (
+                !transferPayment(
+                    iou.recipient,
+                    token,
+                    paid,
+                    iou.to,
+                    IOU_GAS_LIMIT
+                )
+            ) {
+                if (paid < iou.amount) {
+                    dequeueIou(token, head);
+                }
+                emit PaymentPushFailed(iou.recipient, paid, token);
+                continue;
+            }
+            emit IouSettled(iou.recipient, token, paid, iou.amount - paid);
+        }
+    }
+
+    /// Send the final balances of recipients to their payout addresses.
+    /// @param recipients the recipients to pay, in the token of their schedule
+    /// @dev callable by a treasurer or the upkeep forwarder. A failed send stays
+    /// credited to the recipient and emits a PaymentPushFailed event.
+    function pushPayments(address[] calldata recipients)
+        public
+        whenNotPaused
+        nonReentrant
+    {
+        address upkeepForwarder = s_upkeepForwarder;
+        if (
+            !hasRole(TREASURER_ROLE, msg.sender) &&
+            (upkeepForwarder == address(0) || msg.sender != upkeepForwarder)
+        ) {
+            revert Payroll__NotAllowedToPush(msg.sender);
+        }
+        for (uint256 i = 0; i < recipients.length; ++i) {
+            address recipient = recipients[i];
+            PaymentSchedule memory paymentSchedule = s_paymentSchedules[
+                recipient
+            ];
+            if (paymentSchedule.amount == 0) {
+                continue;
+            }
+            if (paymentSchedule.streaming) {
+                accrue(recipient);
+            }
+            address token = paymentSchedule.token;
+            if (s_iouIndexes[token][recipient] > 0) {
+                continue; // paid by the IOU queue
+            }
+            uint256 recipientBalance = finalizeAccruals(recipient, token);
+            if (
+                !payOut(
+                    recipient,
+                    token,
+                    recipientBalance,
+                    getPayoutAddress(recipient),
+                    false
+                )
+            ) {
+                emit PaymentPushFailed(recipient, recipientBalance, token);
+            }
+        }
+    }
+
+    /// Add a recipient with a new payment schedule.
+    /// @param term the start, end, cliff, streaming and denomination of the schedule
+    /// @return whether the schedule accrues within the instant limit,
+    /// the caller timelocks the addition otherwise
+    function addPaymentSchedule(
+        address recipient,
+        address token,
+        uint256 amount,
+        uint256 interval,
+        Term memory term
+    ) private returns (bool) {
         if (amount == 0 || interval == 0) {
             revert Payroll__InvalidPaymentData(recipient, amount, interval);
         }
-        if (s_paymentSchedules[recipient].amount > 0) {
+        if (s_recipientIndexes[recipient] > 0) {
             revert Payroll__RecipientAlreadyExists(recipient);
         }
+        uint256 startTime = term.startTime == 0
+            ? block.timestamp
+            : term.startTime;
+        uint256 endTime = term.endTime;
+        if (term.maxPayments > 0) {
+            uint256 paymentsEnd = startTime + interval * term.maxPayments;
+            if (endTime == 0 || paymentsEnd < endTime) {
+                endTime = paymentsEnd;
+            }
+        }
+        if (term.usdDenominated) {
+            if (term.streaming) {
+                revert Payroll__UsdStreamNotSupported();
+            }
+            if (s_priceFeeds[token].feed == address(0)) {
+                revert Payroll__PriceFeedNotSet(token);
+            }
+        }
+        uint256 cliffEnd = startTime + term.cliff;
+        if (
+            startTime < block.timestamp ||
+            (endTime > 0 && (endTime <= startTime || endTime < cliffEnd))
+        ) {
+            revert Payroll__InvalidTerm(startTime, endTime, cliffEnd);
+        }
         PaymentSchedule memory paymentSchedule = PaymentSchedule(
+            token,
             amount,
             interval,
-            block.timestamp
+            startTime,
+            term.streaming,
+            term.usdDenominated,
+            cliffEnd,
+            endTime
         );
         s_recipients.push(recipient);
+        s_recipientIndexes[recipient] = s_recipients.length;
         s_paymentSchedules[recipient] = paymentSchedule;
-        emit RecipientAdded(recipient, amount, interval);
+        payrollCycles(term.usdDenominated)[token] += amount;
+        if (term.streaming) {
+            trackStream(recipient, paymentSchedule, true);
+        }
+        emit RecipientAdded(recipient, amount, interval, token);
+        return
+            spendInstantLimit(
+                term.usdDenominated ? USD : token,
+                dailyAmount(amount, interval)
+            );
     }
 
-    /// Remove a recipient.
-    /// @param recipient the address of the recipient to remove
-    /// @dev removes the recipient from `s_recipients` by shifting the array
-    /// and from `s_recipientsPayments` by deleting the recipient
-    function removeRecipient(address recipient) public onlyOwner {
-        for (uint256 i = 0; i < s_recipients.length; ++i) {
-            // find the recipient's index
-            if (s_recipients[i] == recipient) {
-                if (i < s_recipients.length - 1) {
-                    // shift the array's elements
-                    for (uint256 j = i; j < s_recipients.length - 1; ++j) {
-                        s_recipients[j] = s_recipients[j + 1];
-                    }
-                }
-                s_recipients.pop();
-                delete s_paymentSchedules[recipient];
-                emit RecipientRemoved(recipient);
-                break;
+    /// Remove a recipient, if it is one.
+    /// @dev a streaming recipient is paid what was streamed until the removal
+    function dropRecipient(address recipient) private {
+        if (s_recipientIndexes[recipient] == 0) {
+            return;
+        }
+        if (s_paymentSchedules[recipient].streaming) {
+            accrue(recipient);
+            if (s_recipientIndexes[recipient] == 0) {
+                return; // the settlement completed the schedule
             }
         }
+        deleteRecipient(recipient);
+        emit RecipientRemoved(recipient);
     }
 
-    /// Withdraw the contract funds.
-    function withdraw() public onlyOwner {
-        (bool success, ) = payable(msg.sender).call{
-            value: address(this).balance
-        }("");
-        if (!success) {
-            revert Payroll__WithdrawalFailed();
+    /// Delete a recipient and its payment schedule.
+    /// @dev removes the recipient from `s_recipients` by moving the last recipient
+    /// to its index, and settles its advance
+    function deleteRecipient(address recipient) private {
+        settleAdvance(recipient);
+        uint256 recipientIndex = s_recipientIndexes[recipient];
+        address lastRecipient = s_recipients[s_recipients.length - 1];
+        s_recipients[recipientIndex - 1] = lastRecipient;
+        s_recipientIndexes[lastRecipient] = recipientIndex;
+        s_recipients.pop();
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        payrollCycles(paymentSchedule.usdDenominated)[
+            paymentSchedule.token
+        ] -= paymentSchedule.amount;
+        if (paymentSchedule.streaming) {
+            trackStream(recipient, paymentSchedule, false);
         }
+        delete s_recipientIndexes[recipient];
+        delete s_paymentSchedules[recipient];
+        delete s_scheduleUpdates[recipient];
+        delete s_deductions[recipient];
+        delete s_customDeductions[recipient];
     }
 
-    /// Withdraw a recipient's payments.
-    function withdrawPayments() public {
-        if (s_balances[msg.sender] > 0) {
-            if (s_balances[msg.sender] > address(this).balance) {
-                emit InsufficientBalance(
+    /// Repay a leaving recipient's advance from its final balance and drop its
+    /// request. What the balance doesn't cover stays outstanding, withheld from
+    /// its payments if the recipient is added again.
+    /// @dev the balance backing an IOU is left to the IOU
+    function settleAdvance(address recipient) private {
+        Advance storage advance = s_advances[recipient];
+        address token = advance.token;
+        if (advance.requested > 0) {
+            emit AdvanceRejected(recipient, token, advance.requested);
+            advance.requested = 0;
+        }
+        if (advance.outstanding == 0) {
+            return;
+        }
+        uint256 repaid = s_iouIndexes[token][recipient] > 0
+            ? 0
+            : advanceRepayment(
+                advance,
+                token,
+                finalizeAccruals(recipient, token)
+            );
+        if (repaid > 0) {
+            s_balances[recipient][token] -= repaid;
+            s_totalLiabilities[token] -= repaid;
+            advance.outstanding -= repaid;
+            emit AdvanceRepaid(recipient, token, repaid, advance.outstanding);
+        }
+        if (advance.outstanding > 0) {
+            emit AdvanceUnsettled(recipient, token, advance.outstanding);
+        }
+    }
+
+    /// Withdraw an amount of a recipient's payments.
+    /// @param amount the amount, `type(uint256).max` for the whole final balance
+    /// @param relayerFee the part of the amount sent to the caller
+    function withdrawAmount(
+        address recipient,
+        address token,
+        uint256 amount,
+        address to,
+        bool payAvailable,
+        uint256 relayerFee
+    ) private {
+        if (to == address(0)) {
+            revert Payroll__InvalidPayoutAddress(to);
+        }
+        if (s_iouIndexes[token][recipient] > 0) {
+            revert Payroll__IouPending(recipient, token);
+        }
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        if (paymentSchedule.streaming && paymentSchedule.token == token) {
+            accrue(recipient);
+        }
+        uint256 recipientBalance = finalizeAccruals(recipient, token);
+        if (amount == type(uint256).max) {
+            amount = recipientBalance;
+        } else if (amount > recipientBalance) {
+            revert Payroll__AmountExceedsBalance(amount, recipientBalance);
+        }
+        if (relayerFee > 0) {
+            if (relayerFee > amount) {
+                revert Payroll__FeeTooHigh(relayerFee, amount);
+            }
+            if (
+                relayerFee > availableBalance(token) ||
+                !transferPayment(
+                    recipient,
+                    token,
+                    relayerFee,
                     msg.sender,
-                    s_balances[msg.sender],
-                    address(this).balance
-                );
-            } else {
-                uint256 recipientBalance = s_balances[msg.sender];
-                s_balances[msg.sender] = 0;
-                (bool success, ) = payable(msg.sender).call{
-                    value: recipientBalance
-                }("");
-                if (success) {
-                    emit Transfer(address(this), msg.sender, recipientBalance);
-                } else {
-                    s_balances[msg.sender] = recipientBalance;
-                    revert Payroll__PaymentWithdrawalFailed();
-                }
+                    gasleft()
+                )
+            ) {
+                revert Payroll__PaymentWithdrawalFailed();
             }
+            amount -= relayerFee;
+        }
+        if (!payOut(recipient, token, amount, to, payAvailable)) {
+            revert Payroll__PaymentWithdrawalFailed();
+        }
+    }
+
+    /// Send an amount of a recipient's balance in a token.
+    /// @param recipient the recipient whose balance is sent
+    /// @param token the token to send (NATIVE_TOKEN for ETH)
+    /// @param amount the amount to send, at most the recipient's balance
+    /// @param to the address receiving the amount
+    /// @param payAvailable whether to send what the contract can cover when it
+    /// can't cover the amount
+    /// @return false if the send failed, the amount is then still credited
+    /// @dev the queued IOUs are paid first: if the rest of the contract balance
+    /// doesn't cover the amount, emits InsufficientBalance and queues an IOU
+    /// for what isn't sent
+    function payOut(
+        address recipient,
+        address token,
+        uint256 amount,
+        address to,
+        bool payAvailable
+    ) private returns (bool) {
+        if (amount == 0) {
+            return true;
+        }
+        uint256 available = availableBalance(token);
+        if (amount > available) {
+            emit InsufficientBalance(
+                recipient,
+                amount,
+                contractBalance(token),
+                token
+            );
+            uint256 paid = payAvailable ? available : 0;
+            // queue before sending, the payee may reenter
+            queueIou(recipient, token, amount - paid, to);
+            return
+                paid == 0 ||
+                transferPayment(recipient, token, paid, to, gasleft());
+        }
+        return transferPayment(recipient, token, amount, to, gasleft());
+    }
+
+    /// Return the contract balance of a token left after the queued IOUs.
+    function availableBalance(address token) private view returns (uint256) {
+        uint256 balance = contractBalance(token);
+        uint256 queued = s_queuedPayments[token];
+        return balance > queued ? balance - queued : 0;
+    }
+
+    /// Send an amount of a recipient's balance in a token.
+    /// @param gasLimit the gas forwarded to an ETH payee
+    /// @return false if the send failed, the amount is then still credited
+    function transferPayment(
+        address recipient,
+        address token,
+        uint256 amount,
+        address to,
+        uint256 gasLimit
+    ) private returns (bool) {
+        s_balances[recipient][token] -= amount;
+        s_totalLiabilities[token] -= amount;
+        if (!sendFunds(token, to, amount, gasLimit)) {
+            s_balances[recipient][token] += amount;
+            s_totalLiabilities[token] += amount;
+            return false;
+        }
+        if (to != recipient) {
+            emit PaymentRedirected(recipient, to, amount, token);
+        }
+        emit Transfer(address(this), to, amount, token);
+        return true;
+    }
+
+    /// Queue an IOU for an amount the contract couldn't send.
+    function queueIou(
+        address recipient,
+        address token,
+        uint256 amount,
+        address to
+    ) private {
+        Iou[] storage queue = s_iouQueues[token];
+        queue.push(Iou(recipient, to, amount));
+        s_iouIndexes[token][recipient] = queue.length;
+        uint256 queued = s_queuedPayments[token] + amount;
+        s_queuedPayments[token] = queued;
+        emit IouQueued(
+            recipient,
+            token,
+            amount,
+            queue.length - s_iouQueueHeads[token],
+            queued
+        );
+    }
+
+    /// Remove the oldest IOU of a token from the queue.
+    /// @param head the index of the oldest IOU
+    function dequeueIou(address token, uint256 head) private {
+        Iou storage iou = s_iouQueues[token][head];
+        s_queuedPayments[token] -= iou.amount;
+        delete s_iouIndexes[token][iou.recipient];
+        delete s_iouQueues[token][head];
+        s_iouQueueHeads[token] = head + 1;
+    }
+
+    /// Send an amount of a token.
+    /// @param token the token to send (NATIVE_TOKEN for ETH)
+    /// @param to the address receiving the funds
+    /// @param amount the amount to send
+    /// @param gasLimit the gas forwarded to an ETH payee
+    /// @dev ERC-20 transfers accept tokens returning no value, like SafeERC20,
+    /// but return false instead of reverting
+    /// @return success true if the funds were sent
+    function sendFunds(
+        address token,
+        address to,
+        uint256 amount,
+        uint256 gasLimit
+    ) private returns (bool success) {
+        if (token == NATIVE_TOKEN) {
+            (success, ) = payable(to).call{value: amount, gas: gasLimit}("");
+        } else {
+            bytes memory returnData;
+            (success, returnData) = token.call(
+                abi.encodeWithSelector(IERC20.transfer.selector, to, amount)
+            );
+            success =
+                success &&
+                token.code.length > 0 &&
+                (returnData.length == 0 || abi.decode(returnData, (bool)));
         }
     }
 
     /// Check if a payment is due.
-    /// @param `paymentSchedule` the payment schedule to check
-    /// @return true if a payment is due
-    function paymentDue(PaymentSchedule memory paymentSchedule)
+    /// @param recipient the address of the recipient to check
+    /// @return true if a payment is due, a scheduled update must be applied
+    /// or the schedule completes
+    function paymentDue(address recipient) private view returns (bool) {
+        return
+            PaymentSchedules.paymentDue(
+                s_paymentSchedules,
+                s_scheduleUpdates,
+                s_priceFeeds,
+                recipient
+            );
+    }
+
+    /// Compute a recipient's due payments without allocating them.
+    /// @param recipient the address of the recipient
+    /// @return paymentSchedule the payment schedule settled until now
+    /// @return payment the amount due
+    /// @return updated whether a scheduled update was applied
+    function duePayment(address recipient)
+        private
+        view
+        returns (
+            PaymentSchedule memory paymentSchedule,
+            uint256 payment,
+            bool updated
+        )
+    {
+        return
+            PaymentSchedules.duePayment(
+                s_paymentSchedules[recipient],
+                s_scheduleUpdates[recipient]
+            );
+    }
+
+    /// Allocate a recipient's due payments.
+    /// @param recipient the address of the recipient
+    /// @dev retires the recipient when the term is completed
+    function accrue(address recipient) private {
+        PaymentSchedule memory oldPaymentSchedule = s_paymentSchedules[
+            recipient
+        ];
+        (
+            PaymentSchedule memory paymentSchedule,
+            uint256 payment,
+            bool updated
+        ) = duePayment(recipient);
+        if (updated) {
+            mapping(address => uint256) storage cycles = payrollCycles(
+                paymentSchedule.usdDenominated
+            );
+            cycles[paymentSchedule.token] =
+                cycles[paymentSchedule.token] -
+                oldPaymentSchedule.amount +
+                paymentSchedule.amount;
+            delete s_scheduleUpdates[recipient];
+        }
+        if (paymentSchedule.usdDenominated && payment > 0) {
+            payment = usdToToken(paymentSchedule.token, payment);
+        }
+        if (paymentSchedule.streaming) {
+            trackStream(recipient, oldPaymentSchedule, false);
+            trackStream(recipient, paymentSchedule, true);
+        }
+
+        // update the recipient's timestamp and balance
+        s_paymentSchedules[recipient] = paymentSchedule;
+        if (payment > 0) {
+            address token = paymentSchedule.token;
+            uint256 net = payment - applyDeductions(recipient, token, payment);
+            uint256 repaid = repayAdvance(recipient, token, net);
+            s_balances[recipient][token] += net - repaid;
+            s_totalLiabilities[token] += payment - repaid;
+            trackAccrual(recipient, token, net - repaid);
+            emit PaymentDone(recipient, payment, token);
+        }
+        if (
+            paymentSchedule.endTime > 0 &&
+            paymentSchedule.lastTimestamp >= paymentSchedule.endTime
+        ) {
+            deleteRecipient(recipient);
+            emit PaymentScheduleCompleted(recipient);
+        }
+    }
+
+    /// Keep an accrual pending for the clawback window, if one is set.
+    /// @param amount the amount credited to the recipient
+    /// @dev the accruals of the same bucket of final times are merged, and the
+    /// final ones are dropped: the pending accruals stay bounded
+    function trackAccrual(
+        address recipient,
+        address token,
+        uint256 amount
+    ) private {
+        uint256 window = s_clawbackWindow;
+        if (window == 0 || amount == 0) {
+            return;
+        }
+        uint256 bucket = window < CLAWBACK_BUCKETS
+            ? 1
+            : window / CLAWBACK_BUCKETS;
+        uint256 finalAt = ((block.timestamp + window + bucket - 1) / bucket) *
+            bucket;
+        PendingAccrual[] storage accruals = s_pendingAccruals[recipient][token];
+        uint256 head = dropFinalAccruals(recipient, token);
+        uint256 length = accruals.length;
+        if (length > head && accruals[length - 1].finalAt == finalAt) {
+            accruals[length - 1].amount += amount;
+        } else {
+            accruals.push(PendingAccrual(amount, finalAt));
+        }
+    }
+
+    /// Drop a recipient's accruals past the clawback window.
+    /// @return the final balance of the recipient, which can be withdrawn
+    function finalizeAccruals(address recipient, address token)
+        private
+        returns (uint256)
+    {
+        dropFinalAccruals(recipient, token);
+        return s_balances[recipient][token] - pendingBalance(recipient, token);
+    }
+
+    /// Delete a recipient's oldest accruals once they are final.
+    /// @return head the index of the oldest accrual still pending
+    function dropFinalAccruals(address recipient, address token)
+        private
+        returns (uint256 head)
+    {
+        PendingAccrual[] storage accruals = s_pendingAccruals[recipient][token];
+        head = s_pendingAccrualHeads[recipient][token];
+        while (
+            head < accruals.length && accruals[head].finalAt <= block.timestamp
+        ) {
+            delete accruals[head++];
+        }
+        s_pendingAccrualHeads[recipient][token] = head;
+    }
+
+    /// Credit the beneficiaries of a recipient's deductions with their share of a payment.
+    /// @param payment the gross payment
+    /// @return deducted the sum of the shares, rounded down
+    function applyDeductions(
+        address recipient,
+        address token,
+        uint256 payment
+    ) private returns (uint256 deducted) {
+        Deduction[] storage deductions = getDeductionsStorage(recipient);
+        for (uint256 i = 0; i < deductions.length; ++i) {
+            Deduction memory deduction = deductions[i];
+            uint256 share = (payment * deduction.basisPoints) /
+                MAX_BASIS_POINTS;
+            s_balances[deduction.beneficiary][token] += share;
+            deducted += share;
+            emit DeductionApplied(
+                recipient,
+                deduction.beneficiary,
+                token,
+                deduction.name,
+                share
+            );
+        }
+    }
+
+    /// Withhold a recipient's outstanding advance from a payment.
+    /// @param net the payment after the deductions
+    /// @return repaid the part of the payment repaying the advance
+    function repayAdvance(
+        address recipient,
+        address token,
+        uint256 net
+    ) private returns (uint256 repaid) {
+        Advance storage advance = s_advances[recipient];
+        repaid = advanceRepayment(advance, token, net);
+        if (repaid > 0) {
+            advance.outstanding -= repaid;
+            emit AdvanceRepaid(recipient, token, repaid, advance.outstanding);
+        }
+    }
+
+    /// Return the payroll cycles of the token or USD-denominated schedules.
+    /// @param usdDenominated whether the schedules are in USD
+    /// @return token => sum of the recipients' amounts per interval
+    function payrollCycles(bool usdDenominated)
         private
         view
-        returns (bool)
+        returns (mapping(address => uint256) storage)
     {
-        return (paymentSchedule.amount > 0 &&
-            paymentSchedule.interval > 0 &&
-            block.timestamp - paymentSchedule.lastTimestamp >
-            paymentSchedule.interval);
+        return usdDenominated ? s_usdPayrollPerCycle : s_payrollPerCycle;
+    }
+
+    /// Return the rate of a streaming schedule.
+    /// @return the token units streamed per second, scaled by STREAM_RATE_PRECISION
+    /// @dev rounded up so that the streamed liabilities are never underestimated
+    function streamRate(PaymentSchedule memory paymentSchedule)
+        private
+        pure
+        returns (uint256)
+    {
+        return
+            (paymentSchedule.amount *
+                STREAM_RATE_PRECISION +
+                paymentSchedule.interval -
+                1) / paymentSchedule.interval;
+    }
+
+    /// Add or remove a streaming schedule from the streamed liabilities.
+    /// @param recipient the address of the streaming recipient
+    /// @param paymentSchedule the streaming schedule
+    /// @param add true to add the schedule, false to remove it
+    /// @dev a stream starting in the future is tracked from now, which
+    /// overestimates the liabilities until it starts
+    function trackStream(
+        address recipient,
+        PaymentSchedule memory paymentSchedule,
+        bool add
+    ) private {
+        uint256 rate = streamRate(paymentSchedule);
+        if (add) {
+            uint256 timestamp = paymentSchedule.lastTimestamp < block.timestamp
+                ? paymentSchedule.lastTimestamp
+                : block.timestamp;
+            s_streamTimestamps[recipient] = timestamp;
+            s_streamRates[paymentSchedule.token] += rate;
+            s_streamAnchors[paymentSchedule.token] += rate * timestamp;
+        } else {
+            s_streamRates[paymentSchedule.token] -= rate;
+            s_streamAnchors[paymentSchedule.token] -=
+                rate *
+                s_streamTimestamps[recipient];
+            delete s_streamTimestamps[recipient];
+        }
+    }
+
+    /// Return the range of `s_recipients` indexes an upkeep is responsible for.
+    /// @param checkData empty for every recipient or abi-encoded `(startIndex, endIndex)`
+    /// @return startIndex the first index of the range
+    /// @return endIndex the index after the last index of the range
+    function recipientRange(bytes calldata checkData)
+        private
+        view
+        returns (uint256 startIndex, uint256 endIndex)
+    {
+        endIndex = s_recipients.length;
+        if (checkData.length > 0) {
+            uint256 requestedEndIndex;
+            (startIndex, requestedEndIndex) = abi.decode(
+                checkData,
+                (uint256, uint256)
+            );
+            if (requestedEndIndex < endIndex) {
+                endIndex = requestedEndIndex;
+            }
+            if (startIndex > endIndex) {
+                startIndex = endIndex;
+            }
+        }
     }
 
     /// @dev This function is called off-chain by Chainlink Automation nodes.
     /// `upkeepNeeded` must be true when a payment is due for at least one recipient
+    /// and the payroll isn't paused.
+    /// Several upkeeps can split the roster with a `checkData` range, e.g.
+    /// `(0, 500)` and `(500, type(uint256).max)`.
+    /// @param checkData empty for every recipient or abi-encoded `(startIndex, endIndex)`
     /// @return upkeepNeeded boolean to indicate if performUpkeep should be called
-    /// @return performData the recipients for which a payment is due
-    function checkUpkeep(
-        bytes calldata /* checkData */
-    )
+    /// @return performData the recipients for which a payment is due, at most `s_maxBatchSize`
+    function checkUpkeep(bytes calldata checkData)
         external
         view
         override
         returns (bool upkeepNeeded, bytes memory performData)
     {
-        address[] memory recipientsToPay = new address[](s_recipients.length);
-        upkeepNeeded = false;
-        uint256 recipientToPayIndex = 0;
-
-        // check the payment interval of each recipient
-        PaymentSchedule memory paymentSchedule;
-        for (uint256 i = 0; i < s_recipients.length; ++i) {
-            paymentSchedule = s_paymentSchedules[s_recipients[i]];
-            if (paymentDue(paymentSchedule)) {
-                recipientsToPay[recipientToPayIndex] = s_recipients[i];
-                ++recipientToPayIndex;
-                upkeepNeeded = true;
-            }
-        }
-
-        if (recipientToPayIndex > 0) {
-            // copy the recipients to pay
-            address[] memory performDataToEncode = new address[](
-                recipientToPayIndex
-            );
-            for (uint256 i = 0; i < performDataToEncode.length; ++i) {
-                performDataToEncode[i] = recipientsToPay[i];
-            }
-            performData = abi.encode(performDataToEncode);
-        } else {
-            address[] memory performDataToEncode;
-            performData = abi.encode(performDataToEncode);
+        if (paused()) {
+            return (false, abi.encode(new address[](0)));
         }
+        (uint256 startIndex, uint256 endIndex) = recipientRange(checkData);
+        address[] memory recipientsToPay = PaymentSchedules.dueRecipients(
+            s_recipients,
+            s_paymentSchedules,
+            s_scheduleUpdates,
+            s_priceFeeds,
+            startIndex,
+            endIndex,
+            s_maxBatchSize
+        );
+        upkeepNeeded = recipientsToPay.length > 0;
+        performData = abi.encode(recipientsToPay);
 
         return (upkeepNeeded, performData);
     }
 
-    /// @dev This function is called on-chain when `upkeepNeeded` is true.
+    /// @dev This function is called on-chain when `upkeepNeeded` is true,
+    /// only by `s_upkeepForwarder` when it is set.
     /// @param performData the recipients for which a payment is due
-    function performUpkeep(bytes calldata performData) external override {
+    function performUpkeep(bytes calldata performData)
+        external
+        override
+        whenNotPaused
+    {
+        address upkeepForwarder = s_upkeepForwarder;
+        if (upkeepForwarder != address(0) && msg.sender != upkeepForwarder) {
+            revert Payroll__OnlyUpkeepForwarder(msg.sender);
+        }
         address[] memory recipientsToPay = abi.decode(performData, (address[]));
-        PaymentSchedule memory paymentSchedule;
+        if (recipientsToPay.length > s_maxBatchSize) {
+            revert Payroll__BatchTooLarge(
+                recipientsToPay.length,
+                s_maxBatchSize
+            );
+        }
         for (uint256 i = 0; i < recipientsToPay.length; ++i) {
-            paymentSchedule = s_paymentSchedules[recipientsToPay[i]];
-            if (paymentDue(paymentSchedule)) {
-                // update the recipient's timestamp and balance
-                paymentSchedule.lastTimestamp = block.timestamp;
-                s_paymentSchedules[recipientsToPay[i]] = paymentSchedule;
-                s_balances[recipientsToPay[i]] += paymentSchedule.amount;
-                emit PaymentDone(recipientsToPay[i], paymentSchedule.amount);
+            if (paymentDue(recipientsToPay[i])) {
+                accrue(recipientsToPay[i]);
             }
         }
     }
 
-    /// Return a recipient's payment schedule.
+    /// Return the address receiving a recipient's payments.
     /// @param recipient the address of the recipient
-    /// @dev retrieves the recipient's PaymentSchedule from `s_paymentSchedules`
-    /// @return the recipient's PaymentSchedule
-    function getPaymentSchedule(address recipient)
+    /// @return the payout address, the recipient itself by default
+    function getPayoutAddress(address recipient) public view returns (address) {
+        address payoutAddress = s_payoutAddresses[recipient];
+        return payoutAddress == address(0) ? recipient : payoutAddress;
+    }
+
+    /// Convert a USD amount to a token amount with the token price feed.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @param usdAmount the USD amount, with USD_DECIMALS
+    /// @return the token amount (wei for ETH)
+    /// @dev reverts if the feed isn't set or its answer is stale or not positive
+    function usdToToken(address token, uint256 usdAmount)
         public
         view
-        returns (PaymentSchedule memory)
+        returns (uint256)
     {
-        return s_paymentSchedules[recipient];
+        (bool valid, uint256 amount) = PaymentSchedules.usdToToken(
+            s_priceFeeds[token],
+            token,
+            usdAmount
+        );
+        if (!valid) {
+            revert Payroll__InvalidPrice(token);
+        }
+        return amount;
     }
 
-    /// Return the recipients.
-    /// @return the recipients
-    function getRecipients() public view returns (address[] memory) {
-        return s_recipients;
+    /// Return the EIP-712 domain separator of the signed claims.
+    /// @return the domain separator
+    function getDomainSeparator() public view returns (bytes32) {
+        return _domainSeparatorV4();
     }
 
-    /// Return a recipient's payment balance.
-    /// @return the payment balance of a recipient
-    function balanceOf(address recipient) public view returns (uint256) {
-        return s_balances[recipient];
+    /// Return the extension implementing the configuration and most views.
+    /// @return the PayrollExtension address
+    function getExtension() public view returns (address) {
+        return i_extension;
     }
 }
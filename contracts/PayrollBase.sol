@@ -0,0 +1,595 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/access/AccessControl.sol";
+import "@openzeppelin/contracts/security/Pausable.sol";
+import "@openzeppelin/contracts/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+// Errors
+error Payroll__InvalidPaymentData(
+    address recipient,
+    uint256 amount,
+    uint256 interval
+);
+error Payroll__RecipientAlreadyExists(address recipient);
+error Payroll__RecipientNotFound(address recipient);
+error Payroll__InvalidEffectiveTime(uint256 effectiveAt);
+error Payroll__InvalidBatchSize(uint256 batchSize);
+error Payroll__BatchTooLarge(uint256 batchSize, uint256 maxBatchSize);
+error Payroll__WithdrawalFailed();
+error Payroll__PaymentWithdrawalFailed();
+error Payroll__OnlyUpkeepForwarder(address caller);
+error Payroll__InvalidAdmin();
+error Payroll__InvalidExtension(address extension);
+error Payroll__InvalidPayoutAddress(address payoutAddress);
+error Payroll__NotPendingPayoutAddress(address caller);
+error Payroll__NotAllowedToPush(address caller);
+error Payroll__PriceFeedNotSet(address token);
+error Payroll__InvalidPrice(address token);
+error Payroll__UsdStreamNotSupported();
+error Payroll__AmountExceedsBalance(uint256 amount, uint256 balance);
+error Payroll__IouPending(address recipient, address token);
+error Payroll__ClaimExpired(uint256 deadline);
+error Payroll__InvalidNonce(uint256 nonce);
+error Payroll__InvalidSignature();
+error Payroll__FeeTooHigh(uint256 fee, uint256 maxFee);
+error Payroll__InvalidDeduction(uint256 index);
+error Payroll__DeductionsTooHigh(uint256 basisPoints);
+error Payroll__ChangeNotReady(bytes32 id, uint256 readyAt);
+error Payroll__ChangeExpired(bytes32 id, uint256 expiredAt);
+error Payroll__ChangeAlreadyQueued(bytes32 id);
+error Payroll__ChangeNotQueued(bytes32 id);
+error Payroll__NotAllowedToQueue(address caller);
+error Payroll__InvalidTimelockDelay(uint256 delay);
+error Payroll__InvalidCredit(address recipient, uint256 amount);
+error Payroll__CreditNotPending(uint256 id);
+error Payroll__CreditNotDue(uint256 id, uint256 releaseAt);
+error Payroll__InvalidAdvance(address recipient, uint256 amount);
+error Payroll__NoAdvanceRequest(address recipient);
+error Payroll__InvalidClawbackWindow(uint256 window);
+error Payroll__InvalidClawback(
+    address recipient,
+    uint256 amount,
+    uint256 pending
+);
+error Payroll__Reentrancy();
+error Payroll__AmountExceedsSurplus(uint256 amount, uint256 surplus);
+error Payroll__NoIou(address recipient, address token);
+error Payroll__InvalidTerm(
+    uint256 startTime,
+    uint256 endTime,
+    uint256 cliffEnd
+);
+
+/// @title The state of a payroll
+/// @dev Payroll and PayrollExtension inherit it to share the storage layout:
+/// the payroll delegates the calls it doesn't implement to the extension.
+/// Upgrades must only append state variables, here and nowhere else.
+abstract contract PayrollBase is Initializable, AccessControl, Pausable {
+    struct PaymentSchedule {
+        address token; // NATIVE_TOKEN for ETH or an ERC-20 address
+        uint256 amount;
+        uint256 interval; // seconds
+        uint256 lastTimestamp; // seconds, the start time before the first payment
+        bool streaming; // accrues per second instead of every interval
+        bool usdDenominated; // the amount is in USD, converted at accrual time
+        uint256 cliffEnd; // seconds, nothing is paid before
+        uint256 endTime; // seconds, 0 when open-ended
+    }
+
+    struct Term {
+        uint256 startTime; // seconds, 0 for now
+        uint256 endTime; // seconds, 0 when open-ended
+        uint256 maxPayments; // 0 for unlimited
+        uint256 cliff; // seconds after the start before anything is paid
+        bool streaming;
+        bool usdDenominated;
+    }
+
+    /// A recipient added by `addRecipients`.
+    struct NewRecipient {
+        address recipient;
+        address token; // NATIVE_TOKEN for ETH or an ERC-20 address
+        uint256 amount;
+        uint256 interval; // seconds
+        Term term;
+    }
+
+    struct Iou {
+        address recipient;
+        address to; // the address receiving the payment
+        uint256 amount; // still owed
+    }
+
+    /// A withdrawal signed by a recipient and submitted by any relayer.
+    struct Claim {
+        address recipient;
+        address token; // NATIVE_TOKEN for ETH
+        uint256 amount; // including the relayer fee, `type(uint256).max` for the whole balance
+        address to; // the address receiving the payment
+        uint256 maxFee; // the most the relayer can take out of the amount
+        uint256 nonce; // the recipient's `nonces`
+        uint256 deadline; // seconds, the claim can't be submitted after
+    }
+
+    struct PriceFeed {
+        address feed; // Chainlink token / USD AggregatorV3Interface
+        uint256 maxPriceAge; // seconds after which an answer is stale
+    }
+
+    struct ScheduleUpdate {
+        uint256 amount;
+        uint256 interval; // seconds
+        uint256 effectiveAt; // seconds
+    }
+
+    /// A share of each payment withheld for a beneficiary, e.g. a tax authority.
+    struct Deduction {
+        bytes32 name; // e.g. "TAX", "PENSION"
+        address beneficiary; // credited with the share, it withdraws it like a recipient
+        uint256 basisPoints; // the share of each payment, 10000 for all of it
+    }
+
+    /// A one-off credit, e.g. a bonus or an expense reimbursement.
+    struct Credit {
+        address recipient;
+        address token; // NATIVE_TOKEN for ETH or an ERC-20 address
+        uint256 amount;
+        bytes32 reason; // e.g. "BONUS", "EXPENSE"
+        uint256 releaseAt; // seconds, when it can be added to the balance
+        bool released;
+        bool cancelled;
+    }
+
+    /// A salary advance, repaid from the recipient's next payments.
+    struct Advance {
+        address token; // the token of the recipient's schedule
+        uint256 requested; // waiting for approval, 0 if none
+        uint256 outstanding; // approved and not repaid yet
+    }
+
+    /// A recipient's accrual that the admin can still claw back.
+    struct PendingAccrual {
+        uint256 amount; // net of the deductions and the advance repayment
+        uint256 finalAt; // when it becomes final and can be withdrawn
+    }
+
+    /// What the instant changes of a token moved during the current period.
+    struct InstantSpend {
+        uint256 periodStart; // seconds
+        uint256 amount; // compared with the instant limit
+    }
+
+    /// The state of a recipient, returned by `getRecipientDetails`.
+    struct RecipientDetails {
+        address recipient;
+        PaymentSchedule paymentSchedule;
+        ScheduleUpdate scheduledUpdate; // with a zero `effectiveAt` if there is none
+        uint256 balance; // in the schedule token, like `balanceOf`
+        uint256 nextPaymentAt; // seconds, like `nextPaymentAt`
+        bool active; // the schedule started, its cliff passed and it didn't end
+        address payoutAddress;
+        Advance advance;
+        uint256 pendingBalance; // part of `balance` that can be clawed back
+    }
+
+    /// The token address used for native ETH payments.
+    address public constant NATIVE_TOKEN = address(0);
+    /// The initial maximum number of recipients paid by one performUpkeep.
+    uint256 public constant DEFAULT_MAX_BATCH_SIZE = 50;
+    /// The role allowed to add, update and remove recipients.
+    bytes32 public constant PAYROLL_ADMIN_ROLE =
+        keccak256("PAYROLL_ADMIN_ROLE");
+    /// The role allowed to withdraw the surplus.
+    bytes32 public constant TREASURER_ROLE = keccak256("TREASURER_ROLE");
+    /// The role allowed to pause and unpause the payroll.
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    /// The decimals of the USD amounts.
+    uint8 public constant USD_DECIMALS = 8;
+    /// The basis points of a whole payment.
+    uint256 public constant MAX_BASIS_POINTS = 10000;
+    /// The maximum number of deductions applied to a payment.
+    uint256 public constant MAX_DEDUCTIONS = 10;
+    /// The key of the instant limit of the USD-denominated schedules,
+    /// Chainlink's `Denominations.USD`.
+    address public constant USD = address(840);
+    /// The longest timelock delay, so that a compromised admin can't freeze
+    /// the sensitive changes.
+    uint256 public constant MAX_TIMELOCK_DELAY = 30 days;
+    /// The longest clawback window, so that the salaries always become final.
+    uint256 public constant MAX_CLAWBACK_WINDOW = 30 days;
+    /// The accruals become final at the end of the clawback window rounded up
+    /// to a multiple of the window divided by this, so that a recipient has
+    /// about that many accruals pending in a token.
+    uint256 public constant CLAWBACK_BUCKETS = 20;
+    /// The period over which the instant changes of a token add up to its
+    /// instant limit.
+    uint256 public constant INSTANT_LIMIT_PERIOD = 1 days;
+    /// The time a queued change can run after its delay, it must be queued
+    /// again after.
+    uint256 public constant CHANGE_GRACE_PERIOD = 14 days;
+    // the scale of the stream rates, in token units per second
+    uint256 internal constant STREAM_RATE_PRECISION = 1e18;
+
+    address[] internal s_recipients;
+    // recipient => index in `s_recipients` + 1, 0 when not a recipient
+    mapping(address => uint256) internal s_recipientIndexes;
+    mapping(address => PaymentSchedule) internal s_paymentSchedules;
+    mapping(address => ScheduleUpdate) internal s_scheduleUpdates;
+    // recipient => token => balance
+    mapping(address => mapping(address => uint256)) internal s_balances;
+    // token => sum of the recipients' balances
+    mapping(address => uint256) internal s_totalLiabilities;
+    // token => sum of the recipients' amounts per interval
+    mapping(address => uint256) internal s_payrollPerCycle;
+    // token => sum of the USD-denominated recipients' USD amounts per interval
+    mapping(address => uint256) internal s_usdPayrollPerCycle;
+    // token => USD price feed
+    mapping(address => PriceFeed) internal s_priceFeeds;
+    // token => sum of the streaming recipients' rates, rounded up
+    mapping(address => uint256) internal s_streamRates;
+    // token => sum of the streaming recipients' rates * tracked timestamps
+    mapping(address => uint256) internal s_streamAnchors;
+    // streaming recipient => timestamp its stream is tracked from
+    mapping(address => uint256) internal s_streamTimestamps;
+    // recipient => address receiving its payments, address(0) for itself
+    mapping(address => address) internal s_payoutAddresses;
+    // recipient => payout address waiting to be accepted
+    mapping(address => address) internal s_pendingPayoutAddresses;
+    uint256 internal s_maxBatchSize;
+    // the only caller of performUpkeep, anyone when address(0)
+    address internal s_upkeepForwarder;
+    string internal s_name;
+    // token => withdrawals the contract couldn't cover, oldest first
+    mapping(address => Iou[]) internal s_iouQueues;
+    // token => index of the oldest unsettled IOU in `s_iouQueues`
+    mapping(address => uint256) internal s_iouQueueHeads;
+    // token => recipient => index in `s_iouQueues` + 1, 0 when not queued
+    mapping(address => mapping(address => uint256)) internal s_iouIndexes;
+    // token => sum of the queued IOUs
+    mapping(address => uint256) internal s_queuedPayments;
+    // recipient => nonce of its next signed claim
+    mapping(address => uint256) internal s_nonces;
+    // the deductions of the recipients without their own
+    Deduction[] internal s_defaultDeductions;
+    // recipient => deductions replacing the default ones
+    mapping(address => Deduction[]) internal s_deductions;
+    // recipient => whether `s_deductions` replaces the default deductions
+    mapping(address => bool) internal s_customDeductions;
+    // the delay of the sensitive changes, none when 0
+    uint256 internal s_timelockDelay;
+    // token (or USD) => the most a change moves without the delay: per day
+    // for a schedule, in total for a withdrawal, a credit or an advance
+    mapping(address => uint256) internal s_instantLimits;
+    // keccak256 of the calldata of a queued change => when it can run, 0 when not queued
+    mapping(bytes32 => uint256) internal s_changes;
+    // the one-off credits, by id
+    Credit[] internal s_credits;
+    // token => sum of the credits not released yet
+    mapping(address => uint256) internal s_scheduledCredits;
+    // recipient => its salary advance
+    mapping(address => Advance) internal s_advances;
+    // the time the salary accruals can be clawed back, final at once when 0
+    uint256 internal s_clawbackWindow;
+    // recipient => token => its accruals not known to be final, oldest first
+    mapping(address => mapping(address => PendingAccrual[]))
+        internal s_pendingAccruals;
+    // recipient => token => index of the oldest accrual in `s_pendingAccruals`
+    mapping(address => mapping(address => uint256))
+        internal s_pendingAccrualHeads;
+    // whether a call sending funds is running, see `nonReentrant`
+    bool internal s_entered;
+    // token (or USD) => what its instant changes moved during the current period
+    mapping(address => InstantSpend) internal s_instantSpends;
+
+    // Events
+    event RecipientAdded(
+        address indexed recipient,
+        uint256 indexed amount,
+        uint256 indexed interval,
+        address token
+    );
+    event RecipientRemoved(address indexed recipient);
+    event PaymentScheduleCompleted(address indexed recipient);
+    event PaymentScheduleUpdated(
+        address indexed recipient,
+        uint256 oldAmount,
+        uint256 newAmount,
+        uint256 oldInterval,
+        uint256 newInterval,
+        uint256 effectiveAt
+    );
+    event Transfer(
+        address indexed from,
+        address indexed to,
+        uint256 indexed amount,
+        address token
+    );
+    event PaymentDone(
+        address indexed recipient,
+        uint256 indexed amount,
+        address indexed token
+    );
+    event InsufficientBalance(
+        address indexed recipient,
+        uint256 indexed requiredAmount,
+        uint256 indexed contractBalance,
+        address token
+    );
+    event PaymentRedirected(
+        address indexed recipient,
+        address indexed to,
+        uint256 amount,
+        address token
+    );
+    event PaymentPushFailed(
+        address indexed recipient,
+        uint256 amount,
+        address indexed token
+    );
+    event IouQueued(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        uint256 position,
+        uint256 queuedPayments
+    );
+    event IouSettled(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        uint256 remainingAmount
+    );
+    event IouCancelled(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount
+    );
+    event PayoutAddressProposed(
+        address indexed recipient,
+        address indexed payoutAddress
+    );
+    event PayoutAddressChanged(
+        address indexed recipient,
+        address indexed payoutAddress
+    );
+    event MaxBatchSizeUpdated(uint256 maxBatchSize);
+    event PriceFeedUpdated(
+        address indexed token,
+        address feed,
+        uint256 maxPriceAge
+    );
+    event UpkeepForwarderUpdated(address indexed upkeepForwarder);
+    event DeductionsUpdated(address indexed recipient, Deduction[] deductions);
+    event DeductionApplied(
+        address indexed recipient,
+        address indexed beneficiary,
+        address indexed token,
+        bytes32 name,
+        uint256 amount
+    );
+    event ChangeQueued(
+        bytes32 indexed id,
+        address indexed proposer,
+        bytes data,
+        uint256 readyAt
+    );
+    event ChangeCancelled(bytes32 indexed id, address indexed canceller);
+    event ChangeExecuted(bytes32 indexed id);
+    event TimelockDelayUpdated(uint256 delay);
+    event InstantLimitUpdated(address indexed token, uint256 limit);
+    event CreditIssued(
+        uint256 indexed id,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        bytes32 reason,
+        uint256 releaseAt
+    );
+    event CreditReleased(
+        uint256 indexed id,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        bytes32 reason
+    );
+    event CreditCancelled(
+        uint256 indexed id,
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        bytes32 reason
+    );
+    event AdvanceRequested(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount
+    );
+    event AdvanceApproved(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        uint256 outstanding
+    );
+    event AdvanceRejected(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount
+    );
+    event AdvanceRepaid(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        uint256 outstanding
+    );
+    event AdvanceUnsettled(
+        address indexed recipient,
+        address indexed token,
+        uint256 outstanding
+    );
+    event ClawbackWindowUpdated(uint256 window);
+    event PaymentClawedBack(
+        address indexed recipient,
+        address indexed token,
+        uint256 amount,
+        bytes32 indexed reason,
+        address admin
+    );
+
+    /// Reject the calls sending funds while one runs, e.g. from the fallback of
+    /// a payee: they would act on the state the running call is updating.
+    modifier nonReentrant() {
+        enter();
+        _;
+        s_entered = false;
+    }
+
+    /// Mark a call sending funds as running.
+    function enter() private {
+        if (s_entered) {
+            revert Payroll__Reentrancy();
+        }
+        s_entered = true;
+    }
+
+    /// Return the contract balance of a token.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the amount of the token held by the contract
+    function contractBalance(address token) internal view returns (uint256) {
+        if (token == NATIVE_TOKEN) {
+            return address(this).balance;
+        }
+        return IERC20(token).balanceOf(address(this));
+    }
+
+    /// Return the amount streamed in a token and not settled yet.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return an upper bound of the unsettled streamed amounts
+    function streamedLiabilities(address token)
+        internal
+        view
+        returns (uint256)
+    {
+        uint256 scaled = block.timestamp *
+            s_streamRates[token] -
+            s_streamAnchors[token];
+        return (scaled + STREAM_RATE_PRECISION - 1) / STREAM_RATE_PRECISION;
+    }
+
+    /// Return the payments owed to recipients in a token, like `totalLiabilities`.
+    function liabilities(address token) internal view returns (uint256) {
+        return
+            s_totalLiabilities[token] +
+            streamedLiabilities(token) +
+            s_scheduledCredits[token];
+    }
+
+    /// Return the contract funds of a token that aren't owed, like `surplus`.
+    function surplusBalance(address token) internal view returns (uint256) {
+        uint256 balance = contractBalance(token);
+        uint256 owed = liabilities(token);
+        return balance > owed ? balance - owed : 0;
+    }
+
+    /// Return the deductions applied to a recipient's payments.
+    function getDeductionsStorage(address recipient)
+        internal
+        view
+        returns (Deduction[] storage)
+    {
+        return
+            s_customDeductions[recipient]
+                ? s_deductions[recipient]
+                : s_defaultDeductions;
+    }
+
+    /// Return the part of a payment repaying an advance.
+    /// @param net the payment after the deductions
+    function advanceRepayment(
+        Advance storage advance,
+        address token,
+        uint256 net
+    ) internal view returns (uint256) {
+        if (advance.token != token) {
+            return 0;
+        }
+        return advance.outstanding < net ? advance.outstanding : net;
+    }
+
+    /// Return the part of a recipient's balance that can still be clawed back.
+    /// @dev iterates the accruals of the clawback window
+    function pendingBalance(address recipient, address token)
+        internal
+        view
+        returns (uint256 pending)
+    {
+        PendingAccrual[] storage accruals = s_pendingAccruals[recipient][token];
+        for (
+            uint256 i = s_pendingAccrualHeads[recipient][token];
+            i < accruals.length;
+            ++i
+        ) {
+            if (accruals[i].finalAt > block.timestamp) {
+                pending += accruals[i].amount;
+            }
+        }
+    }
+
+    /// Require a sensitive change to be queued for the timelock delay, unless
+    /// it is within the instant limits or no delay is set.
+    /// @param instant whether the change is within the instant limits
+    /// @dev the change is the calldata of the current call, queued with
+    /// `queueChange`: the queued change is consumed. It expires
+    /// CHANGE_GRACE_PERIOD after its delay.
+    function checkTimelock(bool instant) internal {
+        if (instant || s_timelockDelay == 0) {
+            return;
+        }
+        bytes32 id = keccak256(msg.data);
+        uint256 readyAt = s_changes[id];
+        if (readyAt == 0 || readyAt > block.timestamp) {
+            revert Payroll__ChangeNotReady(id, readyAt);
+        }
+        if (block.timestamp > readyAt + CHANGE_GRACE_PERIOD) {
+            revert Payroll__ChangeExpired(id, readyAt + CHANGE_GRACE_PERIOD);
+        }
+        delete s_changes[id];
+        emit ChangeExecuted(id);
+    }
+
+    /// Count an amount against the instant limit of a token.
+    /// @param token the token (NATIVE_TOKEN for ETH), or USD
+    /// @param amount the daily amount of a schedule, or the amount sent
+    /// @return whether the amount fits what is left of the limit over the
+    /// current INSTANT_LIMIT_PERIOD, it is then counted. The caller timelocks
+    /// the change otherwise, so that many small changes can't add up to more
+    /// than the limit.
+    function spendInstantLimit(address token, uint256 amount)
+        internal
+        returns (bool)
+    {
+        if (s_timelockDelay == 0) {
+            return true;
+        }
+        InstantSpend storage spend = s_instantSpends[token];
+        if (block.timestamp >= spend.periodStart + INSTANT_LIMIT_PERIOD) {
+            spend.periodStart = block.timestamp;
+            spend.amount = 0;
+        }
+        if (spend.amount + amount > s_instantLimits[token]) {
+            return false;
+        }
+        spend.amount += amount;
+        return true;
+    }
+
+    /// Return the amount a schedule accrues per day, compared with the instant limits.
+    function dailyAmount(uint256 amount, uint256 interval)
+        internal
+        pure
+        returns (uint256)
+    {
+        return (amount * 1 days) / interval;
+    }
+}
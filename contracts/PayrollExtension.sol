@@ -0,0 +1,952 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/utils/Multicall.sol";
+import "./PayrollBase.sol";
+import "./libraries/PaymentSchedules.sol";
+
+/// @title The configuration and views of a payroll
+/// @dev Payroll delegates the calls it doesn't implement to the extension,
+/// which runs in the storage of the payroll to keep it under the contract
+/// size limit. It must not declare state variables. It is linked to the
+/// PaymentSchedules library like the payroll.
+/// `multicall` runs several calls of the payroll atomically, e.g. removing a
+/// recipient and adding it back with a timelocked schedule: each call keeps
+/// its role and timelock checks.
+contract PayrollExtension is PayrollBase, Multicall {
+    /// Set the maximum number of recipients paid by one performUpkeep.
+    /// @param maxBatchSize the maximum number of recipients in `performData`
+    /// @dev keeps performUpkeep under the Chainlink Automation gas limit
+    function setMaxBatchSize(uint256 maxBatchSize)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (maxBatchSize == 0) {
+            revert Payroll__InvalidBatchSize(maxBatchSize);
+        }
+        s_maxBatchSize = maxBatchSize;
+        emit MaxBatchSizeUpdated(maxBatchSize);
+    }
+
+    /// Set the USD price feed of a token, used by USD-denominated schedules.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @param feed the Chainlink token / USD feed, address(0) to unset it
+    /// @param maxPriceAge the seconds after which an answer is stale, e.g. the
+    /// feed heartbeat
+    /// @dev timelocked when a timelock delay is set: the feed prices the USD salaries
+    function setPriceFeed(
+        address token,
+        address feed,
+        uint256 maxPriceAge
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        checkTimelock(false);
+        s_priceFeeds[token] = PriceFeed(feed, maxPriceAge);
+        emit PriceFeedUpdated(token, feed, maxPriceAge);
+    }
+
+    /// Set the deductions applied to the payments of the recipients without their own.
+    /// @param deductions the shares withheld for beneficiaries, at most
+    /// MAX_DEDUCTIONS and MAX_BASIS_POINTS in total
+    /// @dev emits DeductionsUpdated with address(0) as recipient. Timelocked
+    /// when a timelock delay is set: the deductions redirect the payments.
+    function setDefaultDeductions(Deduction[] calldata deductions)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        checkTimelock(false);
+        storeDeductions(s_defaultDeductions, deductions);
+        emit DeductionsUpdated(address(0), deductions);
+    }
+
+    /// Set the deductions applied to a recipient's payments instead of the default ones.
+    /// @param recipient the address of the recipient
+    /// @param deductions the shares withheld for beneficiaries, empty to exempt
+    /// the recipient, at most MAX_DEDUCTIONS and MAX_BASIS_POINTS in total
+    /// @dev the deductions are deleted with the recipient. Timelocked when a
+    /// timelock delay is set.
+    function setDeductions(address recipient, Deduction[] calldata deductions)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        if (s_recipientIndexes[recipient] == 0) {
+            revert Payroll__RecipientNotFound(recipient);
+        }
+        checkTimelock(false);
+        storeDeductions(s_deductions[recipient], deductions);
+        s_customDeductions[recipient] = true;
+        emit DeductionsUpdated(recipient, deductions);
+    }
+
+    /// Apply the default deductions to a recipient's payments again.
+    /// @param recipient the address of the recipient
+    function resetDeductions(address recipient)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        delete s_deductions[recipient];
+        delete s_customDeductions[recipient];
+        emit DeductionsUpdated(recipient, s_defaultDeductions);
+    }
+
+    /// Restrict performUpkeep to a Chainlink Automation forwarder or registry.
+    /// @param upkeepForwarder the only allowed caller, address(0) to allow anyone
+    function setUpkeepForwarder(address upkeepForwarder)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        s_upkeepForwarder = upkeepForwarder;
+        emit UpkeepForwarderUpdated(upkeepForwarder);
+    }
+
+    /// Set the delay of the sensitive changes.
+    /// @param delay the seconds between queueing a change and running it, at
+    /// most MAX_TIMELOCK_DELAY, 0 to run every change instantly
+    /// @dev shortening the delay is timelocked
+    function setTimelockDelay(uint256 delay)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (delay > MAX_TIMELOCK_DELAY) {
+            revert Payroll__InvalidTimelockDelay(delay);
+        }
+        checkTimelock(delay >= s_timelockDelay);
+        s_timelockDelay = delay;
+        emit TimelockDelayUpdated(delay);
+    }
+
+    /// Set the most a change moves in a token without the timelock delay.
+    /// @param token the token (NATIVE_TOKEN for ETH), or USD for the
+    /// USD-denominated schedules
+    /// @param limit what the changes made without the delay move in total over
+    /// INSTANT_LIMIT_PERIOD: the amounts the new or raised schedules accrue per
+    /// day, and the amounts the withdrawals, credits and advances send
+    /// @dev raising the limit is timelocked
+    function setInstantLimit(address token, uint256 limit)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        checkTimelock(limit <= s_instantLimits[token]);
+        s_instantLimits[token] = limit;
+        emit InstantLimitUpdated(token, limit);
+    }
+
+    /// Set the time the salary accruals can be clawed back before they become final.
+    /// @param window the seconds an accrual stays pending, at most
+    /// MAX_CLAWBACK_WINDOW, 0 for final accruals
+    /// @dev lengthening the window is timelocked. It applies to the next accruals.
+    function setClawbackWindow(uint256 window)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        if (window > MAX_CLAWBACK_WINDOW) {
+            revert Payroll__InvalidClawbackWindow(window);
+        }
+        checkTimelock(window <= s_clawbackWindow);
+        s_clawbackWindow = window;
+        emit ClawbackWindowUpdated(window);
+    }
+
+    /// Queue a sensitive change, which its caller runs once the timelock delay
+    /// has elapsed.
+    /// @param data the calldata of the change, e.g. an addRecipient call
+    /// @return id the id of the change, the keccak256 of its calldata
+    /// @dev the change still requires the role of the function it calls when it
+    /// runs. It expires CHANGE_GRACE_PERIOD after its delay and can then be
+    /// queued again.
+    function queueChange(bytes calldata data) public returns (bytes32 id) {
+        if (
+            !hasRole(PAYROLL_ADMIN_ROLE, msg.sender) &&
+            !hasRole(TREASURER_ROLE, msg.sender) &&
+            !hasRole(DEFAULT_ADMIN_ROLE, msg.sender)
+        ) {
+            revert Payroll__NotAllowedToQueue(msg.sender);
+        }
+        id = keccak256(data);
+        // an expired change can be queued again
+        uint256 queuedReadyAt = s_changes[id];
+        if (
+            queuedReadyAt > 0 &&
+            block.timestamp <= queuedReadyAt + CHANGE_GRACE_PERIOD
+        ) {
+            revert Payroll__ChangeAlreadyQueued(id);
+        }
+        uint256 readyAt = block.timestamp + s_timelockDelay;
+        s_changes[id] = readyAt;
+        emit ChangeQueued(id, msg.sender, data, readyAt);
+    }
+
+    /// Cancel a queued change.
+    /// @param id the id of the change
+    /// @dev the pausers can cancel the changes queued with a compromised key
+    function cancelChange(bytes32 id) public {
+        if (
+            !hasRole(PAYROLL_ADMIN_ROLE, msg.sender) &&
+            !hasRole(TREASURER_ROLE, msg.sender) &&
+            !hasRole(DEFAULT_ADMIN_ROLE, msg.sender) &&
+            !hasRole(PAUSER_ROLE, msg.sender)
+        ) {
+            revert Payroll__NotAllowedToQueue(msg.sender);
+        }
+        if (s_changes[id] == 0) {
+            revert Payroll__ChangeNotQueued(id);
+        }
+        delete s_changes[id];
+        emit ChangeCancelled(id, msg.sender);
+    }
+
+    /// Propose an address to receive the caller's payments.
+    /// @param payoutAddress the new payout address, which must accept it
+    function proposePayoutAddress(address payoutAddress) public {
+        if (payoutAddress == address(0)) {
+            revert Payroll__InvalidPayoutAddress(payoutAddress);
+        }
+        s_pendingPayoutAddresses[msg.sender] = payoutAddress;
+        emit PayoutAddressProposed(msg.sender, payoutAddress);
+    }
+
+    /// Accept to receive a recipient's payments.
+    /// @param recipient the recipient who proposed the caller as payout address
+    function acceptPayoutAddress(address recipient) public {
+        if (
+            msg.sender == address(0) ||
+            s_pendingPayoutAddresses[recipient] != msg.sender
+        ) {
+            revert Payroll__NotPendingPayoutAddress(msg.sender);
+        }
+        delete s_pendingPayoutAddresses[recipient];
+        s_payoutAddresses[recipient] = msg.sender;
+        emit PayoutAddressChanged(recipient, msg.sender);
+    }
+
+    /// Credit a one-off amount to an account, e.g. a bonus or a reimbursement.
+    /// @param recipient the account credited, on the payroll or not
+    /// @param token the token credited (NATIVE_TOKEN for ETH)
+    /// @param amount the amount, credited without deductions
+    /// @param reason the reason code, e.g. "BONUS" or "EXPENSE"
+    /// @param releaseAt when the amount is added to the balance, now if in the past
+    /// @return id the id of the credit
+    /// @dev a scheduled credit counts in the liabilities until it is released
+    /// with `releaseCredits`. A credit above the instant limit is timelocked.
+    function issueCredit(
+        address recipient,
+        address token,
+        uint256 amount,
+        bytes32 reason,
+        uint256 releaseAt
+    ) public onlyRole(PAYROLL_ADMIN_ROLE) returns (uint256 id) {
+        if (recipient == address(0) || amount == 0) {
+            revert Payroll__InvalidCredit(recipient, amount);
+        }
+        checkTimelock(spendInstantLimit(token, amount));
+        if (releaseAt < block.timestamp) {
+            releaseAt = block.timestamp;
+        }
+        id = s_credits.length;
+        s_credits.push(
+            Credit(recipient, token, amount, reason, releaseAt, false, false)
+        );
+        s_scheduledCredits[token] += amount;
+        emit CreditIssued(id, recipient, token, amount, reason, releaseAt);
+        if (releaseAt == block.timestamp) {
+            releaseCredit(id);
+        }
+    }
+
+    /// Add scheduled credits to their recipients' balances.
+    /// @param ids the ids of the credits, whose release time must be reached
+    /// @dev callable by anyone, e.g. the recipients or a keeper
+    function releaseCredits(uint256[] calldata ids) public whenNotPaused {
+        for (uint256 i = 0; i < ids.length; ++i) {
+            uint256 releaseAt = pendingCredit(ids[i]).releaseAt;
+            if (releaseAt > block.timestamp) {
+                revert Payroll__CreditNotDue(ids[i], releaseAt);
+            }
+            releaseCredit(ids[i]);
+        }
+    }
+
+    /// Cancel a scheduled credit before its release.
+    /// @param id the id of the credit
+    function cancelCredit(uint256 id) public onlyRole(PAYROLL_ADMIN_ROLE) {
+        Credit storage credit = pendingCredit(id);
+        credit.cancelled = true;
+        s_scheduledCredits[credit.token] -= credit.amount;
+        emit CreditCancelled(
+            id,
+            credit.recipient,
+            credit.token,
+            credit.amount,
+            credit.reason
+        );
+    }
+
+    /// Request a salary advance, repaid from the caller's next payments once approved.
+    /// @param amount the amount, in the token of the caller's payment schedule
+    /// @dev a recipient has at most one request waiting for approval. With a
+    /// term, the outstanding and requested advances are at most what the rest
+    /// of the term pays.
+    function requestAdvance(uint256 amount) public {
+        Advance storage advance = s_advances[msg.sender];
+        address token = s_paymentSchedules[msg.sender].token;
+        if (
+            s_recipientIndexes[msg.sender] == 0 ||
+            amount == 0 ||
+            advance.requested > 0 ||
+            (advance.outstanding > 0 && advance.token != token)
+        ) {
+            revert Payroll__InvalidAdvance(msg.sender, amount);
+        }
+        checkAdvanceCap(msg.sender, advance.outstanding + amount);
+        advance.token = token;
+        advance.requested = amount;
+        emit AdvanceRequested(msg.sender, token, amount);
+    }
+
+    /// Approve a recipient's advance request: the amount is added to its balance
+    /// and withheld from its next payments until repaid.
+    /// @param recipient the address of the recipient
+    /// @dev an advance above the instant limit is timelocked. The rest of the
+    /// term must still repay it.
+    function approveAdvance(address recipient)
+        public
+        onlyRole(PAYROLL_ADMIN_ROLE)
+    {
+        Advance storage advance = s_advances[recipient];
+        uint256 amount = advance.requested;
+        if (amount == 0) {
+            revert Payroll__NoAdvanceRequest(recipient);
+        }
+        if (s_recipientIndexes[recipient] == 0) {
+            revert Payroll__RecipientNotFound(recipient);
+        }
+        checkAdvanceCap(recipient, advance.outstanding + amount);
+        checkTimelock(spendInstantLimit(advance.token, amount));
+        advance.requested = 0;
+        advance.outstanding += amount;
+        s_balances[recipient][advance.token] += amount;
+        s_totalLiabilities[advance.token] += amount;
+        emit AdvanceApproved(
+            recipient,
+            advance.token,
+            amount,
+            advance.outstanding
+        );
+    }
+
+    /// Reject a recipient's advance request.
+    /// @param recipient the address of the recipient
+    /// @dev the recipient can withdraw its own request
+    function rejectAdvance(address recipient) public {
+        if (msg.sender != recipient) {
+            _checkRole(PAYROLL_ADMIN_ROLE);
+        }
+        Advance storage advance = s_advances[recipient];
+        uint256 amount = advance.requested;
+        if (amount == 0) {
+            revert Payroll__NoAdvanceRequest(recipient);
+        }
+        advance.requested = 0;
+        emit AdvanceRejected(recipient, advance.token, amount);
+    }
+
+    /// Take back part of a recipient's pending accruals, e.g. a payment set with
+    /// an extra zero. The amount returns to the surplus.
+    /// @param recipient the address of the recipient
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @param amount the amount taken back, at most the accruals still in the
+    /// clawback window
+    /// @param reason the reason code, e.g. "ERROR" or "TERMINATION"
+    /// @dev takes from the latest accruals first. The deductions and advance
+    /// repayments of the accruals aren't reversed, nor the unsettled stream.
+    function clawback(
+        address recipient,
+        address token,
+        uint256 amount,
+        bytes32 reason
+    ) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        uint256 pending = pendingBalance(recipient, token);
+        if (amount == 0 || amount > pending) {
+            revert Payroll__InvalidClawback(recipient, amount, pending);
+        }
+        PendingAccrual[] storage accruals = s_pendingAccruals[recipient][token];
+        uint256 remaining = amount;
+        for (uint256 i = accruals.length; remaining > 0; --i) {
+            PendingAccrual storage accrual = accruals[i - 1];
+            if (accrual.finalAt <= block.timestamp) {
+                continue;
+            }
+            uint256 taken = accrual.amount < remaining
+                ? accrual.amount
+                : remaining;
+            accrual.amount -= taken;
+            remaining -= taken;
+        }
+        s_balances[recipient][token] -= amount;
+        s_totalLiabilities[token] -= amount;
+        emit PaymentClawedBack(recipient, token, amount, reason, msg.sender);
+    }
+
+    /// Cancel a recipient's IOU that can't be settled, e.g. when its payee
+    /// rejects the token. The amount stays credited to the recipient, who can
+    /// withdraw it again.
+    /// @param recipient the recipient of the IOU
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @dev the next settlement skips the slot of a cancelled IOU that isn't
+    /// the oldest
+    function cancelIou(address recipient, address token)
+        public
+        onlyRole(DEFAULT_ADMIN_ROLE)
+    {
+        uint256 index = s_iouIndexes[token][recipient];
+        if (index == 0) {
+            revert Payroll__NoIou(recipient, token);
+        }
+        uint256 amount = s_iouQueues[token][index - 1].amount;
+        s_queuedPayments[token] -= amount;
+        delete s_iouQueues[token][index - 1];
+        delete s_iouIndexes[token][recipient];
+        if (index - 1 == s_iouQueueHeads[token]) {
+            s_iouQueueHeads[token] = index;
+        }
+        emit IouCancelled(recipient, token, amount);
+    }
+
+    /// Return a credit that is neither released nor cancelled.
+    function pendingCredit(uint256 id) private view returns (Credit storage) {
+        if (
+            id >= s_credits.length ||
+            s_credits[id].released ||
+            s_credits[id].cancelled
+        ) {
+            revert Payroll__CreditNotPending(id);
+        }
+        return s_credits[id];
+    }
+
+    /// Add a credit to its recipient's balance.
+    function releaseCredit(uint256 id) private {
+        Credit storage credit = s_credits[id];
+        credit.released = true;
+        s_scheduledCredits[credit.token] -= credit.amount;
+        s_balances[credit.recipient][credit.token] += credit.amount;
+        s_totalLiabilities[credit.token] += credit.amount;
+        emit CreditReleased(
+            id,
+            credit.recipient,
+            credit.token,
+            credit.amount,
+            credit.reason
+        );
+    }
+
+    /// Validate and store deductions.
+    /// @param stored the stored deductions to replace
+    /// @param deductions the new deductions
+    function storeDeductions(
+        Deduction[] storage stored,
+        Deduction[] calldata deductions
+    ) private {
+        if (deductions.length > MAX_DEDUCTIONS) {
+            revert Payroll__InvalidDeduction(MAX_DEDUCTIONS);
+        }
+        uint256 basisPoints = 0;
+        while (stored.length > 0) {
+            stored.pop();
+        }
+        for (uint256 i = 0; i < deductions.length; ++i) {
+            if (
+                deductions[i].beneficiary == address(0) ||
+                deductions[i].basisPoints == 0
+            ) {
+                revert Payroll__InvalidDeduction(i);
+            }
+            basisPoints += deductions[i].basisPoints;
+            stored.push(deductions[i]);
+        }
+        if (basisPoints > MAX_BASIS_POINTS) {
+            revert Payroll__DeductionsTooHigh(basisPoints);
+        }
+    }
+
+    /// Return the amount a streaming recipient will be credited when settled.
+    function streamedBalance(address recipient, address token)
+        private
+        view
+        returns (uint256)
+    {
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        if (!paymentSchedule.streaming || paymentSchedule.token != token) {
+            return 0;
+        }
+        (, uint256 payment, ) = PaymentSchedules.duePayment(
+            paymentSchedule,
+            s_scheduleUpdates[recipient]
+        );
+        uint256 net = netOfDeductions(recipient, payment);
+        return net - advanceRepayment(s_advances[recipient], token, net);
+    }
+
+    /// Return a payment to a recipient after its deductions.
+    function netOfDeductions(address recipient, uint256 payment)
+        private
+        view
+        returns (uint256 net)
+    {
+        net = payment;
+        Deduction[] storage deductions = getDeductionsStorage(recipient);
+        for (uint256 i = 0; i < deductions.length; ++i) {
+            net -= (payment * deductions[i].basisPoints) / MAX_BASIS_POINTS;
+        }
+    }
+
+    /// Require a recipient's advances to be repayable from the rest of its term.
+    /// @param amount the advances, outstanding and requested
+    /// @dev an open-ended schedule has no cap. The rest of the term is paid at
+    /// the current amount, a USD amount converted at the current price.
+    function checkAdvanceCap(address recipient, uint256 amount) private view {
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        if (paymentSchedule.endTime == 0) {
+            return;
+        }
+        uint256 remaining = paymentSchedule.endTime >
+            paymentSchedule.lastTimestamp
+            ? (paymentSchedule.amount *
+                (paymentSchedule.endTime - paymentSchedule.lastTimestamp)) /
+                paymentSchedule.interval
+            : 0;
+        if (paymentSchedule.usdDenominated && remaining > 0) {
+            bool valid;
+            (valid, remaining) = PaymentSchedules.usdToToken(
+                s_priceFeeds[paymentSchedule.token],
+                paymentSchedule.token,
+                remaining
+            );
+            if (!valid) {
+                revert Payroll__InvalidPrice(paymentSchedule.token);
+            }
+        }
+        if (amount > netOfDeductions(recipient, remaining)) {
+            revert Payroll__InvalidAdvance(recipient, amount);
+        }
+    }
+
+    /// Return the payout address a recipient proposed.
+    /// @param recipient the address of the recipient
+    /// @return the payout address waiting to be accepted, address(0) if none
+    function getPendingPayoutAddress(address recipient)
+        public
+        view
+        returns (address)
+    {
+        return s_pendingPayoutAddresses[recipient];
+    }
+
+    /// Return a recipient's payment schedule.
+    /// @param recipient the address of the recipient
+    /// @dev retrieves the recipient's PaymentSchedule from `s_paymentSchedules`
+    /// @return the recipient's PaymentSchedule
+    function getPaymentSchedule(address recipient)
+        public
+        view
+        returns (PaymentSchedule memory)
+    {
+        return s_paymentSchedules[recipient];
+    }
+
+    /// Return a recipient's payment balance in a token.
+    /// @param recipient the address of the recipient
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the payment balance of a recipient, including the amount streamed
+    /// so far for a streaming recipient, net of the deductions and of the
+    /// advance repayment: the final funds and the `pendingBalanceOf` funds
+    function balanceOf(address recipient, address token)
+        public
+        view
+        returns (uint256)
+    {
+        return s_balances[recipient][token] + streamedBalance(recipient, token);
+    }
+
+    /// Return the part of a recipient's balance that the admin can still claw back.
+    /// @param recipient the address of the recipient
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the accruals of the clawback window, and the amount streamed
+    /// so far when a window is set: it is pending once settled
+    /// @dev the rest of `balanceOf` is final and can be withdrawn
+    function pendingBalanceOf(address recipient, address token)
+        public
+        view
+        returns (uint256)
+    {
+        return
+            pendingBalance(recipient, token) +
+            (s_clawbackWindow > 0 ? streamedBalance(recipient, token) : 0);
+    }
+
+    /// Return the state of a recipient in one call.
+    /// @param recipient the address of the recipient
+    /// @return details the schedule, the scheduled update, the balance in the
+    /// schedule token, the next payment time, whether the schedule is active,
+    /// the payout address and the advance of the recipient
+    function getRecipientDetails(address recipient)
+        public
+        view
+        returns (RecipientDetails memory details)
+    {
+        if (s_recipientIndexes[recipient] == 0) {
+            revert Payroll__RecipientNotFound(recipient);
+        }
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        details.recipient = recipient;
+        details.paymentSchedule = paymentSchedule;
+        details.scheduledUpdate = s_scheduleUpdates[recipient];
+        details.balance = balanceOf(recipient, paymentSchedule.token);
+        details.nextPaymentAt = nextPaymentAt(recipient);
+        details.active =
+            block.timestamp >= paymentSchedule.lastTimestamp &&
+            block.timestamp >= paymentSchedule.cliffEnd &&
+            (paymentSchedule.endTime == 0 ||
+                block.timestamp < paymentSchedule.endTime);
+        address payoutAddress = s_payoutAddresses[recipient];
+        details.payoutAddress = payoutAddress == address(0)
+            ? recipient
+            : payoutAddress;
+        details.advance = s_advances[recipient];
+        details.pendingBalance = pendingBalanceOf(
+            recipient,
+            paymentSchedule.token
+        );
+    }
+
+    /// Return the state of a page of recipients, in roster order.
+    /// @param offset the index of the first recipient of the page
+    /// @param limit the maximum number of recipients in the page
+    /// @return page the `getRecipientDetails` of the recipients, empty past the end
+    /// @return total the number of recipients
+    function getRecipientsPage(uint256 offset, uint256 limit)
+        public
+        view
+        returns (RecipientDetails[] memory page, uint256 total)
+    {
+        total = s_recipients.length;
+        uint256 end = offset < total && limit < total - offset
+            ? offset + limit
+            : total;
+        page = new RecipientDetails[](end > offset ? end - offset : 0);
+        for (uint256 i = 0; i < page.length; ++i) {
+            page[i] = getRecipientDetails(s_recipients[offset + i]);
+        }
+    }
+
+    /// Return when the next payment of a recipient is allocated.
+    /// @param recipient the address of the recipient
+    /// @return the timestamp of the next payday, in the past when the upkeep is
+    /// late. A streaming schedule accrues every second: the time it starts
+    /// streaming, or now.
+    /// @dev the period in progress is paid pro rata at the end of the term and
+    /// when a scheduled update applies
+    function nextPaymentAt(address recipient) public view returns (uint256) {
+        if (s_recipientIndexes[recipient] == 0) {
+            revert Payroll__RecipientNotFound(recipient);
+        }
+        PaymentSchedule memory paymentSchedule = s_paymentSchedules[recipient];
+        uint256 next = paymentSchedule.lastTimestamp;
+        if (paymentSchedule.streaming) {
+            if (next < block.timestamp) {
+                next = block.timestamp;
+            }
+        } else {
+            next += paymentSchedule.interval;
+            uint256 effectiveAt = s_scheduleUpdates[recipient].effectiveAt;
+            if (effectiveAt > 0 && effectiveAt < next) {
+                next = effectiveAt;
+            }
+        }
+        if (next < paymentSchedule.cliffEnd) {
+            next = paymentSchedule.cliffEnd;
+        }
+        if (paymentSchedule.endTime > 0 && paymentSchedule.endTime < next) {
+            next = paymentSchedule.endTime;
+        }
+        return next;
+    }
+
+    /// Return the payments owed to recipients in a token.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the sum of the recipients' balances, including the streamed amounts
+    /// and the scheduled credits
+    function totalLiabilities(address token) public view returns (uint256) {
+        return liabilities(token);
+    }
+
+    /// Return the contract funds of a token that aren't owed to recipients.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the contract balance minus the liabilities, 0 if underfunded
+    function surplus(address token) public view returns (uint256) {
+        return surplusBalance(token);
+    }
+
+    /// Return the amount paid in a token when every recipient is paid once.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the sum of the recipients' amounts per interval, the USD amounts
+    /// converted at the current price
+    function payrollPerCycle(address token) public view returns (uint256) {
+        uint256 cycle = s_payrollPerCycle[token];
+        uint256 usdCycle = s_usdPayrollPerCycle[token];
+        if (usdCycle > 0) {
+            (bool valid, uint256 amount) = PaymentSchedules.usdToToken(
+                s_priceFeeds[token],
+                token,
+                usdCycle
+            );
+            if (!valid) {
+                revert Payroll__InvalidPrice(token);
+            }
+            cycle += amount;
+        }
+        return cycle;
+    }
+
+    /// Return how many upcoming payroll cycles the surplus covers.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the number of cycles, `type(uint256).max` if nobody is paid in the token
+    function runway(address token) public view returns (uint256) {
+        uint256 cycle = payrollPerCycle(token);
+        if (cycle == 0) {
+            return type(uint256).max;
+        }
+        return surplusBalance(token) / cycle;
+    }
+
+    /// Return the amount paid in a token over a period, e.g. a month.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @param period the period in seconds
+    /// @return total the sum of the recipients' amounts prorated to the period, the
+    /// USD amounts converted at the current price
+    /// @dev iterates the roster, for off-chain calls. Reverts if a USD amount
+    /// can't be converted.
+    function totalPayrollPerPeriod(address token, uint256 period)
+        public
+        view
+        returns (uint256 total)
+    {
+        uint256 usdTotal = 0;
+        for (uint256 i = 0; i < s_recipients.length; ++i) {
+            PaymentSchedule memory paymentSchedule = s_paymentSchedules[
+                s_recipients[i]
+            ];
+            if (paymentSchedule.token != token) {
+                continue;
+            }
+            uint256 amount = (paymentSchedule.amount * period) /
+                paymentSchedule.interval;
+            if (paymentSchedule.usdDenominated) {
+                usdTotal += amount;
+            } else {
+                total += amount;
+            }
+        }
+        if (usdTotal > 0) {
+            (bool valid, uint256 amount) = PaymentSchedules.usdToToken(
+                s_priceFeeds[token],
+                token,
+                usdTotal
+            );
+            if (!valid) {
+                revert Payroll__InvalidPrice(token);
+            }
+            total += amount;
+        }
+    }
+
+    /// Return a recipient's scheduled payment schedule update.
+    /// @param recipient the address of the recipient
+    /// @return the update, with a zero `effectiveAt` if there is none
+    function getScheduledUpdate(address recipient)
+        public
+        view
+        returns (ScheduleUpdate memory)
+    {
+        return s_scheduleUpdates[recipient];
+    }
+
+    /// Return the USD price feed of a token.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the feed and the seconds after which its answer is stale
+    function getPriceFeed(address token)
+        public
+        view
+        returns (PriceFeed memory)
+    {
+        return s_priceFeeds[token];
+    }
+
+    /// Return the payments queued as IOUs because the contract couldn't cover them.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the sum of the queued IOUs
+    function queuedPayments(address token) public view returns (uint256) {
+        return s_queuedPayments[token];
+    }
+
+    /// Return the amount missing from the contract to settle the queued IOUs.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the queued IOUs minus the contract balance, 0 if it covers them
+    function shortfall(address token) public view returns (uint256) {
+        uint256 balance = contractBalance(token);
+        uint256 queued = s_queuedPayments[token];
+        return queued > balance ? queued - balance : 0;
+    }
+
+    /// Return the IOU of a recipient.
+    /// @param recipient the recipient
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return iou the recipient, payee and amount still owed, empty if none
+    /// @return position the position in the queue, 1 for the next IOU settled
+    /// and 0 if the recipient isn't queued
+    function getIou(address recipient, address token)
+        public
+        view
+        returns (Iou memory iou, uint256 position)
+    {
+        uint256 index = s_iouIndexes[token][recipient];
+        if (index == 0) {
+            return (iou, 0);
+        }
+        iou = s_iouQueues[token][index - 1];
+        position = index - s_iouQueueHeads[token];
+    }
+
+    /// Return the nonce of a recipient's next signed claim.
+    /// @param recipient the recipient
+    /// @return the nonce
+    function nonces(address recipient) public view returns (uint256) {
+        return s_nonces[recipient];
+    }
+
+    /// Return the deductions applied to a recipient's payments.
+    /// @param recipient the address of the recipient
+    /// @return the recipient's own deductions, or the default ones
+    function getDeductions(address recipient)
+        public
+        view
+        returns (Deduction[] memory)
+    {
+        return getDeductionsStorage(recipient);
+    }
+
+    /// Return the deductions of the recipients without their own.
+    /// @return the default deductions
+    function getDefaultDeductions() public view returns (Deduction[] memory) {
+        return s_defaultDeductions;
+    }
+
+    /// Return a one-off credit.
+    /// @param id the id of the credit
+    /// @return the credit, with whether it was released or cancelled
+    function getCredit(uint256 id) public view returns (Credit memory) {
+        return s_credits[id];
+    }
+
+    /// Return the number of credits issued.
+    /// @return the number of credits, the next credit id
+    function getCreditCount() public view returns (uint256) {
+        return s_credits.length;
+    }
+
+    /// Return the credits of a token not released yet.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the sum of the scheduled credits
+    function scheduledCredits(address token) public view returns (uint256) {
+        return s_scheduledCredits[token];
+    }
+
+    /// Return a recipient's salary advance.
+    /// @param recipient the address of the recipient
+    /// @return the token, the amount waiting for approval and the amount to repay
+    function getAdvance(address recipient)
+        public
+        view
+        returns (Advance memory)
+    {
+        return s_advances[recipient];
+    }
+
+    /// Return the number of queued IOUs of a token.
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @return the number of IOUs waiting to be settled
+    function getIouQueueLength(address token) public view returns (uint256) {
+        return s_iouQueues[token].length - s_iouQueueHeads[token];
+    }
+
+    /// Return the name of the payroll.
+    /// @return the name
+    function getName() public view returns (string memory) {
+        return s_name;
+    }
+
+    /// Return the recipients.
+    /// @return the recipients
+    function getRecipients() public view returns (address[] memory) {
+        return s_recipients;
+    }
+
+    /// Return the number of recipients.
+    /// @return the number of recipients
+    function getRecipientCount() public view returns (uint256) {
+        return s_recipients.length;
+    }
+
+    /// Return the maximum number of recipients paid by one performUpkeep.
+    /// @return the maximum batch size
+    function getMaxBatchSize() public view returns (uint256) {
+        return s_maxBatchSize;
+    }
+
+    /// Return the only address allowed to call performUpkeep.
+    /// @return the upkeep forwarder, address(0) when anyone can call it
+    function getUpkeepForwarder() public view returns (address) {
+        return s_upkeepForwarder;
+    }
+
+    /// Return the delay of the sensitive changes.
+    /// @return the delay in seconds, 0 when every change runs instantly
+    function getTimelockDelay() public view returns (uint256) {
+        return s_timelockDelay;
+    }
+
+    /// Return the most the changes move in a token without the timelock delay.
+    /// @param token the token (NATIVE_TOKEN for ETH), or USD
+    /// @return the amount over INSTANT_LIMIT_PERIOD, see `setInstantLimit`
+    function getInstantLimit(address token) public view returns (uint256) {
+        return s_instantLimits[token];
+    }
+
+    /// Return what the instant changes of a token moved during the current period.
+    /// @param token the token (NATIVE_TOKEN for ETH), or USD
+    /// @return amount the amount counted against the instant limit, 0 once
+    /// the period is over
+    /// @return periodEnd when the period ends, in the past when none is running
+    function getInstantSpend(address token)
+        public
+        view
+        returns (uint256 amount, uint256 periodEnd)
+    {
+        InstantSpend memory spend = s_instantSpends[token];
+        periodEnd = spend.periodStart + INSTANT_LIMIT_PERIOD;
+        amount = block.timestamp < periodEnd ? spend.amount : 0;
+    }
+
+    /// Return when a queued change can run.
+    /// @param id the id of the change, the keccak256 of its calldata
+    /// @return the timestamp, 0 when the change isn't queued. The change
+    /// expires CHANGE_GRACE_PERIOD after it.
+    function getChangeReadyAt(bytes32 id) public view returns (uint256) {
+        return s_changes[id];
+    }
+
+    /// Return the time the salary accruals can be clawed back.
+    /// @return the window in seconds, 0 when the accruals are final at once
+    function getClawbackWindow() public view returns (uint256) {
+        return s_clawbackWindow;
+    }
+}
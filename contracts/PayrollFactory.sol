@@ -0,0 +1,87 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+import "./Payroll.sol";
+
+// Errors
+error PayrollFactory__InvalidOwner();
+error PayrollFactory__NameAlreadyUsed(string name);
+
+/// @title A factory of smart contract payrolls
+/// @dev It deploys ERC-1967 proxies of a Payroll implementation,
+/// one per department or client project, each with its own funds and roster.
+/// The admin of each payroll upgrades it independently.
+contract PayrollFactory {
+    address private immutable i_implementation;
+
+    address[] private s_payrolls;
+    // name => payroll
+    mapping(string => address) private s_payrollsByName;
+
+    // Events
+    event PayrollCreated(
+        address indexed payroll,
+        address indexed owner,
+        string name
+    );
+
+    /// @param implementation the Payroll behind the proxies of `createPayroll`
+    constructor(address implementation) {
+        i_implementation = implementation;
+    }
+
+    /// Create a payroll.
+    /// @param owner the account granted every role of the payroll
+    /// @param name the unique name of the payroll
+    /// @return payroll the address of the new payroll
+    function createPayroll(address owner, string calldata name)
+        public
+        returns (address payroll)
+    {
+        if (owner == address(0)) {
+            revert PayrollFactory__InvalidOwner();
+        }
+        if (s_payrollsByName[name] != address(0)) {
+            revert PayrollFactory__NameAlreadyUsed(name);
+        }
+        payroll = address(
+            new ERC1967Proxy(
+                i_implementation,
+                abi.encodeWithSelector(Payroll.initialize.selector, owner, name)
+            )
+        );
+        s_payrolls.push(payroll);
+        s_payrollsByName[name] = payroll;
+        emit PayrollCreated(payroll, owner, name);
+    }
+
+    /// Return the Payroll behind the proxies of `createPayroll`.
+    /// @return the implementation address
+    function getImplementation() public view returns (address) {
+        return i_implementation;
+    }
+
+    /// Return the payrolls created by the factory.
+    /// @return the payrolls
+    function getPayrolls() public view returns (address[] memory) {
+        return s_payrolls;
+    }
+
+    /// Return the number of payrolls created by the factory.
+    /// @return the number of payrolls
+    function getPayrollCount() public view returns (uint256) {
+        return s_payrolls.length;
+    }
+
+    /// Return a payroll by name.
+    /// @param name the name of the payroll
+    /// @return the payroll, address(0) if there is none
+    function getPayrollByName(string calldata name)
+        public
+        view
+        returns (address)
+    {
+        return s_payrollsByName[name];
+    }
+}
@@ -0,0 +1,266 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
+import "../PayrollBase.sol";
+
+/// @title The payment schedule math of the payroll
+/// @dev An external library linked to Payroll to keep it under the contract
+/// size limit. It never writes the payroll storage: the payroll stores what
+/// it returns.
+library PaymentSchedules {
+    // the decimals of the USD amounts, `PayrollBase.USD_DECIMALS`
+    uint8 private constant USD_DECIMALS = 8;
+
+    /// Return the recipients in a range of the roster for which a payment is due.
+    /// @param recipients the roster
+    /// @param startIndex the first index of the range
+    /// @param endIndex the index after the last index of the range
+    /// @param maxBatchSize the maximum number of recipients returned
+    /// @return the recipients to pay, in roster order
+    function dueRecipients(
+        address[] storage recipients,
+        mapping(address => PayrollBase.PaymentSchedule)
+            storage paymentSchedules,
+        mapping(address => PayrollBase.ScheduleUpdate) storage scheduleUpdates,
+        mapping(address => PayrollBase.PriceFeed) storage priceFeeds,
+        uint256 startIndex,
+        uint256 endIndex,
+        uint256 maxBatchSize
+    ) external view returns (address[] memory) {
+        address[] memory recipientsToPay = new address[](
+            endIndex - startIndex < maxBatchSize
+                ? endIndex - startIndex
+                : maxBatchSize
+        );
+        uint256 recipientToPayIndex = 0;
+
+        // check the payment interval of each recipient in the range
+        for (
+            uint256 i = startIndex;
+            i < endIndex && recipientToPayIndex < maxBatchSize;
+            ++i
+        ) {
+            if (
+                paymentDue(
+                    paymentSchedules,
+                    scheduleUpdates,
+                    priceFeeds,
+                    recipients[i]
+                )
+            ) {
+                recipientsToPay[recipientToPayIndex] = recipients[i];
+                ++recipientToPayIndex;
+            }
+        }
+
+        // copy the recipients to pay
+        address[] memory dueRecipientsToPay = new address[](
+            recipientToPayIndex
+        );
+        for (uint256 i = 0; i < dueRecipientsToPay.length; ++i) {
+            dueRecipientsToPay[i] = recipientsToPay[i];
+        }
+        return dueRecipientsToPay;
+    }
+
+    /// Check if a payment is due.
+    /// @param recipient the address of the recipient to check
+    /// @return true if a payment is due, a scheduled update must be applied
+    /// or the schedule completes. Never for a USD-denominated schedule without
+    /// a valid price, so that it can't revert the batch.
+    function paymentDue(
+        mapping(address => PayrollBase.PaymentSchedule)
+            storage paymentSchedules,
+        mapping(address => PayrollBase.ScheduleUpdate) storage scheduleUpdates,
+        mapping(address => PayrollBase.PriceFeed) storage priceFeeds,
+        address recipient
+    ) public view returns (bool) {
+        PayrollBase.PaymentSchedule memory paymentSchedule = paymentSchedules[
+            recipient
+        ];
+        if (paymentSchedule.amount == 0) {
+            return false;
+        }
+        // checked first: the completion pays the last period, which needs the price
+        if (paymentSchedule.usdDenominated) {
+            (bool validPrice, , ) = price(priceFeeds[paymentSchedule.token]);
+            if (!validPrice) {
+                return false; // paid once the feed answers again
+            }
+        }
+        if (
+            paymentSchedule.endTime > 0 &&
+            paymentSchedule.endTime <= block.timestamp
+        ) {
+            return true; // the schedule completes
+        }
+        if (
+            paymentSchedule.streaming ||
+            block.timestamp < paymentSchedule.cliffEnd ||
+            block.timestamp <= paymentSchedule.lastTimestamp
+        ) {
+            return false;
+        }
+        uint256 effectiveAt = scheduleUpdates[recipient].effectiveAt;
+        return ((effectiveAt > 0 && effectiveAt <= block.timestamp) ||
+            block.timestamp - paymentSchedule.lastTimestamp >=
+            paymentSchedule.interval);
+    }
+
+    /// Compute the payment due under a schedule without allocating it.
+    /// @param paymentSchedule the payment schedule of the recipient
+    /// @param update the scheduled update of the recipient, if any
+    /// @return the payment schedule settled until now
+    /// @return payment the amount due
+    /// @return updated whether the scheduled update was applied
+    /// @dev Every missed period is paid and `lastTimestamp` is advanced by whole
+    /// intervals so that paydays stay anchored to the schedule start.
+    /// A scheduled update is applied once its effective time is reached.
+    /// Nothing is paid before the cliff, nor after the end of the term.
+    function duePayment(
+        PayrollBase.PaymentSchedule memory paymentSchedule,
+        PayrollBase.ScheduleUpdate memory update
+    )
+        external
+        view
+        returns (
+            PayrollBase.PaymentSchedule memory,
+            uint256 payment,
+            bool updated
+        )
+    {
+        uint256 until = block.timestamp;
+        if (paymentSchedule.endTime > 0 && paymentSchedule.endTime < until) {
+            until = paymentSchedule.endTime;
+        }
+        if (
+            until < paymentSchedule.cliffEnd ||
+            until <= paymentSchedule.lastTimestamp
+        ) {
+            return (paymentSchedule, 0, false);
+        }
+        if (update.effectiveAt > 0 && update.effectiveAt <= until) {
+            // settle the old terms, the period in progress pro rata
+            payment = settleProRata(paymentSchedule, update.effectiveAt);
+            paymentSchedule.amount = update.amount;
+            paymentSchedule.interval = update.interval;
+            updated = true;
+        }
+        if (until == paymentSchedule.endTime) {
+            // the last period of the term is paid pro rata
+            payment += settleProRata(paymentSchedule, until);
+        } else {
+            payment += settle(paymentSchedule, until);
+        }
+        return (paymentSchedule, payment, updated);
+    }
+
+    /// Return the USD price of a token from its price feed.
+    /// @param priceFeed the price feed of the token
+    /// @return valid false if the feed isn't set, reverts (e.g. deprecated) or its
+    /// answer is stale or not positive
+    /// @return answer the price of one token
+    /// @return decimals the decimals of the price
+    function price(PayrollBase.PriceFeed memory priceFeed)
+        public
+        view
+        returns (
+            bool valid,
+            uint256 answer,
+            uint8 decimals
+        )
+    {
+        if (priceFeed.feed == address(0)) {
+            return (false, 0, 0);
+        }
+        AggregatorV3Interface feed = AggregatorV3Interface(priceFeed.feed);
+        // a reverting feed only postpones the USD payments, not the whole roster
+        try feed.latestRoundData() returns (
+            uint80 roundId,
+            int256 latestAnswer,
+            uint256,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            valid =
+                latestAnswer > 0 &&
+                updatedAt > 0 &&
+                updatedAt <= block.timestamp &&
+                block.timestamp - updatedAt <= priceFeed.maxPriceAge &&
+                answeredInRound >= roundId;
+            if (valid) {
+                answer = uint256(latestAnswer);
+                decimals = feed.decimals();
+            }
+        } catch {
+            return (false, 0, 0);
+        }
+    }
+
+    /// Convert a USD amount to a token amount with the token price feed.
+    /// @param priceFeed the price feed of the token
+    /// @param token the token (NATIVE_TOKEN for ETH)
+    /// @param usdAmount the USD amount, with USD_DECIMALS
+    /// @return valid false if the feed isn't set, reverts (e.g. deprecated) or its
+    /// answer is stale or not positive
+    /// @return amount the token amount (wei for ETH)
+    function usdToToken(
+        PayrollBase.PriceFeed memory priceFeed,
+        address token,
+        uint256 usdAmount
+    ) external view returns (bool valid, uint256 amount) {
+        (bool validPrice, uint256 answer, uint8 decimals) = price(priceFeed);
+        if (!validPrice) {
+            return (false, 0);
+        }
+        uint8 tokenDecimals = token == address(0)
+            ? 18
+            : IERC20Metadata(token).decimals();
+        return (
+            true,
+            (usdAmount * 10**tokenDecimals * 10**decimals) /
+                (answer * 10**USD_DECIMALS)
+        );
+    }
+
+    /// Advance a payment schedule by the whole periods elapsed until a timestamp,
+    /// or until the timestamp for a streaming schedule.
+    /// @param paymentSchedule the payment schedule to advance
+    /// @param timestamp the timestamp to settle the schedule until
+    /// @return payment the amount due for the elapsed time
+    function settle(
+        PayrollBase.PaymentSchedule memory paymentSchedule,
+        uint256 timestamp
+    ) private pure returns (uint256 payment) {
+        if (paymentSchedule.streaming) {
+            payment =
+                (paymentSchedule.amount *
+                    (timestamp - paymentSchedule.lastTimestamp)) /
+                paymentSchedule.interval;
+            paymentSchedule.lastTimestamp = timestamp;
+            return payment;
+        }
+        uint256 periods = (timestamp - paymentSchedule.lastTimestamp) /
+            paymentSchedule.interval;
+        payment = paymentSchedule.amount * periods;
+        paymentSchedule.lastTimestamp += paymentSchedule.interval * periods;
+    }
+
+    /// Settle a payment schedule until a timestamp, the period in progress pro rata.
+    /// @param paymentSchedule the payment schedule to advance
+    /// @param timestamp the timestamp to settle the schedule until
+    /// @return payment the amount due until the timestamp
+    function settleProRata(
+        PayrollBase.PaymentSchedule memory paymentSchedule,
+        uint256 timestamp
+    ) private pure returns (uint256 payment) {
+        payment = settle(paymentSchedule, timestamp);
+        payment +=
+            (paymentSchedule.amount *
+                (timestamp - paymentSchedule.lastTimestamp)) /
+            paymentSchedule.interval;
+        paymentSchedule.lastTimestamp = timestamp;
+    }
+}
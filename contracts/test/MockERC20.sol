@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/// @title A mintable ERC-20 token for development chains
+contract MockERC20 is ERC20 {
+    uint8 private immutable i_decimals;
+
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint8 tokenDecimals
+    ) ERC20(name, symbol) {
+        i_decimals = tokenDecimals;
+    }
+
+    /// Mint tokens to an address.
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return i_decimals;
+    }
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+/// @title A payout address burning all the gas it gets
+/// @dev used to test that a payee can't exhaust the IOU settlement
+contract MockGasBurningReceiver {
+    uint256 private s_counter;
+
+    receive() external payable {
+        while (true) {
+            ++s_counter;
+        }
+    }
+}
@@ -0,0 +1,77 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "./MockKeeperRegistry.sol";
+import "./MockLinkToken.sol";
+
+/// @title A Chainlink Automation registrar 1.1 approving every registration,
+/// for development chains
+contract MockKeeperRegistrar {
+    error OnlyCallableByLINKToken();
+    error RegistrationRequestFailed();
+
+    event RegistrationApproved(
+        bytes32 indexed hash,
+        string displayName,
+        uint256 indexed upkeepId
+    );
+
+    MockLinkToken private immutable i_link;
+    MockKeeperRegistry private immutable i_registry;
+
+    constructor(address link, address registry) {
+        i_link = MockLinkToken(link);
+        i_registry = MockKeeperRegistry(registry);
+    }
+
+    /// Register an upkeep and fund it with the LINK sent along.
+    /// @dev only called through `transferAndCall` on the LINK token
+    function register(
+        string memory name,
+        bytes calldata, /* encryptedEmail */
+        address upkeepContract,
+        uint32 gasLimit,
+        address adminAddress,
+        bytes calldata checkData,
+        uint96 amount,
+        uint8, /* source */
+        address /* sender */
+    ) external {
+        if (msg.sender != address(i_link)) {
+            revert OnlyCallableByLINKToken();
+        }
+        uint256 upkeepId = i_registry.registerUpkeep(
+            upkeepContract,
+            gasLimit,
+            adminAddress,
+            checkData
+        );
+        i_link.transferAndCall(
+            address(i_registry),
+            amount,
+            abi.encode(upkeepId)
+        );
+        emit RegistrationApproved(
+            keccak256(
+                abi.encode(upkeepContract, gasLimit, adminAddress, checkData)
+            ),
+            name,
+            upkeepId
+        );
+    }
+
+    /// Run the `register` call sent with LINK by `transferAndCall`.
+    function onTokenTransfer(
+        address, /* sender */
+        uint256, /* amount */
+        bytes calldata data
+    ) external {
+        if (msg.sender != address(i_link)) {
+            revert OnlyCallableByLINKToken();
+        }
+        (bool success, ) = address(this).delegatecall(data);
+        if (!success) {
+            revert RegistrationRequestFailed();
+        }
+    }
+}
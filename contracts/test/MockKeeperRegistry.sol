@@ -0,0 +1,169 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/// @title The upkeep management of a Chainlink Automation registry 1.3,
+/// for development chains
+/// @dev Nobody performs the upkeeps: the local Automation simulator calls
+/// the payroll directly.
+contract MockKeeperRegistry is Ownable {
+    error OnlyCallableByOwnerOrRegistrar();
+    error OnlyCallableByAdmin();
+    error OnlyCallableByLINKToken();
+    error UpkeepCancelled();
+    error OnlyUnpausedUpkeep();
+    error OnlyPausedUpkeep();
+
+    struct Upkeep {
+        address target;
+        uint32 executeGas;
+        bytes checkData;
+        uint96 balance;
+        address admin;
+        uint64 maxValidBlocknumber;
+        bool paused;
+    }
+
+    event UpkeepRegistered(
+        uint256 indexed id,
+        uint32 executeGas,
+        address admin
+    );
+    event FundsAdded(uint256 indexed id, address indexed from, uint96 amount);
+    event UpkeepPaused(uint256 indexed id);
+    event UpkeepUnpaused(uint256 indexed id);
+    event UpkeepCanceled(uint256 indexed id, uint64 indexed atBlockHeight);
+
+    IERC20 private immutable i_link;
+    address private s_registrar;
+    uint256 private s_nonce;
+    mapping(uint256 => Upkeep) private s_upkeeps;
+
+    constructor(address link) {
+        i_link = IERC20(link);
+    }
+
+    /// Set the registrar allowed to register upkeeps.
+    function setRegistrar(address registrar) public onlyOwner {
+        s_registrar = registrar;
+    }
+
+    function registerUpkeep(
+        address target,
+        uint32 gasLimit,
+        address admin,
+        bytes calldata checkData
+    ) external returns (uint256 id) {
+        if (msg.sender != owner() && msg.sender != s_registrar) {
+            revert OnlyCallableByOwnerOrRegistrar();
+        }
+        id = uint256(keccak256(abi.encode(address(this), ++s_nonce)));
+        s_upkeeps[id] = Upkeep(
+            target,
+            gasLimit,
+            checkData,
+            0,
+            admin,
+            type(uint32).max,
+            false
+        );
+        emit UpkeepRegistered(id, gasLimit, admin);
+    }
+
+    function addFunds(uint256 id, uint96 amount) external {
+        i_link.transferFrom(msg.sender, address(this), amount);
+        fund(id, msg.sender, amount);
+    }
+
+    /// Fund an upkeep with LINK sent by `transferAndCall`.
+    /// @param data the upkeep id, ABI encoded
+    function onTokenTransfer(
+        address sender,
+        uint256 amount,
+        bytes calldata data
+    ) external {
+        if (msg.sender != address(i_link)) {
+            revert OnlyCallableByLINKToken();
+        }
+        fund(abi.decode(data, (uint256)), sender, uint96(amount));
+    }
+
+    function pauseUpkeep(uint256 id) external {
+        Upkeep storage upkeep = activeUpkeep(id);
+        if (upkeep.paused) {
+            revert OnlyUnpausedUpkeep();
+        }
+        upkeep.paused = true;
+        emit UpkeepPaused(id);
+    }
+
+    function unpauseUpkeep(uint256 id) external {
+        Upkeep storage upkeep = activeUpkeep(id);
+        if (!upkeep.paused) {
+            revert OnlyPausedUpkeep();
+        }
+        upkeep.paused = false;
+        emit UpkeepUnpaused(id);
+    }
+
+    function cancelUpkeep(uint256 id) external {
+        Upkeep storage upkeep = activeUpkeep(id);
+        upkeep.maxValidBlocknumber = uint64(block.number);
+        emit UpkeepCanceled(id, uint64(block.number));
+    }
+
+    function getUpkeep(uint256 id)
+        external
+        view
+        returns (
+            address target,
+            uint32 executeGas,
+            bytes memory checkData,
+            uint96 balance,
+            address lastKeeper,
+            address admin,
+            uint64 maxValidBlocknumber,
+            uint96 amountSpent,
+            bool paused
+        )
+    {
+        Upkeep memory upkeep = s_upkeeps[id];
+        return (
+            upkeep.target,
+            upkeep.executeGas,
+            upkeep.checkData,
+            upkeep.balance,
+            address(0),
+            upkeep.admin,
+            upkeep.maxValidBlocknumber,
+            0,
+            upkeep.paused
+        );
+    }
+
+    function fund(
+        uint256 id,
+        address from,
+        uint96 amount
+    ) private {
+        if (s_upkeeps[id].maxValidBlocknumber != type(uint32).max) {
+            revert UpkeepCancelled();
+        }
+        s_upkeeps[id].balance += amount;
+        emit FundsAdded(id, from, amount);
+    }
+
+    /// Return an upkeep managed by the caller and not cancelled.
+    function activeUpkeep(uint256 id) private view returns (Upkeep storage) {
+        Upkeep storage upkeep = s_upkeeps[id];
+        if (msg.sender != upkeep.admin) {
+            revert OnlyCallableByAdmin();
+        }
+        if (upkeep.maxValidBlocknumber != type(uint32).max) {
+            revert UpkeepCancelled();
+        }
+        return upkeep;
+    }
+}
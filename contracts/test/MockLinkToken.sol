@@ -0,0 +1,26 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@chainlink/contracts/src/v0.8/interfaces/ERC677ReceiverInterface.sol";
+
+/// @title A mintable ERC-677 LINK token for development chains
+contract MockLinkToken is ERC20 {
+    constructor() ERC20("ChainLink Token", "LINK") {}
+
+    /// Mint tokens to an address.
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+
+    /// Transfer tokens to a contract and notify it, like the LINK token.
+    function transferAndCall(
+        address to,
+        uint256 value,
+        bytes calldata data
+    ) public returns (bool) {
+        _transfer(msg.sender, to, value);
+        ERC677ReceiverInterface(to).onTokenTransfer(msg.sender, value, data);
+        return true;
+    }
+}
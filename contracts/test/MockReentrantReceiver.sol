@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "../Payroll.sol";
+
+/// @title A payout address calling the payroll back when it receives ETH
+/// @dev used to test that the payroll rejects reentrant calls
+contract MockReentrantReceiver {
+    Payroll private immutable i_payroll;
+    bytes private s_reentrantCall;
+    bool private s_reentrantCallSucceeded;
+
+    constructor(Payroll payroll) {
+        i_payroll = payroll;
+    }
+
+    /// Set the calldata sent to the payroll on the next payment.
+    function setReentrantCall(bytes calldata data) external {
+        s_reentrantCall = data;
+    }
+
+    /// Return whether the last reentrant call succeeded.
+    function reentrantCallSucceeded() external view returns (bool) {
+        return s_reentrantCallSucceeded;
+    }
+
+    receive() external payable {
+        bytes memory data = s_reentrantCall;
+        if (data.length > 0) {
+            delete s_reentrantCall;
+            (s_reentrantCallSucceeded, ) = address(i_payroll).call(data);
+        }
+    }
+}
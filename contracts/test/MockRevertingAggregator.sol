@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+/// @title A deprecated price feed
+/// @dev used to test a price feed reverting its reads
+contract MockRevertingAggregator {
+    uint8 public constant decimals = 8;
+
+    function latestRoundData()
+        external
+        pure
+        returns (
+            uint80,
+            int256,
+            uint256,
+            uint256,
+            uint80
+        )
+    {
+        revert("MockRevertingAggregator: deprecated");
+    }
+}
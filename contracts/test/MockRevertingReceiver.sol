@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "../PayrollExtension.sol";
+
+/// @title A payout address rejecting ETH
+/// @dev used to test failed payments
+contract MockRevertingReceiver {
+    receive() external payable {
+        revert("MockRevertingReceiver: rejected");
+    }
+
+    /// Accept to receive a recipient's payments.
+    function acceptPayoutAddress(PayrollExtension payroll, address recipient)
+        external
+    {
+        payroll.acceptPayoutAddress(recipient);
+    }
+}
@@ -0,0 +1,98 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "../libraries/PaymentSchedules.sol";
+
+/// @title The PaymentSchedules library behind an ABI
+/// @dev used to test the schedule math apart from the payroll
+contract PaymentSchedulesHarness {
+    address[] private s_recipients;
+    mapping(address => PayrollBase.PaymentSchedule) private s_paymentSchedules;
+    mapping(address => PayrollBase.ScheduleUpdate) private s_scheduleUpdates;
+    mapping(address => PayrollBase.PriceFeed) private s_priceFeeds;
+
+    /// Add a recipient to the roster with a schedule and a scheduled update.
+    function setPaymentSchedule(
+        address recipient,
+        PayrollBase.PaymentSchedule calldata paymentSchedule,
+        PayrollBase.ScheduleUpdate calldata update
+    ) external {
+        if (s_paymentSchedules[recipient].amount == 0) {
+            s_recipients.push(recipient);
+        }
+        s_paymentSchedules[recipient] = paymentSchedule;
+        s_scheduleUpdates[recipient] = update;
+    }
+
+    /// Set the price feed of a token.
+    function setPriceFeed(
+        address token,
+        PayrollBase.PriceFeed calldata priceFeed
+    ) external {
+        s_priceFeeds[token] = priceFeed;
+    }
+
+    function dueRecipients(
+        uint256 startIndex,
+        uint256 endIndex,
+        uint256 maxBatchSize
+    ) external view returns (address[] memory) {
+        return
+            PaymentSchedules.dueRecipients(
+                s_recipients,
+                s_paymentSchedules,
+                s_scheduleUpdates,
+                s_priceFeeds,
+                startIndex,
+                endIndex,
+                maxBatchSize
+            );
+    }
+
+    function paymentDue(address recipient) external view returns (bool) {
+        return
+            PaymentSchedules.paymentDue(
+                s_paymentSchedules,
+                s_scheduleUpdates,
+                s_priceFeeds,
+                recipient
+            );
+    }
+
+    function duePayment(address recipient)
+        external
+        view
+        returns (
+            PayrollBase.PaymentSchedule memory,
+            uint256 payment,
+            bool updated
+        )
+    {
+        return
+            PaymentSchedules.duePayment(
+                s_paymentSchedules[recipient],
+                s_scheduleUpdates[recipient]
+            );
+    }
+
+    function price(address token)
+        external
+        view
+        returns (
+            bool valid,
+            uint256 answer,
+            uint8 decimals
+        )
+    {
+        return PaymentSchedules.price(s_priceFeeds[token]);
+    }
+
+    function usdToToken(address token, uint256 usdAmount)
+        external
+        view
+        returns (bool valid, uint256 amount)
+    {
+        return
+            PaymentSchedules.usdToToken(s_priceFeeds[token], token, usdAmount);
+    }
+}
@@ -0,0 +1,27 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.8;
+
+import "../Payroll.sol";
+
+/// @dev A Payroll upgrade appending a state variable, used to test upgrades.
+contract PayrollV2 is Payroll {
+    string private s_note;
+
+    constructor(
+        address admin,
+        string memory name,
+        address extension
+    ) Payroll(admin, name, extension) {}
+
+    function setNote(string calldata note) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        s_note = note;
+    }
+
+    function getNote() public view returns (string memory) {
+        return s_note;
+    }
+
+    function version() public pure returns (uint256) {
+        return 2;
+    }
+}
@@ -0,0 +1,51 @@
+const { network } = require("hardhat");
+const {
+  developmentChains,
+  MOCK_TOKEN_NAME,
+  MOCK_TOKEN_SYMBOL,
+  MOCK_TOKEN_DECIMALS,
+  MOCK_PRICE_FEED_DECIMALS,
+  MOCK_ETH_USD_PRICE,
+} = require("../helper-hardhat-config");
+
+module.exports = async (hre) => {
+  const { deployer } = await hre.getNamedAccounts();
+  const { deploy, execute, log } = hre.deployments;
+
+  if (developmentChains.includes(network.name)) {
+    log("Local network detected! Deploying mocks...");
+    await deploy("MockERC20", {
+      from: deployer,
+      args: [MOCK_TOKEN_NAME, MOCK_TOKEN_SYMBOL, MOCK_TOKEN_DECIMALS],
+      log: true,
+    });
+    await deploy("MockV3Aggregator", {
+      from: deployer,
+      args: [MOCK_PRICE_FEED_DECIMALS, MOCK_ETH_USD_PRICE],
+      log: true,
+    });
+    // the Chainlink Automation contracts registering the upkeep
+    const linkToken = await deploy("MockLinkToken", {
+      from: deployer,
+      log: true,
+    });
+    const registry = await deploy("MockKeeperRegistry", {
+      from: deployer,
+      args: [linkToken.address],
+      log: true,
+    });
+    const registrar = await deploy("MockKeeperRegistrar", {
+      from: deployer,
+      args: [linkToken.address, registry.address],
+      log: true,
+    });
+    await execute(
+      "MockKeeperRegistry",
+      { from: deployer },
+      "setRegistrar",
+      registrar.address
+    );
+  }
+};
+
+module.exports.tags = ["all", "mocks"];
@@ -1,33 +1,191 @@
-const { network } = require("hardhat");
+const { network, ethers } = require("hardhat");
 const {
+  networkConfig,
   developmentChains,
   VERIFICATION_BLOCK_CONFIRMATIONS,
+  PAYROLL_OWNER,
+  PAYROLL_NAME,
 } = require("../helper-hardhat-config");
 const { verify } = require("../utils/verify");
+const {
+  checkStorageLayout,
+  checkSharedStorageLayout,
+} = require("../utils/upgrades");
+const { mergeAbis } = require("../utils/abi");
 
 module.exports = async (hre) => {
   const { deployer } = await hre.getNamedAccounts();
-  const { deploy } = hre.deployments;
+  const {
+    deploy,
+    execute,
+    fetchIfDifferent,
+    get,
+    getExtendedArtifact,
+    getOrNull,
+    log,
+    read,
+    save,
+  } = hre.deployments;
+  const chainId = network.config.chainId;
 
   const blockConfirmations = developmentChains.includes(network.name)
     ? 1
     : VERIFICATION_BLOCK_CONFIRMATIONS;
-  const arguments = [];
 
-  // Deploy the contract
-  const payroll = await deploy("Payroll", {
+  // Deploy the payment schedule library linked to the implementation and the extension
+  const paymentSchedules = await deploy("PaymentSchedules", {
     from: deployer,
-    args: arguments,
     log: true,
     waitConfirmations: blockConfirmations,
   });
 
-  // Verify the contract
+  // Deploy the extension the implementation delegates its other calls to
+  const extension = await deploy("PayrollExtension", {
+    from: deployer,
+    libraries: { PaymentSchedules: paymentSchedules.address },
+    log: true,
+    waitConfirmations: blockConfirmations,
+  });
+  const initArguments = [PAYROLL_OWNER || deployer, PAYROLL_NAME];
+  const arguments = [...initArguments, extension.address];
+  const implementationOptions = {
+    contract: "Payroll",
+    from: deployer,
+    args: arguments,
+    libraries: { PaymentSchedules: paymentSchedules.address },
+    log: true,
+    waitConfirmations: blockConfirmations,
+  };
+
+  // Check that the implementation and the extension only have the state of
+  // PayrollBase, as they run in the same storage
+  const baseLayout = (await getExtendedArtifact("PayrollBase")).storageLayout;
+  const { storageLayout } = await getExtendedArtifact("Payroll");
+  for (const [contract, layout] of [
+    ["Payroll", storageLayout],
+    [
+      "PayrollExtension",
+      (await getExtendedArtifact("PayrollExtension")).storageLayout,
+    ],
+  ]) {
+    const errors = checkSharedStorageLayout(baseLayout, layout);
+    if (errors.length > 0) {
+      throw new Error(
+        `The ${contract} storage layout differs from the PayrollBase one:\n${errors.join(
+          "\n"
+        )}`
+      );
+    }
+  }
+
+  // Check that a new implementation keeps the storage layout of the deployed one
+  const previousImplementation = await getOrNull("Payroll_Implementation");
+  if (previousImplementation) {
+    const { differences } = await fetchIfDifferent(
+      "Payroll_Implementation",
+      implementationOptions
+    );
+    const errors = differences
+      ? checkStorageLayout(previousImplementation.storageLayout, storageLayout)
+      : [];
+    if (errors.length > 0) {
+      throw new Error(
+        `The Payroll storage layout is incompatible with the deployed implementation:\n${errors.join(
+          "\n"
+        )}`
+      );
+    }
+  }
+
+  // Deploy the implementation
+  const implementation = await deploy(
+    "Payroll_Implementation",
+    implementationOptions
+  );
+  // the payroll is used through the functions of both contracts
+  const abi = mergeAbis(implementation.abi, extension.abi);
+
+  // Deploy the proxy, or upgrade it to a new implementation
+  let payroll = await getOrNull("Payroll");
+  if (payroll && !payroll.implementation) {
+    throw new Error(
+      "The Payroll deployment isn't upgradeable: move its recipients to a new deployment (deploy with --reset)"
+    );
+  }
+  const newlyDeployed = !payroll;
+  if (!payroll) {
+    const initData = new ethers.utils.Interface(
+      implementation.abi
+    ).encodeFunctionData("initialize", initArguments);
+    const proxy = await deploy("Payroll_Proxy", {
+      contract: "ERC1967Proxy",
+      from: deployer,
+      args: [implementation.address, initData],
+      log: true,
+      waitConfirmations: blockConfirmations,
+    });
+    payroll = {
+      abi,
+      address: proxy.address,
+      receipt: proxy.receipt,
+      transactionHash: proxy.transactionHash,
+      args: proxy.args,
+      implementation: implementation.address,
+    };
+    await save("Payroll", payroll);
+  } else if (payroll.implementation !== implementation.address) {
+    const canUpgrade = await read(
+      "Payroll",
+      "hasRole",
+      ethers.constants.HashZero, // DEFAULT_ADMIN_ROLE
+      deployer
+    );
+    if (canUpgrade) {
+      await execute(
+        "Payroll",
+        { from: deployer, log: true, waitConfirmations: blockConfirmations },
+        "upgradeTo",
+        implementation.address
+      );
+      await save("Payroll", {
+        ...payroll,
+        abi,
+        implementation: implementation.address,
+      });
+    } else {
+      log(`Ask the owner to run payroll:upgrade to ${implementation.address}`);
+    }
+  }
+
+  // Set the ETH / USD price feed used by USD-denominated salaries
+  const config = networkConfig[chainId] || {};
+  const ethUsdPriceFeed = developmentChains.includes(network.name)
+    ? (await get("MockV3Aggregator")).address
+    : config.ethUsdPriceFeed;
+  if (!ethUsdPriceFeed) {
+    log(`No ETH / USD price feed configured for chain ${chainId}`);
+  } else if (PAYROLL_OWNER && PAYROLL_OWNER !== deployer) {
+    log(`Ask the owner to set the ETH / USD price feed to ${ethUsdPriceFeed}`);
+  } else if (newlyDeployed) {
+    await execute(
+      "Payroll",
+      { from: deployer, log: true, waitConfirmations: blockConfirmations },
+      "setPriceFeed",
+      ethers.constants.AddressZero,
+      ethUsdPriceFeed,
+      config.maxPriceAge
+    );
+  }
+
+  // Verify the contracts
   if (
     !developmentChains.includes(network.name) &&
     process.env.ETHERSCAN_API_KEY
   ) {
-    await verify(payroll.address, arguments);
+    await verify(paymentSchedules.address, []);
+    await verify(extension.address, []);
+    await verify(implementation.address, arguments);
+    await verify(payroll.address, payroll.args);
   }
 };
 
@@ -0,0 +1,40 @@
+const { network } = require("hardhat");
+const {
+  developmentChains,
+  VERIFICATION_BLOCK_CONFIRMATIONS,
+} = require("../helper-hardhat-config");
+const { verify } = require("../utils/verify");
+
+module.exports = async (hre) => {
+  const { deployer } = await hre.getNamedAccounts();
+  const { deploy } = hre.deployments;
+
+  const blockConfirmations = developmentChains.includes(network.name)
+    ? 1
+    : VERIFICATION_BLOCK_CONFIRMATIONS;
+  // the proxies only share the code of the Payroll implementation, not its storage
+  const implementation = await hre.deployments.get("Payroll_Implementation");
+  const arguments = [implementation.address];
+
+  // Deploy the contract
+  // an upgraded implementation doesn't replace the factory and its registry:
+  // the payroll admins upgrade their payrolls with payroll:upgrade
+  const payrollFactory = await deploy("PayrollFactory", {
+    from: deployer,
+    args: arguments,
+    log: true,
+    waitConfirmations: blockConfirmations,
+    skipIfAlreadyDeployed: true,
+  });
+
+  // Verify the contract
+  if (
+    !developmentChains.includes(network.name) &&
+    process.env.ETHERSCAN_API_KEY
+  ) {
+    await verify(payrollFactory.address, arguments);
+  }
+};
+
+module.exports.tags = ["all", "factory"];
+module.exports.dependencies = ["payroll"];
@@ -0,0 +1,136 @@
+const { network, ethers } = require("hardhat");
+const {
+  networkConfig,
+  developmentChains,
+  VERIFICATION_BLOCK_CONFIRMATIONS,
+  PAYROLL_OWNER,
+  PAYROLL_NAME,
+  UPKEEP_FUNDING,
+  UPKEEP_GAS_LIMIT,
+} = require("../helper-hardhat-config");
+const { parseAmount, formatAmount } = require("../utils/units");
+const {
+  LINK,
+  LINK_ABI,
+  REGISTRY_ABI,
+  registerUpkeep,
+} = require("../utils/upkeep");
+
+module.exports = async (hre) => {
+  const { deployer } = await hre.getNamedAccounts();
+  const { execute, get, getOrNull, log, read, save } = hre.deployments;
+  const chainId = network.config.chainId;
+  const blockConfirmations = developmentChains.includes(network.name)
+    ? 1
+    : VERIFICATION_BLOCK_CONFIRMATIONS;
+
+  // Restrict performUpkeep to the registry 1.3 performing the upkeep. On
+  // development chains nobody performs the upkeeps through the mock registry:
+  // the tests and the local Automation simulator call the payroll directly.
+  const setForwarder = async () => {
+    if (developmentChains.includes(network.name)) {
+      return;
+    }
+    if (
+      (await read("Payroll", "getUpkeepForwarder")) !==
+      ethers.constants.AddressZero
+    ) {
+      log("The upkeep forwarder is already set");
+    } else if (PAYROLL_OWNER && PAYROLL_OWNER !== deployer) {
+      log(`Ask the owner to set the upkeep forwarder to ${keeperRegistry}`);
+    } else {
+      await execute(
+        "Payroll",
+        { from: deployer, log: true, waitConfirmations: blockConfirmations },
+        "setUpkeepForwarder",
+        keeperRegistry
+      );
+    }
+  };
+
+  // Find the Chainlink Automation contracts
+  const config = networkConfig[chainId] || {};
+  const { linkToken, keeperRegistrar, keeperRegistry } =
+    developmentChains.includes(network.name)
+      ? {
+          linkToken: (await get("MockLinkToken")).address,
+          keeperRegistrar: (await get("MockKeeperRegistrar")).address,
+          keeperRegistry: (await get("MockKeeperRegistry")).address,
+        }
+      : config;
+  if (!linkToken || !keeperRegistrar || !keeperRegistry) {
+    log(`No Automation registrar configured for chain ${chainId}`);
+    return;
+  }
+
+  // Register the upkeep once per payroll
+  const payroll = await get("Payroll");
+  const upkeep = await getOrNull("PayrollUpkeep");
+  if (upkeep && upkeep.linkedData.target === payroll.address) {
+    log(`Upkeep ${upkeep.linkedData.upkeepId} already registered`);
+    await setForwarder();
+    return;
+  }
+
+  // Fund the deployer with LINK on development chains
+  const amount = parseAmount(UPKEEP_FUNDING, LINK);
+  const signer = await ethers.getSigner(deployer);
+  if (developmentChains.includes(network.name)) {
+    const mockLinkToken = await ethers.getContract("MockLinkToken", deployer);
+    await (await mockLinkToken.mint(deployer, amount)).wait();
+  }
+  const balance = await new ethers.Contract(
+    linkToken,
+    LINK_ABI,
+    signer
+  ).balanceOf(deployer);
+  if (balance.lt(amount)) {
+    log(
+      `The deployer has ${formatAmount(
+        balance,
+        LINK
+      )}, less than the ${formatAmount(
+        amount,
+        LINK
+      )} funding the upkeep: get LINK, then run yarn hardhat deploy --tags upkeep`
+    );
+    return;
+  }
+
+  log(`Registering the upkeep of ${payroll.address}...`);
+  const registration = await registerUpkeep({
+    signer,
+    link: linkToken,
+    registrar: keeperRegistrar,
+    target: payroll.address,
+    name: PAYROLL_NAME,
+    gasLimit: UPKEEP_GAS_LIMIT,
+    amount,
+  });
+  if (!registration.upkeepId) {
+    log(
+      `Registration ${registration.hash} requested, it awaits the approval of the registrar owner`
+    );
+    return;
+  }
+  log(`Upkeep ${registration.upkeepId} registered`);
+  // the tasks manage the upkeep through its registry
+  await save("PayrollUpkeep", {
+    address: keeperRegistry,
+    abi: JSON.parse(
+      new ethers.utils.Interface(REGISTRY_ABI).format(
+        ethers.utils.FormatTypes.json
+      )
+    ),
+    transactionHash: registration.transactionHash,
+    linkedData: {
+      upkeepId: registration.upkeepId.toString(),
+      target: payroll.address,
+      linkToken,
+    },
+  });
+  await setForwarder();
+};
+
+module.exports.tags = ["all", "upkeep"];
+module.exports.dependencies = ["mocks", "payroll"];
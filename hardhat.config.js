@@ -5,6 +5,16 @@ require("solidity-coverage");
 require("hardhat-gas-reporter");
 require("hardhat-contract-sizer");
 require("dotenv").config();
+require("./tasks/payroll");
+require("./tasks/automation");
+require("./tasks/export");
+require("./tasks/relayer");
+require("./tasks/timelock");
+require("./tasks/roster");
+require("./tasks/monitor");
+require("./tasks/upkeep");
+require("./tasks/credits");
+require("./tasks/clawback");
 
 /** @type import('hardhat/config').HardhatUserConfig */
 
@@ -55,8 +65,20 @@ module.exports = {
     deployer: {
       default: 0,
     },
+    keeper: {
+      default: 9, // account submitting performUpkeep in the Automation simulator
+    },
+  },
+  solidity: {
+    version: "0.8.8",
+    settings: {
+      // keeps Payroll under the 24 KB contract size limit
+      optimizer: {
+        enabled: true,
+        runs: 200,
+      },
+    },
   },
-  solidity: "0.8.8",
   mocha: {
     timeout: 600000, // 600 seconds max for running tests
   },
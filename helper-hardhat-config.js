@@ -2,12 +2,60 @@ require("dotenv").config();
 
 const developmentChains = ["hardhat", "localhost"];
 const VERIFICATION_BLOCK_CONFIRMATIONS = 6;
-const RECIPIENT_1_ADDRESS = process.env.RECIPIENT_1_ADDRESS || "0x";
-const RECIPIENT_2_ADDRESS = process.env.RECIPIENT_2_ADDRESS || "0x";
+// the roster added and removed by the staging tests
+const STAGING_ROSTER = process.env.STAGING_ROSTER || "roster.example.csv";
+// the owner of the deployed Payroll, the deployer when empty
+const PAYROLL_OWNER = process.env.PAYROLL_OWNER || "";
+const PAYROLL_NAME = process.env.PAYROLL_NAME || "Payroll";
+const MOCK_TOKEN_NAME = "Mock USD Coin";
+const MOCK_TOKEN_SYMBOL = "mUSDC";
+const MOCK_TOKEN_DECIMALS = 6;
+const MOCK_PRICE_FEED_DECIMALS = 8;
+const MOCK_ETH_USD_PRICE = "200000000000"; // 2000 USD
+// the LINK the deploy script funds the Payroll upkeep with
+const UPKEEP_FUNDING = process.env.UPKEEP_FUNDING || "5 LINK";
+// the gas limit of performUpkeep, enough for a batch of 50 payments
+const UPKEEP_GAS_LIMIT = 2500000;
+
+// the ETH / USD price feeds used by USD-denominated salaries, and the
+// Chainlink Automation registrar and registry 1.3 of the upkeep, by chain id
+const networkConfig = {
+  1: {
+    name: "mainnet",
+    ethUsdPriceFeed: "0x5f4eC3Df9cbd43714FE2740f5E3616155c5b8419",
+    // the feed heartbeat is one hour
+    maxPriceAge: 3600 + 600,
+    linkToken: "0x514910771AF9Ca656af840dff83E8264EcF986CA",
+    keeperRegistrar: "0xDb8e8e2ccb5C033938736aa89Fe4fa1eDfD15a1d",
+    keeperRegistry: "0x02777053d6764996e594c3E88AF1D58D5363a2e6",
+  },
+  5: {
+    name: "goerli",
+    ethUsdPriceFeed: "0xD4a33860578De61DBAbDc8BFdb98FD742fA7028e",
+    maxPriceAge: 3600 + 600,
+    linkToken: "0x326C977E6efc84E512bB9C30f76E30c160eD06FB",
+    keeperRegistrar: "0x9806cf6fBc89aBF286e8140C42174B94836e36F2",
+    keeperRegistry: "0x02777053d6764996e594c3E88AF1D58D5363a2e6",
+  },
+  31337: {
+    name: "hardhat",
+    // the mock isn't updated while the tests move the time forward
+    maxPriceAge: 10 * 365 * 24 * 3600,
+  },
+};
 
 module.exports = {
+  networkConfig,
   developmentChains,
   VERIFICATION_BLOCK_CONFIRMATIONS,
-  RECIPIENT_1_ADDRESS,
-  RECIPIENT_2_ADDRESS,
+  STAGING_ROSTER,
+  PAYROLL_OWNER,
+  PAYROLL_NAME,
+  MOCK_TOKEN_NAME,
+  MOCK_TOKEN_SYMBOL,
+  MOCK_TOKEN_DECIMALS,
+  MOCK_PRICE_FEED_DECIMALS,
+  MOCK_ETH_USD_PRICE,
+  UPKEEP_FUNDING,
+  UPKEEP_GAS_LIMIT,
 };
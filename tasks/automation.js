@@ -0,0 +1,83 @@
+const { task, types } = require("hardhat/config");
+const { developmentChains } = require("../helper-hardhat-config");
+const { advanceTime, startKeeper } = require("../utils/keeper");
+const { getPayroll, payrollTask } = require("./payroll");
+const { parseDuration, formatTimestamp } = require("../utils/units");
+
+const assertDevelopmentChain = (hre) => {
+  if (!developmentChains.includes(hre.network.name)) {
+    throw new Error(
+      `The Automation simulator only runs on ${developmentChains.join(
+        ", "
+      )}, not on ${hre.network.name}`
+    );
+  }
+};
+
+task("automation:advance", "Advance the time of a development chain")
+  .addParam("time", 'The time to advance, e.g. "2 weeks"')
+  .setAction(async (taskArgs, hre) => {
+    assertDevelopmentChain(hre);
+    await advanceTime(hre.ethers.provider, parseDuration(taskArgs.time));
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    console.log(`Chain time: ${formatTimestamp(timestamp)}`);
+  });
+
+payrollTask(
+  "automation:run",
+  "Simulate Chainlink Automation: poll checkUpkeep and submit performUpkeep"
+)
+  .addOptionalParam(
+    "checkData",
+    "Comma separated checkData of each upkeep (default: one upkeep for every recipient)",
+    "0x"
+  )
+  .addOptionalParam(
+    "pollInterval",
+    'Real time to wait between two rounds, e.g. "5 seconds"',
+    "1 second"
+  )
+  .addOptionalParam(
+    "advance",
+    'Chain time to advance before each round, e.g. "1 day" (default: none)'
+  )
+  .addOptionalParam(
+    "rounds",
+    "Number of rounds to run (default: until interrupted)",
+    0,
+    types.int
+  )
+  .setAction(async (taskArgs, hre) => {
+    assertDevelopmentChain(hre);
+    const { keeper } = await hre.getNamedAccounts();
+    const payroll = (await getPayroll(hre, taskArgs.payroll)).connect(
+      await hre.ethers.getSigner(keeper)
+    );
+
+    console.log(`Simulating Chainlink Automation for ${payroll.address}...`);
+    const simulator = startKeeper({
+      payroll,
+      checkDatas: taskArgs.checkData.split(","),
+      pollInterval: parseDuration(taskArgs.pollInterval) * 1000,
+      advanceTime: taskArgs.advance ? parseDuration(taskArgs.advance) : 0,
+      rounds: taskArgs.rounds,
+      onPerform: async (receipt) => {
+        const payments = receipt.events.filter(
+          (e) => e.event === "PaymentDone"
+        );
+        const { timestamp } = await hre.ethers.provider.getBlock(
+          receipt.blockNumber
+        );
+        console.log(
+          `[${formatTimestamp(timestamp)}] performUpkeep ${
+            receipt.transactionHash
+          }: ${payments.length} payment(s)`
+        );
+      },
+    });
+    process.once("SIGINT", () => {
+      console.log("Stopping...");
+      simulator.stop();
+    });
+    await simulator.done;
+  });
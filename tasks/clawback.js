@@ -0,0 +1,107 @@
+const {
+  getPayroll,
+  payrollTask,
+  resolveToken,
+  sendChange,
+  tokenCache,
+  waitFor,
+} = require("./payroll");
+const {
+  parseDuration,
+  formatDuration,
+  parseAmount,
+  formatAmount,
+} = require("../utils/units");
+const { getAllRecipients, getBalance } = require("../utils/sdk");
+
+payrollTask(
+  "clawback:window",
+  "Show or set the time the salary accruals can be clawed back"
+)
+  .addOptionalParam(
+    "window",
+    'The time an accrual stays pending, e.g. "3 days", "0" for final accruals'
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    if (taskArgs.window !== undefined) {
+      const window = parseDuration(taskArgs.window);
+      console.log(
+        `Setting the clawback window to ${formatDuration(window)}...`
+      );
+      await sendChange(hre, payroll, "setClawbackWindow", [window]);
+    }
+    const window = await payroll.getClawbackWindow();
+    const description = window.isZero() ? "none" : formatDuration(window);
+    console.log(`Clawback window: ${description}`);
+    return description;
+  });
+
+payrollTask(
+  "clawback:list",
+  "List the recipients' pending funds, which can still be clawed back"
+).setAction(async (taskArgs, hre) => {
+  const payroll = await getPayroll(hre, taskArgs.payroll);
+  const getToken = tokenCache(hre);
+  const rows = [];
+  for (const recipient of await getAllRecipients(payroll)) {
+    if (recipient.pendingBalance.isZero()) {
+      continue;
+    }
+    const token = await getToken(recipient.token);
+    rows.push({
+      recipient: recipient.recipient,
+      balance: formatAmount(recipient.balance, token),
+      pending: formatAmount(recipient.pendingBalance, token),
+    });
+  }
+  if (rows.length === 0) {
+    console.log("No pending funds.");
+  } else {
+    console.table(rows);
+  }
+  return rows;
+});
+
+payrollTask(
+  "clawback:reverse",
+  "Claw back part of a recipient's pending funds, e.g. a payment with an extra zero"
+)
+  .addParam("recipient", "The address of the recipient")
+  .addParam("amount", 'The amount clawed back, e.g. "0.5 ETH"')
+  .addParam("reason", 'The reason code, e.g. "ERROR" or "TERMINATION"')
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const amount = parseAmount(taskArgs.amount, token);
+    console.log(
+      `Clawing back ${formatAmount(amount, token)} from ${
+        taskArgs.recipient
+      } (${taskArgs.reason})...`
+    );
+    await waitFor(
+      await payroll.clawback(
+        taskArgs.recipient,
+        token.address,
+        amount,
+        hre.ethers.utils.formatBytes32String(taskArgs.reason.toUpperCase())
+      )
+    );
+    const balance = await getBalance(
+      payroll,
+      taskArgs.recipient,
+      token.address
+    );
+    console.log(
+      `Balance: ${formatAmount(balance.total, token)}, ${formatAmount(
+        balance.pending,
+        token
+      )} pending`
+    );
+    return balance;
+  });
@@ -0,0 +1,229 @@
+const { types } = require("hardhat/config");
+const {
+  getPayroll,
+  payrollTask,
+  resolveToken,
+  sendChange,
+  tokenCache,
+  waitFor,
+} = require("./payroll");
+const {
+  parseAmount,
+  formatAmount,
+  parseTimestamp,
+  formatTimestamp,
+} = require("../utils/units");
+const { getAllRecipients } = require("../utils/sdk");
+
+/**
+ * Return the status of a credit: pending, released or cancelled.
+ */
+const creditStatus = (credit) => {
+  if (credit.cancelled) {
+    return "cancelled";
+  }
+  return credit.released ? "released" : "pending";
+};
+
+/**
+ * Get the payroll connected to another signer than the first account.
+ */
+const connectSigner = async (hre, payroll, signerArg) =>
+  signerArg ? payroll.connect(await hre.ethers.getSigner(signerArg)) : payroll;
+
+payrollTask(
+  "credit:issue",
+  "Credit a one-off amount to an account, e.g. a bonus or a reimbursement"
+)
+  .addParam("recipient", "The address credited")
+  .addParam("amount", 'The amount credited, e.g. "500 USDC"')
+  .addParam("reason", 'The reason code, e.g. "BONUS" or "EXPENSE"')
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .addOptionalParam(
+    "releaseAt",
+    'When the amount can be withdrawn, an ISO date such as "2023-12-20" (default: now)'
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const amount = parseAmount(taskArgs.amount, token);
+    const releaseAt = taskArgs.releaseAt
+      ? parseTimestamp(taskArgs.releaseAt)
+      : 0;
+    console.log(
+      `Crediting ${formatAmount(amount, token)} to ${taskArgs.recipient} (${
+        taskArgs.reason
+      })${releaseAt ? ` from ${formatTimestamp(releaseAt)}` : ""}...`
+    );
+    const receipt = await sendChange(hre, payroll, "issueCredit", [
+      taskArgs.recipient,
+      token.address,
+      amount,
+      hre.ethers.utils.formatBytes32String(taskArgs.reason.toUpperCase()),
+      releaseAt,
+    ]);
+    if (!receipt) {
+      return undefined;
+    }
+    const { id } = receipt.events.find((e) => e.event === "CreditIssued").args;
+    console.log(`Credit #${id} issued!`);
+    return id.toNumber();
+  });
+
+payrollTask("credit:list", "List the one-off credits")
+  .addOptionalParam("recipient", "Only list the credits of this account")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const getToken = tokenCache(hre);
+    const rows = [];
+    const count = (await payroll.getCreditCount()).toNumber();
+    for (let id = 0; id < count; id++) {
+      const credit = await payroll.getCredit(id);
+      if (taskArgs.recipient && credit.recipient !== taskArgs.recipient) {
+        continue;
+      }
+      rows.push({
+        id,
+        recipient: credit.recipient,
+        amount: formatAmount(credit.amount, await getToken(credit.token)),
+        reason: hre.ethers.utils.parseBytes32String(credit.reason),
+        "release at": formatTimestamp(credit.releaseAt),
+        status: creditStatus(credit),
+      });
+    }
+    if (rows.length === 0) {
+      console.log("No credits.");
+    } else {
+      console.table(rows);
+    }
+    return rows;
+  });
+
+payrollTask(
+  "credit:release",
+  "Add the scheduled credits whose release time is reached to the balances"
+)
+  .addOptionalParam(
+    "ids",
+    "Comma separated credit ids (default: every pending credit due)"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    let ids;
+    if (taskArgs.ids) {
+      ids = taskArgs.ids.split(",").map((id) => Number(id.trim()));
+    } else {
+      const { timestamp } = await hre.ethers.provider.getBlock("latest");
+      const count = (await payroll.getCreditCount()).toNumber();
+      ids = [];
+      for (let id = 0; id < count; id++) {
+        const credit = await payroll.getCredit(id);
+        if (
+          creditStatus(credit) === "pending" &&
+          credit.releaseAt.lte(timestamp)
+        ) {
+          ids.push(id);
+        }
+      }
+    }
+    if (ids.length === 0) {
+      console.log("No credits to release.");
+      return ids;
+    }
+    console.log(`Releasing the credits ${ids.map((id) => `#${id}`)}...`);
+    await waitFor(await payroll.releaseCredits(ids));
+    return ids;
+  });
+
+payrollTask("credit:cancel", "Cancel a scheduled credit before its release")
+  .addParam("id", "The id of the credit", undefined, types.int)
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log(`Cancelling credit #${taskArgs.id}...`);
+    await waitFor(await payroll.cancelCredit(taskArgs.id));
+  });
+
+payrollTask(
+  "advance:request",
+  "Request a salary advance, repaid from your next payments once approved"
+)
+  .addParam("amount", 'The amount, in the token of your salary, e.g. "0.5"')
+  .addOptionalParam("signer", "The recipient address (default: first account)")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await connectSigner(
+      hre,
+      await getPayroll(hre, taskArgs.payroll),
+      taskArgs.signer
+    );
+    const recipient = await payroll.signer.getAddress();
+    const paymentSchedule = await payroll.getPaymentSchedule(recipient);
+    const token = await resolveToken(hre, paymentSchedule.token);
+    const amount = parseAmount(taskArgs.amount, token);
+    console.log(`Requesting an advance of ${formatAmount(amount, token)}...`);
+    await waitFor(await payroll.requestAdvance(amount));
+    console.log(
+      "Advance requested! A payroll admin approves it with advance:approve"
+    );
+  });
+
+payrollTask("advance:approve", "Approve a recipient's advance request")
+  .addParam("recipient", "The address of the recipient")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const advance = await payroll.getAdvance(taskArgs.recipient);
+    const token = await resolveToken(hre, advance.token);
+    console.log(
+      `Approving the advance of ${formatAmount(advance.requested, token)} to ${
+        taskArgs.recipient
+      }...`
+    );
+    await sendChange(hre, payroll, "approveAdvance", [taskArgs.recipient]);
+  });
+
+payrollTask(
+  "advance:reject",
+  "Reject a recipient's advance request, or withdraw your own"
+)
+  .addParam("recipient", "The address of the recipient")
+  .addOptionalParam("signer", "The signing address (default: first account)")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await connectSigner(
+      hre,
+      await getPayroll(hre, taskArgs.payroll),
+      taskArgs.signer
+    );
+    console.log(`Rejecting the advance request of ${taskArgs.recipient}...`);
+    await waitFor(await payroll.rejectAdvance(taskArgs.recipient));
+  });
+
+payrollTask(
+  "advance:list",
+  "List the advance requests and the advances being repaid"
+).setAction(async (taskArgs, hre) => {
+  const payroll = await getPayroll(hre, taskArgs.payroll);
+  const getToken = tokenCache(hre);
+  const rows = [];
+  for (const { recipient, advance } of await getAllRecipients(payroll)) {
+    if (advance.requested.isZero() && advance.outstanding.isZero()) {
+      continue;
+    }
+    const token = await getToken(advance.token);
+    rows.push({
+      recipient,
+      requested: advance.requested.isZero()
+        ? ""
+        : formatAmount(advance.requested, token),
+      "to repay": formatAmount(advance.outstanding, token),
+    });
+  }
+  if (rows.length === 0) {
+    console.log("No advances.");
+  } else {
+    console.table(rows);
+  }
+  return rows;
+});
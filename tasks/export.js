@@ -0,0 +1,53 @@
+const path = require("path");
+const { types } = require("hardhat/config");
+const {
+  creationBlock,
+  getPayroll,
+  payrollTask,
+  tokenCache,
+} = require("./payroll");
+const {
+  fetchPayrollEvents,
+  buildLedger,
+  buildPayslips,
+  writeExport,
+} = require("../utils/exporter");
+
+payrollTask(
+  "payroll:export",
+  "Export the payslips and the company ledger from the Payroll events"
+)
+  .addOptionalParam(
+    "fromBlock",
+    "The first block to scan (default: the block the payroll was created in)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam(
+    "toBlock",
+    "The last block to scan (default: the latest block)",
+    undefined,
+    types.int
+  )
+  .addOptionalParam("period", "The payslip period: day, week or month", "month")
+  .addOptionalParam("out", "The output directory (default: exports/<network>)")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const fromBlock =
+      taskArgs.fromBlock ?? (await creationBlock(hre, payroll.address));
+    const toBlock =
+      taskArgs.toBlock ?? (await hre.ethers.provider.getBlockNumber());
+    const outDir = taskArgs.out || path.join("exports", hre.network.name);
+
+    console.log(`Scanning blocks ${fromBlock} to ${toBlock}...`);
+    const events = await fetchPayrollEvents(payroll, fromBlock, toBlock);
+    const ledger = await buildLedger(events, tokenCache(hre));
+    const payslips = buildPayslips(ledger, taskArgs.period);
+    const files = writeExport(outDir, ledger, payslips);
+    console.log(
+      `Exported ${ledger.length} event(s) and ${
+        Object.keys(payslips).length
+      } payslip(s) to ${outDir}`
+    );
+    return { ledger, payslips, files };
+  });
@@ -0,0 +1,62 @@
+const { types } = require("hardhat/config");
+const {
+  creationBlock,
+  getPayroll,
+  payrollTask,
+  tokenCache,
+} = require("./payroll");
+const { parseDuration } = require("../utils/units");
+const { parseSinks, startMonitor } = require("../utils/monitor");
+
+payrollTask(
+  "monitor:run",
+  "Watch the payroll and alert on a stale upkeep, a low runway or failed withdrawals"
+)
+  .addOptionalParam(
+    "sinks",
+    "Comma separated alert sinks: stdout, file:<path>, webhook:<url>",
+    "stdout"
+  )
+  .addOptionalParam(
+    "pollInterval",
+    'Real time to wait between two checks, e.g. "30 seconds"',
+    "1 minute"
+  )
+  .addOptionalParam(
+    "staleAfter",
+    'How long a due payment can wait for the upkeep, e.g. "2 hours"',
+    "1 hour"
+  )
+  .addOptionalParam(
+    "minRunway",
+    "The fewest payroll cycles the surplus must cover",
+    1,
+    types.int
+  )
+  .addOptionalParam(
+    "rounds",
+    "Number of checks to run (default: until interrupted)",
+    0,
+    types.int
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const monitor = startMonitor({
+      payroll,
+      sinks: parseSinks(taskArgs.sinks),
+      fromBlock: await creationBlock(hre, payroll.address),
+      pollInterval: parseDuration(taskArgs.pollInterval) * 1000,
+      staleAfter: parseDuration(taskArgs.staleAfter),
+      minRunway: taskArgs.minRunway,
+      rounds: taskArgs.rounds,
+      getToken: tokenCache(hre),
+      onError: (error) =>
+        console.log(`Monitor error: ${error.reason || error.message}`),
+    });
+    console.log(`Monitoring ${payroll.address}...`);
+    process.once("SIGINT", () => {
+      console.log("Stopping...");
+      monitor.stop();
+    });
+    await monitor.done;
+  });
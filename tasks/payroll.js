@@ -0,0 +1,921 @@
+const { task, types } = require("hardhat/config");
+const {
+  parseDuration,
+  formatDuration,
+  parseAmount,
+  formatAmount,
+  parseTimestamp,
+  formatTimestamp,
+  parsePercentage,
+  formatPercentage,
+} = require("../utils/units");
+const { getImplementation } = require("../utils/upgrades");
+const { mergeAbis } = require("../utils/abi");
+const { getAllRecipients, getBalance } = require("../utils/sdk");
+
+const ETH = {
+  address: "0x0000000000000000000000000000000000000000",
+  symbol: "ETH",
+  decimals: 18,
+};
+
+// the unit of the USD-denominated amounts, with the contract USD_DECIMALS
+const USD = {
+  symbol: "USD",
+  decimals: 8,
+};
+
+/**
+ * Return the unit of a payment schedule amounts: USD or the schedule token.
+ */
+const amountUnit = (paymentSchedule, token) =>
+  paymentSchedule.usdDenominated ? USD : token;
+
+/**
+ * Get a Payroll contract connected to the first signer.
+ * @param payrollArg a payroll address, the name of a payroll created by the
+ * PayrollFactory or nothing for the Payroll deployment
+ */
+const getPayroll = async (hre, payrollArg) => {
+  if (!payrollArg) {
+    await hre.deployments.get("Payroll"); // throws a readable error if missing
+    return hre.ethers.getContract("Payroll");
+  }
+  let address = payrollArg;
+  if (!hre.ethers.utils.isAddress(payrollArg)) {
+    const payrollFactory = await getPayrollFactory(hre);
+    address = await payrollFactory.getPayrollByName(payrollArg);
+    if (address === ETH.address) {
+      throw new Error(
+        `The PayrollFactory has no payroll named "${payrollArg}"`
+      );
+    }
+  }
+  return getPayrollAt(hre, address);
+};
+
+/**
+ * Get the Payroll at an address, with the functions of its PayrollExtension.
+ */
+const getPayrollAt = async (hre, address) => {
+  const abi = mergeAbis(
+    (await hre.artifacts.readArtifact("Payroll")).abi,
+    (await hre.artifacts.readArtifact("PayrollExtension")).abi
+  );
+  return hre.ethers.getContractAt(abi, address);
+};
+
+/**
+ * Get the deployed PayrollFactory contract connected to the first signer.
+ */
+const getPayrollFactory = async (hre) => {
+  await hre.deployments.get("PayrollFactory"); // throws a readable error if missing
+  return hre.ethers.getContract("PayrollFactory");
+};
+
+/**
+ * Return the block a payroll was deployed or created by the factory in.
+ */
+const creationBlock = async (hre, address) => {
+  const deployment = await hre.deployments.get("Payroll");
+  if (address === deployment.address) {
+    return deployment.receipt ? deployment.receipt.blockNumber : 0;
+  }
+  const payrollFactory = await getPayrollFactory(hre);
+  const [event] = await payrollFactory.queryFilter(
+    payrollFactory.filters.PayrollCreated(address)
+  );
+  return event ? event.blockNumber : 0;
+};
+
+/**
+ * Declare a task administering a payroll, selected with `--payroll`.
+ */
+const payrollTask = (name, description) =>
+  task(name, description).addOptionalParam(
+    "payroll",
+    "A payroll address or the name of a payroll created by the factory (default: the Payroll deployment)"
+  );
+
+/**
+ * Resolve a token from "ETH", a token address or a deployment name.
+ * @returns {Promise<{ address: string, symbol: string, decimals: number }>}
+ */
+const resolveToken = async (hre, tokenArg) => {
+  if (!tokenArg || tokenArg.toUpperCase() === "ETH") {
+    return ETH;
+  }
+  let address = tokenArg;
+  if (!hre.ethers.utils.isAddress(tokenArg)) {
+    address = (await hre.deployments.get(tokenArg)).address;
+  }
+  if (address === ETH.address) {
+    return ETH;
+  }
+  const token = await hre.ethers.getContractAt("IERC20Metadata", address);
+  return {
+    address,
+    symbol: await token.symbol(),
+    decimals: await token.decimals(),
+  };
+};
+
+/**
+ * Resolve a token address, caching the metadata of already seen tokens.
+ */
+const tokenCache = (hre) => {
+  const tokens = {};
+  return async (address) => {
+    if (!tokens[address]) {
+      tokens[address] = await resolveToken(hre, address);
+    }
+    return tokens[address];
+  };
+};
+
+/**
+ * Parse deduction rules such as "TAX:0xabc...:20%,PENSION:0xdef...:5%".
+ * @returns {object[]} the `Payroll.Deduction` structs
+ */
+const parseDeductions = (hre, deductionsArg) =>
+  deductionsArg
+    .split(",")
+    .filter((rule) => rule.trim())
+    .map((rule) => {
+      const [name, beneficiary, percentage] = rule.split(":");
+      if (!percentage || !hre.ethers.utils.isAddress(beneficiary)) {
+        throw new Error(
+          `Invalid deduction: "${rule}" (use NAME:beneficiary:percentage)`
+        );
+      }
+      return {
+        name: hre.ethers.utils.formatBytes32String(name.trim()),
+        beneficiary,
+        basisPoints: parsePercentage(percentage),
+      };
+    });
+
+/**
+ * Format deduction rules, e.g. "TAX 20%, PENSION 5%".
+ */
+const formatDeductions = (hre, deductions) =>
+  deductions
+    .map(
+      (deduction) =>
+        `${hre.ethers.utils.parseBytes32String(
+          deduction.name
+        )} ${formatPercentage(deduction.basisPoints)}`
+    )
+    .join(", ");
+
+const waitFor = async (txResponse) => {
+  console.log(`Transaction sent: ${txResponse.hash}`);
+  return txResponse.wait();
+};
+
+/**
+ * Whether a call reverted because its change must be queued for the timelock
+ * delay, or queued again after it expired.
+ */
+const isTimelocked = (error) =>
+  ["Payroll__ChangeNotReady", "Payroll__ChangeExpired"].some(
+    (errorName) =>
+      error.errorName === errorName || String(error.message).includes(errorName)
+  );
+
+/**
+ * Send a sensitive change, or queue it when the payroll timelock requires it.
+ * A queued change is sent by running the same task again once it is ready,
+ * or with timelock:execute.
+ * @param {Array[]} [before] the [method, args] of calls sent with the change
+ * in a `multicall`, which the timelock doesn't delay: nothing runs until the
+ * change can
+ * @returns {Promise<object|undefined>} the receipt, undefined when the change is queued
+ */
+const sendChange = async (hre, payroll, method, args, before = []) => {
+  const data = payroll.interface.encodeFunctionData(method, args);
+  const [sentMethod, sentArgs] =
+    before.length > 0
+      ? [
+          "multicall",
+          [
+            [
+              ...before.map((call) =>
+                payroll.interface.encodeFunctionData(...call)
+              ),
+              data,
+            ],
+          ],
+        ]
+      : [method, args];
+  try {
+    await payroll.callStatic[sentMethod](...sentArgs);
+  } catch (error) {
+    if (!isTimelocked(error)) {
+      throw error;
+    }
+    const id = hre.ethers.utils.keccak256(data);
+    let readyAt = await payroll.getChangeReadyAt(id);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    // an expired change is queued again
+    if (
+      readyAt.isZero() ||
+      readyAt.add(await payroll.CHANGE_GRACE_PERIOD()).lt(timestamp)
+    ) {
+      console.log("The change is timelocked, queueing it...");
+      await waitFor(await payroll.queueChange(data));
+      readyAt = await payroll.getChangeReadyAt(id);
+    }
+    console.log(
+      `Change ${id} queued, it can run from ${formatTimestamp(readyAt)}.`
+    );
+    return undefined;
+  }
+  return waitFor(await payroll[sentMethod](...sentArgs));
+};
+
+payrollTask("payroll:add", "Add a recipient to the payroll")
+  .addParam("recipient", "The address of the recipient")
+  .addParam(
+    "amount",
+    'The amount allocated every interval, e.g. "0.5 ETH", or "5000 USD" to pay the USD value in the token'
+  )
+  .addParam("interval", 'How often the amount is allocated, e.g. "2 weeks"')
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .addFlag("streaming", "Stream the amount every second over the interval")
+  .addOptionalParam(
+    "start",
+    'When the schedule starts, an ISO date such as "2023-02-01" (default: now)'
+  )
+  .addOptionalParam(
+    "end",
+    'When the schedule ends, an ISO date such as "2023-05-01" (default: never)'
+  )
+  .addOptionalParam(
+    "payments",
+    "The number of payments after which the schedule ends (default: unlimited)",
+    0,
+    types.int
+  )
+  .addOptionalParam(
+    "cliff",
+    'How long after the start nothing is paid, e.g. "30 days" (default: none)'
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const usdDenominated = /usd$/i.test(taskArgs.amount.trim());
+    if (usdDenominated && taskArgs.streaming) {
+      throw new Error(
+        "A USD amount can't be streamed, add an interval schedule or a token amount"
+      );
+    }
+    const unit = usdDenominated ? USD : token;
+    const amount = parseAmount(taskArgs.amount, unit);
+    const interval = parseDuration(taskArgs.interval);
+    const term = {
+      startTime: taskArgs.start ? parseTimestamp(taskArgs.start) : 0,
+      endTime: taskArgs.end ? parseTimestamp(taskArgs.end) : 0,
+      maxPayments: taskArgs.payments,
+      cliff: taskArgs.cliff ? parseDuration(taskArgs.cliff) : 0,
+      streaming: taskArgs.streaming,
+      usdDenominated,
+    };
+
+    console.log(
+      `Adding ${taskArgs.recipient}: ${formatAmount(amount, unit)}${
+        usdDenominated ? ` in ${token.symbol}` : ""
+      } ${taskArgs.streaming ? "streamed over" : "every"} ${formatDuration(
+        interval
+      )}${term.startTime ? ` from ${formatTimestamp(term.startTime)}` : ""}${
+        term.endTime ? ` until ${formatTimestamp(term.endTime)}` : ""
+      }${term.maxPayments ? ` for ${term.maxPayments} payment(s)` : ""}${
+        term.cliff ? ` with a ${formatDuration(term.cliff)} cliff` : ""
+      }...`
+    );
+    const args = [taskArgs.recipient, token.address, amount, interval];
+    let method = "addRecipient";
+    if (term.startTime || term.endTime || term.maxPayments || term.cliff) {
+      method = "addFixedTermRecipient";
+      args.push(term);
+    } else if (usdDenominated) {
+      method = "addUsdRecipient";
+    } else if (taskArgs.streaming) {
+      method = "addStreamingRecipient";
+    }
+    if (await sendChange(hre, payroll, method, args)) {
+      console.log("Recipient added!");
+    }
+  });
+
+payrollTask("payroll:remove", "Remove a recipient from the payroll")
+  .addParam("recipient", "The address of the recipient")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log(`Removing ${taskArgs.recipient}...`);
+    await waitFor(await payroll.removeRecipient(taskArgs.recipient));
+    console.log("Recipient removed!");
+  });
+
+payrollTask("payroll:update", "Update a recipient's payment schedule")
+  .addParam("recipient", "The address of the recipient")
+  .addOptionalParam(
+    "amount",
+    'The new amount, e.g. "0.6 ETH" or "5500 USD" for a USD salary (default: unchanged)'
+  )
+  .addOptionalParam(
+    "interval",
+    'The new interval, e.g. "1 week" (default: unchanged)'
+  )
+  .addOptionalParam(
+    "effectiveAt",
+    'When the new terms apply, an ISO date such as "2023-02-01" (default: now)'
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const paymentSchedule = await payroll.getPaymentSchedule(
+      taskArgs.recipient
+    );
+    if (paymentSchedule.amount.isZero()) {
+      throw new Error(`${taskArgs.recipient} is not a recipient`);
+    }
+    const token = amountUnit(
+      paymentSchedule,
+      await resolveToken(hre, paymentSchedule.token)
+    );
+    const amount = taskArgs.amount
+      ? parseAmount(taskArgs.amount, token)
+      : paymentSchedule.amount;
+    const interval = taskArgs.interval
+      ? parseDuration(taskArgs.interval)
+      : paymentSchedule.interval;
+    const effectiveAt = taskArgs.effectiveAt
+      ? parseTimestamp(taskArgs.effectiveAt)
+      : 0;
+
+    console.log(
+      `Updating ${taskArgs.recipient}: ${formatAmount(
+        paymentSchedule.amount,
+        token
+      )} every ${formatDuration(paymentSchedule.interval)} => ${formatAmount(
+        amount,
+        token
+      )} every ${formatDuration(interval)} from ${
+        effectiveAt ? formatTimestamp(effectiveAt) : "now"
+      }...`
+    );
+    const txReceipt = await sendChange(hre, payroll, "updatePaymentSchedule", [
+      taskArgs.recipient,
+      amount,
+      interval,
+      effectiveAt,
+    ]);
+    if (txReceipt) {
+      console.log("Payment schedule updated!");
+    }
+  });
+
+payrollTask("payroll:list", "List the payroll recipients").setAction(
+  async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const getToken = tokenCache(hre);
+    const rows = [];
+    for (const recipient of await getAllRecipients(payroll)) {
+      const token = await getToken(recipient.token);
+      const unit = amountUnit(recipient, token);
+      const update = recipient.scheduledUpdate;
+      rows.push({
+        recipient: recipient.recipient,
+        amount: `${formatAmount(recipient.amount, unit)}${
+          recipient.usdDenominated ? ` in ${token.symbol}` : ""
+        }`,
+        interval: formatDuration(recipient.interval),
+        mode: recipient.streaming ? "streaming" : "interval",
+        cliff: recipient.cliffEnd || "",
+        end: recipient.endTime || "",
+        "last payment": recipient.lastPaymentAt,
+        "next payment": recipient.nextPaymentAt,
+        active: recipient.active,
+        balance: formatAmount(recipient.balance, token),
+        deductions: formatDeductions(
+          hre,
+          await payroll.getDeductions(recipient.recipient)
+        ),
+        "scheduled update": update
+          ? `${formatAmount(update.amount, unit)} every ${formatDuration(
+              update.interval
+            )} from ${update.effectiveAt}`
+          : "",
+      });
+    }
+    if (rows.length === 0) {
+      console.log("The payroll has no recipients.");
+    } else {
+      console.table(rows);
+    }
+    return rows;
+  }
+);
+
+payrollTask(
+  "payroll:deductions",
+  "Show or set the shares of the payments withheld for beneficiaries, e.g. taxes"
+)
+  .addOptionalParam(
+    "recipient",
+    "The recipient whose deductions are shown or set (default: the deductions of the recipients without their own)"
+  )
+  .addOptionalParam(
+    "set",
+    'Comma separated NAME:beneficiary:percentage rules replacing the current ones, e.g. "TAX:0xabc...:20%", or "" to remove them'
+  )
+  .addFlag("reset", "Apply the default deductions to the recipient again")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const { recipient } = taskArgs;
+    const whose = recipient ? `of ${recipient}` : "by default";
+    if (taskArgs.reset) {
+      if (!recipient) {
+        throw new Error("--reset applies to a --recipient");
+      }
+      console.log(`Applying the default deductions to ${recipient}...`);
+      await waitFor(await payroll.resetDeductions(recipient));
+    } else if (taskArgs.set !== undefined) {
+      const deductions = parseDeductions(hre, taskArgs.set);
+      console.log(
+        `Setting the deductions ${whose} to ${
+          formatDeductions(hre, deductions) || "none"
+        }...`
+      );
+      await sendChange(
+        hre,
+        payroll,
+        recipient ? "setDeductions" : "setDefaultDeductions",
+        recipient ? [recipient, deductions] : [deductions]
+      );
+    }
+
+    const deductions = recipient
+      ? await payroll.getDeductions(recipient)
+      : await payroll.getDefaultDeductions();
+    const rows = deductions.map((deduction) => ({
+      name: hre.ethers.utils.parseBytes32String(deduction.name),
+      beneficiary: deduction.beneficiary,
+      share: formatPercentage(deduction.basisPoints),
+    }));
+    if (rows.length === 0) {
+      console.log(`No deductions ${whose}.`);
+    } else {
+      console.log(`Deductions ${whose}:`);
+      console.table(rows);
+    }
+    return rows;
+  });
+
+payrollTask("payroll:fund", "Add funds to the payroll")
+  .addParam("amount", 'The amount to add, e.g. "2 ETH" or "1500 USDC"')
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const amount = parseAmount(taskArgs.amount, token);
+
+    console.log(`Funding the payroll with ${formatAmount(amount, token)}...`);
+    if (token.address === ETH.address) {
+      const [signer] = await hre.ethers.getSigners();
+      await waitFor(
+        await signer.sendTransaction({ to: payroll.address, value: amount })
+      );
+    } else {
+      const tokenContract = await hre.ethers.getContractAt(
+        "IERC20",
+        token.address
+      );
+      await waitFor(await tokenContract.approve(payroll.address, amount));
+      await waitFor(await payroll.fund(token.address, amount));
+    }
+    console.log("Payroll funded!");
+    if ((await payroll.queuedPayments(token.address)).gt(0)) {
+      console.log(`Settling the ${token.symbol} IOUs...`);
+      await waitFor(await payroll.settleIous(token.address));
+    }
+  });
+
+payrollTask(
+  "payroll:withdraw",
+  "Withdraw the payroll funds of a token that aren't owed to recipients"
+)
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .addOptionalParam(
+    "amount",
+    'The amount to withdraw, e.g. "0.5 ETH" (default: the whole surplus). A timelocked withdrawal runs with the amount it was queued with'
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const surplus = await payroll.surplus(token.address);
+    const amount = taskArgs.amount
+      ? parseAmount(taskArgs.amount, token)
+      : surplus;
+    if (amount.gt(surplus)) {
+      throw new Error(
+        `The ${token.symbol} surplus is only ${formatAmount(surplus, token)}`
+      );
+    }
+    console.log(
+      `Withdrawing ${formatAmount(amount, token)} of the payroll surplus...`
+    );
+    if (await sendChange(hre, payroll, "withdraw", [token.address, amount])) {
+      console.log("Funds withdrawn!");
+    }
+  });
+
+payrollTask(
+  "payroll:push",
+  "Send the recipients' balances to their payout addresses"
+)
+  .addOptionalParam(
+    "recipients",
+    "Comma separated recipient addresses (default: every recipient)"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const recipients = taskArgs.recipients
+      ? taskArgs.recipients.split(",")
+      : await payroll.getRecipients();
+    console.log(`Pushing the payments of ${recipients.length} recipient(s)...`);
+    const txReceipt = await waitFor(await payroll.pushPayments(recipients));
+    const failures = txReceipt.events.filter(
+      (e) => e.event === "PaymentPushFailed"
+    );
+    for (const failure of failures) {
+      console.log(`Failed to pay ${failure.args.recipient}, still credited`);
+    }
+    console.log("Payments pushed!");
+    return failures.map((e) => e.args.recipient);
+  });
+
+payrollTask(
+  "payroll:settle",
+  "Settle the queued IOUs with the payroll balance, oldest first"
+)
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    console.log(`Settling the ${token.symbol} IOUs...`);
+    await waitFor(await payroll.settleIous(token.address));
+    const remaining = await payroll.getIouQueueLength(token.address);
+    console.log(`${remaining} IOU(s) still queued.`);
+    return remaining.toNumber();
+  });
+
+payrollTask(
+  "payroll:cancel-iou",
+  "Cancel a recipient's IOU that can't be settled, the amount stays credited"
+)
+  .addParam("recipient", "The recipient of the IOU")
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    console.log(
+      `Cancelling the ${token.symbol} IOU of ${taskArgs.recipient}...`
+    );
+    await waitFor(await payroll.cancelIou(taskArgs.recipient, token.address));
+    console.log("IOU cancelled! The recipient can withdraw the amount again");
+  });
+
+payrollTask(
+  "payroll:payout",
+  "Propose an address to receive your payments, it must accept it"
+)
+  .addParam("address", "The new payout address")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log(`Proposing ${taskArgs.address} as payout address...`);
+    await waitFor(await payroll.proposePayoutAddress(taskArgs.address));
+    console.log(
+      "Payout address proposed! Accept it from that address with payroll:accept-payout"
+    );
+  });
+
+payrollTask("payroll:accept-payout", "Accept to receive a recipient's payments")
+  .addParam("recipient", "The recipient who proposed your address")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log(`Accepting the payments of ${taskArgs.recipient}...`);
+    await waitFor(await payroll.acceptPayoutAddress(taskArgs.recipient));
+    console.log("Payout address changed!");
+  });
+
+payrollTask("payroll:balance", "Show the payroll and recipients balances")
+  .addOptionalParam("recipient", "Only show the balance of this recipient")
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const contractBalance =
+      token.address === ETH.address
+        ? await hre.ethers.provider.getBalance(payroll.address)
+        : await (
+            await hre.ethers.getContractAt("IERC20", token.address)
+          ).balanceOf(payroll.address);
+    const liabilities = await payroll.totalLiabilities(token.address);
+    const surplus = await payroll.surplus(token.address);
+    const runway = await payroll.runway(token.address);
+    const queuedPayments = await payroll.queuedPayments(token.address);
+    const shortfall = await payroll.shortfall(token.address);
+    console.log(`Payroll balance: ${formatAmount(contractBalance, token)}`);
+    console.log(`Owed to recipients: ${formatAmount(liabilities, token)}`);
+    console.log(`Surplus: ${formatAmount(surplus, token)}`);
+    if (!queuedPayments.isZero()) {
+      console.log(
+        `Queued IOUs: ${formatAmount(
+          queuedPayments,
+          token
+        )} (shortfall: ${formatAmount(shortfall, token)})`
+      );
+    }
+    if (!runway.eq(hre.ethers.constants.MaxUint256)) {
+      console.log(`Runway: ${runway} payroll cycle(s)`);
+    }
+
+    const recipients = taskArgs.recipient
+      ? [taskArgs.recipient]
+      : await payroll.getRecipients();
+    const rows = [];
+    for (const recipient of recipients) {
+      const [iou, position] = await payroll.getIou(recipient, token.address);
+      const balance = await getBalance(payroll, recipient, token.address);
+      rows.push({
+        recipient,
+        balance: formatAmount(balance.total, token),
+        pending: balance.pending.isZero()
+          ? ""
+          : formatAmount(balance.pending, token),
+        iou: position.isZero()
+          ? ""
+          : `${formatAmount(iou.amount, token)} (position ${position})`,
+      });
+    }
+    if (rows.length > 0) {
+      console.table(rows);
+    }
+    return {
+      contractBalance: formatAmount(contractBalance, token),
+      liabilities: formatAmount(liabilities, token),
+      surplus: formatAmount(surplus, token),
+      queuedPayments: formatAmount(queuedPayments, token),
+      shortfall: formatAmount(shortfall, token),
+      rows,
+    };
+  });
+
+task(
+  "payroll:checkdata",
+  "Encode the checkData of an upkeep paying a range of recipients"
+)
+  .addParam("start", "The index of the first recipient", undefined, types.int)
+  .addOptionalParam(
+    "end",
+    "The index after the last recipient (default: the end of the roster)"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const end =
+      taskArgs.end === undefined
+        ? hre.ethers.constants.MaxUint256
+        : hre.ethers.BigNumber.from(taskArgs.end);
+    const checkData = hre.ethers.utils.defaultAbiCoder.encode(
+      ["uint256", "uint256"],
+      [taskArgs.start, end]
+    );
+    console.log(checkData);
+    return checkData;
+  });
+
+const ROLES = ["ADMIN", "PAYROLL_ADMIN", "TREASURER", "PAUSER"];
+
+/**
+ * Resolve a role name such as "TREASURER" to its identifier.
+ */
+const resolveRole = async (payroll, roleArg) => {
+  const role = roleArg.toUpperCase().replace(/_ROLE$/, "");
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role "${roleArg}" (use ${ROLES.join(", ")})`);
+  }
+  return role === "ADMIN"
+    ? payroll.DEFAULT_ADMIN_ROLE()
+    : payroll[`${role}_ROLE`]();
+};
+
+payrollTask("payroll:grant", "Grant a role to an account")
+  .addParam("role", `The role to grant: ${ROLES.join(", ")}`)
+  .addParam("account", "The address of the account")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const role = await resolveRole(payroll, taskArgs.role);
+    console.log(`Granting ${taskArgs.role} to ${taskArgs.account}...`);
+    await waitFor(await payroll.grantRole(role, taskArgs.account));
+    console.log("Role granted!");
+  });
+
+payrollTask("payroll:revoke", "Revoke a role from an account")
+  .addParam("role", `The role to revoke: ${ROLES.join(", ")}`)
+  .addParam("account", "The address of the account")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const role = await resolveRole(payroll, taskArgs.role);
+    console.log(`Revoking ${taskArgs.role} from ${taskArgs.account}...`);
+    await waitFor(await payroll.revokeRole(role, taskArgs.account));
+    console.log("Role revoked!");
+  });
+
+payrollTask("payroll:pause", "Freeze accruals and withdrawals").setAction(
+  async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log("Pausing the payroll...");
+    await waitFor(await payroll.pause());
+    console.log("Payroll paused!");
+  }
+);
+
+payrollTask("payroll:unpause", "Resume accruals and withdrawals").setAction(
+  async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log("Unpausing the payroll...");
+    await waitFor(await payroll.unpause());
+    console.log("Payroll unpaused!");
+  }
+);
+
+payrollTask(
+  "payroll:forwarder",
+  "Restrict performUpkeep to a Chainlink Automation forwarder"
+)
+  .addParam(
+    "address",
+    "The forwarder address, or 0x0000000000000000000000000000000000000000 to allow anyone"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    console.log(`Setting the upkeep forwarder to ${taskArgs.address}...`);
+    await waitFor(await payroll.setUpkeepForwarder(taskArgs.address));
+    console.log("Upkeep forwarder set!");
+  });
+
+payrollTask(
+  "payroll:price-feed",
+  "Set the USD price feed converting the USD salaries paid in a token"
+)
+  .addParam("feed", "The Chainlink token / USD price feed address")
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .addOptionalParam(
+    "maxAge",
+    'How old a price can be before the USD salaries stop accruing, e.g. "1 hour"',
+    "1 hour"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const maxAge = parseDuration(taskArgs.maxAge);
+    console.log(
+      `Setting the ${token.symbol} / USD price feed to ${
+        taskArgs.feed
+      } with a maximum age of ${formatDuration(maxAge)}...`
+    );
+    const txReceipt = await sendChange(hre, payroll, "setPriceFeed", [
+      token.address,
+      taskArgs.feed,
+      maxAge,
+    ]);
+    if (txReceipt) {
+      console.log("Price feed set!");
+    }
+  });
+
+payrollTask(
+  "payroll:upgrade",
+  "Upgrade a payroll to a new Payroll implementation"
+)
+  .addOptionalParam(
+    "implementation",
+    "The implementation address (default: the Payroll_Implementation deployment, whose storage layout the deploy script checked)"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const deployment = await hre.deployments.get("Payroll_Implementation");
+    const implementation = hre.ethers.utils.getAddress(
+      taskArgs.implementation || deployment.address
+    );
+    const current = await getImplementation(
+      hre.ethers.provider,
+      payroll.address
+    );
+    if (current === implementation) {
+      console.log(`The payroll already runs ${implementation}.`);
+      return implementation;
+    }
+    console.log(
+      `Upgrading ${payroll.address} from ${current} to ${implementation}...`
+    );
+    if (!(await sendChange(hre, payroll, "upgradeTo", [implementation]))) {
+      return undefined;
+    }
+    if (!taskArgs.payroll && implementation === deployment.address) {
+      // keep the Payroll deployment in sync for the next deploy
+      await hre.deployments.save("Payroll", {
+        ...(await hre.deployments.get("Payroll")),
+        abi: mergeAbis(
+          deployment.abi,
+          (
+            await hre.deployments.get("PayrollExtension")
+          ).abi
+        ),
+        implementation,
+      });
+    }
+    console.log("Payroll upgraded!");
+    return implementation;
+  });
+
+task("payroll:create", "Create a payroll with the PayrollFactory")
+  .addParam("name", "The unique name of the payroll, e.g. a department")
+  .addOptionalParam("owner", "The account granted every role (default: you)")
+  .setAction(async (taskArgs, hre) => {
+    const payrollFactory = await getPayrollFactory(hre);
+    const [signer] = await hre.ethers.getSigners();
+    const owner = taskArgs.owner || signer.address;
+    console.log(`Creating the payroll "${taskArgs.name}" owned by ${owner}...`);
+    const txReceipt = await waitFor(
+      await payrollFactory.createPayroll(owner, taskArgs.name)
+    );
+    const { payroll } = txReceipt.events.find(
+      (e) => e.event === "PayrollCreated"
+    ).args;
+    console.log(`Payroll created at ${payroll}!`);
+    return payroll;
+  });
+
+task("payroll:payrolls", "List the payrolls created by the factory").setAction(
+  async (taskArgs, hre) => {
+    const payrollFactory = await getPayrollFactory(hre);
+    const rows = [];
+    for (const address of await payrollFactory.getPayrolls()) {
+      const payroll = await getPayrollAt(hre, address);
+      rows.push({
+        name: await payroll.getName(),
+        payroll: address,
+        recipients: (await payroll.getRecipientCount()).toNumber(),
+        paused: await payroll.paused(),
+      });
+    }
+    if (rows.length === 0) {
+      console.log("The factory has created no payroll.");
+    } else {
+      console.table(rows);
+    }
+    return rows;
+  }
+);
+
+module.exports = {
+  amountUnit,
+  creationBlock,
+  getPayroll,
+  getPayrollAt,
+  getPayrollFactory,
+  payrollTask,
+  resolveToken,
+  sendChange,
+  tokenCache,
+  waitFor,
+};
@@ -0,0 +1,132 @@
+const fs = require("fs");
+const { types } = require("hardhat/config");
+const { getPayroll, payrollTask, resolveToken } = require("./payroll");
+const { parseAmount, parseDuration, formatAmount } = require("../utils/units");
+const { signClaim, relayClaim, startRelayer } = require("../utils/claims");
+
+/**
+ * Read a signed claim from a JSON file or a JSON string.
+ */
+const readSignedClaim = (claimArg) =>
+  JSON.parse(
+    fs.existsSync(claimArg) ? fs.readFileSync(claimArg, "utf8") : claimArg
+  );
+
+payrollTask(
+  "claim:sign",
+  "Sign a claim to withdraw your payments through a relayer, without paying gas"
+)
+  .addOptionalParam(
+    "token",
+    "ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .addOptionalParam(
+    "amount",
+    'The amount including the relayer fee, e.g. "0.5" (default: your whole balance)'
+  )
+  .addOptionalParam(
+    "to",
+    "The address receiving the payment (default: your payout address)"
+  )
+  .addOptionalParam(
+    "maxFee",
+    'The most the relayer can take out of the amount, e.g. "0.001"',
+    "0"
+  )
+  .addOptionalParam(
+    "expiresIn",
+    'How long the relayer can submit the claim, e.g. "1 day"',
+    "1 day"
+  )
+  .addOptionalParam("signer", "The recipient address (default: first account)")
+  .addOptionalParam("out", "A file to write the signed claim to")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const signer = taskArgs.signer
+      ? await hre.ethers.getSigner(taskArgs.signer)
+      : (await hre.ethers.getSigners())[0];
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    const signedClaim = await signClaim(signer, payroll, {
+      token: token.address,
+      amount: taskArgs.amount ? parseAmount(taskArgs.amount, token) : undefined,
+      to: taskArgs.to,
+      maxFee: parseAmount(taskArgs.maxFee, token),
+      deadline: timestamp + parseDuration(taskArgs.expiresIn),
+    });
+    const json = JSON.stringify(signedClaim, null, 2);
+    if (taskArgs.out) {
+      fs.writeFileSync(taskArgs.out, json);
+      console.log(`Signed claim written to ${taskArgs.out}`);
+    } else {
+      console.log(json);
+    }
+    return signedClaim;
+  });
+
+payrollTask("claim:relay", "Submit a recipient's signed claim as the relayer")
+  .addParam("claim", "The signed claim file or JSON, from claim:sign")
+  .addOptionalParam(
+    "fee",
+    'The fee to take out of the payment, at most the claim maxFee, e.g. "0.001"',
+    "0"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const { claim, signature } = readSignedClaim(taskArgs.claim);
+    const token = await resolveToken(hre, claim.token);
+    const fee = parseAmount(taskArgs.fee, token);
+    console.log(
+      `Relaying the claim of ${claim.recipient} for a ${formatAmount(
+        fee,
+        token
+      )} fee...`
+    );
+    const txResponse = await relayClaim(payroll, claim, signature, fee);
+    console.log(`Transaction sent: ${txResponse.hash}`);
+    const txReceipt = await txResponse.wait();
+    console.log("Claim relayed!");
+    return txReceipt.transactionHash;
+  });
+
+payrollTask(
+  "relayer:run",
+  "Relay the signed claims POSTed as JSON { claim, signature } to an HTTP endpoint"
+)
+  .addOptionalParam("port", "The port to listen on", 8080, types.int)
+  .addOptionalParam(
+    "fee",
+    'The fee taken from each claim, capped by the claim maxFee, e.g. "0.001"',
+    "0"
+  )
+  .addOptionalParam(
+    "token",
+    "The token of the relayed claims: ETH, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token = await resolveToken(hre, taskArgs.token);
+    const relayer = startRelayer({
+      payroll,
+      port: taskArgs.port,
+      token: token.address,
+      fee: parseAmount(taskArgs.fee, token),
+      onRelay: (claim, txResponse) =>
+        console.log(
+          `Relayed the claim of ${claim.recipient}: ${txResponse.hash}`
+        ),
+      onError: (error) =>
+        console.log(`Rejected a claim: ${error.reason || error.message}`),
+    });
+    const port = await relayer.listening;
+    console.log(
+      `Relaying the claims of ${payroll.address} on http://localhost:${port}...`
+    );
+    process.once("SIGINT", () => {
+      console.log("Stopping...");
+      relayer.stop();
+    });
+    await relayer.done;
+  });
@@ -0,0 +1,231 @@
+const { types } = require("hardhat/config");
+const {
+  amountUnit,
+  getPayroll,
+  payrollTask,
+  sendChange,
+  tokenCache,
+  waitFor,
+} = require("./payroll");
+const {
+  parseDuration,
+  formatDuration,
+  parseAmount,
+  formatAmount,
+} = require("../utils/units");
+const { readRoster, planRoster } = require("../utils/roster");
+const { getAllRecipients } = require("../utils/sdk");
+
+const PLAN_SYMBOLS = {
+  add: "+",
+  update: "~",
+  replace: "-/+",
+  remove: "-",
+};
+
+/**
+ * Resolve the tokens, amounts and intervals of a roster file.
+ * @returns {Promise<object[]>} the entries, in base units, with their `unit`
+ */
+const resolveRoster = async (hre, file, getToken) => {
+  const entries = [];
+  for (const entry of readRoster(file)) {
+    const token = await getToken(entry.token);
+    const usdDenominated = /usd$/i.test(entry.amount.trim());
+    if (usdDenominated && entry.streaming) {
+      throw new Error(
+        `A USD amount can't be streamed, ${entry.address} needs an interval schedule or a token amount`
+      );
+    }
+    const unit = amountUnit({ usdDenominated }, token);
+    entries.push({
+      ...entry,
+      token: token.address,
+      amount: parseAmount(entry.amount, unit),
+      interval: parseDuration(entry.interval),
+      usdDenominated,
+      unit,
+      symbol: token.symbol,
+    });
+  }
+  return entries;
+};
+
+/**
+ * Return the `addRecipients` argument adding the desired schedule of a change.
+ */
+const newRecipient = ({ desired }) => ({
+  recipient: desired.address,
+  token: desired.token,
+  amount: desired.amount,
+  interval: desired.interval,
+  term: {
+    startTime: 0,
+    endTime: 0,
+    maxPayments: 0,
+    cliff: 0,
+    streaming: desired.streaming,
+    usdDenominated: desired.usdDenominated,
+  },
+});
+
+/**
+ * Get the payment schedules of the payroll recipients.
+ */
+const currentRoster = async (payroll, getToken) => {
+  const schedules = [];
+  for (const recipient of await getAllRecipients(payroll)) {
+    const token = await getToken(recipient.token);
+    schedules.push({
+      address: recipient.recipient,
+      token: recipient.token,
+      amount: recipient.amount,
+      interval: recipient.interval,
+      usdDenominated: recipient.usdDenominated,
+      streaming: recipient.streaming,
+      endTime: recipient.endTime,
+      cliffEnd: recipient.cliffEnd,
+      unit: amountUnit(recipient, token),
+      symbol: token.symbol,
+    });
+  }
+  return schedules;
+};
+
+/**
+ * Describe a schedule, e.g. "0.5 ETH every 2 weeks".
+ */
+const describeSchedule = (schedule) =>
+  schedule
+    ? `${formatAmount(schedule.amount, schedule.unit)}${
+        schedule.usdDenominated ? ` in ${schedule.symbol}` : ""
+      } ${schedule.streaming ? "streamed over" : "every"} ${formatDuration(
+        schedule.interval
+      )}`
+    : "";
+
+/**
+ * Diff a payroll against a roster file and print the changes.
+ * @returns {Promise<object[]>} the changes of `planRoster`
+ */
+const printPlan = async (hre, payroll, file) => {
+  const getToken = tokenCache(hre);
+  const changes = planRoster(
+    await currentRoster(payroll, getToken),
+    await resolveRoster(hre, file, getToken)
+  );
+  if (changes.length === 0) {
+    console.log(`The payroll matches ${file}.`);
+    return changes;
+  }
+  for (const { action, address, current, desired } of changes) {
+    const schedules = [current, desired]
+      .filter((schedule) => schedule)
+      .map(describeSchedule)
+      .join(" => ");
+    const notes = desired && desired.notes ? ` # ${desired.notes}` : "";
+    console.log(
+      `${PLAN_SYMBOLS[action].padStart(3)} ${address} ${schedules}${notes}`
+    );
+  }
+  const count = (action) =>
+    changes.filter((change) => change.action === action).length;
+  console.log(
+    `Plan: ${count("add")} to add, ${count("update")} to update, ${count(
+      "replace"
+    )} to replace, ${count("remove")} to remove.`
+  );
+  return changes;
+};
+
+/**
+ * Return the rows of a plan: the changes with readable schedules.
+ */
+const planRows = (changes) =>
+  changes.map(({ action, address, current, desired }) => ({
+    action,
+    recipient: address,
+    current: describeSchedule(current),
+    desired: describeSchedule(desired),
+    notes: desired ? desired.notes : "",
+  }));
+
+payrollTask(
+  "roster:plan",
+  "Show the changes that would make the payroll match a roster file"
+)
+  .addParam(
+    "file",
+    "A CSV or JSON roster with address, amount, interval and optional token, streaming and notes"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    return planRows(await printPlan(hre, payroll, taskArgs.file));
+  });
+
+payrollTask(
+  "roster:apply",
+  "Add, update and remove the payroll recipients to match a roster file"
+)
+  .addParam(
+    "file",
+    "A CSV or JSON roster with address, amount, interval and optional token, streaming and notes"
+  )
+  .addOptionalParam(
+    "batchSize",
+    "The most recipients added or removed per transaction",
+    50,
+    types.int
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const changes = await printPlan(hre, payroll, taskArgs.file);
+    const batches = (items) => {
+      const chunks = [];
+      for (let i = 0; i < items.length; i += taskArgs.batchSize) {
+        chunks.push(items.slice(i, i + taskArgs.batchSize));
+      }
+      return chunks;
+    };
+    const withAction = (...actions) =>
+      changes.filter((change) => actions.includes(change.action));
+
+    for (const batch of batches(withAction("remove"))) {
+      console.log(`Removing ${batch.length} recipient(s)...`);
+      await waitFor(
+        await payroll.removeRecipients(batch.map((change) => change.address))
+      );
+    }
+    for (const { address, desired } of withAction("update")) {
+      console.log(`Updating ${address}...`);
+      await sendChange(hre, payroll, "updatePaymentSchedule", [
+        address,
+        desired.amount,
+        desired.interval,
+        0,
+      ]);
+    }
+    // a timelocked batch is queued, applying the roster again runs it once ready
+    for (const batch of batches(withAction("add"))) {
+      console.log(`Adding ${batch.length} recipient(s)...`);
+      await sendChange(hre, payroll, "addRecipients", [
+        batch.map(newRecipient),
+      ]);
+    }
+    // a replaced recipient is removed in the transaction adding it back, so
+    // that it stays on the payroll while the addition is timelocked
+    for (const batch of batches(withAction("replace"))) {
+      console.log(`Replacing ${batch.length} recipient(s)...`);
+      await sendChange(
+        hre,
+        payroll,
+        "addRecipients",
+        [batch.map(newRecipient)],
+        [["removeRecipients", [batch.map((change) => change.address)]]]
+      );
+    }
+    if (changes.length > 0) {
+      console.log("Roster applied!");
+    }
+    return planRows(changes);
+  });
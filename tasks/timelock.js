@@ -0,0 +1,192 @@
+const {
+  creationBlock,
+  getPayroll,
+  payrollTask,
+  resolveToken,
+  sendChange,
+  waitFor,
+} = require("./payroll");
+const {
+  parseDuration,
+  formatDuration,
+  parseAmount,
+  formatAmount,
+  formatTimestamp,
+} = require("../utils/units");
+
+/**
+ * Return the changes queued in a payroll and not yet run or cancelled.
+ * @returns {Promise<object[]>} the changes, with their ChangeQueued event
+ * fields, `readyAt` and `expiresAt`, after which they must be queued again
+ */
+const getPendingChanges = async (hre, payroll) => {
+  const events = await payroll.queryFilter(
+    payroll.filters.ChangeQueued(),
+    await creationBlock(hre, payroll.address)
+  );
+  const gracePeriod = await payroll.CHANGE_GRACE_PERIOD();
+  const changes = [];
+  for (const { args } of events) {
+    const readyAt = await payroll.getChangeReadyAt(args.id);
+    // a change queued again after it ran or was cancelled has several events
+    if (!readyAt.isZero() && !changes.find((c) => c.id === args.id)) {
+      changes.push({
+        id: args.id,
+        proposer: args.proposer,
+        data: args.data,
+        readyAt,
+        expiresAt: readyAt.add(gracePeriod),
+      });
+    }
+  }
+  return changes;
+};
+
+/**
+ * Describe the call of a change, e.g. "withdraw(0x0000...)".
+ */
+const describeChange = (payroll, data) => {
+  const { name, args } = payroll.interface.parseTransaction({ data });
+  return `${name}(${args.map(String).join(", ")})`;
+};
+
+/**
+ * Get a pending change by id.
+ */
+const getPendingChange = async (hre, payroll, id) => {
+  const change = (await getPendingChanges(hre, payroll)).find(
+    (c) => c.id === id
+  );
+  if (!change) {
+    throw new Error(`No pending change ${id}`);
+  }
+  return change;
+};
+
+payrollTask(
+  "timelock:policy",
+  "Show or set the timelock delay and the instant limit of a token"
+)
+  .addOptionalParam(
+    "delay",
+    'The delay of the sensitive changes, e.g. "2 days", "0" to run them instantly'
+  )
+  .addOptionalParam(
+    "limit",
+    'What the changes without the delay can move per day in total: the amounts the new schedules accrue per day, and the amounts the withdrawals send, e.g. "1 ETH"'
+  )
+  .addOptionalParam(
+    "token",
+    "ETH, USD, a token address or a token deployment name",
+    "ETH"
+  )
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const token =
+      taskArgs.token.toUpperCase() === "USD"
+        ? {
+            address: await payroll.USD(),
+            symbol: "USD",
+            decimals: await payroll.USD_DECIMALS(),
+          }
+        : await resolveToken(hre, taskArgs.token);
+    if (taskArgs.limit !== undefined) {
+      const limit = parseAmount(taskArgs.limit, token);
+      console.log(
+        `Setting the ${token.symbol} instant limit to ${formatAmount(
+          limit,
+          token
+        )}...`
+      );
+      await sendChange(hre, payroll, "setInstantLimit", [token.address, limit]);
+    }
+    // after the limit, which a new delay would otherwise timelock
+    if (taskArgs.delay !== undefined) {
+      const delay = parseDuration(taskArgs.delay);
+      console.log(`Setting the timelock delay to ${formatDuration(delay)}...`);
+      await sendChange(hre, payroll, "setTimelockDelay", [delay]);
+    }
+
+    const delay = await payroll.getTimelockDelay();
+    const [spent] = await payroll.getInstantSpend(token.address);
+    const policy = {
+      delay: delay.isZero() ? "none" : formatDuration(delay),
+      instantLimit: formatAmount(
+        await payroll.getInstantLimit(token.address),
+        token
+      ),
+      instantLimitUsed: formatAmount(spent, token),
+    };
+    console.log(`Timelock delay: ${policy.delay}`);
+    console.log(
+      `${token.symbol} instant limit: ${policy.instantLimit} per day, ${policy.instantLimitUsed} used`
+    );
+    return policy;
+  });
+
+payrollTask(
+  "timelock:list",
+  "List the changes queued for the timelock delay"
+).setAction(async (taskArgs, hre) => {
+  const payroll = await getPayroll(hre, taskArgs.payroll);
+  const { timestamp } = await hre.ethers.provider.getBlock("latest");
+  const rows = (await getPendingChanges(hre, payroll)).map((change) => ({
+    id: change.id,
+    change: describeChange(payroll, change.data),
+    proposer: change.proposer,
+    "ready at": formatTimestamp(change.readyAt),
+    "expires at": formatTimestamp(change.expiresAt),
+    status: change.expiresAt.lt(timestamp)
+      ? "expired"
+      : change.readyAt.lte(timestamp)
+      ? "ready"
+      : "pending",
+  }));
+  if (rows.length === 0) {
+    console.log("No change is queued.");
+  } else {
+    console.table(rows);
+  }
+  return rows;
+});
+
+payrollTask("timelock:execute", "Run a queued change once it is ready")
+  .addParam("id", "The id of the change, from timelock:list")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const change = await getPendingChange(hre, payroll, taskArgs.id);
+    const { timestamp } = await hre.ethers.provider.getBlock("latest");
+    if (change.readyAt.gt(timestamp)) {
+      throw new Error(
+        `The change ${change.id} can't run before ${formatTimestamp(
+          change.readyAt
+        )}`
+      );
+    }
+    if (change.expiresAt.lt(timestamp)) {
+      throw new Error(
+        `The change ${change.id} expired at ${formatTimestamp(
+          change.expiresAt
+        )}, queue it again`
+      );
+    }
+    console.log(`Running ${describeChange(payroll, change.data)}...`);
+    const txReceipt = await waitFor(
+      await payroll.signer.sendTransaction({
+        to: payroll.address,
+        data: change.data,
+      })
+    );
+    console.log("Change executed!");
+    return txReceipt.transactionHash;
+  });
+
+payrollTask("timelock:cancel", "Cancel a queued change")
+  .addParam("id", "The id of the change, from timelock:list")
+  .setAction(async (taskArgs, hre) => {
+    const payroll = await getPayroll(hre, taskArgs.payroll);
+    const change = await getPendingChange(hre, payroll, taskArgs.id);
+    console.log(`Cancelling ${describeChange(payroll, change.data)}...`);
+    await waitFor(await payroll.cancelChange(change.id));
+    console.log("Change cancelled!");
+  });
@@ -0,0 +1,115 @@
+const { task } = require("hardhat/config");
+const { networkConfig } = require("../helper-hardhat-config");
+const { parseAmount, formatAmount } = require("../utils/units");
+const { LINK, LINK_ABI, REGISTRY_ABI, getUpkeep } = require("../utils/upkeep");
+const { waitFor } = require("./payroll");
+
+/**
+ * Get the registry, the LINK token and the id of the payroll upkeep, from the
+ * PayrollUpkeep deployment or, with an explicit id, from the network config.
+ */
+const getPayrollUpkeep = async (hre, idArg) => {
+  const { deployer } = await hre.getNamedAccounts();
+  const signer = await hre.ethers.getSigner(deployer);
+  const deployment = await hre.deployments.getOrNull("PayrollUpkeep");
+  const config = networkConfig[hre.network.config.chainId] || {};
+  const registryAddress = deployment
+    ? deployment.address
+    : config.keeperRegistry;
+  const linkAddress = deployment
+    ? deployment.linkedData.linkToken
+    : config.linkToken;
+  const upkeepId = idArg || (deployment && deployment.linkedData.upkeepId);
+  if (!upkeepId || !registryAddress || !linkAddress) {
+    throw new Error(
+      "No upkeep registered, run yarn hardhat deploy --tags upkeep or pass --id"
+    );
+  }
+  return {
+    upkeepId,
+    registry: new hre.ethers.Contract(registryAddress, REGISTRY_ABI, signer),
+    link: new hre.ethers.Contract(linkAddress, LINK_ABI, signer),
+  };
+};
+
+const upkeepTask = (name, description) =>
+  task(name, description).addOptionalParam(
+    "id",
+    "The upkeep id (default: the PayrollUpkeep deployment)"
+  );
+
+/**
+ * Print the state of the upkeep and return it.
+ */
+const printUpkeep = async (registry, upkeepId) => {
+  const upkeep = await getUpkeep(registry, upkeepId);
+  const state = upkeep.cancelled
+    ? "cancelled"
+    : upkeep.paused
+    ? "paused"
+    : "active";
+  console.log(`Upkeep ${upkeepId} (${state})`);
+  console.log(`  target:  ${upkeep.target}`);
+  console.log(`  admin:   ${upkeep.admin}`);
+  console.log(`  balance: ${formatAmount(upkeep.balance, LINK)}`);
+  return upkeep;
+};
+
+upkeepTask(
+  "upkeep:status",
+  "Show the state and LINK balance of the upkeep"
+).setAction(async (taskArgs, hre) => {
+  const { registry, upkeepId } = await getPayrollUpkeep(hre, taskArgs.id);
+  return printUpkeep(registry, upkeepId);
+});
+
+upkeepTask("upkeep:fund", "Top up the upkeep with LINK from the deployer")
+  .addParam("amount", 'The LINK to add, e.g. "5 LINK"')
+  .setAction(async (taskArgs, hre) => {
+    const { registry, link, upkeepId } = await getPayrollUpkeep(
+      hre,
+      taskArgs.id
+    );
+    const amount = parseAmount(taskArgs.amount, LINK);
+    // the registry credits the upkeep encoded in the transfer data
+    console.log(
+      `Funding upkeep ${upkeepId} with ${formatAmount(amount, LINK)}...`
+    );
+    await waitFor(
+      await link.transferAndCall(
+        registry.address,
+        amount,
+        hre.ethers.utils.defaultAbiCoder.encode(["uint256"], [upkeepId])
+      )
+    );
+    return printUpkeep(registry, upkeepId);
+  });
+
+upkeepTask(
+  "upkeep:pause",
+  "Pause the upkeep, Automation stops paying the payroll"
+).setAction(async (taskArgs, hre) => {
+  const { registry, upkeepId } = await getPayrollUpkeep(hre, taskArgs.id);
+  console.log(`Pausing upkeep ${upkeepId}...`);
+  await waitFor(await registry.pauseUpkeep(upkeepId));
+  return printUpkeep(registry, upkeepId);
+});
+
+upkeepTask("upkeep:unpause", "Resume a paused upkeep").setAction(
+  async (taskArgs, hre) => {
+    const { registry, upkeepId } = await getPayrollUpkeep(hre, taskArgs.id);
+    console.log(`Unpausing upkeep ${upkeepId}...`);
+    await waitFor(await registry.unpauseUpkeep(upkeepId));
+    return printUpkeep(registry, upkeepId);
+  }
+);
+
+upkeepTask(
+  "upkeep:cancel",
+  "Cancel the upkeep for good, its remaining LINK can be withdrawn from the Automation App"
+).setAction(async (taskArgs, hre) => {
+  const { registry, upkeepId } = await getPayrollUpkeep(hre, taskArgs.id);
+  console.log(`Cancelling upkeep ${upkeepId}...`);
+  await waitFor(await registry.cancelUpkeep(upkeepId));
+  return printUpkeep(registry, upkeepId);
+});
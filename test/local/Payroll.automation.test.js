@@ -0,0 +1,139 @@
+const { assert } = require("chai");
+const { network, deployments, ethers, getNamedAccounts } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const { startKeeper } = require("../../utils/keeper");
+
+// The staging scenario, run offline against the Automation simulator:
+// yarn hardhat node
+// yarn hardhat test test/local/Payroll.automation.test.js --network localhost
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll local automation tests", () => {
+      const ETH = ethers.constants.AddressZero;
+      let payroll, keeper, recipient1, recipient2;
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        payroll = await ethers.getContract("Payroll");
+        payroll.provider.pollingInterval = 100;
+        const accounts = await ethers.getSigners();
+        recipient1 = accounts[1].address;
+        recipient2 = accounts[2].address;
+
+        const { keeper: keeperAddress } = await getNamedAccounts();
+        keeper = startKeeper({
+          payroll: await ethers.getContract("Payroll", keeperAddress),
+          pollInterval: 100,
+          advanceTime: 5,
+        });
+      });
+
+      afterEach(async () => {
+        await keeper.stop();
+        payroll.removeAllListeners();
+      });
+
+      describe("performUpkeep", () => {
+        it("works with the simulated Chainlink Automation to pay recipients", async () => {
+          const [owner] = await ethers.getSigners();
+          await owner.sendTransaction({
+            to: payroll.address,
+            value: ethers.utils.parseEther("0.01"),
+          });
+
+          // get the recipients' initial payment balances
+          const recipient1InitialPaymentBalance = await payroll.balanceOf(
+            recipient1,
+            ETH
+          );
+          const recipient2InitialPaymentBalance = await payroll.balanceOf(
+            recipient2,
+            ETH
+          );
+
+          await new Promise(async (resolve, reject) => {
+            // listen to the second recipient's payment
+            payroll.once(payroll.filters.PaymentDone(recipient2), async () => {
+              try {
+                // remove recipients
+                await payroll.removeRecipient(recipient1);
+                await payroll.removeRecipient(recipient2);
+
+                // get the recipients' final payment balances
+                const recipient1FinalPaymentBalance = await payroll.balanceOf(
+                  recipient1,
+                  ETH
+                );
+                const recipient2FinalPaymentBalance = await payroll.balanceOf(
+                  recipient2,
+                  ETH
+                );
+
+                assert.isTrue(
+                  recipient1FinalPaymentBalance.gt(
+                    recipient1InitialPaymentBalance
+                  )
+                );
+                assert.isTrue(
+                  recipient2FinalPaymentBalance.gt(
+                    recipient2InitialPaymentBalance
+                  )
+                );
+                resolve();
+              } catch (error) {
+                reject(error);
+              }
+            });
+
+            // add recipients
+            const pay = ethers.utils.parseEther("0.0001");
+            await payroll.addRecipient(recipient1, ETH, pay, 15);
+            await payroll.addRecipient(recipient2, ETH, pay, 20);
+          });
+        });
+
+        it("keeps paying recipients as time goes by", async () => {
+          const pay = ethers.utils.parseEther("0.0001");
+          await payroll.addRecipient(recipient1, ETH, pay, 15);
+
+          let previousBalance = await payroll.balanceOf(recipient1, ETH);
+          for (let i = 0; i < 3; i++) {
+            await new Promise((resolve) =>
+              payroll.once(payroll.filters.PaymentDone(recipient1), resolve)
+            );
+            const balance = await payroll.balanceOf(recipient1, ETH);
+            assert.isTrue(balance.gt(previousBalance));
+            previousBalance = balance;
+          }
+        });
+
+        it("reports a failing onPerform to onError", async () => {
+          await keeper.stop();
+          const [owner] = await ethers.getSigners();
+          await owner.sendTransaction({
+            to: payroll.address,
+            value: ethers.utils.parseEther("0.01"),
+          });
+          await payroll.addRecipient(
+            recipient1,
+            ETH,
+            ethers.utils.parseEther("0.0001"),
+            15
+          );
+
+          const errors = [];
+          const { keeper: keeperAddress } = await getNamedAccounts();
+          await startKeeper({
+            payroll: await ethers.getContract("Payroll", keeperAddress),
+            pollInterval: 0,
+            advanceTime: 20,
+            rounds: 1,
+            onPerform: async () => {
+              throw new Error("webhook down");
+            },
+            onError: (error) => errors.push(error.message),
+          }).done;
+          assert.deepEqual(errors, ["webhook down"]);
+        });
+      });
+    });
@@ -0,0 +1,158 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { network, deployments, ethers } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const { advanceTime, performUpkeeps } = require("../../utils/keeper");
+const {
+  fileSink,
+  parseSinks,
+  startMonitor,
+  webhookSink,
+} = require("../../utils/monitor");
+
+// The monitor, run against a local webhook stand-in:
+// yarn hardhat node
+// yarn hardhat test test/local/Payroll.monitor.test.js --network localhost
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll monitor tests", () => {
+      const ETH = ethers.constants.AddressZero;
+      const amount = ethers.utils.parseEther("1");
+      const interval = 30;
+      const staleAfter = 60;
+      let payroll, owner, recipient, server, webhookUrl, alerts, file, monitor;
+
+      // wait until the webhook received an alert
+      const waitForAlert = async (predicate) => {
+        for (let i = 0; i < 100; i++) {
+          const alert = alerts.find(predicate);
+          if (alert) {
+            return alert;
+          }
+          await new Promise((resolve) => setTimeout(resolve, 100));
+        }
+        assert.fail(`no matching alert in ${JSON.stringify(alerts)}`);
+      };
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        payroll = await ethers.getContract("Payroll");
+        [owner, recipient] = await ethers.getSigners();
+
+        // the webhook stand-in records the alerts POSTed to it
+        alerts = [];
+        server = http.createServer((request, response) => {
+          let body = "";
+          request.on("data", (chunk) => (body += chunk));
+          request.on("end", () => {
+            alerts.push(JSON.parse(body));
+            response.end();
+          });
+        });
+        await new Promise((resolve) => server.listen(0, resolve));
+        webhookUrl = `http://localhost:${server.address().port}`;
+        file = path.join(
+          fs.mkdtempSync(path.join(os.tmpdir(), "monitor-")),
+          "alerts.log"
+        );
+      });
+
+      afterEach(async () => {
+        if (monitor) {
+          await monitor.stop();
+        }
+        await new Promise((resolve) => server.close(resolve));
+      });
+
+      it("parses the sinks of the monitor:run task", () => {
+        assert.equal(
+          parseSinks(`stdout, file:${file},webhook:${webhookUrl}`).length,
+          3
+        );
+        assert.throws(() => parseSinks("email:me"), "Invalid sink");
+        assert.throws(() => parseSinks("file:"), "needs a path");
+        assert.throws(
+          () => parseSinks("webhook:ftp://example.com"),
+          "isn't an http or https URL"
+        );
+      });
+
+      it("alerts on a low runway, a stale upkeep and a failed withdrawal", async () => {
+        await payroll.addRecipient(recipient.address, ETH, amount, interval);
+        await owner.sendTransaction({
+          to: payroll.address,
+          value: amount.mul(3).div(2),
+        });
+        monitor = startMonitor({
+          payroll,
+          sinks: [webhookSink(webhookUrl), fileSink(file)],
+          pollInterval: 100,
+          staleAfter,
+          minRunway: 2,
+          onError: () => {},
+        });
+
+        const lowRunway = await waitForAlert((a) => a.type === "low-runway");
+        assert.equal(lowRunway.severity, "warning");
+        assert.equal(lowRunway.payroll, payroll.address);
+        assert.equal(lowRunway.details.runway, "1");
+
+        // nobody performs the upkeep
+        await advanceTime(ethers.provider, interval + staleAfter + 1);
+        const stale = await waitForAlert((a) => a.type === "stale-upkeep");
+        assert.equal(stale.details.recipient, recipient.address);
+
+        // the upkeep runs again, and pays more than the contract holds
+        await performUpkeeps(payroll);
+        const resolved = await waitForAlert((a) => a.type === "resolved");
+        assert.equal(resolved.details.key, `stale-upkeep:${recipient.address}`);
+
+        await payroll.connect(recipient).withdrawPayments(ETH);
+        const failed = await waitForAlert(
+          (a) => a.type === "failed-withdrawal"
+        );
+        assert.equal(failed.severity, "critical");
+        assert.equal(failed.details.recipient, recipient.address);
+
+        // the low runway was raised once, and every alert was also written to the file
+        await monitor.stop();
+        assert.equal(alerts.filter((a) => a.type === "low-runway").length, 1);
+        assert.deepEqual(
+          fs
+            .readFileSync(file, "utf8")
+            .trim()
+            .split("\n")
+            .map((line) => JSON.parse(line)),
+          alerts
+        );
+      });
+
+      it("alerts on a stale upkeep beyond the batch size and while paused", async () => {
+        const recipients = (await ethers.getSigners()).slice(1, 4);
+        for (const account of recipients) {
+          await payroll.addRecipient(account.address, ETH, amount, interval);
+        }
+        await payroll.setMaxBatchSize(1);
+        await payroll.pause();
+        monitor = startMonitor({
+          payroll,
+          sinks: [webhookSink(webhookUrl)],
+          pollInterval: 100,
+          staleAfter,
+          onError: () => {},
+        });
+
+        await advanceTime(ethers.provider, interval + staleAfter + 1);
+        for (const account of recipients) {
+          const stale = await waitForAlert(
+            (a) =>
+              a.type === "stale-upkeep" &&
+              a.details.recipient === account.address
+          );
+          assert.isAbove(stale.details.late, staleAfter);
+        }
+      });
+    });
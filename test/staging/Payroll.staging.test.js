@@ -1,19 +1,36 @@
 const { assert } = require("chai");
-const { network, ethers } = require("hardhat");
+const hre = require("hardhat");
 const {
   developmentChains,
-  RECIPIENT_1_ADDRESS,
-  RECIPIENT_2_ADDRESS,
+  STAGING_ROSTER,
 } = require("../../helper-hardhat-config");
+const { readRoster } = require("../../utils/roster");
+
+const { network, ethers } = hre;
 
 developmentChains.includes(network.name)
   ? describe.skip
   : describe("Payroll staging tests", () => {
-      let payroll, owner;
+      let payroll, recipients;
+      const ETH = ethers.constants.AddressZero;
+
+      // the payment balances of the roster recipients
+      const getBalances = async () => {
+        const balances = [];
+        for (const recipient of recipients) {
+          const balance = await payroll.balanceOf(recipient, ETH);
+          console.log(
+            `${ethers.utils.formatEther(balance)} ETH for ${recipient}`
+          );
+          balances.push(balance);
+        }
+        return balances;
+      };
 
       beforeEach(async () => {
         payroll = await ethers.getContract("Payroll");
-        owner = (await ethers.getSigners())[0];
+        // the roster is paid in ETH, the last recipient has the longest interval
+        recipients = readRoster(STAGING_ROSTER).map((entry) => entry.address);
       });
 
       describe("performUpkeep", () => {
@@ -32,76 +49,36 @@ developmentChains.includes(network.name)
             `The Payroll contract at ${payroll.address} must have at least 0.01 ETH to run the staging tests.`
           );
 
-          // get the recipients' initial payment balances
-          const recipient1InitialPaymentBalance = await payroll.balanceOf(
-            RECIPIENT_1_ADDRESS
-          );
-          const recipient2InitialPaymentBalance = await payroll.balanceOf(
-            RECIPIENT_2_ADDRESS
-          );
+          // Only the registry of the upkeep registered by the deployment
+          // can perform it.
+          const upkeep = await hre.deployments.get("PayrollUpkeep");
+          assert.equal(await payroll.getUpkeepForwarder(), upkeep.address);
+
           console.log("----------------------");
           console.log("Recipients' initial payment balances:");
-          console.log(
-            `${ethers.utils.formatEther(
-              recipient1InitialPaymentBalance
-            )} ETH for ${RECIPIENT_1_ADDRESS}`
-          );
-          console.log(
-            `${ethers.utils.formatEther(
-              recipient2InitialPaymentBalance
-            )} ETH for ${RECIPIENT_2_ADDRESS}`
-          );
+          const initialBalances = await getBalances();
 
-          // add recipients
-          const pay = ethers.utils.parseEther("0.0001");
+          // add the recipients
           console.log("----------------------");
-          console.log(`Adding recipient ${RECIPIENT_1_ADDRESS}...`);
-          await payroll.addRecipient(RECIPIENT_1_ADDRESS, pay, 15);
-          console.log(`Adding recipient ${RECIPIENT_2_ADDRESS}...`);
-          await payroll.addRecipient(RECIPIENT_2_ADDRESS, pay, 20);
+          await hre.run("roster:apply", { file: STAGING_ROSTER });
 
           await new Promise(async (resolve, reject) => {
-            const paymentDoneFilter =
-              payroll.filters.PaymentDone(RECIPIENT_2_ADDRESS);
-            // listen to the second recipient's payment
+            const paymentDoneFilter = payroll.filters.PaymentDone(
+              recipients[recipients.length - 1]
+            );
+            // listen to the last recipient's payment
             payroll.once(paymentDoneFilter, async () => {
               try {
-                // remove recipients
+                // remove the recipients
                 console.log("----------------------");
-                console.log(`Removing recipient ${RECIPIENT_1_ADDRESS}...`);
-                await payroll.removeRecipient(RECIPIENT_1_ADDRESS);
-                console.log(`Removing recipient ${RECIPIENT_2_ADDRESS}...`);
-                await payroll.removeRecipient(RECIPIENT_2_ADDRESS);
+                console.log(`Removing ${recipients.length} recipient(s)...`);
+                await (await payroll.removeRecipients(recipients)).wait();
 
-                // get the recipients' final payment balances
-                const recipient1FinalPaymentBalance = await payroll.balanceOf(
-                  RECIPIENT_1_ADDRESS
-                );
-                const recipient2FinalPaymentBalance = await payroll.balanceOf(
-                  RECIPIENT_2_ADDRESS
-                );
                 console.log("----------------------");
                 console.log("Recipients' final payment balances:");
-                console.log(
-                  `${ethers.utils.formatEther(
-                    recipient1FinalPaymentBalance
-                  )} ETH for ${RECIPIENT_1_ADDRESS}`
-                );
-                console.log(
-                  `${ethers.utils.formatEther(
-                    recipient2FinalPaymentBalance
-                  )} ETH for ${RECIPIENT_2_ADDRESS}`
-                );
-
-                assert.isTrue(
-                  recipient1FinalPaymentBalance.gt(
-                    recipient1InitialPaymentBalance
-                  )
-                );
-                assert.isTrue(
-                  recipient2FinalPaymentBalance.gt(
-                    recipient2InitialPaymentBalance
-                  )
+                const finalBalances = await getBalances();
+                finalBalances.forEach((balance, index) =>
+                  assert.isTrue(balance.gt(initialBalances[index]))
                 );
                 resolve();
               } catch (error) {
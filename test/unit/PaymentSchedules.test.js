@@ -0,0 +1,260 @@
+const { assert } = require("chai");
+const { network, deployments, ethers } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("PaymentSchedules unit tests", () => {
+      const ETH = ethers.constants.AddressZero;
+      const amount = ethers.utils.parseEther("1");
+      const interval = 100;
+      const noUpdate = { amount: 0, interval: 0, effectiveAt: 0 };
+      let paymentSchedules, priceFeed, token, accounts, now;
+
+      const schedule = (overrides) => ({
+        token: ETH,
+        amount,
+        interval,
+        lastTimestamp: 0,
+        streaming: false,
+        usdDenominated: false,
+        cliffEnd: 0,
+        endTime: 0,
+        ...overrides,
+      });
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        accounts = await ethers.getSigners();
+        priceFeed = await ethers.getContract("MockV3Aggregator");
+        token = await ethers.getContract("MockERC20");
+        paymentSchedules = await (
+          await ethers.getContractFactory("PaymentSchedulesHarness", {
+            libraries: {
+              PaymentSchedules: (
+                await deployments.get("PaymentSchedules")
+              ).address,
+            },
+          })
+        ).deploy();
+        now = (await ethers.provider.getBlock("latest")).timestamp;
+      });
+
+      describe("duePayment", () => {
+        it("pays the whole periods elapsed and keeps the paydays anchored", async () => {
+          const start = now - 2.5 * interval;
+          const recipient = accounts[1].address;
+          await paymentSchedules.setPaymentSchedule(
+            recipient,
+            schedule({ lastTimestamp: start }),
+            noUpdate
+          );
+          const [settled, payment, updated] = await paymentSchedules.duePayment(
+            recipient
+          );
+          assert.equal(payment.toString(), amount.mul(2).toString());
+          assert.equal(settled.lastTimestamp.toNumber(), start + 2 * interval);
+          assert.isFalse(updated);
+        });
+
+        it("pays nothing before the cliff", async () => {
+          const recipient = accounts[1].address;
+          await paymentSchedules.setPaymentSchedule(
+            recipient,
+            schedule({
+              lastTimestamp: now - 5 * interval,
+              cliffEnd: now + 1000,
+            }),
+            noUpdate
+          );
+          const [settled, payment] = await paymentSchedules.duePayment(
+            recipient
+          );
+          assert.equal(payment.toString(), "0");
+          assert.equal(settled.lastTimestamp.toNumber(), now - 5 * interval);
+        });
+
+        it("pays the last period of a term pro rata", async () => {
+          const start = now - 1000;
+          const recipient = accounts[1].address;
+          await paymentSchedules.setPaymentSchedule(
+            recipient,
+            schedule({ lastTimestamp: start, endTime: start + 150 }),
+            noUpdate
+          );
+          const [settled, payment] = await paymentSchedules.duePayment(
+            recipient
+          );
+          assert.equal(
+            payment.toString(),
+            ethers.utils.parseEther("1.5").toString()
+          );
+          assert.equal(settled.lastTimestamp.toNumber(), start + 150);
+        });
+
+        it("settles the old terms pro rata before a scheduled update", async () => {
+          const start = now - 1000;
+          const recipient = accounts[1].address;
+          await paymentSchedules.setPaymentSchedule(
+            recipient,
+            schedule({ lastTimestamp: start, endTime: start + 350 }),
+            { amount: amount.mul(2), interval, effectiveAt: start + 150 }
+          );
+          const [settled, payment, updated] = await paymentSchedules.duePayment(
+            recipient
+          );
+          // 1.5 periods at 1 ETH, then 2 periods at 2 ETH
+          assert.equal(
+            payment.toString(),
+            ethers.utils.parseEther("5.5").toString()
+          );
+          assert.equal(settled.amount.toString(), amount.mul(2).toString());
+          assert.equal(settled.lastTimestamp.toNumber(), start + 350);
+          assert.isTrue(updated);
+        });
+
+        it("pays a streaming schedule per second", async () => {
+          const start = now - 1000;
+          const recipient = accounts[1].address;
+          await paymentSchedules.setPaymentSchedule(
+            recipient,
+            schedule({
+              lastTimestamp: start,
+              streaming: true,
+              endTime: start + 125,
+            }),
+            noUpdate
+          );
+          const [, payment] = await paymentSchedules.duePayment(recipient);
+          assert.equal(
+            payment.toString(),
+            ethers.utils.parseEther("1.25").toString()
+          );
+        });
+      });
+
+      describe("paymentDue and dueRecipients", () => {
+        let due, notDue, streaming, ended, usdEnded;
+
+        beforeEach(async () => {
+          [, due, notDue, streaming, ended, usdEnded] = accounts.map(
+            ({ address }) => address
+          );
+          const start = now - 2.5 * interval;
+          await paymentSchedules.setPaymentSchedule(
+            due,
+            schedule({ lastTimestamp: start }),
+            noUpdate
+          );
+          await paymentSchedules.setPaymentSchedule(
+            notDue,
+            schedule({ lastTimestamp: now + interval }),
+            noUpdate
+          );
+          await paymentSchedules.setPaymentSchedule(
+            streaming,
+            schedule({ lastTimestamp: start, streaming: true }),
+            noUpdate
+          );
+          await paymentSchedules.setPaymentSchedule(
+            ended,
+            schedule({ lastTimestamp: start, endTime: start + 10 }),
+            noUpdate
+          );
+          // no price feed for ETH
+          await paymentSchedules.setPaymentSchedule(
+            usdEnded,
+            schedule({
+              lastTimestamp: start,
+              endTime: start + 10,
+              usdDenominated: true,
+            }),
+            noUpdate
+          );
+        });
+
+        it("paymentDue is true once a period elapsed or the term ended", async () => {
+          assert.isTrue(await paymentSchedules.paymentDue(due));
+          assert.isFalse(await paymentSchedules.paymentDue(notDue));
+          assert.isFalse(await paymentSchedules.paymentDue(streaming));
+          assert.isTrue(await paymentSchedules.paymentDue(ended));
+          assert.isFalse(
+            await paymentSchedules.paymentDue(accounts[6].address)
+          );
+        });
+
+        it("paymentDue is false for a USD schedule without a valid price", async () => {
+          assert.isFalse(await paymentSchedules.paymentDue(usdEnded));
+          await paymentSchedules.setPriceFeed(ETH, {
+            feed: priceFeed.address,
+            maxPriceAge: 3600,
+          });
+          await priceFeed.updateAnswer(await priceFeed.latestAnswer());
+          assert.isTrue(await paymentSchedules.paymentDue(usdEnded));
+        });
+
+        it("dueRecipients returns the due recipients of a range in roster order", async () => {
+          assert.deepEqual(await paymentSchedules.dueRecipients(0, 5, 10), [
+            due,
+            ended,
+          ]);
+          assert.deepEqual(await paymentSchedules.dueRecipients(0, 5, 1), [
+            due,
+          ]);
+          assert.deepEqual(await paymentSchedules.dueRecipients(1, 5, 10), [
+            ended,
+          ]);
+        });
+      });
+
+      describe("price and usdToToken", () => {
+        it("an unset or stale feed has no valid price", async () => {
+          let [valid] = await paymentSchedules.price(ETH);
+          assert.isFalse(valid);
+          await paymentSchedules.setPriceFeed(ETH, {
+            feed: priceFeed.address,
+            maxPriceAge: 60,
+          });
+          await priceFeed.updateAnswer(await priceFeed.latestAnswer());
+          [valid] = await paymentSchedules.price(ETH);
+          assert.isTrue(valid);
+          await network.provider.send("evm_increaseTime", [100]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          [valid] = await paymentSchedules.price(ETH);
+          assert.isFalse(valid);
+          const [validAmount, tokenAmount] = await paymentSchedules.usdToToken(
+            ETH,
+            1
+          );
+          assert.isFalse(validAmount);
+          assert.equal(tokenAmount.toString(), "0");
+        });
+
+        it("usdToToken converts with the decimals of the token and the feed", async () => {
+          // 2000 USD per token
+          const feed = { feed: priceFeed.address, maxPriceAge: 3600 };
+          await paymentSchedules.setPriceFeed(ETH, feed);
+          await paymentSchedules.setPriceFeed(token.address, feed);
+          await priceFeed.updateAnswer(ethers.utils.parseUnits("2000", 8));
+          const usdAmount = ethers.utils.parseUnits("1000", 8);
+          let [valid, tokenAmount] = await paymentSchedules.usdToToken(
+            ETH,
+            usdAmount
+          );
+          assert.isTrue(valid);
+          assert.equal(
+            tokenAmount.toString(),
+            ethers.utils.parseEther("0.5").toString()
+          );
+          [valid, tokenAmount] = await paymentSchedules.usdToToken(
+            token.address,
+            usdAmount
+          );
+          assert.isTrue(valid);
+          assert.equal(
+            tokenAmount.toString(),
+            ethers.utils.parseUnits("0.5", 6).toString()
+          );
+        });
+      });
+    });
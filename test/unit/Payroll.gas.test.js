@@ -0,0 +1,129 @@
+const { assert } = require("chai");
+const { network, deployments, ethers } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll gas benchmark", () => {
+      const NB_OF_RECIPIENTS = 1000;
+      const SHARD_SIZE = 250;
+      // Chainlink Automation gas limits
+      const CHECK_GAS_LIMIT = 6500000;
+      const PERFORM_GAS_LIMIT = 5000000;
+      const ETH = ethers.constants.AddressZero;
+      // long enough for the whole benchmark to run within one period
+      const interval = 7 * 24 * 60 * 60;
+      const amount = 10;
+      let payroll, recipients;
+      const gasReport = {};
+
+      const encodeRange = (startIndex, endIndex) =>
+        ethers.utils.defaultAbiCoder.encode(
+          ["uint256", "uint256"],
+          [startIndex, endIndex]
+        );
+
+      before(async () => {
+        await deployments.fixture(["all"]);
+        payroll = await ethers.getContract("Payroll");
+        recipients = [];
+        for (let i = 1; i <= NB_OF_RECIPIENTS; i++) {
+          const recipient = ethers.utils.hexZeroPad(
+            ethers.utils.hexlify(i),
+            20
+          );
+          recipients.push(ethers.utils.getAddress(recipient));
+          await payroll.addRecipient(recipients[i - 1], ETH, amount, interval);
+        }
+        await network.provider.send("evm_increaseTime", [interval]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+      });
+
+      after(() => {
+        console.table(gasReport);
+      });
+
+      it(`registers ${NB_OF_RECIPIENTS} recipients`, async () => {
+        assert.equal(
+          (await payroll.getRecipientCount()).toNumber(),
+          NB_OF_RECIPIENTS
+        );
+      });
+
+      it("checkUpkeep of each shard stays under the check gas limit", async () => {
+        for (
+          let startIndex = 0;
+          startIndex < NB_OF_RECIPIENTS;
+          startIndex += SHARD_SIZE
+        ) {
+          const gas = await payroll.estimateGas.checkUpkeep(
+            encodeRange(startIndex, startIndex + SHARD_SIZE)
+          );
+          gasReport[`checkUpkeep (${SHARD_SIZE} recipients)`] = gas.toNumber();
+          assert.isBelow(gas.toNumber(), CHECK_GAS_LIMIT);
+        }
+      });
+
+      it("performUpkeep of a full batch stays under the perform gas limit", async () => {
+        const maxBatchSize = (await payroll.getMaxBatchSize()).toNumber();
+        const [, performData] = await payroll.checkUpkeep(
+          encodeRange(0, SHARD_SIZE)
+        );
+        const txResponse = await payroll.performUpkeep(performData);
+        const { gasUsed } = await txResponse.wait();
+        gasReport[`performUpkeep (${maxBatchSize} recipients)`] =
+          gasUsed.toNumber();
+        assert.isBelow(gasUsed.toNumber(), PERFORM_GAS_LIMIT);
+      });
+
+      it("sharded upkeeps pay every recipient", async () => {
+        let nbOfPerforms = 0;
+        for (
+          let startIndex = 0;
+          startIndex < NB_OF_RECIPIENTS;
+          startIndex += SHARD_SIZE
+        ) {
+          const checkData = encodeRange(startIndex, startIndex + SHARD_SIZE);
+          let [upkeepNeeded, performData] = await payroll.checkUpkeep(
+            checkData
+          );
+          while (upkeepNeeded) {
+            await payroll.performUpkeep(performData);
+            ++nbOfPerforms;
+            [upkeepNeeded, performData] = await payroll.checkUpkeep(checkData);
+          }
+        }
+        gasReport["performUpkeep calls to pay every recipient"] = nbOfPerforms;
+
+        for (const recipient of [
+          recipients[0],
+          recipients[NB_OF_RECIPIENTS / 2],
+          recipients[NB_OF_RECIPIENTS - 1],
+        ]) {
+          assert.equal(
+            (await payroll.balanceOf(recipient, ETH)).toNumber(),
+            amount
+          );
+        }
+      });
+
+      it("removing a recipient costs the same wherever it is in the roster", async () => {
+        const removeGas = async (recipient) => {
+          const txResponse = await payroll.removeRecipient(recipient);
+          const { gasUsed } = await txResponse.wait();
+          return gasUsed.toNumber();
+        };
+        const firstGas = await removeGas(recipients[0]);
+        const middleGas = await removeGas(recipients[NB_OF_RECIPIENTS / 2]);
+        const lastGas = await removeGas(recipients[NB_OF_RECIPIENTS - 2]);
+        gasReport["removeRecipient (first)"] = firstGas;
+        gasReport["removeRecipient (middle)"] = middleGas;
+
+        assert.isBelow(Math.max(firstGas, middleGas, lastGas), 100000);
+        assert.isBelow(Math.abs(firstGas - middleGas), 5000);
+        assert.equal(
+          (await payroll.getRecipientCount()).toNumber(),
+          NB_OF_RECIPIENTS - 3
+        );
+      });
+    });
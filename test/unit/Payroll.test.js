@@ -1,12 +1,20 @@
 const { assert, expect } = require("chai");
 const { network, deployments, ethers } = require("hardhat");
 const { developmentChains } = require("../../helper-hardhat-config");
+const {
+  checkStorageLayout,
+  checkSharedStorageLayout,
+  getImplementation,
+} = require("../../utils/upgrades");
+const { signClaim } = require("../../utils/claims");
 
 !developmentChains.includes(network.name)
   ? describe.skip
   : describe("Payroll unit tests", () => {
-      let payroll, accounts, owner, recipientAccount;
-      const ownableErrorMessage = "Ownable: caller is not the owner";
+      let payroll, token, accounts, owner, recipientAccount;
+      const missingRoleMessage = (account, role) =>
+        `AccessControl: account ${account.address.toLowerCase()} is missing role ${role}`;
+      const ETH = ethers.constants.AddressZero;
 
       const fundContract = async (ethAmount) => {
         const amount = ethers.utils.parseEther(ethAmount);
@@ -17,9 +25,17 @@ const { developmentChains } = require("../../helper-hardhat-config");
         await txResponse.wait();
       };
 
+      const fundContractWithTokens = async (tokenAmount) => {
+        await token.mint(owner.address, tokenAmount);
+        await token.approve(payroll.address, tokenAmount);
+        const txResponse = await payroll.fund(token.address, tokenAmount);
+        await txResponse.wait();
+      };
+
       beforeEach(async () => {
-        await deployments.fixture(["payroll"]);
+        await deployments.fixture(["all"]);
         payroll = await ethers.getContract("Payroll");
+        token = await ethers.getContract("MockERC20");
         accounts = await ethers.getSigners();
         owner = accounts[0];
         recipientAccount = accounts[1];
@@ -30,33 +46,113 @@ const { developmentChains } = require("../../helper-hardhat-config");
           const payrollRecipients = await payroll.getRecipients();
           assert.equal(payrollRecipients.length, 0);
         });
+
+        it("the payroll is named and the admin is granted every role", async () => {
+          assert.equal(await payroll.getName(), "Payroll");
+          assert.equal((await payroll.getMaxBatchSize()).toNumber(), 50);
+          assert.isTrue(
+            await payroll.hasRole(
+              await payroll.DEFAULT_ADMIN_ROLE(),
+              owner.address
+            )
+          );
+        });
+
+        it("the admin must not be the zero address", async () => {
+          const payrollContractFactory = await ethers.getContractFactory(
+            "Payroll",
+            {
+              libraries: {
+                PaymentSchedules: (
+                  await ethers.getContract("PaymentSchedules")
+                ).address,
+              },
+            }
+          );
+          const extension = await ethers.getContract("PayrollExtension");
+          await expect(
+            payrollContractFactory.deploy(ETH, "Payroll", extension.address)
+          ).to.be.revertedWith("Payroll__InvalidAdmin");
+        });
+
+        it("the extension must be a contract", async () => {
+          const payrollContractFactory = await ethers.getContractFactory(
+            "Payroll",
+            {
+              libraries: {
+                PaymentSchedules: (
+                  await ethers.getContract("PaymentSchedules")
+                ).address,
+              },
+            }
+          );
+          await expect(
+            payrollContractFactory.deploy(
+              owner.address,
+              "Payroll",
+              accounts[2].address
+            )
+          ).to.be.revertedWith(
+            `Payroll__InvalidExtension("${accounts[2].address}")`
+          );
+        });
+
+        it("the calls Payroll doesn't implement are delegated to the extension", async () => {
+          const extension = await ethers.getContract("PayrollExtension");
+          assert.equal(await payroll.getExtension(), extension.address);
+          // the extension reads the storage of the payroll
+          assert.equal(await extension.getName(), "");
+          await expect(
+            owner.sendTransaction({ to: payroll.address, data: "0x12345678" })
+          ).to.be.reverted;
+        });
+
+        it("the payroll and the extension only have the state of PayrollBase", async () => {
+          const { storageLayout } = await deployments.getExtendedArtifact(
+            "PayrollBase"
+          );
+          assert.isNotEmpty(storageLayout.storage);
+          for (const contract of ["Payroll", "PayrollExtension"]) {
+            const artifact = await deployments.getExtendedArtifact(contract);
+            assert.deepEqual(
+              checkSharedStorageLayout(storageLayout, artifact.storageLayout),
+              [],
+              contract
+            );
+          }
+        });
       });
 
       describe("addRecipient", () => {
-        it("only the owner can add a recipient", async () => {
+        it("only a payroll admin can add a recipient", async () => {
           const attackerAccount = accounts[2];
           const connectedPayroll = payroll.connect(attackerAccount);
           await expect(
-            connectedPayroll.addRecipient(recipientAccount.address, 10, 20)
-          ).to.be.revertedWith(ownableErrorMessage);
+            connectedPayroll.addRecipient(recipientAccount.address, ETH, 10, 20)
+          ).to.be.revertedWith(
+            missingRoleMessage(
+              attackerAccount,
+              await payroll.PAYROLL_ADMIN_ROLE()
+            )
+          );
         });
 
         it("the amount must not be zero", async () => {
           await expect(
-            payroll.addRecipient(recipientAccount.address, 0, 10)
+            payroll.addRecipient(recipientAccount.address, ETH, 0, 10)
           ).to.be.revertedWith("Payroll__InvalidPaymentData");
         });
 
         it("the payment interval must not be zero", async () => {
           await expect(
-            payroll.addRecipient(recipientAccount.address, 50, 0)
+            payroll.addRecipient(recipientAccount.address, ETH, 50, 0)
           ).to.be.revertedWith("Payroll__InvalidPaymentData");
         });
 
         it("a recipient can't be added twice", async () => {
-          await payroll.addRecipient(recipientAccount.address, 10, 20);
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 20);
           await expect(
-            payroll.addRecipient(recipientAccount.address, 20, 30)
+            payroll.addRecipient(recipientAccount.address, ETH, 20, 30)
           ).to.be.revertedWith("Payroll__RecipientAlreadyExists");
         });
 
@@ -65,6 +161,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           const interval = 30;
           const txResponse = await payroll.addRecipient(
             recipientAccount.address,
+            ETH,
             amount,
             interval
           );
@@ -87,7 +184,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
 
       describe("removeRecipient", () => {
         it("removes a recipient and emits a RecipientRemoved event", async () => {
-          await payroll.addRecipient(recipientAccount.address, 10, 20);
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 20);
           assert.equal((await payroll.getRecipients()).length, 1);
           const txResponse = await payroll.removeRecipient(
             recipientAccount.address
@@ -108,6 +205,47 @@ const { developmentChains } = require("../../helper-hardhat-config");
           assert.equal(paymentSchedule.lastTimestamp, 0);
         });
 
+        it("moves the last recipient to the removed recipient's index", async () => {
+          await payroll.addRecipient(accounts[1].address, ETH, 10, 20);
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 20);
+          await payroll.addRecipient(accounts[3].address, ETH, 10, 20);
+          await payroll.removeRecipient(accounts[1].address);
+          assert.deepEqual(await payroll.getRecipients(), [
+            accounts[3].address,
+            accounts[2].address,
+          ]);
+
+          // the moved recipient can still be removed
+          await payroll.removeRecipient(accounts[3].address);
+          assert.deepEqual(await payroll.getRecipients(), [
+            accounts[2].address,
+          ]);
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 1);
+        });
+
+        it("removing an unknown recipient does nothing", async () => {
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 20);
+          const txResponse = await payroll.removeRecipient(accounts[2].address);
+          const txReceipt = await txResponse.wait();
+          assert.equal(txReceipt.events.length, 0);
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 1);
+        });
+
+        it("a removed recipient can be added again", async () => {
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 20);
+          await payroll.removeRecipient(recipientAccount.address);
+          await payroll.addRecipient(recipientAccount.address, ETH, 30, 40);
+          assert.deepEqual(await payroll.getRecipients(), [
+            recipientAccount.address,
+          ]);
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).amount.toNumber(),
+            30
+          );
+        });
+
         it("removing a recipient doesn't prevent withdrawing payments", async () => {
           // add a recipient to get a payment
           await fundContract("1");
@@ -115,6 +253,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           const amount = 10;
           await payroll.addRecipient(
             recipientAccount.address,
+            ETH,
             amount,
             interval
           );
@@ -131,7 +270,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
 
           // withdraw the recipient's payment
           const connectedPayroll = payroll.connect(recipientAccount);
-          txResponse = await connectedPayroll.withdrawPayments();
+          txResponse = await connectedPayroll.withdrawPayments(ETH);
           const txReceipt = await txResponse.wait();
 
           assert.equal(txReceipt.events[0].event, "Transfer");
@@ -144,12 +283,348 @@ const { developmentChains } = require("../../helper-hardhat-config");
         });
       });
 
+      describe("addRecipients and removeRecipients", () => {
+        const term = {
+          startTime: 0,
+          endTime: 0,
+          maxPayments: 0,
+          cliff: 0,
+          streaming: false,
+          usdDenominated: false,
+        };
+
+        it("only a payroll admin can add or remove recipients in a batch", async () => {
+          const role = await payroll.PAYROLL_ADMIN_ROLE();
+          const connectedPayroll = payroll.connect(accounts[2]);
+          await expect(
+            connectedPayroll.addRecipients([
+              {
+                recipient: recipientAccount.address,
+                token: ETH,
+                amount: 10,
+                interval: 20,
+                term,
+              },
+            ])
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            connectedPayroll.removeRecipients([recipientAccount.address])
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+        });
+
+        it("adds every recipient of a batch with its schedule", async () => {
+          const txResponse = await payroll.addRecipients([
+            {
+              recipient: accounts[1].address,
+              token: ETH,
+              amount: 10,
+              interval: 20,
+              term,
+            },
+            {
+              recipient: accounts[2].address,
+              token: token.address,
+              amount: 30,
+              interval: 40,
+              term: { ...term, streaming: true },
+            },
+          ]);
+          const txReceipt = await txResponse.wait();
+          assert.deepEqual(
+            txReceipt.events
+              .filter((event) => event.event === "RecipientAdded")
+              .map((event) => event.args.recipient),
+            [accounts[1].address, accounts[2].address]
+          );
+          assert.deepEqual(await payroll.getRecipients(), [
+            accounts[1].address,
+            accounts[2].address,
+          ]);
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            accounts[2].address
+          );
+          assert.equal(paymentSchedule.token, token.address);
+          assert.equal(paymentSchedule.amount.toNumber(), 30);
+          assert.isTrue(paymentSchedule.streaming);
+        });
+
+        it("an invalid recipient reverts the whole batch", async () => {
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 20);
+          await expect(
+            payroll.addRecipients([
+              {
+                recipient: accounts[1].address,
+                token: ETH,
+                amount: 10,
+                interval: 20,
+                term,
+              },
+              {
+                recipient: accounts[2].address,
+                token: ETH,
+                amount: 10,
+                interval: 20,
+                term,
+              },
+            ])
+          ).to.be.revertedWith("Payroll__RecipientAlreadyExists");
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 1);
+        });
+
+        it("removes the recipients of a batch and skips the unknown ones", async () => {
+          await payroll.addRecipient(accounts[1].address, ETH, 10, 20);
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 20);
+          await payroll.addRecipient(accounts[3].address, ETH, 10, 20);
+          const txResponse = await payroll.removeRecipients([
+            accounts[1].address,
+            accounts[4].address,
+            accounts[3].address,
+          ]);
+          const txReceipt = await txResponse.wait();
+          assert.deepEqual(
+            txReceipt.events.map((event) => event.args.recipient),
+            [accounts[1].address, accounts[3].address]
+          );
+          assert.deepEqual(await payroll.getRecipients(), [
+            accounts[2].address,
+          ]);
+        });
+      });
+
+      describe("updatePaymentSchedule", () => {
+        const amount = 1000;
+        const interval = 100;
+        let startTimestamp;
+
+        const setNextTimestamp = async (timestamp) =>
+          network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+
+        const balance = async () =>
+          (await payroll.balanceOf(recipientAccount.address, ETH)).toNumber();
+
+        beforeEach(async () => {
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          startTimestamp = (
+            await payroll.getPaymentSchedule(recipientAccount.address)
+          ).lastTimestamp.toNumber();
+        });
+
+        it("only a payroll admin can update a payment schedule", async () => {
+          const connectedPayroll = payroll.connect(accounts[2]);
+          await expect(
+            connectedPayroll.updatePaymentSchedule(
+              recipientAccount.address,
+              2000,
+              interval,
+              0
+            )
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.PAYROLL_ADMIN_ROLE())
+          );
+        });
+
+        it("the recipient must exist", async () => {
+          await expect(
+            payroll.updatePaymentSchedule(accounts[2].address, 2000, 100, 0)
+          ).to.be.revertedWith("Payroll__RecipientNotFound");
+        });
+
+        it("the new amount and interval must not be zero", async () => {
+          await expect(
+            payroll.updatePaymentSchedule(recipientAccount.address, 0, 100, 0)
+          ).to.be.revertedWith("Payroll__InvalidPaymentData");
+          await expect(
+            payroll.updatePaymentSchedule(recipientAccount.address, 10, 0, 0)
+          ).to.be.revertedWith("Payroll__InvalidPaymentData");
+        });
+
+        it("the effective time can't be before the last payment", async () => {
+          await expect(
+            payroll.updatePaymentSchedule(
+              recipientAccount.address,
+              2000,
+              interval,
+              startTimestamp - 1
+            )
+          ).to.be.revertedWith("Payroll__InvalidEffectiveTime");
+        });
+
+        it("a raise settles the current period at the old rate and emits a PaymentScheduleUpdated event", async () => {
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 5000);
+          await setNextTimestamp(startTimestamp + 250);
+          const txResponse = await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            2000,
+            interval,
+            0
+          );
+          const txReceipt = await txResponse.wait();
+
+          const updatedEvent = txReceipt.events.find(
+            (e) => e.event === "PaymentScheduleUpdated"
+          );
+          assert.equal(updatedEvent.args.recipient, recipientAccount.address);
+          assert.equal(updatedEvent.args.oldAmount.toNumber(), amount);
+          assert.equal(updatedEvent.args.newAmount.toNumber(), 2000);
+          assert.equal(updatedEvent.args.oldInterval.toNumber(), interval);
+          assert.equal(updatedEvent.args.newInterval.toNumber(), interval);
+          assert.equal(
+            updatedEvent.args.effectiveAt.toNumber(),
+            startTimestamp + 250
+          );
+
+          // 2 periods and half a period at the old rate
+          assert.equal(await balance(), 2500);
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.equal(paymentSchedule.amount.toNumber(), 2000);
+          assert.equal(
+            paymentSchedule.lastTimestamp.toNumber(),
+            startTimestamp + 250
+          );
+          assert.deepEqual(await payroll.getRecipients(), [
+            recipientAccount.address,
+            accounts[2].address,
+          ]);
+
+          // the next period is paid at the new rate
+          await setNextTimestamp(startTimestamp + 350);
+          await payroll.performUpkeep(
+            ethers.utils.defaultAbiCoder.encode(
+              ["address[]"],
+              [[recipientAccount.address]]
+            )
+          );
+          assert.equal(await balance(), 4500);
+        });
+
+        it("a pay cut settles the current period at the old rate", async () => {
+          await setNextTimestamp(startTimestamp + 140);
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            500,
+            interval,
+            0
+          );
+          assert.equal(await balance(), 1400);
+
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+          assert.equal(await balance(), 1900);
+        });
+
+        it("an interval change moves the following paydays", async () => {
+          await setNextTimestamp(startTimestamp + 130);
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount,
+            50,
+            0
+          );
+          assert.equal(await balance(), 1300);
+
+          await setNextTimestamp(startTimestamp + 179);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          let { upkeepNeeded } = await payroll.callStatic.checkUpkeep([]);
+          assert.isFalse(upkeepNeeded);
+          await setNextTimestamp(startTimestamp + 180);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          ({ upkeepNeeded } = await payroll.callStatic.checkUpkeep([]));
+          assert.isTrue(upkeepNeeded);
+        });
+
+        it("a future update is applied by performUpkeep at its effective time", async () => {
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            2000,
+            50,
+            startTimestamp + 150
+          );
+          let paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.equal(paymentSchedule.amount.toNumber(), amount);
+          const update = await payroll.getScheduledUpdate(
+            recipientAccount.address
+          );
+          assert.equal(update.amount.toNumber(), 2000);
+          assert.equal(update.interval.toNumber(), 50);
+          assert.equal(update.effectiveAt.toNumber(), startTimestamp + 150);
+
+          // one period at the old rate, then half a period up to the effective time
+          await setNextTimestamp(startTimestamp + 160);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.isTrue(upkeepNeeded);
+          await payroll.performUpkeep(performData);
+          assert.equal(await balance(), 1500);
+
+          paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.equal(paymentSchedule.amount.toNumber(), 2000);
+          assert.equal(paymentSchedule.interval.toNumber(), 50);
+          assert.equal(
+            paymentSchedule.lastTimestamp.toNumber(),
+            startTimestamp + 150
+          );
+          assert.equal(
+            (
+              await payroll.getScheduledUpdate(recipientAccount.address)
+            ).effectiveAt.toNumber(),
+            0
+          );
+        });
+
+        it("a backdated update pays the new terms from the effective time", async () => {
+          await setNextTimestamp(startTimestamp + 250);
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            2000,
+            50,
+            startTimestamp + 200
+          );
+          // 2 periods at the old rate and 1 period at the new rate
+          assert.equal(await balance(), 4000);
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).lastTimestamp.toNumber(),
+            startTimestamp + 250
+          );
+        });
+
+        it("removing a recipient cancels a scheduled update", async () => {
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            2000,
+            50,
+            startTimestamp + 1000
+          );
+          await payroll.removeRecipient(recipientAccount.address);
+          assert.equal(
+            (
+              await payroll.getScheduledUpdate(recipientAccount.address)
+            ).effectiveAt.toNumber(),
+            0
+          );
+        });
+      });
+
       describe("withdraw", () => {
-        it("only the owner can withdraw", async () => {
+        it("only a treasurer can withdraw", async () => {
           const attackerAccount = accounts[2];
           const connectedPayroll = payroll.connect(attackerAccount);
-          await expect(connectedPayroll.withdraw()).to.be.revertedWith(
-            ownableErrorMessage
+          await expect(connectedPayroll.withdraw(ETH, 1)).to.be.revertedWith(
+            missingRoleMessage(attackerAccount, await payroll.TREASURER_ROLE())
           );
         });
 
@@ -165,7 +640,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           );
 
           // withdraw
-          txResponse = await payroll.withdraw();
+          txResponse = await payroll.withdraw(ETH, await payroll.surplus(ETH));
 
           // get the gas cost
           const { gasUsed, effectiveGasPrice } = await txResponse.wait();
@@ -189,111 +664,324 @@ const { developmentChains } = require("../../helper-hardhat-config");
               .toString()
           );
         });
-      });
 
-      describe("withdrawPayments", () => {
-        it("a non recipient cannot withdraw payments", async () => {
+        it("can't send more than the surplus", async () => {
           await fundContract("1");
-          const interval = 30;
-          await payroll.addRecipient(recipientAccount.address, 10, interval);
-          await network.provider.send("evm_increaseTime", [interval + 1]);
+          const surplus = await payroll.surplus(ETH);
+          await expect(
+            payroll.withdraw(ETH, surplus.add(1))
+          ).to.be.revertedWith(
+            `Payroll__AmountExceedsSurplus(${surplus.add(1)}, ${surplus})`
+          );
+          await expect(() =>
+            payroll.withdraw(ETH, surplus.div(2))
+          ).to.changeEtherBalance(payroll, surplus.div(2).mul(-1));
+        });
+      });
+
+      describe("liabilities", () => {
+        const interval = 30;
+        let amount1, amount2;
+
+        const payDueRecipients = async () => {
+          await network.provider.send("evm_increaseTime", [interval]);
           await network.provider.request({ method: "evm_mine", params: [] });
-          [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          const [, performData] = await payroll.checkUpkeep([]);
           await payroll.performUpkeep(performData);
+        };
 
-          const recipientInitialBalance = await payroll.provider.getBalance(
-            recipientAccount.address
+        beforeEach(async () => {
+          amount1 = ethers.utils.parseEther("0.1");
+          amount2 = ethers.utils.parseEther("0.15");
+          await fundContract("1");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount1,
+            interval
           );
-          const attackerAccount = accounts[2];
-          const attackerInitialBalance = await payroll.provider.getBalance(
-            attackerAccount.address
+          await payroll.addRecipient(
+            accounts[2].address,
+            ETH,
+            amount2,
+            interval
           );
-          const connectedPayroll = payroll.connect(attackerAccount);
-          const txResponse = await connectedPayroll.withdrawPayments();
-          // get the gas cost
-          const { gasUsed, effectiveGasPrice } = await txResponse.wait();
-          const gasCost = gasUsed.mul(effectiveGasPrice);
+        });
 
-          const recipientFinalBalance = await payroll.provider.getBalance(
-            recipientAccount.address
+        it("tracks the payments owed to recipients", async () => {
+          assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+          await payDueRecipients();
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount1.add(amount2).toString()
           );
-          const attackerFinalBalance = await payroll.provider.getBalance(
-            attackerAccount.address
+
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount2.toString()
           );
-          assert.isTrue(recipientInitialBalance.gt(0));
+        });
+
+        it("the surplus is the contract balance minus the liabilities", async () => {
           assert.equal(
-            recipientInitialBalance.toString(),
-            recipientFinalBalance.toString()
+            (await payroll.surplus(ETH)).toString(),
+            ethers.utils.parseEther("1").toString()
           );
+          await payDueRecipients();
           assert.equal(
-            attackerInitialBalance.sub(gasCost).toString(),
-            attackerFinalBalance.toString()
+            (await payroll.surplus(ETH)).toString(),
+            ethers.utils.parseEther("0.75").toString()
           );
         });
 
-        it("a recipient can withdraw payments and a Transfer event is emitted", async () => {
-          await fundContract("1");
-          const interval = 30;
-          const paymentAmount = 50;
-          await payroll.addRecipient(
-            recipientAccount.address,
-            paymentAmount,
-            interval
+        it("the surplus is zero when the contract is underfunded", async () => {
+          await payroll.updatePaymentSchedule(
+            accounts[2].address,
+            ethers.utils.parseEther("2"),
+            interval,
+            0
           );
-          await network.provider.send("evm_increaseTime", [interval + 1]);
-          await network.provider.request({ method: "evm_mine", params: [] });
-          [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
-          await payroll.performUpkeep(performData);
+          await payDueRecipients();
+          assert.equal((await payroll.surplus(ETH)).toString(), "0");
+          assert.equal((await payroll.runway(ETH)).toString(), "0");
+        });
 
-          const initialBalance = await payroll.provider.getBalance(
-            recipientAccount.address
-          );
-          const connectedPayroll = payroll.connect(recipientAccount);
-          const txResponse = await connectedPayroll.withdrawPayments();
-          // get the gas cost
-          const txReceipt = await txResponse.wait();
-          const gasCost = txReceipt.gasUsed.mul(txReceipt.effectiveGasPrice);
-          const finalBalance = await payroll.provider.getBalance(
-            recipientAccount.address
+        it("the runway is the number of payroll cycles the surplus covers", async () => {
+          assert.equal(
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            amount1.add(amount2).toString()
           );
+          assert.equal((await payroll.runway(ETH)).toNumber(), 4);
+          await payDueRecipients();
+          assert.equal((await payroll.runway(ETH)).toNumber(), 3);
 
-          assert.equal(txReceipt.events[0].event, "Transfer");
-          assert.equal(txReceipt.events[0].args.from, payroll.address);
-          assert.equal(txReceipt.events[0].args.to, recipientAccount.address);
+          await payroll.removeRecipient(accounts[2].address);
           assert.equal(
-            txReceipt.events[0].args.amount.toString(),
-            paymentAmount.toString()
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            amount1.toString()
           );
-          assert.equal(
-            initialBalance.add(paymentAmount).sub(gasCost).toString(),
-            finalBalance.toString()
+          assert.equal((await payroll.runway(ETH)).toNumber(), 7);
+          assert.isTrue(
+            (await payroll.runway(token.address)).eq(
+              ethers.constants.MaxUint256
+            )
           );
-          assert.equal(0, await payroll.balanceOf(recipientAccount.address));
         });
 
-        it("emits InsufficientBalance when the contract balance is not enough and doesn't change the recipient's payment balance", async () => {
-          const interval = 30;
-          const paymentAmount = 5000;
-          await payroll.addRecipient(
+        it("the payroll per cycle follows schedule updates", async () => {
+          await payroll.updatePaymentSchedule(
             recipientAccount.address,
-            paymentAmount,
-            interval
+            amount2,
+            interval,
+            0
+          );
+          assert.equal(
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            amount2.mul(2).toString()
+          );
+        });
+
+        it("the owner only withdraws the surplus", async () => {
+          await payDueRecipients();
+          const ownerInitialBalance = await payroll.provider.getBalance(
+            owner.address
+          );
+          const txResponse = await payroll.withdraw(
+            ETH,
+            await payroll.surplus(ETH)
+          );
+          const { gasUsed, effectiveGasPrice } = await txResponse.wait();
+
+          assert.equal(
+            (await payroll.provider.getBalance(payroll.address)).toString(),
+            amount1.add(amount2).toString()
+          );
+          assert.equal(
+            (await payroll.provider.getBalance(owner.address)).toString(),
+            ownerInitialBalance
+              .add(ethers.utils.parseEther("0.75"))
+              .sub(gasUsed.mul(effectiveGasPrice))
+              .toString()
+          );
+        });
+
+        it("an owner withdrawal never breaks a recipient's claim", async () => {
+          const withdrawPayments = async (recipient) => {
+            const txResponse = await payroll
+              .connect(recipient)
+              .withdrawPayments(ETH);
+            const txReceipt = await txResponse.wait();
+            assert.equal(txReceipt.events[0].event, "Transfer");
+            return txReceipt.events[0].args.amount.toString();
+          };
+
+          await payDueRecipients();
+          await payroll.withdraw(ETH, await payroll.surplus(ETH));
+          assert.equal(
+            await withdrawPayments(recipientAccount),
+            amount1.toString()
+          );
+
+          await fundContract("1");
+          await payDueRecipients();
+          await payroll.withdraw(ETH, await payroll.surplus(ETH));
+          assert.equal(
+            await withdrawPayments(recipientAccount),
+            amount1.toString()
+          );
+          assert.equal(
+            await withdrawPayments(accounts[2]),
+            amount2.mul(2).toString()
+          );
+          assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+          assert.equal(
+            (await payroll.provider.getBalance(payroll.address)).toString(),
+            "0"
+          );
+        });
+
+        it("the owner only withdraws the token surplus", async () => {
+          const tokenAmount = ethers.utils.parseUnits("100", 6);
+          await fundContractWithTokens(tokenAmount.mul(3));
+          await payroll.addRecipient(
+            accounts[3].address,
+            token.address,
+            tokenAmount,
+            interval
+          );
+          await payDueRecipients();
+          await payroll.withdraw(
+            token.address,
+            await payroll.surplus(token.address)
+          );
+
+          assert.equal(
+            (await token.balanceOf(payroll.address)).toString(),
+            tokenAmount.toString()
+          );
+          await payroll.connect(accounts[3]).withdrawPayments(token.address);
+          assert.equal(
+            (await token.balanceOf(accounts[3].address)).toString(),
+            tokenAmount.toString()
+          );
+        });
+      });
+
+      describe("withdrawPayments", () => {
+        it("a non recipient cannot withdraw payments", async () => {
+          await fundContract("1");
+          const interval = 30;
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            10,
+            interval
           );
           await network.provider.send("evm_increaseTime", [interval + 1]);
           await network.provider.request({ method: "evm_mine", params: [] });
           [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
           await payroll.performUpkeep(performData);
 
-          const initialPaymentBalance = await payroll.balanceOf(
+          const recipientInitialBalance = await payroll.provider.getBalance(
+            recipientAccount.address
+          );
+          const attackerAccount = accounts[2];
+          const attackerInitialBalance = await payroll.provider.getBalance(
+            attackerAccount.address
+          );
+          const connectedPayroll = payroll.connect(attackerAccount);
+          const txResponse = await connectedPayroll.withdrawPayments(ETH);
+          // get the gas cost
+          const { gasUsed, effectiveGasPrice } = await txResponse.wait();
+          const gasCost = gasUsed.mul(effectiveGasPrice);
+
+          const recipientFinalBalance = await payroll.provider.getBalance(
+            recipientAccount.address
+          );
+          const attackerFinalBalance = await payroll.provider.getBalance(
+            attackerAccount.address
+          );
+          assert.isTrue(recipientInitialBalance.gt(0));
+          assert.equal(
+            recipientInitialBalance.toString(),
+            recipientFinalBalance.toString()
+          );
+          assert.equal(
+            attackerInitialBalance.sub(gasCost).toString(),
+            attackerFinalBalance.toString()
+          );
+        });
+
+        it("a recipient can withdraw payments and a Transfer event is emitted", async () => {
+          await fundContract("1");
+          const interval = 30;
+          const paymentAmount = 50;
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            paymentAmount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval + 1]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+
+          const initialBalance = await payroll.provider.getBalance(
+            recipientAccount.address
+          );
+          const connectedPayroll = payroll.connect(recipientAccount);
+          const txResponse = await connectedPayroll.withdrawPayments(ETH);
+          // get the gas cost
+          const txReceipt = await txResponse.wait();
+          const gasCost = txReceipt.gasUsed.mul(txReceipt.effectiveGasPrice);
+          const finalBalance = await payroll.provider.getBalance(
             recipientAccount.address
           );
+
+          assert.equal(txReceipt.events[0].event, "Transfer");
+          assert.equal(txReceipt.events[0].args.from, payroll.address);
+          assert.equal(txReceipt.events[0].args.to, recipientAccount.address);
+          assert.equal(
+            txReceipt.events[0].args.amount.toString(),
+            paymentAmount.toString()
+          );
+          assert.equal(
+            initialBalance.add(paymentAmount).sub(gasCost).toString(),
+            finalBalance.toString()
+          );
+          assert.equal(
+            0,
+            await payroll.balanceOf(recipientAccount.address, ETH)
+          );
+        });
+
+        it("emits InsufficientBalance when the contract balance is not enough and doesn't change the recipient's payment balance", async () => {
+          const interval = 30;
+          const paymentAmount = 5000;
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            paymentAmount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval + 1]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+
+          const initialPaymentBalance = await payroll.balanceOf(
+            recipientAccount.address,
+            ETH
+          );
           const connectedPayroll = payroll.connect(recipientAccount);
-          const txResponse = await connectedPayroll.withdrawPayments();
+          const txResponse = await connectedPayroll.withdrawPayments(ETH);
           const txReceipt = await txResponse.wait();
           assert.equal(txReceipt.events[0].event, "InsufficientBalance");
           assert.equal(
             txReceipt.events[0].args.requiredAmount.toString(),
-            (await payroll.balanceOf(recipientAccount.address)).toString()
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString()
           );
           assert.equal(
             txReceipt.events[0].args.recipient,
@@ -305,7 +993,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           );
           assert.equal(
             initialPaymentBalance.toString(),
-            (await payroll.balanceOf(recipientAccount.address)).toString()
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString()
           );
         });
       });
@@ -313,8 +1001,13 @@ const { developmentChains } = require("../../helper-hardhat-config");
       describe("checkUpkeep", () => {
         it("returns true when enough time has passed for at least one recipient and returns eligible recipients", async () => {
           const interval = 30;
-          await payroll.addRecipient(recipientAccount.address, 10, interval);
-          await payroll.addRecipient(accounts[2].address, 10, 5000);
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            10,
+            interval
+          );
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 5000);
           await network.provider.send("evm_increaseTime", [interval + 1]);
           await network.provider.request({ method: "evm_mine", params: [] });
 
@@ -340,8 +1033,8 @@ const { developmentChains } = require("../../helper-hardhat-config");
           assert.isFalse(upkeepNeeded);
           assert.equal(eligibleRecipients.length, 0);
 
-          await payroll.addRecipient(accounts[2].address, 10, 5000);
-          await payroll.addRecipient(accounts[3].address, 10, 6000);
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 5000);
+          await payroll.addRecipient(accounts[3].address, ETH, 10, 6000);
           await network.provider.send("evm_increaseTime", [30]);
           await network.provider.request({ method: "evm_mine", params: [] });
           [upkeepNeeded, performData] = await payroll.callStatic.checkUpkeep(
@@ -356,9 +1049,100 @@ const { developmentChains } = require("../../helper-hardhat-config");
         });
       });
 
+      describe("sharded upkeep", () => {
+        const interval = 30;
+        const encodeRange = (startIndex, endIndex) =>
+          ethers.utils.defaultAbiCoder.encode(
+            ["uint256", "uint256"],
+            [startIndex, endIndex]
+          );
+        const decodeRecipients = (performData) =>
+          ethers.utils.defaultAbiCoder.decode(["address[]"], performData)[0];
+
+        beforeEach(async () => {
+          for (let i = 1; i <= 5; i++) {
+            await payroll.addRecipient(accounts[i].address, ETH, 10, interval);
+          }
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        });
+
+        it("checkData ranges split the roster between upkeeps", async () => {
+          const first = await payroll.callStatic.checkUpkeep(encodeRange(0, 2));
+          const second = await payroll.callStatic.checkUpkeep(
+            encodeRange(2, ethers.constants.MaxUint256)
+          );
+          assert.deepEqual(decodeRecipients(first.performData), [
+            accounts[1].address,
+            accounts[2].address,
+          ]);
+          assert.deepEqual(decodeRecipients(second.performData), [
+            accounts[3].address,
+            accounts[4].address,
+            accounts[5].address,
+          ]);
+        });
+
+        it("a range past the end of the roster needs no upkeep", async () => {
+          const { upkeepNeeded, performData } =
+            await payroll.callStatic.checkUpkeep(encodeRange(10, 20));
+          assert.isFalse(upkeepNeeded);
+          assert.equal(decodeRecipients(performData).length, 0);
+        });
+
+        it("checkUpkeep returns at most the maximum batch size", async () => {
+          await payroll.setMaxBatchSize(2);
+          let [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.isTrue(upkeepNeeded);
+          assert.deepEqual(decodeRecipients(performData), [
+            accounts[1].address,
+            accounts[2].address,
+          ]);
+
+          // the next batches pay the remaining recipients
+          await payroll.performUpkeep(performData);
+          [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.deepEqual(decodeRecipients(performData), [
+            accounts[3].address,
+            accounts[4].address,
+          ]);
+          await payroll.performUpkeep(performData);
+          [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.deepEqual(decodeRecipients(performData), [
+            accounts[5].address,
+          ]);
+        });
+
+        it("performUpkeep reverts when performData exceeds the maximum batch size", async () => {
+          await payroll.setMaxBatchSize(2);
+          const performData = ethers.utils.defaultAbiCoder.encode(
+            ["address[]"],
+            [[accounts[1].address, accounts[2].address, accounts[3].address]]
+          );
+          await expect(payroll.performUpkeep(performData)).to.be.revertedWith(
+            "Payroll__BatchTooLarge"
+          );
+        });
+
+        it("only the admin can set a non-zero maximum batch size", async () => {
+          await expect(
+            payroll.connect(accounts[2]).setMaxBatchSize(10)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.DEFAULT_ADMIN_ROLE())
+          );
+          await expect(payroll.setMaxBatchSize(0)).to.be.revertedWith(
+            "Payroll__InvalidBatchSize"
+          );
+          const txResponse = await payroll.setMaxBatchSize(10);
+          const txReceipt = await txResponse.wait();
+          assert.equal(txReceipt.events[0].event, "MaxBatchSizeUpdated");
+          assert.equal((await payroll.getMaxBatchSize()).toNumber(), 10);
+        });
+      });
+
       describe("performUpkeep", () => {
         it("doesn't update lastTimestamp if no payment is due", async () => {
-          await payroll.addRecipient(recipientAccount.address, 10, 5000);
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 5000);
           const initialLastTimestamp = (
             await payroll.getPaymentSchedule(recipientAccount.address)
           ).lastTimestamp;
@@ -385,6 +1169,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           const interval = 30;
           await payroll.addRecipient(
             recipientAccount.address,
+            ETH,
             amount,
             interval
           );
@@ -405,7 +1190,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           );
           assert.equal(
             amount.toString(),
-            (await payroll.balanceOf(recipientAccount.address)).toString()
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString()
           );
         });
 
@@ -415,6 +1200,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           const interval = 30;
           await payroll.addRecipient(
             recipientAccount.address,
+            ETH,
             amount,
             interval
           );
@@ -427,7 +1213,7 @@ const { developmentChains } = require("../../helper-hardhat-config");
           }
 
           assert.equal(
-            (await payroll.balanceOf(recipientAccount.address)).toString(),
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
             amount.mul(nbOfPayments).toString()
           );
         });
@@ -442,17 +1228,25 @@ const { developmentChains } = require("../../helper-hardhat-config");
 
           await payroll.addRecipient(
             recipientAccount.address,
+            ETH,
             amount1,
             interval - 5
           );
           await payroll.addRecipient(
             accounts[2].address,
+            ETH,
             amount2,
             interval - 3
           );
-          await payroll.addRecipient(accounts[3].address, amount3, interval);
+          await payroll.addRecipient(
+            accounts[3].address,
+            ETH,
+            amount3,
+            interval
+          );
           await payroll.addRecipient(
             accounts[4].address,
+            ETH,
             amount4,
             interval + 5
           );
@@ -462,21 +1256,3618 @@ const { developmentChains } = require("../../helper-hardhat-config");
           await payroll.performUpkeep(performData);
 
           assert.equal(
-            (await payroll.balanceOf(recipientAccount.address)).toString(),
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
             amount1.toString()
           );
           assert.equal(
-            (await payroll.balanceOf(accounts[2].address)).toString(),
+            (await payroll.balanceOf(accounts[2].address, ETH)).toString(),
             amount2.toString()
           );
           assert.equal(
-            (await payroll.balanceOf(accounts[3].address)).toString(),
+            (await payroll.balanceOf(accounts[3].address, ETH)).toString(),
             amount3.toString()
           );
           assert.equal(
-            (await payroll.balanceOf(accounts[4].address)).toString(),
+            (await payroll.balanceOf(accounts[4].address, ETH)).toString(),
             "0"
           );
         });
       });
+      describe("drift-free accrual", () => {
+        const interval = 30;
+        let amount, startTimestamp;
+
+        // mine a block at an exact timestamp
+        const mineAt = async (timestamp) => {
+          await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        const performUpkeepAt = async (timestamp) => {
+          const [, performData] = await payroll.checkUpkeep([]);
+          await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+          return payroll.performUpkeep(performData);
+        };
+
+        beforeEach(async () => {
+          await fundContract("1");
+          amount = ethers.utils.parseEther("0.1");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          startTimestamp = (
+            await payroll.getPaymentSchedule(recipientAccount.address)
+          ).lastTimestamp.toNumber();
+        });
+
+        it("a payment is due as soon as a full interval has elapsed", async () => {
+          await mineAt(startTimestamp + interval - 1);
+          let { upkeepNeeded } = await payroll.callStatic.checkUpkeep([]);
+          assert.isFalse(upkeepNeeded);
+
+          await mineAt(startTimestamp + interval);
+          ({ upkeepNeeded } = await payroll.callStatic.checkUpkeep([]));
+          assert.isTrue(upkeepNeeded);
+        });
+
+        it("pays every missed period when upkeeps are late", async () => {
+          await network.provider.send("evm_increaseTime", [3 * interval + 10]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          const txResponse = await payroll.performUpkeep(performData);
+          const txReceipt = await txResponse.wait();
+
+          assert.equal(txReceipt.events[0].event, "PaymentDone");
+          assert.equal(
+            txReceipt.events[0].args.amount.toString(),
+            amount.mul(3).toString()
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(3).toString()
+          );
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).lastTimestamp.toNumber(),
+            startTimestamp + 3 * interval
+          );
+        });
+
+        it("keeps paydays anchored to the schedule start", async () => {
+          // the first upkeep runs 20 seconds late
+          await mineAt(startTimestamp + interval + 19);
+          await performUpkeepAt(startTimestamp + interval + 20);
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).lastTimestamp.toNumber(),
+            startTimestamp + interval
+          );
+
+          // the next payday is still one interval after the previous one
+          await mineAt(startTimestamp + 2 * interval - 1);
+          let { upkeepNeeded } = await payroll.callStatic.checkUpkeep([]);
+          assert.isFalse(upkeepNeeded);
+          await mineAt(startTimestamp + 2 * interval);
+          ({ upkeepNeeded } = await payroll.callStatic.checkUpkeep([]));
+          assert.isTrue(upkeepNeeded);
+        });
+
+        it("pays the exact total over many irregular upkeeps", async () => {
+          const delays = [interval + 7, interval * 2 + 29, 5, interval * 4];
+          for (const delay of delays) {
+            await network.provider.send("evm_increaseTime", [delay]);
+            await network.provider.request({ method: "evm_mine", params: [] });
+            const [, performData] = await payroll.checkUpkeep([]);
+            await payroll.performUpkeep(performData);
+          }
+
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          const periods =
+            (paymentSchedule.lastTimestamp.toNumber() - startTimestamp) /
+            interval;
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          assert.equal(
+            periods,
+            Math.floor((timestamp - startTimestamp) / interval)
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(periods).toString()
+          );
+        });
+      });
+
+      describe("ERC-20 payroll", () => {
+        const interval = 30;
+        let amount;
+
+        beforeEach(async () => {
+          amount = ethers.utils.parseUnits("1500", await token.decimals());
+        });
+
+        it("fund transfers tokens from the caller to the contract", async () => {
+          await fundContractWithTokens(amount);
+          assert.equal(
+            (await token.balanceOf(payroll.address)).toString(),
+            amount.toString()
+          );
+          assert.equal((await token.balanceOf(owner.address)).toString(), "0");
+        });
+
+        it("stores the token of an added recipient", async () => {
+          const txResponse = await payroll.addRecipient(
+            recipientAccount.address,
+            token.address,
+            amount,
+            interval
+          );
+          const txReceipt = await txResponse.wait();
+          assert.equal(txReceipt.events[0].event, "RecipientAdded");
+          assert.equal(txReceipt.events[0].args.token, token.address);
+          assert.equal(
+            (await payroll.getPaymentSchedule(recipientAccount.address)).token,
+            token.address
+          );
+        });
+
+        it("allocates token payments separately from ETH payments", async () => {
+          await payroll.addRecipient(
+            recipientAccount.address,
+            token.address,
+            amount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval + 1]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          const txResponse = await payroll.performUpkeep(performData);
+          const txReceipt = await txResponse.wait();
+
+          assert.equal(txReceipt.events[0].event, "PaymentDone");
+          assert.equal(txReceipt.events[0].args.token, token.address);
+          assert.equal(
+            (
+              await payroll.balanceOf(recipientAccount.address, token.address)
+            ).toString(),
+            amount.toString()
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "0"
+          );
+        });
+
+        it("a recipient can withdraw token payments", async () => {
+          await fundContractWithTokens(amount.mul(2));
+          await payroll.addRecipient(
+            recipientAccount.address,
+            token.address,
+            amount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval + 1]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+
+          const connectedPayroll = payroll.connect(recipientAccount);
+          const txResponse = await connectedPayroll.withdrawPayments(
+            token.address
+          );
+          const txReceipt = await txResponse.wait();
+          const transferEvent = txReceipt.events.find(
+            (e) => e.event === "Transfer"
+          );
+
+          assert.equal(transferEvent.args.from, payroll.address);
+          assert.equal(transferEvent.args.to, recipientAccount.address);
+          assert.equal(transferEvent.args.amount.toString(), amount.toString());
+          assert.equal(transferEvent.args.token, token.address);
+          assert.equal(
+            (await token.balanceOf(recipientAccount.address)).toString(),
+            amount.toString()
+          );
+          assert.equal(
+            (
+              await payroll.balanceOf(recipientAccount.address, token.address)
+            ).toString(),
+            "0"
+          );
+        });
+
+        it("emits InsufficientBalance when the contract doesn't hold enough tokens", async () => {
+          await fundContract("1");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            token.address,
+            amount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval + 1]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+
+          const connectedPayroll = payroll.connect(recipientAccount);
+          const txResponse = await connectedPayroll.withdrawPayments(
+            token.address
+          );
+          const txReceipt = await txResponse.wait();
+
+          assert.equal(txReceipt.events[0].event, "InsufficientBalance");
+          assert.equal(
+            txReceipt.events[0].args.contractBalance.toString(),
+            "0"
+          );
+          assert.equal(txReceipt.events[0].args.token, token.address);
+          assert.equal(
+            (
+              await payroll.balanceOf(recipientAccount.address, token.address)
+            ).toString(),
+            amount.toString()
+          );
+        });
+
+        it("the owner can withdraw the contract tokens", async () => {
+          await fundContractWithTokens(amount);
+          await payroll.withdraw(
+            token.address,
+            await payroll.surplus(token.address)
+          );
+          assert.equal(
+            (await token.balanceOf(payroll.address)).toString(),
+            "0"
+          );
+          assert.equal(
+            (await token.balanceOf(owner.address)).toString(),
+            amount.toString()
+          );
+        });
+
+        it("only a treasurer can withdraw the contract tokens", async () => {
+          const connectedPayroll = payroll.connect(accounts[2]);
+          await expect(
+            connectedPayroll.withdraw(token.address, 1)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.TREASURER_ROLE())
+          );
+        });
+      });
+
+      describe("streaming", () => {
+        // 1e12 wei per second
+        const amount = ethers.utils.parseEther("0.0036");
+        const interval = 3600;
+        const ratePerSecond = amount.div(interval);
+        let startTimestamp;
+
+        const timestampOf = async (txResponse) => {
+          const { blockNumber } = await txResponse.wait();
+          return (await ethers.provider.getBlock(blockNumber)).timestamp;
+        };
+
+        const advanceTime = async (seconds) => {
+          await network.provider.send("evm_increaseTime", [seconds]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        beforeEach(async () => {
+          await fundContract("1");
+          startTimestamp = await timestampOf(
+            await payroll.addStreamingRecipient(
+              recipientAccount.address,
+              ETH,
+              amount,
+              interval
+            )
+          );
+        });
+
+        it("only a payroll admin can add a streaming recipient", async () => {
+          await expect(
+            payroll
+              .connect(accounts[2])
+              .addStreamingRecipient(accounts[2].address, ETH, 10, 20)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.PAYROLL_ADMIN_ROLE())
+          );
+        });
+
+        it("stores a streaming payment schedule", async () => {
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.isTrue(paymentSchedule.streaming);
+          assert.equal(paymentSchedule.amount.toString(), amount.toString());
+          assert.equal(
+            paymentSchedule.lastTimestamp.toNumber(),
+            startTimestamp
+          );
+        });
+
+        it("balanceOf reports the amount streamed so far", async () => {
+          await advanceTime(100);
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            ratePerSecond.mul(timestamp - startTimestamp).toString()
+          );
+          assert.equal(
+            (
+              await payroll.balanceOf(recipientAccount.address, token.address)
+            ).toString(),
+            "0"
+          );
+        });
+
+        it("checkUpkeep skips streaming recipients", async () => {
+          await payroll.addRecipient(accounts[2].address, ETH, 10, 30);
+          await advanceTime(interval * 2);
+          const [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.isTrue(upkeepNeeded);
+          const [recipientsToPay] = ethers.utils.defaultAbiCoder.decode(
+            ["address[]"],
+            performData
+          );
+          assert.deepEqual(recipientsToPay, [accounts[2].address]);
+        });
+
+        it("performUpkeep doesn't settle streaming recipients", async () => {
+          await advanceTime(interval * 2);
+          const txResponse = await payroll.performUpkeep(
+            ethers.utils.defaultAbiCoder.encode(
+              ["address[]"],
+              [[recipientAccount.address]]
+            )
+          );
+          const txReceipt = await txResponse.wait();
+          assert.equal(txReceipt.events.length, 0);
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).lastTimestamp.toNumber(),
+            startTimestamp
+          );
+        });
+
+        it("withdrawPayments settles and sends the streamed amount", async () => {
+          await advanceTime(500);
+          const connectedPayroll = payroll.connect(recipientAccount);
+          const txResponse = await connectedPayroll.withdrawPayments(ETH);
+          const withdrawTimestamp = await timestampOf(txResponse);
+          const streamed = ratePerSecond.mul(
+            withdrawTimestamp - startTimestamp
+          );
+          await expect(txResponse)
+            .to.emit(payroll, "PaymentDone")
+            .withArgs(recipientAccount.address, streamed, ETH);
+          await expect(txResponse)
+            .to.emit(payroll, "Transfer")
+            .withArgs(payroll.address, recipientAccount.address, streamed, ETH);
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).lastTimestamp.toNumber(),
+            withdrawTimestamp
+          );
+          assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+        });
+
+        it("the streamed amount isn't part of the surplus", async () => {
+          await advanceTime(1000);
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          const streamed = ratePerSecond.mul(timestamp - startTimestamp);
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            streamed.toString()
+          );
+
+          // the surplus shrinks every second while the recipient streams
+          const balance = await payroll.provider.getBalance(payroll.address);
+          const withdrawTimestamp = timestamp + 10;
+          const streamedAtWithdrawal = ratePerSecond.mul(
+            withdrawTimestamp - startTimestamp
+          );
+          await network.provider.send("evm_setNextBlockTimestamp", [
+            withdrawTimestamp,
+          ]);
+          await payroll.withdraw(ETH, balance.sub(streamedAtWithdrawal));
+          assert.equal(
+            (await payroll.provider.getBalance(payroll.address)).toString(),
+            streamedAtWithdrawal.toString()
+          );
+        });
+
+        it("removing a streaming recipient settles the streamed amount", async () => {
+          await advanceTime(200);
+          const removeTimestamp = await timestampOf(
+            await payroll.removeRecipient(recipientAccount.address)
+          );
+          const streamed = ratePerSecond.mul(removeTimestamp - startTimestamp);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            streamed.toString()
+          );
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            streamed.toString()
+          );
+        });
+
+        it("applies a scheduled rate change at the next settlement", async () => {
+          const effectiveAt = startTimestamp + 1000;
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount.mul(2),
+            interval,
+            effectiveAt
+          );
+          await advanceTime(2000);
+          const withdrawTimestamp = await timestampOf(
+            await payroll.connect(recipientAccount).withdrawPayments(ETH)
+          );
+          const expected = ratePerSecond
+            .mul(1000)
+            .add(ratePerSecond.mul(2).mul(withdrawTimestamp - effectiveAt));
+          assert.equal(
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            amount.mul(2).toString()
+          );
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.isTrue(paymentSchedule.streaming);
+          assert.equal(
+            paymentSchedule.amount.toString(),
+            amount.mul(2).toString()
+          );
+          assert.equal(
+            (await payroll.provider.getBalance(payroll.address)).toString(),
+            ethers.utils.parseEther("1").sub(expected).toString()
+          );
+        });
+      });
+
+      describe("fixed term", () => {
+        const amount = ethers.utils.parseEther("0.1");
+        const interval = 1000;
+        const noTerm = {
+          startTime: 0,
+          endTime: 0,
+          maxPayments: 0,
+          cliff: 0,
+          streaming: false,
+          usdDenominated: false,
+        };
+
+        const latestTimestamp = async () =>
+          (await ethers.provider.getBlock("latest")).timestamp;
+
+        const increaseTimeTo = async (timestamp) => {
+          await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        const addFixedTermRecipient = (term) =>
+          payroll.addFixedTermRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval,
+            { ...noTerm, ...term }
+          );
+
+        const performUpkeep = async () => {
+          const [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          if (!upkeepNeeded) {
+            return undefined;
+          }
+          return (await payroll.performUpkeep(performData)).wait();
+        };
+
+        beforeEach(async () => {
+          await fundContract("1");
+        });
+
+        it("only a payroll admin can add a fixed-term recipient", async () => {
+          await expect(
+            payroll
+              .connect(accounts[2])
+              .addFixedTermRecipient(
+                accounts[2].address,
+                ETH,
+                amount,
+                interval,
+                noTerm
+              )
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.PAYROLL_ADMIN_ROLE())
+          );
+        });
+
+        it("the term must be consistent", async () => {
+          const now = await latestTimestamp();
+          for (const term of [
+            { startTime: now - 100 },
+            { startTime: now + 100, endTime: now + 100 },
+            { endTime: now + 100, cliff: 200 },
+          ]) {
+            await expect(addFixedTermRecipient(term)).to.be.revertedWith(
+              "Payroll__InvalidTerm"
+            );
+          }
+        });
+
+        it("nothing is paid before a future start time", async () => {
+          const startTime = (await latestTimestamp()) + 5000;
+          await addFixedTermRecipient({ startTime });
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.equal(paymentSchedule.lastTimestamp.toNumber(), startTime);
+
+          await increaseTimeTo(startTime + interval - 1);
+          assert.isUndefined(await performUpkeep());
+          await increaseTimeTo(startTime + interval);
+          await performUpkeep();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+        });
+
+        it("an update effective now applies from a future start time", async () => {
+          const startTime = (await latestTimestamp()) + 5000;
+          await addFixedTermRecipient({ startTime });
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount.mul(2),
+            interval,
+            0
+          );
+          assert.equal(
+            (
+              await payroll.getScheduledUpdate(recipientAccount.address)
+            ).effectiveAt.toNumber(),
+            startTime
+          );
+
+          await increaseTimeTo(startTime + interval);
+          await performUpkeep();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(2).toString()
+          );
+        });
+
+        it("the periods elapsed before the cliff are paid at the cliff", async () => {
+          await addFixedTermRecipient({ cliff: interval * 3 });
+          const { lastTimestamp } = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          await increaseTimeTo(lastTimestamp.toNumber() + interval * 3 - 1);
+          assert.isUndefined(await performUpkeep());
+          await increaseTimeTo(lastTimestamp.toNumber() + interval * 3);
+          await performUpkeep();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(3).toString()
+          );
+        });
+
+        it("the schedule completes after the maximum number of payments", async () => {
+          await addFixedTermRecipient({ maxPayments: 3 });
+          const { lastTimestamp, endTime } = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.equal(
+            endTime.toNumber(),
+            lastTimestamp.toNumber() + interval * 3
+          );
+
+          await increaseTimeTo(lastTimestamp.toNumber() + interval * 10);
+          const txReceipt = await performUpkeep();
+          const events = txReceipt.events.map((e) => e.event);
+          assert.deepEqual(events, ["PaymentDone", "PaymentScheduleCompleted"]);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(3).toString()
+          );
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 0);
+          assert.equal((await payroll.payrollPerCycle(ETH)).toString(), "0");
+          assert.isUndefined(await performUpkeep());
+
+          // the recipient can still withdraw
+          await expect(
+            payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.emit(payroll, "Transfer");
+        });
+
+        it("the last period is paid pro rata at the end time", async () => {
+          const startTime = (await latestTimestamp()) + 10;
+          await addFixedTermRecipient({
+            startTime,
+            endTime: startTime + interval * 2 + interval / 2,
+          });
+          await increaseTimeTo(startTime + interval * 5);
+          await performUpkeep();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(5).div(2).toString()
+          );
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 0);
+        });
+
+        it("the earliest of the end time and the maximum payments applies", async () => {
+          const startTime = (await latestTimestamp()) + 10;
+          await addFixedTermRecipient({
+            startTime,
+            endTime: startTime + interval * 10,
+            maxPayments: 2,
+          });
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).endTime.toNumber(),
+            startTime + interval * 2
+          );
+        });
+
+        it("a schedule cannot be updated after the end of the term", async () => {
+          const startTime = (await latestTimestamp()) + 10;
+          await addFixedTermRecipient({ startTime, maxPayments: 2 });
+          await expect(
+            payroll.updatePaymentSchedule(
+              recipientAccount.address,
+              amount,
+              interval,
+              startTime + interval * 2
+            )
+          ).to.be.revertedWith("Payroll__InvalidEffectiveTime");
+        });
+
+        it("a fixed-term stream stops at the end time and is retired by the upkeep", async () => {
+          const startTime = (await latestTimestamp()) + 10;
+          await addFixedTermRecipient({
+            startTime,
+            endTime: startTime + interval,
+            streaming: true,
+          });
+          await increaseTimeTo(startTime + interval / 2);
+          assert.isUndefined(await performUpkeep());
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.div(2).toString()
+          );
+
+          await increaseTimeTo(startTime + interval * 3);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+          const txReceipt = await performUpkeep();
+          assert.deepEqual(
+            txReceipt.events.map((e) => e.event),
+            ["PaymentDone", "PaymentScheduleCompleted"]
+          );
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount.toString()
+          );
+        });
+
+        it("a stream starting in the future is covered by the liabilities", async () => {
+          const startTime = (await latestTimestamp()) + 1000;
+          await addFixedTermRecipient({ startTime, streaming: true });
+          await increaseTimeTo(startTime + interval);
+          assert.isTrue(
+            (await payroll.totalLiabilities(ETH)).gte(
+              await payroll.balanceOf(recipientAccount.address, ETH)
+            )
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+        });
+      });
+
+      describe("USD salaries", () => {
+        const usdAmount = ethers.utils.parseUnits("5000", 8);
+        const interval = 30;
+        let priceFeed;
+
+        const accrueOnce = async () => {
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+        };
+
+        beforeEach(async () => {
+          priceFeed = await ethers.getContract("MockV3Aggregator");
+          await fundContract("10");
+        });
+
+        it("the deployment sets the ETH / USD price feed", async () => {
+          const { feed } = await payroll.getPriceFeed(ETH);
+          assert.equal(feed, priceFeed.address);
+          assert.equal(await payroll.USD_DECIMALS(), 8);
+        });
+
+        it("only the admin can set a price feed", async () => {
+          await expect(
+            payroll
+              .connect(accounts[2])
+              .setPriceFeed(ETH, priceFeed.address, 60)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.DEFAULT_ADMIN_ROLE())
+          );
+          await expect(payroll.setPriceFeed(ETH, priceFeed.address, 60))
+            .to.emit(payroll, "PriceFeedUpdated")
+            .withArgs(ETH, priceFeed.address, 60);
+        });
+
+        it("converts USD amounts with the token and feed decimals", async () => {
+          assert.equal(
+            (
+              await payroll.usdToToken(ETH, ethers.utils.parseUnits("3000", 8))
+            ).toString(),
+            ethers.utils.parseEther("1.5").toString()
+          );
+          // a 6 decimals stablecoin priced with an 18 decimals feed
+          const stablecoinFeed = await (
+            await ethers.getContractFactory("MockV3Aggregator")
+          ).deploy(18, ethers.utils.parseEther("1"));
+          await payroll.setPriceFeed(token.address, stablecoinFeed.address, 60);
+          assert.equal(
+            (await payroll.usdToToken(token.address, usdAmount)).toString(),
+            "5000000000"
+          );
+        });
+
+        it("a USD recipient needs a price feed and can't stream", async () => {
+          await expect(
+            payroll.addUsdRecipient(
+              recipientAccount.address,
+              token.address,
+              usdAmount,
+              interval
+            )
+          ).to.be.revertedWith("Payroll__PriceFeedNotSet");
+          await expect(
+            payroll.addFixedTermRecipient(
+              recipientAccount.address,
+              ETH,
+              usdAmount,
+              interval,
+              {
+                startTime: 0,
+                endTime: 0,
+                maxPayments: 0,
+                cliff: 0,
+                streaming: true,
+                usdDenominated: true,
+              }
+            )
+          ).to.be.revertedWith("Payroll__UsdStreamNotSupported");
+        });
+
+        it("the payment is converted at the price of the accrual", async () => {
+          await payroll.addUsdRecipient(
+            recipientAccount.address,
+            ETH,
+            usdAmount,
+            interval
+          );
+          const paymentSchedule = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          assert.isTrue(paymentSchedule.usdDenominated);
+
+          await accrueOnce();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            ethers.utils.parseEther("2.5").toString()
+          );
+
+          await priceFeed.updateAnswer(ethers.utils.parseUnits("2500", 8));
+          await accrueOnce();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            ethers.utils.parseEther("4.5").toString()
+          );
+        });
+
+        it("a stale or invalid price postpones the accrual", async () => {
+          await payroll.setPriceFeed(ETH, priceFeed.address, 60);
+          await priceFeed.updateAnswer(ethers.utils.parseUnits("2000", 8));
+          await payroll.addUsdRecipient(
+            recipientAccount.address,
+            ETH,
+            usdAmount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [100]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          let [upkeepNeeded] = await payroll.checkUpkeep([]);
+          assert.isFalse(upkeepNeeded);
+          await expect(payroll.usdToToken(ETH, usdAmount)).to.be.revertedWith(
+            "Payroll__InvalidPrice"
+          );
+
+          await priceFeed.updateAnswer(0);
+          [upkeepNeeded] = await payroll.checkUpkeep([]);
+          assert.isFalse(upkeepNeeded);
+
+          await priceFeed.updateAnswer(ethers.utils.parseUnits("2000", 8));
+          [upkeepNeeded] = await payroll.checkUpkeep([]);
+          assert.isTrue(upkeepNeeded);
+        });
+
+        it("a reverting price feed only postpones the USD payments", async () => {
+          const deprecatedFeed = await (
+            await ethers.getContractFactory("MockRevertingAggregator")
+          ).deploy();
+          await payroll.setPriceFeed(ETH, deprecatedFeed.address, 60);
+          await payroll.addRecipient(
+            accounts[2].address,
+            ETH,
+            ethers.utils.parseEther("1"),
+            interval
+          );
+          await payroll.addUsdRecipient(
+            recipientAccount.address,
+            ETH,
+            usdAmount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          await expect(payroll.usdToToken(ETH, usdAmount)).to.be.revertedWith(
+            "Payroll__InvalidPrice"
+          );
+
+          const [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.isTrue(upkeepNeeded);
+          await payroll.performUpkeep(performData);
+          assert.equal(
+            (await payroll.balanceOf(accounts[2].address, ETH)).toString(),
+            ethers.utils.parseEther("1").toString()
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "0"
+          );
+        });
+
+        it("an ended USD term without a valid price doesn't revert the batch", async () => {
+          await payroll.setPriceFeed(ETH, priceFeed.address, 60);
+          await priceFeed.updateAnswer(ethers.utils.parseUnits("2000", 8));
+          await payroll.addRecipient(
+            accounts[2].address,
+            ETH,
+            ethers.utils.parseEther("1"),
+            interval
+          );
+          await payroll.addFixedTermRecipient(
+            recipientAccount.address,
+            ETH,
+            usdAmount,
+            interval,
+            [0, 0, 2, 0, false, true]
+          );
+          await network.provider.send("evm_increaseTime", [100]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+
+          // the ended term is deferred until the feed answers again
+          const [, performData] = await payroll.checkUpkeep([]);
+          assert.deepEqual(
+            ethers.utils.defaultAbiCoder.decode(["address[]"], performData)[0],
+            [accounts[2].address]
+          );
+          const batch = ethers.utils.defaultAbiCoder.encode(
+            ["address[]"],
+            [[recipientAccount.address, accounts[2].address]]
+          );
+          await expect(payroll.performUpkeep(batch))
+            .to.emit(payroll, "PaymentDone")
+            .withArgs(accounts[2].address, ethers.utils.parseEther("3"), ETH);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toNumber(),
+            0
+          );
+          assert.include(
+            await payroll.getRecipients(),
+            recipientAccount.address
+          );
+
+          await priceFeed.updateAnswer(ethers.utils.parseUnits("2000", 8));
+          await expect(payroll.performUpkeep(batch))
+            .to.emit(payroll, "PaymentScheduleCompleted")
+            .withArgs(recipientAccount.address);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            ethers.utils.parseEther("5").toString()
+          );
+        });
+
+        it("the payroll cycle includes the converted USD amounts", async () => {
+          await payroll.addRecipient(
+            accounts[2].address,
+            ETH,
+            ethers.utils.parseEther("1"),
+            interval
+          );
+          await payroll.addUsdRecipient(
+            recipientAccount.address,
+            ETH,
+            usdAmount,
+            interval
+          );
+          assert.equal(
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            ethers.utils.parseEther("3.5").toString()
+          );
+          assert.equal((await payroll.runway(ETH)).toNumber(), 2);
+
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            ethers.utils.parseUnits("6000", 8),
+            interval,
+            0
+          );
+          assert.equal(
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            ethers.utils.parseEther("4").toString()
+          );
+
+          await payroll.removeRecipient(recipientAccount.address);
+          assert.equal(
+            (await payroll.payrollPerCycle(ETH)).toString(),
+            ethers.utils.parseEther("1").toString()
+          );
+        });
+      });
+
+      describe("partial withdrawals and IOU queue", () => {
+        const amount = ethers.utils.parseEther("1");
+        const interval = 30;
+        let secondRecipient;
+
+        const accrueOnce = async () => {
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+        };
+
+        beforeEach(async () => {
+          secondRecipient = accounts[2];
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          await payroll.addRecipient(
+            secondRecipient.address,
+            ETH,
+            amount,
+            interval
+          );
+          await accrueOnce();
+        });
+
+        it("a recipient can withdraw part of their balance", async () => {
+          await fundContract("2");
+          const partialAmount = ethers.utils.parseEther("0.4");
+          const txResponse = await payroll
+            .connect(recipientAccount)
+            .withdrawPartialPayments(
+              ETH,
+              partialAmount,
+              recipientAccount.address,
+              false
+            );
+          await expect(txResponse).to.changeEtherBalance(
+            recipientAccount,
+            partialAmount
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.sub(partialAmount).toString()
+          );
+          await expect(
+            payroll
+              .connect(recipientAccount)
+              .withdrawPartialPayments(
+                ETH,
+                amount,
+                recipientAccount.address,
+                false
+              )
+          ).to.be.revertedWith("Payroll__AmountExceedsBalance");
+        });
+
+        it("an uncovered withdrawal is queued as an IOU", async () => {
+          await fundContract("0.5");
+          await expect(payroll.connect(recipientAccount).withdrawPayments(ETH))
+            .to.emit(payroll, "IouQueued")
+            .withArgs(recipientAccount.address, ETH, amount, 1, amount);
+          await payroll.connect(secondRecipient).withdrawPayments(ETH);
+
+          const [iou, position] = await payroll.getIou(
+            secondRecipient.address,
+            ETH
+          );
+          assert.equal(iou.recipient, secondRecipient.address);
+          assert.equal(iou.to, secondRecipient.address);
+          assert.equal(iou.amount.toString(), amount.toString());
+          assert.equal(position.toNumber(), 2);
+          assert.equal((await payroll.getIouQueueLength(ETH)).toNumber(), 2);
+          assert.equal(
+            (await payroll.queuedPayments(ETH)).toString(),
+            amount.mul(2).toString()
+          );
+          assert.equal(
+            (await payroll.shortfall(ETH)).toString(),
+            ethers.utils.parseEther("1.5").toString()
+          );
+          // the balances stay credited until the IOUs are settled
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+          await expect(
+            payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.be.revertedWith("Payroll__IouPending");
+        });
+
+        it("a recipient can take what is available and queue the rest", async () => {
+          await fundContract("0.25");
+          const txResponse = await payroll
+            .connect(recipientAccount)
+            .withdrawPartialPayments(
+              ETH,
+              amount,
+              recipientAccount.address,
+              true
+            );
+          await expect(txResponse).to.changeEtherBalance(
+            recipientAccount,
+            ethers.utils.parseEther("0.25")
+          );
+          const [iou, position] = await payroll.getIou(
+            recipientAccount.address,
+            ETH
+          );
+          assert.equal(
+            iou.amount.toString(),
+            ethers.utils.parseEther("0.75").toString()
+          );
+          assert.equal(position.toNumber(), 1);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            ethers.utils.parseEther("0.75").toString()
+          );
+        });
+
+        it("settleIous pays the IOUs oldest first after a top-up", async () => {
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          await payroll.connect(secondRecipient).withdrawPayments(ETH);
+
+          const startingBalances = await Promise.all(
+            [recipientAccount, secondRecipient].map((a) => a.getBalance())
+          );
+          // the top-up alone settles nothing
+          await fundContract("1.5");
+          assert.equal((await payroll.getIouQueueLength(ETH)).toNumber(), 2);
+          await expect(payroll.settleIous(ETH))
+            .to.emit(payroll, "IouSettled")
+            .withArgs(recipientAccount.address, ETH, amount, 0);
+          assert.equal(
+            (await recipientAccount.getBalance())
+              .sub(startingBalances[0])
+              .toString(),
+            amount.toString()
+          );
+          assert.equal(
+            (await secondRecipient.getBalance())
+              .sub(startingBalances[1])
+              .toString(),
+            ethers.utils.parseEther("0.5").toString()
+          );
+          let [iou, position] = await payroll.getIou(
+            secondRecipient.address,
+            ETH
+          );
+          assert.equal(
+            iou.amount.toString(),
+            ethers.utils.parseEther("0.5").toString()
+          );
+          assert.equal(position.toNumber(), 1);
+          [, position] = await payroll.getIou(recipientAccount.address, ETH);
+          assert.equal(position.toNumber(), 0);
+
+          await fundContract("1");
+          await payroll.settleIous(ETH);
+          assert.equal((await payroll.getIouQueueLength(ETH)).toNumber(), 0);
+          assert.equal((await payroll.queuedPayments(ETH)).toString(), "0");
+          assert.equal(
+            (await payroll.balanceOf(secondRecipient.address, ETH)).toString(),
+            "0"
+          );
+          assert.equal(
+            (await payroll.surplus(ETH)).toString(),
+            ethers.utils.parseEther("0.5").toString()
+          );
+        });
+
+        it("new withdrawals and pushes don't jump the queue", async () => {
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          await payroll.pause();
+          await fundContract("1.5"); // not settled while paused
+          await payroll.unpause();
+          await payroll.connect(secondRecipient).withdrawPayments(ETH);
+          let [, position] = await payroll.getIou(secondRecipient.address, ETH);
+          assert.equal(position.toNumber(), 2);
+
+          await payroll.pushPayments([recipientAccount.address]);
+          await payroll.settleIous(ETH);
+          [, position] = await payroll.getIou(recipientAccount.address, ETH);
+          assert.equal(position.toNumber(), 0);
+          [, position] = await payroll.getIou(secondRecipient.address, ETH);
+          assert.equal(position.toNumber(), 1);
+          assert.equal(
+            (await payroll.balanceOf(secondRecipient.address, ETH)).toString(),
+            ethers.utils.parseEther("0.5").toString()
+          );
+        });
+
+        it("an IOU whose payment fails is dropped and stays credited", async () => {
+          const revertingReceiver = await (
+            await ethers.getContractFactory("MockRevertingReceiver")
+          ).deploy();
+          await payroll
+            .connect(recipientAccount)
+            .withdrawPaymentsTo(ETH, revertingReceiver.address);
+          await fundContract("1");
+          await expect(payroll.settleIous(ETH)).to.emit(
+            payroll,
+            "PaymentPushFailed"
+          );
+          assert.equal((await payroll.getIouQueueLength(ETH)).toNumber(), 0);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "0"
+          );
+        });
+
+        it("a payee burning its gas can't fail the top-ups nor hold up the IOUs behind it", async () => {
+          const gasBurningReceiver = await (
+            await ethers.getContractFactory("MockGasBurningReceiver")
+          ).deploy();
+          await payroll
+            .connect(recipientAccount)
+            .withdrawPaymentsTo(ETH, gasBurningReceiver.address);
+          await payroll.connect(secondRecipient).withdrawPayments(ETH);
+
+          await fundContract("2");
+          await expect(payroll.settleIous(ETH))
+            .to.emit(payroll, "PaymentPushFailed")
+            .withArgs(recipientAccount.address, amount, ETH)
+            .and.to.emit(payroll, "IouSettled")
+            .withArgs(secondRecipient.address, ETH, amount, 0);
+          assert.equal((await payroll.getIouQueueLength(ETH)).toNumber(), 0);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+        });
+
+        it("the admin cancels a stuck IOU, still credited to the recipient", async () => {
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          await payroll.connect(secondRecipient).withdrawPayments(ETH);
+          const role = await payroll.DEFAULT_ADMIN_ROLE();
+          await expect(
+            payroll
+              .connect(secondRecipient)
+              .cancelIou(recipientAccount.address, ETH)
+          ).to.be.revertedWith(missingRoleMessage(secondRecipient, role));
+          await expect(
+            payroll.cancelIou(accounts[3].address, ETH)
+          ).to.be.revertedWith(
+            `Payroll__NoIou("${accounts[3].address}", "${ETH}")`
+          );
+
+          await expect(payroll.cancelIou(recipientAccount.address, ETH))
+            .to.emit(payroll, "IouCancelled")
+            .withArgs(recipientAccount.address, ETH, amount);
+          const [, position] = await payroll.getIou(
+            recipientAccount.address,
+            ETH
+          );
+          assert.equal(position.toNumber(), 0);
+          assert.equal(
+            (await payroll.queuedPayments(ETH)).toString(),
+            amount.toString()
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+
+          // the recipient queues again, behind the second recipient
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          await fundContract("2");
+          const txReceipt = await (await payroll.settleIous(ETH)).wait();
+          assert.deepEqual(
+            txReceipt.events
+              .filter(({ event }) => event == "IouSettled")
+              .map(({ args }) => args.recipient),
+            [secondRecipient.address, recipientAccount.address]
+          );
+          assert.equal((await payroll.queuedPayments(ETH)).toString(), "0");
+        });
+
+        it("a payee calling back while its IOU is settled doesn't settle the queue twice", async () => {
+          const reentrantReceiver = await (
+            await ethers.getContractFactory("MockReentrantReceiver")
+          ).deploy(payroll.address);
+          await reentrantReceiver.setReentrantCall(
+            payroll.interface.encodeFunctionData("settleIous", [ETH])
+          );
+          await payroll
+            .connect(recipientAccount)
+            .withdrawPaymentsTo(ETH, reentrantReceiver.address);
+          await payroll.connect(secondRecipient).withdrawPayments(ETH);
+
+          await fundContract("2");
+          const txReceipt = await (await payroll.settleIous(ETH)).wait();
+          const settled = txReceipt.logs
+            .map((log) => {
+              try {
+                return payroll.interface.parseLog(log);
+              } catch (error) {
+                return undefined;
+              }
+            })
+            .filter((event) => event && event.name == "IouSettled");
+          assert.deepEqual(
+            settled.map(({ args }) => args.recipient),
+            [recipientAccount.address, secondRecipient.address]
+          );
+          assert.isFalse(await reentrantReceiver.reentrantCallSucceeded());
+          assert.equal(
+            (
+              await ethers.provider.getBalance(reentrantReceiver.address)
+            ).toString(),
+            amount.toString()
+          );
+          assert.equal((await payroll.getIouQueueLength(ETH)).toNumber(), 0);
+          assert.equal((await payroll.queuedPayments(ETH)).toString(), "0");
+          assert.equal((await payroll.surplus(ETH)).toString(), "0");
+        });
+      });
+
+      describe("signed claims", () => {
+        const amount = ethers.utils.parseEther("1");
+        const fee = ethers.utils.parseEther("0.01");
+        const interval = 30;
+        let relayer, deadline;
+
+        beforeEach(async () => {
+          relayer = accounts[5];
+          await fundContract("2");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          deadline = timestamp + 3600;
+        });
+
+        it("a relayer submits a recipient's claim and takes a fee", async () => {
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { maxFee: fee, deadline }
+          );
+          const txResponse = await payroll
+            .connect(relayer)
+            .withdrawPaymentsWithSig(claim, fee, signature);
+          await expect(txResponse).to.changeEtherBalances(
+            [recipientAccount, relayer],
+            [amount.sub(fee), fee]
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "0"
+          );
+          assert.equal(
+            (await payroll.nonces(recipientAccount.address)).toNumber(),
+            1
+          );
+        });
+
+        it("a claim can pay part of the balance to another address", async () => {
+          const to = accounts[7];
+          const partialAmount = ethers.utils.parseEther("0.4");
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { amount: partialAmount, to: to.address, deadline }
+          );
+          await expect(() =>
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(claim, 0, signature)
+          ).to.changeEtherBalance(to, partialAmount);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.sub(partialAmount).toString()
+          );
+        });
+
+        it("a claim can't be replayed", async () => {
+          const partialAmount = ethers.utils.parseEther("0.4");
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { amount: partialAmount, deadline }
+          );
+          await payroll
+            .connect(relayer)
+            .withdrawPaymentsWithSig(claim, 0, signature);
+          await expect(
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(claim, 0, signature)
+          ).to.be.revertedWith("Payroll__InvalidNonce");
+        });
+
+        it("an expired claim is rejected", async () => {
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { deadline }
+          );
+          await network.provider.send("evm_increaseTime", [3601]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          await expect(
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(claim, 0, signature)
+          ).to.be.revertedWith("Payroll__ClaimExpired");
+        });
+
+        it("a claim signed by another account is rejected", async () => {
+          const attackerAccount = accounts[2];
+          const { claim } = await signClaim(attackerAccount, payroll, {
+            deadline,
+          });
+          const forgedClaim = { ...claim, recipient: recipientAccount.address };
+          const { signature } = await signClaim(attackerAccount, payroll, {
+            to: attackerAccount.address,
+            deadline,
+          });
+          await expect(
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(forgedClaim, 0, signature)
+          ).to.be.revertedWith("Payroll__InvalidSignature");
+        });
+
+        it("a claim tampered with by the relayer is rejected", async () => {
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { deadline }
+          );
+          await expect(
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(
+                { ...claim, to: relayer.address },
+                0,
+                signature
+              )
+          ).to.be.revertedWith("Payroll__InvalidSignature");
+        });
+
+        it("the fee can't exceed the claim maxFee", async () => {
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { maxFee: fee, deadline }
+          );
+          await expect(
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(claim, fee.add(1), signature)
+          ).to.be.revertedWith("Payroll__FeeTooHigh");
+        });
+
+        it("a claim isn't accepted by another payroll", async () => {
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { deadline }
+          );
+          const implementation = await ethers.getContract(
+            "Payroll_Implementation"
+          );
+          await expect(
+            implementation
+              .connect(relayer)
+              .withdrawPaymentsWithSig(claim, 0, signature)
+          ).to.be.revertedWith("Payroll__InvalidSignature");
+        });
+
+        it("claims can't be relayed while paused", async () => {
+          const { claim, signature } = await signClaim(
+            recipientAccount,
+            payroll,
+            { deadline }
+          );
+          await payroll.pause();
+          await expect(
+            payroll
+              .connect(relayer)
+              .withdrawPaymentsWithSig(claim, 0, signature)
+          ).to.be.revertedWith("Pausable: paused");
+        });
+      });
+
+      describe("deductions", () => {
+        const amount = ethers.utils.parseEther("1");
+        const interval = 30;
+        const TAX = ethers.utils.formatBytes32String("TAX");
+        const PENSION = ethers.utils.formatBytes32String("PENSION");
+        let taxAccount, pensionAccount;
+
+        const payDueRecipients = async () => {
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          return payroll.performUpkeep(performData);
+        };
+
+        beforeEach(async () => {
+          taxAccount = accounts[6];
+          pensionAccount = accounts[7];
+          await fundContract("5");
+          await payroll.setDefaultDeductions([
+            { name: TAX, beneficiary: taxAccount.address, basisPoints: 2000 },
+            {
+              name: PENSION,
+              beneficiary: pensionAccount.address,
+              basisPoints: 500,
+            },
+          ]);
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+        });
+
+        it("only a payroll admin can set deductions", async () => {
+          const role = await payroll.PAYROLL_ADMIN_ROLE();
+          const connectedPayroll = payroll.connect(accounts[2]);
+          await expect(
+            connectedPayroll.setDefaultDeductions([])
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            connectedPayroll.setDeductions(recipientAccount.address, [])
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            connectedPayroll.resetDeductions(recipientAccount.address)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+        });
+
+        it("rejects invalid deductions", async () => {
+          const tax = {
+            name: TAX,
+            beneficiary: taxAccount.address,
+            basisPoints: 2000,
+          };
+          await expect(
+            payroll.setDefaultDeductions([tax, { ...tax, basisPoints: 0 }])
+          ).to.be.revertedWith("Payroll__InvalidDeduction(1)");
+          await expect(
+            payroll.setDefaultDeductions([{ ...tax, beneficiary: ETH }])
+          ).to.be.revertedWith("Payroll__InvalidDeduction(0)");
+          await expect(
+            payroll.setDefaultDeductions([tax, { ...tax, basisPoints: 8001 }])
+          ).to.be.revertedWith("Payroll__DeductionsTooHigh(10001)");
+          await expect(
+            payroll.setDefaultDeductions(Array(11).fill(tax))
+          ).to.be.revertedWith("Payroll__InvalidDeduction(10)");
+          await expect(
+            payroll.setDeductions(accounts[2].address, [tax])
+          ).to.be.revertedWith("Payroll__RecipientNotFound");
+        });
+
+        it("withholds the deductions at accrual and credits their beneficiaries", async () => {
+          const txResponse = await payDueRecipients();
+          await expect(txResponse)
+            .to.emit(payroll, "DeductionApplied")
+            .withArgs(
+              recipientAccount.address,
+              taxAccount.address,
+              ETH,
+              TAX,
+              ethers.utils.parseEther("0.2")
+            );
+          await expect(txResponse)
+            .to.emit(payroll, "DeductionApplied")
+            .withArgs(
+              recipientAccount.address,
+              pensionAccount.address,
+              ETH,
+              PENSION,
+              ethers.utils.parseEther("0.05")
+            );
+          await expect(txResponse)
+            .to.emit(payroll, "PaymentDone")
+            .withArgs(recipientAccount.address, amount, ETH);
+
+          const balanceOf = async (account) =>
+            (await payroll.balanceOf(account.address, ETH)).toString();
+          assert.equal(
+            await balanceOf(recipientAccount),
+            ethers.utils.parseEther("0.75").toString()
+          );
+          assert.equal(
+            await balanceOf(taxAccount),
+            ethers.utils.parseEther("0.2").toString()
+          );
+          assert.equal(
+            await balanceOf(pensionAccount),
+            ethers.utils.parseEther("0.05").toString()
+          );
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount.toString()
+          );
+
+          await expect(() =>
+            payroll.connect(taxAccount).withdrawPayments(ETH)
+          ).to.changeEtherBalance(taxAccount, ethers.utils.parseEther("0.2"), {
+            includeFee: false,
+          });
+        });
+
+        it("a recipient's own deductions replace the default ones until reset", async () => {
+          await expect(
+            payroll.setDeductions(recipientAccount.address, [
+              { name: TAX, beneficiary: taxAccount.address, basisPoints: 1000 },
+            ])
+          ).to.emit(payroll, "DeductionsUpdated");
+          let deductions = await payroll.getDeductions(
+            recipientAccount.address
+          );
+          assert.equal(deductions.length, 1);
+          assert.equal(deductions[0].basisPoints.toNumber(), 1000);
+          assert.equal((await payroll.getDefaultDeductions()).length, 2);
+          await payDueRecipients();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            ethers.utils.parseEther("0.9").toString()
+          );
+
+          await payroll.resetDeductions(recipientAccount.address);
+          deductions = await payroll.getDeductions(recipientAccount.address);
+          assert.equal(deductions.length, 2);
+        });
+
+        it("an empty list exempts a recipient from the default deductions", async () => {
+          await payroll.setDeductions(recipientAccount.address, []);
+          await payDueRecipients();
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.toString()
+          );
+        });
+
+        it("rounds the deductions down in favour of the recipient", async () => {
+          const beneficiary = accounts[8];
+          await payroll.addRecipient(accounts[2].address, ETH, 10, interval);
+          await payroll.setDeductions(accounts[2].address, [
+            { name: TAX, beneficiary: beneficiary.address, basisPoints: 3333 },
+          ]);
+          await payDueRecipients();
+          assert.equal(
+            (await payroll.balanceOf(beneficiary.address, ETH)).toString(),
+            "3"
+          );
+          assert.equal(
+            (await payroll.balanceOf(accounts[2].address, ETH)).toString(),
+            "7"
+          );
+        });
+
+        it("a streaming balance is reported net of the deductions", async () => {
+          await payroll.removeRecipient(recipientAccount.address);
+          await payroll.addStreamingRecipient(
+            recipientAccount.address,
+            ETH,
+            10000,
+            100
+          );
+          await network.provider.send("evm_increaseTime", [10]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "750"
+          );
+        });
+
+        it("removing a recipient drops its own deductions", async () => {
+          await payroll.setDeductions(recipientAccount.address, []);
+          await payroll.removeRecipient(recipientAccount.address);
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          assert.equal(
+            (await payroll.getDeductions(recipientAccount.address)).length,
+            2
+          );
+        });
+      });
+
+      describe("credits and advances", () => {
+        const amount = ethers.utils.parseEther("1");
+        const interval = 30;
+        const BONUS = ethers.utils.formatBytes32String("BONUS");
+        const EXPENSE = ethers.utils.formatBytes32String("EXPENSE");
+
+        const advanceTime = async (seconds) => {
+          await network.provider.send("evm_increaseTime", [seconds]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        const payDueRecipients = async () => {
+          await advanceTime(interval);
+          const [, performData] = await payroll.checkUpkeep([]);
+          return payroll.performUpkeep(performData);
+        };
+
+        const balanceOf = async (account) =>
+          (await payroll.balanceOf(account.address, ETH)).toString();
+
+        beforeEach(async () => {
+          await fundContract("10");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+        });
+
+        it("only a payroll admin issues and cancels credits and approves advances", async () => {
+          const role = await payroll.PAYROLL_ADMIN_ROLE();
+          const connectedPayroll = payroll.connect(accounts[2]);
+          await expect(
+            connectedPayroll.issueCredit(
+              accounts[2].address,
+              ETH,
+              amount,
+              BONUS,
+              0
+            )
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(connectedPayroll.cancelCredit(0)).to.be.revertedWith(
+            missingRoleMessage(accounts[2], role)
+          );
+          await payroll.connect(recipientAccount).requestAdvance(amount);
+          await expect(
+            connectedPayroll.approveAdvance(recipientAccount.address)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            connectedPayroll.rejectAdvance(recipientAccount.address)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+        });
+
+        it("rejects invalid credits", async () => {
+          await expect(
+            payroll.issueCredit(ETH, ETH, amount, BONUS, 0)
+          ).to.be.revertedWith("Payroll__InvalidCredit");
+          await expect(
+            payroll.issueCredit(recipientAccount.address, ETH, 0, BONUS, 0)
+          ).to.be.revertedWith("Payroll__InvalidCredit");
+          await expect(payroll.releaseCredits([0])).to.be.revertedWith(
+            "Payroll__CreditNotPending(0)"
+          );
+        });
+
+        it("credits a bonus instantly, with its reason code", async () => {
+          const txResponse = await payroll.issueCredit(
+            recipientAccount.address,
+            ETH,
+            amount,
+            BONUS,
+            0
+          );
+          const { timestamp } = await ethers.provider.getBlock(
+            (
+              await txResponse.wait()
+            ).blockNumber
+          );
+          await expect(txResponse)
+            .to.emit(payroll, "CreditIssued")
+            .withArgs(
+              0,
+              recipientAccount.address,
+              ETH,
+              amount,
+              BONUS,
+              timestamp
+            );
+          await expect(txResponse)
+            .to.emit(payroll, "CreditReleased")
+            .withArgs(0, recipientAccount.address, ETH, amount, BONUS);
+          assert.equal(await balanceOf(recipientAccount), amount.toString());
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount.toString()
+          );
+          const credit = await payroll.getCredit(0);
+          assert.isTrue(credit.released);
+          assert.equal(credit.reason, BONUS);
+          assert.equal((await payroll.getCreditCount()).toNumber(), 1);
+
+          // a credit is withdrawn like a payment
+          await expect(() =>
+            payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.changeEtherBalance(recipientAccount, amount);
+        });
+
+        it("releases a scheduled credit once its release time is reached", async () => {
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          await payroll.issueCredit(
+            accounts[2].address,
+            ETH,
+            amount,
+            EXPENSE,
+            timestamp + 100
+          );
+          // a scheduled credit is owed, but can't be withdrawn yet
+          assert.equal(await balanceOf(accounts[2]), "0");
+          assert.equal(
+            (await payroll.scheduledCredits(ETH)).toString(),
+            amount.toString()
+          );
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount.toString()
+          );
+          await expect(payroll.releaseCredits([0])).to.be.revertedWith(
+            `Payroll__CreditNotDue(0, ${timestamp + 100})`
+          );
+
+          await advanceTime(100);
+          await expect(payroll.connect(accounts[3]).releaseCredits([0]))
+            .to.emit(payroll, "CreditReleased")
+            .withArgs(0, accounts[2].address, ETH, amount, EXPENSE);
+          assert.equal(await balanceOf(accounts[2]), amount.toString());
+          assert.equal((await payroll.scheduledCredits(ETH)).toString(), "0");
+          await expect(payroll.releaseCredits([0])).to.be.revertedWith(
+            "Payroll__CreditNotPending(0)"
+          );
+          await expect(payroll.cancelCredit(0)).to.be.revertedWith(
+            "Payroll__CreditNotPending(0)"
+          );
+        });
+
+        it("cancels a scheduled credit before its release", async () => {
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          await payroll.issueCredit(
+            recipientAccount.address,
+            ETH,
+            amount,
+            BONUS,
+            timestamp + 100
+          );
+          await expect(payroll.cancelCredit(0))
+            .to.emit(payroll, "CreditCancelled")
+            .withArgs(0, recipientAccount.address, ETH, amount, BONUS);
+          assert.isTrue((await payroll.getCredit(0)).cancelled);
+          assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+          await advanceTime(100);
+          await expect(payroll.releaseCredits([0])).to.be.revertedWith(
+            "Payroll__CreditNotPending(0)"
+          );
+        });
+
+        it("repays an approved advance from the next accruals", async () => {
+          const advance = ethers.utils.parseEther("1.5");
+          await expect(
+            payroll.connect(recipientAccount).requestAdvance(advance)
+          )
+            .to.emit(payroll, "AdvanceRequested")
+            .withArgs(recipientAccount.address, ETH, advance);
+          assert.equal(await balanceOf(recipientAccount), "0");
+          await expect(payroll.approveAdvance(recipientAccount.address))
+            .to.emit(payroll, "AdvanceApproved")
+            .withArgs(recipientAccount.address, ETH, advance, advance);
+          assert.equal(await balanceOf(recipientAccount), advance.toString());
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+
+          // the first payment repays 1 ETH, the second the remaining 0.5 ETH
+          await expect(payDueRecipients())
+            .to.emit(payroll, "AdvanceRepaid")
+            .withArgs(
+              recipientAccount.address,
+              ETH,
+              amount,
+              advance.sub(amount)
+            );
+          assert.equal(await balanceOf(recipientAccount), "0");
+          await expect(payDueRecipients())
+            .to.emit(payroll, "AdvanceRepaid")
+            .withArgs(recipientAccount.address, ETH, advance.sub(amount), 0);
+          assert.equal(
+            await balanceOf(recipientAccount),
+            amount.mul(2).sub(advance).toString()
+          );
+          assert.equal(
+            (await payroll.totalLiabilities(ETH)).toString(),
+            amount.mul(2).sub(advance).toString()
+          );
+          await expect(payDueRecipients()).not.to.emit(
+            payroll,
+            "AdvanceRepaid"
+          );
+          assert.equal(
+            (await payroll.getAdvance(recipientAccount.address)).outstanding,
+            0
+          );
+        });
+
+        it("only recipients request an advance, one at a time", async () => {
+          await expect(
+            payroll.connect(accounts[2]).requestAdvance(amount)
+          ).to.be.revertedWith("Payroll__InvalidAdvance");
+          await expect(
+            payroll.connect(recipientAccount).requestAdvance(0)
+          ).to.be.revertedWith("Payroll__InvalidAdvance");
+          await expect(
+            payroll.approveAdvance(recipientAccount.address)
+          ).to.be.revertedWith("Payroll__NoAdvanceRequest");
+
+          await payroll.connect(recipientAccount).requestAdvance(amount);
+          await expect(
+            payroll.connect(recipientAccount).requestAdvance(amount)
+          ).to.be.revertedWith("Payroll__InvalidAdvance");
+          // the recipient withdraws its request, a payroll admin rejects the next one
+          await expect(
+            payroll
+              .connect(recipientAccount)
+              .rejectAdvance(recipientAccount.address)
+          )
+            .to.emit(payroll, "AdvanceRejected")
+            .withArgs(recipientAccount.address, ETH, amount);
+          await payroll.connect(recipientAccount).requestAdvance(amount);
+          await payroll.rejectAdvance(recipientAccount.address);
+          await expect(
+            payroll.approveAdvance(recipientAccount.address)
+          ).to.be.revertedWith("Payroll__NoAdvanceRequest");
+          assert.equal(await balanceOf(recipientAccount), "0");
+        });
+
+        it("caps the advances of a fixed term to what the rest of the term pays", async () => {
+          await payroll.removeRecipient(recipientAccount.address);
+          await payroll.addFixedTermRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval,
+            {
+              startTime: 0,
+              endTime: 0,
+              maxPayments: 3,
+              cliff: 0,
+              streaming: false,
+              usdDenominated: false,
+            }
+          );
+          // the term pays 3 ETH
+          await expect(
+            payroll
+              .connect(recipientAccount)
+              .requestAdvance(amount.mul(3).add(1))
+          ).to.be.revertedWith("Payroll__InvalidAdvance");
+          await payroll.connect(recipientAccount).requestAdvance(amount.mul(2));
+          await payroll.approveAdvance(recipientAccount.address);
+          await expect(
+            payroll.connect(recipientAccount).requestAdvance(amount.add(1))
+          ).to.be.revertedWith("Payroll__InvalidAdvance");
+          await payroll.connect(recipientAccount).requestAdvance(amount);
+          await payroll.approveAdvance(recipientAccount.address);
+
+          // the term repays the whole advance before it completes
+          for (let i = 0; i < 3; i++) {
+            await payDueRecipients();
+          }
+          assert.deepEqual(await payroll.getRecipients(), []);
+          assert.equal(
+            (await payroll.getAdvance(recipientAccount.address)).outstanding,
+            0
+          );
+        });
+
+        it("removing a recipient repays its advance from its final balance and keeps the rest outstanding", async () => {
+          const advance = ethers.utils.parseEther("1.5");
+          const credit = ethers.utils.parseEther("0.2");
+          await payroll.connect(recipientAccount).requestAdvance(advance);
+          await payroll.approveAdvance(recipientAccount.address);
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          await payDueRecipients();
+          await payroll.issueCredit(
+            recipientAccount.address,
+            ETH,
+            credit,
+            BONUS,
+            0
+          );
+          await payroll.connect(recipientAccount).requestAdvance(amount);
+
+          // the credit repays part of the remaining 0.5 ETH, the request is dropped
+          const outstanding = advance.sub(amount).sub(credit);
+          await expect(payroll.removeRecipient(recipientAccount.address))
+            .to.emit(payroll, "AdvanceRejected")
+            .withArgs(recipientAccount.address, ETH, amount)
+            .and.to.emit(payroll, "AdvanceRepaid")
+            .withArgs(recipientAccount.address, ETH, credit, outstanding)
+            .and.to.emit(payroll, "AdvanceUnsettled")
+            .withArgs(recipientAccount.address, ETH, outstanding);
+          assert.equal(await balanceOf(recipientAccount), "0");
+          assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+          const { requested } = await payroll.getAdvance(
+            recipientAccount.address
+          );
+          assert.equal(requested.toString(), "0");
+
+          // the rest is withheld if the recipient comes back
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          await expect(payDueRecipients())
+            .to.emit(payroll, "AdvanceRepaid")
+            .withArgs(recipientAccount.address, ETH, outstanding, 0);
+          assert.equal(
+            await balanceOf(recipientAccount),
+            amount.sub(outstanding).toString()
+          );
+        });
+
+        it("removing a recipient leaves the balance backing an IOU to the IOU", async () => {
+          // a second recipient withdraws the whole contract balance
+          await payroll.addRecipient(
+            accounts[2].address,
+            ETH,
+            ethers.utils.parseEther("10"),
+            interval
+          );
+          await payDueRecipients();
+          await payroll.connect(accounts[2]).withdrawPayments(ETH);
+          await payroll.connect(recipientAccount).requestAdvance(amount);
+          await payroll.approveAdvance(recipientAccount.address);
+          await expect(
+            payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.emit(payroll, "IouQueued");
+
+          await expect(payroll.removeRecipient(recipientAccount.address))
+            .to.emit(payroll, "AdvanceUnsettled")
+            .withArgs(recipientAccount.address, ETH, amount)
+            .and.not.to.emit(payroll, "AdvanceRepaid");
+          await fundContract("2");
+          await expect(() => payroll.settleIous(ETH)).to.changeEtherBalance(
+            recipientAccount,
+            amount.mul(2)
+          );
+          assert.equal(await balanceOf(recipientAccount), "0");
+        });
+
+        it("a streaming balance is reported net of the advance repayment", async () => {
+          await payroll.removeRecipient(recipientAccount.address);
+          await payroll.addStreamingRecipient(
+            recipientAccount.address,
+            ETH,
+            10000,
+            100
+          );
+          await payroll.connect(recipientAccount).requestAdvance(300);
+          await payroll.approveAdvance(recipientAccount.address);
+          await payroll.connect(recipientAccount).withdrawPayments(ETH);
+          // the withdrawal settled the 3 seconds streamed since the stream started
+          assert.equal(
+            (await payroll.getAdvance(recipientAccount.address)).outstanding,
+            0
+          );
+
+          await payroll.connect(recipientAccount).requestAdvance(1000);
+          await payroll.approveAdvance(recipientAccount.address);
+          const { lastTimestamp } = await payroll.getPaymentSchedule(
+            recipientAccount.address
+          );
+          const streamed = async () => {
+            const { timestamp } = await ethers.provider.getBlock("latest");
+            return (timestamp - lastTimestamp.toNumber()) * 100;
+          };
+          // the streamed amount repays the advance first
+          await advanceTime(5);
+          assert.isBelow(await streamed(), 1000);
+          assert.equal(await balanceOf(recipientAccount), "1000");
+          // the advance, plus what streamed after repaying it
+          await advanceTime(10);
+          assert.equal(
+            await balanceOf(recipientAccount),
+            String(await streamed())
+          );
+        });
+      });
+
+      describe("read API", () => {
+        const amount = ethers.utils.parseEther("1");
+        const interval = 30;
+
+        const latestTimestamp = async () =>
+          (await ethers.provider.getBlock("latest")).timestamp;
+
+        const advanceTime = async (seconds) => {
+          await network.provider.send("evm_increaseTime", [seconds]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        beforeEach(async () => {
+          await fundContract("10");
+        });
+
+        it("getRecipientDetails returns the state of a recipient", async () => {
+          await expect(
+            payroll.getRecipientDetails(recipientAccount.address)
+          ).to.be.revertedWith("Payroll__RecipientNotFound");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          const addedAt = await latestTimestamp();
+          await payroll
+            .connect(recipientAccount)
+            .proposePayoutAddress(accounts[3].address);
+          await payroll
+            .connect(accounts[3])
+            .acceptPayoutAddress(recipientAccount.address);
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount.mul(2),
+            interval,
+            addedAt + 10 * interval
+          );
+          await advanceTime(interval);
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+
+          const details = await payroll.getRecipientDetails(
+            recipientAccount.address
+          );
+          assert.equal(details.recipient, recipientAccount.address);
+          assert.equal(details.paymentSchedule.token, ETH);
+          assert.equal(details.paymentSchedule.amount.toString(), amount);
+          assert.equal(
+            details.scheduledUpdate.amount.toString(),
+            amount.mul(2).toString()
+          );
+          assert.equal(details.balance.toString(), amount.toString());
+          assert.equal(
+            details.nextPaymentAt.toNumber(),
+            details.paymentSchedule.lastTimestamp.toNumber() + interval
+          );
+          assert.isTrue(details.active);
+          assert.equal(details.payoutAddress, accounts[3].address);
+          assert.equal(details.advance.outstanding.toNumber(), 0);
+        });
+
+        it("getRecipientsPage pages through the roster", async () => {
+          for (let i = 1; i <= 5; i++) {
+            await payroll.addRecipient(
+              accounts[i].address,
+              ETH,
+              amount,
+              interval
+            );
+          }
+          const addresses = (page) => page.map((details) => details.recipient);
+
+          let [page, total] = await payroll.getRecipientsPage(0, 2);
+          assert.equal(total.toNumber(), 5);
+          assert.deepEqual(addresses(page), [
+            accounts[1].address,
+            accounts[2].address,
+          ]);
+          [page] = await payroll.getRecipientsPage(4, 2);
+          assert.deepEqual(addresses(page), [accounts[5].address]);
+          [page, total] = await payroll.getRecipientsPage(5, 2);
+          assert.equal(page.length, 0);
+          assert.equal(total.toNumber(), 5);
+          [page] = await payroll.getRecipientsPage(
+            0,
+            ethers.constants.MaxUint256
+          );
+          assert.equal(page.length, 5);
+        });
+
+        it("nextPaymentAt follows the interval, the cliff, the streaming and the end of the term", async () => {
+          await expect(
+            payroll.nextPaymentAt(recipientAccount.address)
+          ).to.be.revertedWith("Payroll__RecipientNotFound");
+          const start = (await latestTimestamp()) + 100;
+          await payroll.addRecipient(
+            accounts[1].address,
+            ETH,
+            amount,
+            interval
+          );
+          await payroll.addFixedTermRecipient(
+            accounts[2].address,
+            ETH,
+            amount,
+            interval,
+            [start, 0, 0, 10 * interval, false, false]
+          );
+          await payroll.addFixedTermRecipient(
+            accounts[3].address,
+            ETH,
+            amount,
+            interval,
+            [start, start + interval / 2, 0, 0, false, false]
+          );
+          await payroll.addStreamingRecipient(
+            accounts[4].address,
+            ETH,
+            amount,
+            interval
+          );
+
+          const { lastTimestamp } = await payroll.getPaymentSchedule(
+            accounts[1].address
+          );
+          assert.equal(
+            (await payroll.nextPaymentAt(accounts[1].address)).toNumber(),
+            lastTimestamp.toNumber() + interval
+          );
+          assert.equal(
+            (await payroll.nextPaymentAt(accounts[2].address)).toNumber(),
+            start + 10 * interval
+          );
+          assert.equal(
+            (await payroll.nextPaymentAt(accounts[3].address)).toNumber(),
+            start + interval / 2
+          );
+          assert.isFalse(
+            (await payroll.getRecipientDetails(accounts[2].address)).active
+          );
+          await advanceTime(3 * interval);
+          assert.equal(
+            (await payroll.nextPaymentAt(accounts[4].address)).toNumber(),
+            await latestTimestamp()
+          );
+          assert.equal(
+            (await payroll.nextPaymentAt(accounts[1].address)).toNumber(),
+            lastTimestamp.toNumber() + interval
+          );
+        });
+
+        it("totalPayrollPerPeriod prorates the amounts of a token", async () => {
+          await payroll.addRecipient(
+            accounts[1].address,
+            ETH,
+            amount,
+            interval
+          );
+          await payroll.addStreamingRecipient(
+            accounts[2].address,
+            ETH,
+            amount,
+            2 * interval
+          );
+          await payroll.addRecipient(
+            accounts[3].address,
+            token.address,
+            amount,
+            interval
+          );
+          // 6000 USD at 2000 USD per ETH
+          await payroll.addUsdRecipient(
+            accounts[4].address,
+            ETH,
+            ethers.utils.parseUnits("3000", 8),
+            interval / 2
+          );
+
+          assert.equal(
+            (await payroll.totalPayrollPerPeriod(ETH, interval)).toString(),
+            ethers.utils.parseEther("4.5").toString()
+          );
+          assert.equal(
+            (
+              await payroll.totalPayrollPerPeriod(token.address, 3 * interval)
+            ).toString(),
+            amount.mul(3).toString()
+          );
+          assert.equal(
+            (await payroll.totalPayrollPerPeriod(ETH, 0)).toNumber(),
+            0
+          );
+        });
+
+        it("totalPayrollPerPeriod reverts without a valid price", async () => {
+          await payroll.addUsdRecipient(
+            accounts[1].address,
+            ETH,
+            ethers.utils.parseUnits("3000", 8),
+            interval
+          );
+          await (await ethers.getContract("MockV3Aggregator")).updateAnswer(0);
+          await expect(
+            payroll.totalPayrollPerPeriod(ETH, interval)
+          ).to.be.revertedWith("Payroll__InvalidPrice");
+        });
+      });
+
+      describe("clawback", () => {
+        const amount = ethers.utils.parseEther("1");
+        const interval = 30;
+        const window = 100;
+        const ERROR = ethers.utils.formatBytes32String("ERROR");
+
+        const advanceTime = async (seconds) => {
+          await network.provider.send("evm_increaseTime", [seconds]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        const payDueRecipients = async () => {
+          await advanceTime(interval);
+          const [, performData] = await payroll.checkUpkeep([]);
+          return payroll.performUpkeep(performData);
+        };
+
+        const balances = async (account) =>
+          [
+            await payroll.balanceOf(account.address, ETH),
+            await payroll.pendingBalanceOf(account.address, ETH),
+          ].map(String);
+
+        const advanceTimeTo = async (timestamp) => {
+          await network.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        // when the accrual of a transaction becomes final: the end of the
+        // window, rounded up to a multiple of the bucket
+        const finalAt = async (txResponse) => {
+          const { timestamp } = await ethers.provider.getBlock(
+            (
+              await txResponse.wait()
+            ).blockNumber
+          );
+          const bucket = window / (await payroll.CLAWBACK_BUCKETS()).toNumber();
+          return Math.ceil((timestamp + window) / bucket) * bucket;
+        };
+
+        beforeEach(async () => {
+          await fundContract("10");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+        });
+
+        it("only the admin sets the window, at most MAX_CLAWBACK_WINDOW, and claws back", async () => {
+          const role = await payroll.DEFAULT_ADMIN_ROLE();
+          await expect(
+            payroll.connect(accounts[2]).setClawbackWindow(window)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            payroll
+              .connect(accounts[2])
+              .clawback(recipientAccount.address, ETH, amount, ERROR)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          const maxWindow = await payroll.MAX_CLAWBACK_WINDOW();
+          await expect(
+            payroll.setClawbackWindow(maxWindow.add(1))
+          ).to.be.revertedWith(
+            `Payroll__InvalidClawbackWindow(${maxWindow.add(1)})`
+          );
+          await expect(payroll.setClawbackWindow(window))
+            .to.emit(payroll, "ClawbackWindowUpdated")
+            .withArgs(window);
+          assert.equal((await payroll.getClawbackWindow()).toNumber(), window);
+        });
+
+        it("without a window the accruals are final at once", async () => {
+          await payDueRecipients();
+          assert.deepEqual(await balances(recipientAccount), [
+            amount.toString(),
+            "0",
+          ]);
+          await expect(
+            payroll.clawback(recipientAccount.address, ETH, amount, ERROR)
+          ).to.be.revertedWith(
+            `Payroll__InvalidClawback("${recipientAccount.address}", ${amount}, 0)`
+          );
+        });
+
+        it("the accruals are pending for the window, then can be withdrawn", async () => {
+          await payroll.setClawbackWindow(window);
+          const firstFinalAt = await finalAt(await payDueRecipients());
+          const secondFinalAt = await finalAt(await payDueRecipients());
+          assert.deepEqual(await balances(recipientAccount), [
+            amount.mul(2).toString(),
+            amount.mul(2).toString(),
+          ]);
+          const connectedPayroll = payroll.connect(recipientAccount);
+          await expect(
+            connectedPayroll.withdrawPartialPayments(
+              ETH,
+              1,
+              recipientAccount.address,
+              false
+            )
+          ).to.be.revertedWith("Payroll__AmountExceedsBalance(1, 0)");
+          // the first accrual is final after the window
+          await advanceTimeTo(firstFinalAt);
+          assert.deepEqual(await balances(recipientAccount), [
+            amount.mul(2).toString(),
+            amount.toString(),
+          ]);
+          await expect(
+            await connectedPayroll.withdrawPayments(ETH)
+          ).to.changeEtherBalance(recipientAccount, amount);
+          await advanceTimeTo(secondFinalAt);
+          await expect(
+            await connectedPayroll.withdrawPayments(ETH)
+          ).to.changeEtherBalance(recipientAccount, amount);
+          assert.deepEqual(await balances(recipientAccount), ["0", "0"]);
+        });
+
+        it("pushPayments only sends the final funds", async () => {
+          await payroll.setClawbackWindow(window);
+          const accruedFinalAt = await finalAt(await payDueRecipients());
+          await expect(
+            await payroll.pushPayments([recipientAccount.address])
+          ).to.changeEtherBalance(recipientAccount, 0);
+          await advanceTimeTo(accruedFinalAt);
+          await expect(
+            await payroll.pushPayments([recipientAccount.address])
+          ).to.changeEtherBalance(recipientAccount, amount);
+        });
+
+        it("the admin claws back the latest pending accruals with a reason", async () => {
+          await payroll.setClawbackWindow(window);
+          await payDueRecipients();
+          await payDueRecipients();
+          await payDueRecipients();
+          // the first accrual is final, the next two are pending
+          await advanceTime(window - 2 * interval + 10);
+          const surplus = await payroll.surplus(ETH);
+          const clawed = amount.mul(3).div(2);
+          await expect(
+            payroll.clawback(recipientAccount.address, ETH, clawed, ERROR)
+          )
+            .to.emit(payroll, "PaymentClawedBack")
+            .withArgs(
+              recipientAccount.address,
+              ETH,
+              clawed,
+              ERROR,
+              owner.address
+            );
+          assert.deepEqual(await balances(recipientAccount), [
+            amount.mul(3).sub(clawed).toString(),
+            amount.sub(clawed.sub(amount)).toString(),
+          ]);
+          assert.equal(
+            (await payroll.surplus(ETH)).toString(),
+            surplus.add(clawed).toString()
+          );
+          const pending = amount.div(2);
+          await expect(
+            payroll.clawback(recipientAccount.address, ETH, amount, ERROR)
+          ).to.be.revertedWith(
+            `Payroll__InvalidClawback("${recipientAccount.address}", ${amount}, ${pending})`
+          );
+          await expect(
+            payroll.clawback(recipientAccount.address, ETH, 0, ERROR)
+          ).to.be.revertedWith("Payroll__InvalidClawback");
+          // the rest of the older accrual becomes final on time
+          await expect(
+            await payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.changeEtherBalance(recipientAccount, amount);
+          await advanceTime(window);
+          await expect(
+            await payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.changeEtherBalance(recipientAccount, pending);
+        });
+
+        it("the deductions are final, only the recipient's net accrual is pending", async () => {
+          await payroll.setClawbackWindow(window);
+          await payroll.setDefaultDeductions([
+            {
+              name: ethers.utils.formatBytes32String("TAX"),
+              beneficiary: accounts[3].address,
+              basisPoints: 2000,
+            },
+          ]);
+          await payDueRecipients();
+          assert.deepEqual(await balances(recipientAccount), [
+            amount.mul(8).div(10).toString(),
+            amount.mul(8).div(10).toString(),
+          ]);
+          assert.deepEqual(await balances(accounts[3]), [
+            amount.mul(2).div(10).toString(),
+            "0",
+          ]);
+        });
+
+        it("the amount streamed is pending once settled", async () => {
+          await payroll.setClawbackWindow(window);
+          await payroll.addStreamingRecipient(
+            accounts[2].address,
+            ETH,
+            amount,
+            interval
+          );
+          await advanceTime(interval / 2);
+          const [balance, pending] = await balances(accounts[2]);
+          assert.notEqual(balance, "0");
+          assert.equal(pending, balance);
+          await expect(
+            await payroll.connect(accounts[2]).withdrawPayments(ETH)
+          ).to.changeEtherBalance(accounts[2], 0);
+          const settled = await payroll.pendingBalanceOf(
+            accounts[2].address,
+            ETH
+          );
+          await expect(
+            payroll.clawback(accounts[2].address, ETH, settled, ERROR)
+          ).to.emit(payroll, "PaymentClawedBack");
+        });
+
+        it("the pending accruals stay bounded however many accrue in the window", async () => {
+          // 40 payments span the window, each bucket merges 2 of them
+          const longWindow = 40 * interval;
+          await payroll.setClawbackWindow(longWindow);
+          const connectedPayroll = payroll.connect(recipientAccount);
+          const measure = async () => [
+            await connectedPayroll.estimateGas.withdrawPayments(ETH),
+            await payroll.estimateGas.clawback(
+              recipientAccount.address,
+              ETH,
+              amount,
+              ERROR
+            ),
+          ];
+          for (let i = 0; i < 60; i++) {
+            await payDueRecipients();
+          }
+          const [withdrawGas, clawbackGas] = await measure();
+          for (let i = 0; i < 60; i++) {
+            await payDueRecipients();
+          }
+          // twice the accruals cost the same, give or take the buckets the
+          // window happens to straddle
+          const [laterWithdrawGas, laterClawbackGas] = await measure();
+          assert.isAtMost(
+            laterWithdrawGas.toNumber(),
+            withdrawGas.toNumber() * 1.05
+          );
+          assert.isAtMost(
+            laterClawbackGas.toNumber(),
+            clawbackGas.toNumber() * 1.05
+          );
+          // the window, and at most the rest of a bucket, is pending, give or
+          // take an accrual as the block times drift from the paydays
+          const pending = await payroll.pendingBalanceOf(
+            recipientAccount.address,
+            ETH
+          );
+          assert.isTrue(pending.gte(amount.mul(39)));
+          assert.isTrue(pending.lte(amount.mul(43)));
+        });
+      });
+
+      describe("payouts", () => {
+        const amount = ethers.utils.parseEther("0.1");
+        const interval = 30;
+        let newWallet, revertingReceiver;
+
+        const accrueOnce = async () => {
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+        };
+
+        const setRevertingPayoutAddress = async (recipient) => {
+          await payroll
+            .connect(recipient)
+            .proposePayoutAddress(revertingReceiver.address);
+          await revertingReceiver.acceptPayoutAddress(
+            payroll.address,
+            recipient.address
+          );
+        };
+
+        beforeEach(async () => {
+          newWallet = accounts[7];
+          revertingReceiver = await (
+            await ethers.getContractFactory("MockRevertingReceiver")
+          ).deploy();
+          await fundContract("1");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          await accrueOnce();
+        });
+
+        describe("payout address", () => {
+          it("is the recipient by default", async () => {
+            assert.equal(
+              await payroll.getPayoutAddress(recipientAccount.address),
+              recipientAccount.address
+            );
+          });
+
+          it("changes in two steps", async () => {
+            await expect(
+              payroll
+                .connect(recipientAccount)
+                .proposePayoutAddress(newWallet.address)
+            )
+              .to.emit(payroll, "PayoutAddressProposed")
+              .withArgs(recipientAccount.address, newWallet.address);
+            assert.equal(
+              await payroll.getPendingPayoutAddress(recipientAccount.address),
+              newWallet.address
+            );
+            assert.equal(
+              await payroll.getPayoutAddress(recipientAccount.address),
+              recipientAccount.address
+            );
+
+            await expect(
+              payroll
+                .connect(accounts[2])
+                .acceptPayoutAddress(recipientAccount.address)
+            ).to.be.revertedWith("Payroll__NotPendingPayoutAddress");
+            await expect(
+              payroll
+                .connect(newWallet)
+                .acceptPayoutAddress(recipientAccount.address)
+            )
+              .to.emit(payroll, "PayoutAddressChanged")
+              .withArgs(recipientAccount.address, newWallet.address);
+            assert.equal(
+              await payroll.getPayoutAddress(recipientAccount.address),
+              newWallet.address
+            );
+            assert.equal(
+              await payroll.getPendingPayoutAddress(recipientAccount.address),
+              ETH
+            );
+          });
+
+          it("must not be the zero address", async () => {
+            await expect(
+              payroll.connect(recipientAccount).proposePayoutAddress(ETH)
+            ).to.be.revertedWith("Payroll__InvalidPayoutAddress");
+          });
+
+          it("receives the withdrawn payments", async () => {
+            await payroll
+              .connect(recipientAccount)
+              .proposePayoutAddress(newWallet.address);
+            await payroll
+              .connect(newWallet)
+              .acceptPayoutAddress(recipientAccount.address);
+            const txResponse = await payroll
+              .connect(recipientAccount)
+              .withdrawPayments(ETH);
+            await expect(txResponse).to.changeEtherBalance(newWallet, amount);
+            await expect(txResponse)
+              .to.emit(payroll, "PaymentRedirected")
+              .withArgs(
+                recipientAccount.address,
+                newWallet.address,
+                amount,
+                ETH
+              );
+            assert.equal(
+              (
+                await payroll.balanceOf(recipientAccount.address, ETH)
+              ).toString(),
+              "0"
+            );
+          });
+        });
+
+        describe("withdrawPaymentsTo", () => {
+          it("withdraws the payments to another address", async () => {
+            await expect(() =>
+              payroll
+                .connect(recipientAccount)
+                .withdrawPaymentsTo(ETH, newWallet.address)
+            ).to.changeEtherBalance(newWallet, amount);
+            assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+          });
+
+          it("the address must not be the zero address", async () => {
+            await expect(
+              payroll.connect(recipientAccount).withdrawPaymentsTo(ETH, ETH)
+            ).to.be.revertedWith("Payroll__InvalidPayoutAddress");
+          });
+
+          it("reverts and keeps the balance when the send fails", async () => {
+            await expect(
+              payroll
+                .connect(recipientAccount)
+                .withdrawPaymentsTo(ETH, revertingReceiver.address)
+            ).to.be.revertedWith("Payroll__PaymentWithdrawalFailed");
+            assert.equal(
+              (
+                await payroll.balanceOf(recipientAccount.address, ETH)
+              ).toString(),
+              amount.toString()
+            );
+          });
+        });
+
+        describe("pushPayments", () => {
+          let otherRecipient;
+
+          beforeEach(async () => {
+            otherRecipient = accounts[2];
+            await payroll.addRecipient(
+              otherRecipient.address,
+              ETH,
+              amount,
+              interval
+            );
+            await accrueOnce();
+          });
+
+          it("only a treasurer or the upkeep forwarder can push payments", async () => {
+            const forwarderAccount = accounts[6];
+            await expect(
+              payroll
+                .connect(forwarderAccount)
+                .pushPayments([recipientAccount.address])
+            ).to.be.revertedWith("Payroll__NotAllowedToPush");
+            await payroll.setUpkeepForwarder(forwarderAccount.address);
+            await payroll
+              .connect(forwarderAccount)
+              .pushPayments([recipientAccount.address]);
+            await expect(
+              payroll.connect(accounts[3]).pushPayments([])
+            ).to.be.revertedWith("Payroll__NotAllowedToPush");
+          });
+
+          it("sends the balances to the payout addresses", async () => {
+            await payroll
+              .connect(otherRecipient)
+              .proposePayoutAddress(newWallet.address);
+            await payroll
+              .connect(newWallet)
+              .acceptPayoutAddress(otherRecipient.address);
+            const recipientBalance = await payroll.balanceOf(
+              recipientAccount.address,
+              ETH
+            );
+            const otherBalance = await payroll.balanceOf(
+              otherRecipient.address,
+              ETH
+            );
+            await expect(() =>
+              payroll.pushPayments([
+                recipientAccount.address,
+                otherRecipient.address,
+              ])
+            ).to.changeEtherBalances(
+              [recipientAccount, newWallet],
+              [recipientBalance, otherBalance]
+            );
+            assert.equal((await payroll.totalLiabilities(ETH)).toString(), "0");
+          });
+
+          it("a failed send stays credited without reverting the batch", async () => {
+            await setRevertingPayoutAddress(recipientAccount);
+            const recipientBalance = await payroll.balanceOf(
+              recipientAccount.address,
+              ETH
+            );
+            const otherBalance = await payroll.balanceOf(
+              otherRecipient.address,
+              ETH
+            );
+            const txResponse = await payroll.pushPayments([
+              recipientAccount.address,
+              otherRecipient.address,
+            ]);
+            await expect(txResponse)
+              .to.emit(payroll, "PaymentPushFailed")
+              .withArgs(recipientAccount.address, recipientBalance, ETH);
+            await expect(txResponse).to.changeEtherBalance(
+              otherRecipient,
+              otherBalance
+            );
+            assert.equal(
+              (
+                await payroll.balanceOf(recipientAccount.address, ETH)
+              ).toString(),
+              recipientBalance.toString()
+            );
+            assert.equal(
+              (await payroll.totalLiabilities(ETH)).toString(),
+              recipientBalance.toString()
+            );
+          });
+
+          it("skips addresses that aren't recipients", async () => {
+            const txResponse = await payroll.pushPayments([
+              accounts[3].address,
+            ]);
+            const txReceipt = await txResponse.wait();
+            assert.equal(txReceipt.events.length, 0);
+          });
+
+          it("settles the streamed amounts", async () => {
+            const streamer = accounts[3];
+            await payroll.addStreamingRecipient(
+              streamer.address,
+              ETH,
+              amount,
+              interval
+            );
+            await network.provider.send("evm_increaseTime", [interval]);
+            await network.provider.request({ method: "evm_mine", params: [] });
+            await expect(payroll.pushPayments([streamer.address]))
+              .to.emit(payroll, "PaymentDone")
+              .and.to.emit(payroll, "Transfer");
+            assert.equal(
+              (await payroll.balanceOf(streamer.address, ETH)).toString(),
+              "0"
+            );
+          });
+
+          it("cannot push payments while paused", async () => {
+            await payroll.pause();
+            await expect(
+              payroll.pushPayments([recipientAccount.address])
+            ).to.be.revertedWith("Pausable: paused");
+          });
+        });
+      });
+
+      describe("access control", () => {
+        let hrAccount, treasurerAccount, pauserAccount;
+
+        beforeEach(async () => {
+          hrAccount = accounts[3];
+          treasurerAccount = accounts[4];
+          pauserAccount = accounts[5];
+          await payroll.grantRole(
+            await payroll.PAYROLL_ADMIN_ROLE(),
+            hrAccount.address
+          );
+          await payroll.grantRole(
+            await payroll.TREASURER_ROLE(),
+            treasurerAccount.address
+          );
+          await payroll.grantRole(
+            await payroll.PAUSER_ROLE(),
+            pauserAccount.address
+          );
+        });
+
+        it("the deployer is granted every role", async () => {
+          for (const role of [
+            await payroll.DEFAULT_ADMIN_ROLE(),
+            await payroll.PAYROLL_ADMIN_ROLE(),
+            await payroll.TREASURER_ROLE(),
+            await payroll.PAUSER_ROLE(),
+          ]) {
+            assert.isTrue(await payroll.hasRole(role, owner.address));
+          }
+        });
+
+        it("a payroll admin can manage recipients but not withdraw or pause", async () => {
+          const hrPayroll = payroll.connect(hrAccount);
+          await hrPayroll.addRecipient(recipientAccount.address, ETH, 10, 30);
+          await hrPayroll.updatePaymentSchedule(
+            recipientAccount.address,
+            20,
+            30,
+            0
+          );
+          await hrPayroll.removeRecipient(recipientAccount.address);
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 0);
+
+          await expect(hrPayroll.withdraw(ETH, 1)).to.be.revertedWith(
+            missingRoleMessage(hrAccount, await payroll.TREASURER_ROLE())
+          );
+          await expect(hrPayroll.pause()).to.be.revertedWith(
+            missingRoleMessage(hrAccount, await payroll.PAUSER_ROLE())
+          );
+        });
+
+        it("a treasurer can withdraw the surplus but not manage recipients", async () => {
+          await fundContract("1");
+          const treasurerPayroll = payroll.connect(treasurerAccount);
+          await expect(() =>
+            treasurerPayroll.withdraw(ETH, ethers.utils.parseEther("1"))
+          ).to.changeEtherBalance(
+            treasurerAccount,
+            ethers.utils.parseEther("1")
+          );
+
+          const payrollAdminRole = await payroll.PAYROLL_ADMIN_ROLE();
+          await expect(
+            treasurerPayroll.addRecipient(recipientAccount.address, ETH, 10, 30)
+          ).to.be.revertedWith(
+            missingRoleMessage(treasurerAccount, payrollAdminRole)
+          );
+          await expect(
+            treasurerPayroll.removeRecipient(recipientAccount.address)
+          ).to.be.revertedWith(
+            missingRoleMessage(treasurerAccount, payrollAdminRole)
+          );
+        });
+
+        it("a pauser can pause and unpause but not withdraw", async () => {
+          const pauserPayroll = payroll.connect(pauserAccount);
+          await pauserPayroll.pause();
+          assert.isTrue(await payroll.paused());
+          await pauserPayroll.unpause();
+          assert.isFalse(await payroll.paused());
+
+          await expect(pauserPayroll.withdraw(ETH, 1)).to.be.revertedWith(
+            missingRoleMessage(pauserAccount, await payroll.TREASURER_ROLE())
+          );
+        });
+
+        it("only the admin can grant roles and configure the upkeep", async () => {
+          const adminRole = await payroll.DEFAULT_ADMIN_ROLE();
+          const hrPayroll = payroll.connect(hrAccount);
+          await expect(
+            hrPayroll.grantRole(
+              await payroll.TREASURER_ROLE(),
+              hrAccount.address
+            )
+          ).to.be.revertedWith(missingRoleMessage(hrAccount, adminRole));
+          await expect(
+            hrPayroll.setUpkeepForwarder(hrAccount.address)
+          ).to.be.revertedWith(missingRoleMessage(hrAccount, adminRole));
+          await expect(hrPayroll.setMaxBatchSize(10)).to.be.revertedWith(
+            missingRoleMessage(hrAccount, adminRole)
+          );
+        });
+
+        it("a revoked role can no longer be used", async () => {
+          await payroll.revokeRole(
+            await payroll.TREASURER_ROLE(),
+            treasurerAccount.address
+          );
+          await expect(
+            payroll.connect(treasurerAccount).withdraw(ETH, 1)
+          ).to.be.revertedWith(
+            missingRoleMessage(treasurerAccount, await payroll.TREASURER_ROLE())
+          );
+        });
+      });
+
+      describe("pause", () => {
+        const amount = ethers.utils.parseEther("0.1");
+        const interval = 30;
+
+        beforeEach(async () => {
+          await fundContract("1");
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval + 1]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        });
+
+        it("freezes accruals", async () => {
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.pause();
+          const [upkeepNeeded] = await payroll.checkUpkeep([]);
+          assert.isFalse(upkeepNeeded);
+          await expect(payroll.performUpkeep(performData)).to.be.revertedWith(
+            "Pausable: paused"
+          );
+        });
+
+        it("freezes withdrawals", async () => {
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+          await payroll.pause();
+          await expect(
+            payroll.connect(recipientAccount).withdrawPayments(ETH)
+          ).to.be.revertedWith("Pausable: paused");
+          await expect(payroll.withdraw(ETH, 1)).to.be.revertedWith(
+            "Pausable: paused"
+          );
+        });
+
+        it("defers a schedule update until the payroll is unpaused", async () => {
+          await payroll.pause();
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount.mul(2),
+            interval,
+            0
+          );
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "0"
+          );
+          assert.isFalse(
+            (
+              await payroll.getScheduledUpdate(recipientAccount.address)
+            ).effectiveAt.isZero()
+          );
+        });
+
+        it("the missed payments are allocated after unpausing", async () => {
+          await payroll.pause();
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          await payroll.unpause();
+          const [upkeepNeeded, performData] = await payroll.checkUpkeep([]);
+          assert.isTrue(upkeepNeeded);
+          await payroll.performUpkeep(performData);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            amount.mul(2).toString()
+          );
+        });
+      });
+
+      describe("upkeep forwarder", () => {
+        let forwarderAccount, performData;
+
+        beforeEach(async () => {
+          forwarderAccount = accounts[6];
+          await fundContract("1");
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 30);
+          await network.provider.send("evm_increaseTime", [31]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          [, performData] = await payroll.checkUpkeep([]);
+        });
+
+        it("anyone can perform the upkeep while no forwarder is set", async () => {
+          assert.equal(await payroll.getUpkeepForwarder(), ETH);
+          await payroll.connect(accounts[2]).performUpkeep(performData);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "10"
+          );
+        });
+
+        it("only the forwarder can perform the upkeep once set", async () => {
+          await expect(payroll.setUpkeepForwarder(forwarderAccount.address))
+            .to.emit(payroll, "UpkeepForwarderUpdated")
+            .withArgs(forwarderAccount.address);
+          await expect(payroll.performUpkeep(performData)).to.be.revertedWith(
+            "Payroll__OnlyUpkeepForwarder"
+          );
+          await payroll.connect(forwarderAccount).performUpkeep(performData);
+          assert.equal(
+            (await payroll.balanceOf(recipientAccount.address, ETH)).toString(),
+            "10"
+          );
+        });
+      });
+
+      describe("timelock", () => {
+        const delay = 2 * 24 * 3600;
+        const interval = 30 * 24 * 3600;
+        // 1 ETH per day
+        const instantLimit = ethers.utils.parseEther("1");
+
+        const advanceTime = async (seconds) => {
+          await network.provider.send("evm_increaseTime", [seconds]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+        };
+
+        // queue the calldata of a call and return the id of the change
+        const queue = async (method, args) => {
+          const data = payroll.interface.encodeFunctionData(method, args);
+          await payroll.queueChange(data);
+          return ethers.utils.keccak256(data);
+        };
+
+        beforeEach(async () => {
+          await fundContract("100");
+          await payroll.setInstantLimit(ETH, instantLimit);
+          await payroll.setTimelockDelay(delay);
+        });
+
+        it("only the admin sets the policy, within the maximum delay", async () => {
+          const role = await payroll.DEFAULT_ADMIN_ROLE();
+          await expect(
+            payroll.connect(accounts[2]).setTimelockDelay(delay * 2)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            payroll.connect(accounts[2]).setInstantLimit(ETH, 0)
+          ).to.be.revertedWith(missingRoleMessage(accounts[2], role));
+          await expect(
+            payroll.setTimelockDelay(
+              (await payroll.MAX_TIMELOCK_DELAY()).add(1)
+            )
+          ).to.be.revertedWith("Payroll__InvalidTimelockDelay");
+          assert.equal((await payroll.getTimelockDelay()).toNumber(), delay);
+          assert.equal(
+            (await payroll.getInstantLimit(ETH)).toString(),
+            instantLimit.toString()
+          );
+        });
+
+        it("adds a recipient within the instant limit instantly", async () => {
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            instantLimit.mul(30),
+            interval
+          );
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 1);
+        });
+
+        it("a recipient above the instant limit is added once queued for the delay", async () => {
+          const args = [recipientAccount.address, ETH, instantLimit, 1];
+          await expect(payroll.addRecipient(...args)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+
+          const data = payroll.interface.encodeFunctionData(
+            "addRecipient",
+            args
+          );
+          const id = ethers.utils.keccak256(data);
+          const txResponse = await payroll.queueChange(data);
+          const { timestamp } = await ethers.provider.getBlock(
+            (
+              await txResponse.wait()
+            ).blockNumber
+          );
+          await expect(txResponse)
+            .to.emit(payroll, "ChangeQueued")
+            .withArgs(id, owner.address, data, timestamp + delay);
+          assert.equal(
+            (await payroll.getChangeReadyAt(id)).toNumber(),
+            timestamp + delay
+          );
+          await expect(payroll.queueChange(data)).to.be.revertedWith(
+            "Payroll__ChangeAlreadyQueued"
+          );
+
+          await advanceTime(delay - 10);
+          await expect(payroll.addRecipient(...args)).to.be.revertedWith(
+            `Payroll__ChangeNotReady("${id}", ${timestamp + delay})`
+          );
+          await advanceTime(10);
+          await expect(payroll.addRecipient(...args))
+            .to.emit(payroll, "ChangeExecuted")
+            .withArgs(id);
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 1);
+          assert.equal((await payroll.getChangeReadyAt(id)).toNumber(), 0);
+        });
+
+        it("a queued change still requires the role of the function it calls", async () => {
+          const args = [recipientAccount.address, ETH, instantLimit, 1];
+          await queue("addRecipient", args);
+          await advanceTime(delay);
+          await expect(
+            payroll.connect(accounts[2]).addRecipient(...args)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.PAYROLL_ADMIN_ROLE())
+          );
+          await expect(
+            payroll
+              .connect(accounts[2])
+              .queueChange(
+                payroll.interface.encodeFunctionData("addRecipient", args)
+              )
+          ).to.be.revertedWith("Payroll__NotAllowedToQueue");
+        });
+
+        it("a multicall runs its calls atomically, each with its timelock", async () => {
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            instantLimit.mul(30),
+            interval
+          );
+          const addArgs = [recipientAccount.address, ETH, instantLimit, 1];
+          const calls = [
+            payroll.interface.encodeFunctionData("removeRecipient", [
+              recipientAccount.address,
+            ]),
+            payroll.interface.encodeFunctionData("addRecipient", addArgs),
+          ];
+          await expect(payroll.multicall(calls)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).interval.toNumber(),
+            interval
+          );
+
+          const id = await queue("addRecipient", addArgs);
+          await advanceTime(delay);
+          await expect(
+            payroll.connect(accounts[2]).multicall(calls)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.PAYROLL_ADMIN_ROLE())
+          );
+          await expect(payroll.multicall(calls))
+            .to.emit(payroll, "ChangeExecuted")
+            .withArgs(id);
+          assert.equal(
+            (
+              await payroll.getPaymentSchedule(recipientAccount.address)
+            ).interval.toNumber(),
+            1
+          );
+        });
+
+        it("a batch with a schedule above the instant limit is queued as a whole", async () => {
+          const term = {
+            startTime: 0,
+            endTime: 0,
+            maxPayments: 0,
+            cliff: 0,
+            streaming: false,
+            usdDenominated: false,
+          };
+          const args = [
+            [
+              {
+                recipient: accounts[1].address,
+                token: ETH,
+                amount: instantLimit.mul(30),
+                interval,
+                term,
+              },
+              {
+                recipient: accounts[2].address,
+                token: ETH,
+                amount: instantLimit,
+                interval: 1,
+                term,
+              },
+            ],
+          ];
+          await expect(payroll.addRecipients(...args)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          const id = await queue("addRecipients", args);
+          await advanceTime(delay);
+          await expect(payroll.addRecipients(...args))
+            .to.emit(payroll, "ChangeExecuted")
+            .withArgs(id);
+          assert.equal((await payroll.getRecipientCount()).toNumber(), 2);
+        });
+
+        it("raises and shorter intervals above the instant limit are timelocked", async () => {
+          const amount = instantLimit.mul(30);
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            amount,
+            interval
+          );
+          // a pay cut is instant
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount.div(2),
+            interval,
+            0
+          );
+          // a raise within the instant limit too, once the addition no longer
+          // counts against it
+          await expect(
+            payroll.updatePaymentSchedule(
+              recipientAccount.address,
+              amount,
+              interval,
+              0
+            )
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+          await advanceTime((await payroll.INSTANT_LIMIT_PERIOD()).toNumber());
+          await payroll.updatePaymentSchedule(
+            recipientAccount.address,
+            amount,
+            interval,
+            0
+          );
+          await expect(
+            payroll.updatePaymentSchedule(
+              recipientAccount.address,
+              amount,
+              interval / 2,
+              0
+            )
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+          await expect(
+            payroll.updatePaymentSchedule(
+              recipientAccount.address,
+              amount.mul(2),
+              interval,
+              0
+            )
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+        });
+
+        it("a withdrawal above the instant limit is timelocked", async () => {
+          const amount = ethers.utils.parseEther("50");
+          await expect(payroll.withdraw(ETH, amount)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          await queue("withdraw", [ETH, amount]);
+          await advanceTime(delay);
+          // the queued change only sends the amount it commits to
+          await expect(payroll.withdraw(ETH, amount.mul(2))).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          await expect(() =>
+            payroll.withdraw(ETH, amount)
+          ).to.changeEtherBalance(payroll, amount.mul(-1));
+
+          await payroll.withdraw(ETH, instantLimit);
+          assert.equal(
+            (await payroll.surplus(ETH)).toString(),
+            amount.sub(instantLimit).toString()
+          );
+        });
+
+        it("the instant changes of a period add up to the instant limit", async () => {
+          const part = instantLimit.div(4);
+          for (let i = 0; i < 4; i++) {
+            await payroll.withdraw(ETH, part);
+          }
+          const [spent, periodEnd] = await payroll.getInstantSpend(ETH);
+          assert.equal(spent.toString(), instantLimit.toString());
+          // a credit and a new schedule count against the same limit
+          await expect(payroll.withdraw(ETH, part)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          await expect(
+            payroll.issueCredit(
+              recipientAccount.address,
+              ETH,
+              1,
+              ethers.utils.formatBytes32String("BONUS"),
+              0
+            )
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+          await expect(
+            payroll.addRecipient(
+              recipientAccount.address,
+              ETH,
+              part.mul(30),
+              interval
+            )
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+
+          const { timestamp } = await ethers.provider.getBlock("latest");
+          await advanceTime(periodEnd.toNumber() - timestamp);
+          await payroll.withdraw(ETH, part);
+          assert.equal(
+            (await payroll.getInstantSpend(ETH))[0].toString(),
+            part.toString()
+          );
+        });
+
+        it("a queued change expires after the grace period", async () => {
+          const amount = ethers.utils.parseEther("50");
+          const id = await queue("withdraw", [ETH, amount]);
+          const gracePeriod = (await payroll.CHANGE_GRACE_PERIOD()).toNumber();
+          const expiredAt =
+            (await payroll.getChangeReadyAt(id)).toNumber() + gracePeriod;
+          await advanceTime(delay + gracePeriod + 1);
+          await expect(payroll.withdraw(ETH, amount)).to.be.revertedWith(
+            `Payroll__ChangeExpired("${id}", ${expiredAt})`
+          );
+
+          // it can be queued again
+          await queue("withdraw", [ETH, amount]);
+          await advanceTime(delay);
+          await expect(payroll.withdraw(ETH, amount))
+            .to.emit(payroll, "ChangeExecuted")
+            .withArgs(id);
+        });
+
+        it("credits and advances above the instant limit are timelocked", async () => {
+          const BONUS = ethers.utils.formatBytes32String("BONUS");
+          await payroll.issueCredit(
+            recipientAccount.address,
+            ETH,
+            instantLimit,
+            BONUS,
+            0
+          );
+          const args = [
+            recipientAccount.address,
+            ETH,
+            instantLimit.add(1),
+            BONUS,
+            0,
+          ];
+          await expect(payroll.issueCredit(...args)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          await queue("issueCredit", args);
+          await advanceTime(delay);
+          await expect(payroll.issueCredit(...args)).to.emit(
+            payroll,
+            "CreditReleased"
+          );
+
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            instantLimit,
+            interval
+          );
+          await payroll
+            .connect(recipientAccount)
+            .requestAdvance(instantLimit.mul(2));
+          await expect(
+            payroll.approveAdvance(recipientAccount.address)
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+          await queue("approveAdvance", [recipientAccount.address]);
+          await advanceTime(delay);
+          await expect(
+            payroll.approveAdvance(recipientAccount.address)
+          ).to.emit(payroll, "AdvanceApproved");
+        });
+
+        it("a pauser cancels a queued change", async () => {
+          const args = [recipientAccount.address, ETH, instantLimit, 1];
+          const id = await queue("addRecipient", args);
+          await payroll.grantRole(
+            await payroll.PAUSER_ROLE(),
+            accounts[3].address
+          );
+          await expect(
+            payroll.connect(accounts[2]).cancelChange(id)
+          ).to.be.revertedWith("Payroll__NotAllowedToQueue");
+          await expect(payroll.connect(accounts[3]).cancelChange(id))
+            .to.emit(payroll, "ChangeCancelled")
+            .withArgs(id, accounts[3].address);
+          await expect(payroll.cancelChange(id)).to.be.revertedWith(
+            "Payroll__ChangeNotQueued"
+          );
+          await advanceTime(delay);
+          await expect(payroll.addRecipient(...args)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+        });
+
+        it("loosening the policy is timelocked, tightening it is instant", async () => {
+          await payroll.setTimelockDelay(delay * 2);
+          await payroll.setInstantLimit(ETH, instantLimit.div(2));
+          await expect(payroll.setTimelockDelay(0)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          await expect(
+            payroll.setInstantLimit(ETH, instantLimit)
+          ).to.be.revertedWith("Payroll__ChangeNotReady");
+
+          await queue("setTimelockDelay", [0]);
+          await advanceTime(delay * 2);
+          await expect(payroll.setTimelockDelay(0))
+            .to.emit(payroll, "TimelockDelayUpdated")
+            .withArgs(0);
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            instantLimit,
+            1
+          );
+        });
+
+        it("a longer clawback window is timelocked, a shorter one is instant", async () => {
+          await expect(payroll.setClawbackWindow(3600)).to.be.revertedWith(
+            "Payroll__ChangeNotReady"
+          );
+          await queue("setClawbackWindow", [3600]);
+          await advanceTime(delay);
+          await payroll.setClawbackWindow(3600);
+          await expect(payroll.setClawbackWindow(60))
+            .to.emit(payroll, "ClawbackWindowUpdated")
+            .withArgs(60);
+        });
+
+        it("price feeds, deductions and upgrades are timelocked", async () => {
+          await payroll.addRecipient(recipientAccount.address, ETH, 10, 30);
+          const deductions = [
+            {
+              name: ethers.utils.formatBytes32String("TAX"),
+              beneficiary: accounts[3].address,
+              basisPoints: 2000,
+            },
+          ];
+          const calls = [
+            ["setPriceFeed", [ETH, accounts[4].address, 3600]],
+            ["setDefaultDeductions", [deductions]],
+            ["setDeductions", [recipientAccount.address, deductions]],
+            ["upgradeTo", [await payroll.getExtension()]],
+          ];
+          for (const [method, args] of calls) {
+            await expect(payroll[method](...args)).to.be.revertedWith(
+              "Payroll__ChangeNotReady"
+            );
+          }
+          await queue("setPriceFeed", calls[0][1]);
+          await advanceTime(delay);
+          await payroll.setPriceFeed(...calls[0][1]);
+          assert.equal(
+            (await payroll.getPriceFeed(ETH)).feed,
+            accounts[4].address
+          );
+        });
+      });
+
+      describe("upgrades", () => {
+        let implementation, payrollV2;
+
+        beforeEach(async () => {
+          implementation = await ethers.getContract("Payroll_Implementation");
+          payrollV2 = await (
+            await ethers.getContractFactory("PayrollV2", {
+              libraries: {
+                PaymentSchedules: (
+                  await ethers.getContract("PaymentSchedules")
+                ).address,
+              },
+            })
+          ).deploy(
+            owner.address,
+            "Payroll",
+            (
+              await ethers.getContract("PayrollExtension")
+            ).address
+          );
+        });
+
+        it("the payroll is a proxy of the implementation", async () => {
+          assert.equal(
+            await getImplementation(ethers.provider, payroll.address),
+            implementation.address
+          );
+        });
+
+        it("only the admin can upgrade the payroll", async () => {
+          await expect(
+            payroll.connect(accounts[2]).upgradeTo(payrollV2.address)
+          ).to.be.revertedWith(
+            missingRoleMessage(accounts[2], await payroll.DEFAULT_ADMIN_ROLE())
+          );
+          await expect(
+            implementation.upgradeTo(payrollV2.address)
+          ).to.be.revertedWith("Function must be called through delegatecall");
+        });
+
+        it("the recipients, schedules and balances survive an upgrade", async () => {
+          const interval = 30;
+          await fundContract("1");
+          await fundContractWithTokens(1000000);
+          await payroll.addRecipient(
+            recipientAccount.address,
+            ETH,
+            ethers.utils.parseEther("0.1"),
+            interval
+          );
+          await payroll.addRecipient(
+            accounts[2].address,
+            token.address,
+            1000,
+            interval
+          );
+          await network.provider.send("evm_increaseTime", [interval]);
+          await network.provider.request({ method: "evm_mine", params: [] });
+          const [, performData] = await payroll.checkUpkeep([]);
+          await payroll.performUpkeep(performData);
+
+          const snapshot = async (contract) => {
+            const recipients = await contract.getRecipients();
+            const state = { recipients, schedules: [], balances: [] };
+            for (const recipient of recipients) {
+              const paymentSchedule = await contract.getPaymentSchedule(
+                recipient
+              );
+              state.schedules.push(paymentSchedule.map(String));
+              state.balances.push(
+                (
+                  await contract.balanceOf(recipient, paymentSchedule.token)
+                ).toString()
+              );
+            }
+            return state;
+          };
+          const before = await snapshot(payroll);
+
+          await payroll.upgradeTo(payrollV2.address);
+          const upgraded = await ethers.getContractAt(
+            "PayrollV2",
+            payroll.address
+          );
+          // the PayrollV2 ABI lacks the PayrollExtension functions
+          assert.deepEqual(await snapshot(payroll), before);
+          assert.equal((await upgraded.version()).toNumber(), 2);
+          assert.equal(await payroll.getName(), "Payroll");
+          await upgraded.setNote("v2");
+          assert.equal(await upgraded.getNote(), "v2");
+          assert.deepEqual(await snapshot(payroll), before);
+        });
+
+        it("the V2 storage layout is compatible", async () => {
+          const { storageLayout } = await deployments.getExtendedArtifact(
+            "Payroll"
+          );
+          const { storageLayout: storageLayoutV2 } =
+            await deployments.getExtendedArtifact("PayrollV2");
+          assert.deepEqual(
+            checkStorageLayout(storageLayout, storageLayoutV2),
+            []
+          );
+          assert.isNotEmpty(checkStorageLayout(storageLayoutV2, storageLayout));
+        });
+      });
     });
@@ -0,0 +1,167 @@
+const { assert, expect } = require("chai");
+const { network, deployments, ethers } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const { getImplementation } = require("../../utils/upgrades");
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("PayrollFactory unit tests", () => {
+      let payrollFactory, implementation, accounts, owner;
+      const ETH = ethers.constants.AddressZero;
+
+      const createPayroll = async (payrollOwner, name) => {
+        const txResponse = await payrollFactory.createPayroll(
+          payrollOwner,
+          name
+        );
+        const txReceipt = await txResponse.wait();
+        const { payroll } = txReceipt.events.find(
+          (e) => e.event === "PayrollCreated"
+        ).args;
+        // the Payroll deployment ABI includes the PayrollExtension functions
+        return (await ethers.getContract("Payroll")).attach(payroll);
+      };
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        payrollFactory = await ethers.getContract("PayrollFactory");
+        implementation = await ethers.getContract("Payroll_Implementation");
+        accounts = await ethers.getSigners();
+        owner = accounts[0];
+      });
+
+      describe("constructor", () => {
+        it("the factory uses the Payroll implementation", async () => {
+          assert.equal(
+            await payrollFactory.getImplementation(),
+            implementation.address
+          );
+          assert.equal((await payrollFactory.getPayrollCount()).toNumber(), 0);
+        });
+      });
+
+      describe("createPayroll", () => {
+        it("creates a named payroll owned by the given account", async () => {
+          const hrAccount = accounts[3];
+          const payroll = await createPayroll(hrAccount.address, "Engineering");
+          assert.equal(await payroll.getName(), "Engineering");
+          assert.equal((await payroll.getMaxBatchSize()).toNumber(), 50);
+          for (const role of [
+            await payroll.DEFAULT_ADMIN_ROLE(),
+            await payroll.PAYROLL_ADMIN_ROLE(),
+            await payroll.TREASURER_ROLE(),
+            await payroll.PAUSER_ROLE(),
+          ]) {
+            assert.isTrue(await payroll.hasRole(role, hrAccount.address));
+            assert.isFalse(await payroll.hasRole(role, owner.address));
+          }
+        });
+
+        it("emits a PayrollCreated event", async () => {
+          await expect(
+            payrollFactory.createPayroll(owner.address, "Engineering")
+          ).to.emit(payrollFactory, "PayrollCreated");
+        });
+
+        it("registers the payrolls", async () => {
+          const engineering = await createPayroll(owner.address, "Engineering");
+          const clientA = await createPayroll(owner.address, "Client A");
+          assert.deepEqual(await payrollFactory.getPayrolls(), [
+            engineering.address,
+            clientA.address,
+          ]);
+          assert.equal((await payrollFactory.getPayrollCount()).toNumber(), 2);
+          assert.equal(
+            await payrollFactory.getPayrollByName("Client A"),
+            clientA.address
+          );
+          assert.equal(await payrollFactory.getPayrollByName("Sales"), ETH);
+        });
+
+        it("the name must be unique", async () => {
+          await createPayroll(owner.address, "Engineering");
+          await expect(
+            payrollFactory.createPayroll(accounts[1].address, "Engineering")
+          ).to.be.revertedWith("PayrollFactory__NameAlreadyUsed");
+        });
+
+        it("the owner must not be the zero address", async () => {
+          await expect(
+            payrollFactory.createPayroll(ETH, "Engineering")
+          ).to.be.revertedWith("PayrollFactory__InvalidOwner");
+        });
+
+        it("a payroll cannot be initialized twice", async () => {
+          const payroll = await createPayroll(owner.address, "Engineering");
+          await expect(
+            payroll.connect(accounts[2]).initialize(accounts[2].address, "x")
+          ).to.be.revertedWith(
+            "Initializable: contract is already initialized"
+          );
+          await expect(
+            implementation
+              .connect(accounts[2])
+              .initialize(accounts[2].address, "x")
+          ).to.be.revertedWith(
+            "Initializable: contract is already initialized"
+          );
+        });
+
+        it("each payroll has its own funds and roster", async () => {
+          const engineering = await createPayroll(owner.address, "Engineering");
+          const clientA = await createPayroll(owner.address, "Client A");
+          await owner.sendTransaction({
+            to: engineering.address,
+            value: ethers.utils.parseEther("1"),
+          });
+          await engineering.addRecipient(accounts[1].address, ETH, 10, 30);
+
+          assert.equal((await engineering.getRecipientCount()).toNumber(), 1);
+          assert.equal((await clientA.getRecipientCount()).toNumber(), 0);
+          assert.equal(
+            (
+              await (await ethers.getContract("Payroll"))
+                .attach(implementation.address)
+                .getRecipientCount()
+            ).toNumber(),
+            0
+          );
+          assert.equal((await clientA.surplus(ETH)).toString(), "0");
+          assert.equal(
+            (await engineering.surplus(ETH)).toString(),
+            ethers.utils.parseEther("1").toString()
+          );
+        });
+
+        it("each payroll is a proxy its owner can upgrade", async () => {
+          const hrAccount = accounts[3];
+          const payroll = await createPayroll(hrAccount.address, "Engineering");
+          assert.equal(
+            await getImplementation(ethers.provider, payroll.address),
+            implementation.address
+          );
+          const payrollV2 = await (
+            await ethers.getContractFactory("PayrollV2", {
+              libraries: {
+                PaymentSchedules: (
+                  await ethers.getContract("PaymentSchedules")
+                ).address,
+              },
+            })
+          ).deploy(
+            owner.address,
+            "Payroll",
+            (
+              await ethers.getContract("PayrollExtension")
+            ).address
+          );
+          await expect(payroll.upgradeTo(payrollV2.address)).to.be.reverted;
+          await payroll.connect(hrAccount).upgradeTo(payrollV2.address);
+          assert.equal(
+            await getImplementation(ethers.provider, payroll.address),
+            payrollV2.address
+          );
+          assert.equal(await payroll.getName(), "Engineering");
+        });
+      });
+    });
@@ -0,0 +1,98 @@
+const { assert } = require("chai");
+const { network, deployments, ethers } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const { signClaim, relayClaim, startRelayer } = require("../../utils/claims");
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll relayer", () => {
+      const ETH = ethers.constants.AddressZero;
+      const amount = ethers.utils.parseEther("1");
+      const fee = ethers.utils.parseEther("0.01");
+      const interval = 30;
+      let payroll, recipient, relayerSigner, deadline;
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        const accounts = await ethers.getSigners();
+        recipient = accounts[1];
+        relayerSigner = accounts[5];
+        payroll = (await ethers.getContract("Payroll")).connect(relayerSigner);
+        await accounts[0].sendTransaction({
+          to: payroll.address,
+          value: amount,
+        });
+        await (
+          await ethers.getContract("Payroll")
+        ).addRecipient(recipient.address, ETH, amount, interval);
+        await network.provider.send("evm_increaseTime", [interval]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        deadline = timestamp + 3600;
+      });
+
+      it("relayClaim rejects a claim before sending a transaction", async () => {
+        const { claim, signature } = await signClaim(recipient, payroll, {
+          maxFee: fee,
+          deadline,
+        });
+        const attempts = [
+          [{ ...claim, amount: "1" }, fee, "isn't signed by"],
+          [claim, fee.add(1), "exceeds the claim maxFee"],
+        ];
+        const nonce = await ethers.provider.getTransactionCount(
+          relayerSigner.address
+        );
+        for (const [attempt, attemptFee, message] of attempts) {
+          try {
+            await relayClaim(payroll, attempt, signature, attemptFee);
+            assert.fail("the claim was relayed");
+          } catch (error) {
+            assert.include(error.message, message);
+          }
+        }
+        assert.equal(
+          await ethers.provider.getTransactionCount(relayerSigner.address),
+          nonce
+        );
+      });
+
+      it("the relayer relays the claims POSTed to it for a fee", async () => {
+        const relayer = startRelayer({
+          payroll,
+          fee,
+          onError: () => {},
+        });
+        try {
+          const port = await relayer.listening;
+          const post = async (body) => {
+            const response = await fetch(`http://localhost:${port}`, {
+              method: "POST",
+              body: JSON.stringify(body),
+            });
+            return { status: response.status, ...(await response.json()) };
+          };
+
+          const signedClaim = await signClaim(recipient, payroll, {
+            maxFee: fee,
+            deadline,
+          });
+          const { status, hash } = await post(signedClaim);
+          assert.equal(status, 200);
+          const receipt = await ethers.provider.waitForTransaction(hash);
+          assert.equal(receipt.status, 1);
+          assert.equal(
+            (await payroll.balanceOf(recipient.address, ETH)).toString(),
+            "0"
+          );
+
+          const replay = await post(signedClaim);
+          assert.equal(replay.status, 400);
+          assert.include(replay.error, "already been used");
+        } finally {
+          await relayer.stop();
+        }
+      });
+    });
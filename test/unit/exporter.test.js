@@ -0,0 +1,293 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const { periodOf, toCsv } = require("../../utils/exporter");
+const { formatTimestamp } = require("../../utils/units");
+
+const { network, deployments, ethers } = hre;
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll exporter", () => {
+      const ETH = ethers.constants.AddressZero;
+      const interval = 30;
+      let payroll, accounts, outDir;
+
+      const exportPayroll = async (taskArgs = {}) => {
+        const { log } = console;
+        console.log = () => {};
+        try {
+          return await hre.run("payroll:export", { out: outDir, ...taskArgs });
+        } finally {
+          console.log = log;
+        }
+      };
+
+      const payDueRecipients = async () => {
+        await network.provider.send("evm_increaseTime", [interval]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+      };
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        payroll = await ethers.getContract("Payroll");
+        accounts = await ethers.getSigners();
+        outDir = fs.mkdtempSync(path.join(os.tmpdir(), "payroll-export-"));
+
+        await accounts[0].sendTransaction({
+          to: payroll.address,
+          value: ethers.utils.parseEther("1"),
+        });
+        await payroll.addRecipient(
+          accounts[1].address,
+          ETH,
+          ethers.utils.parseEther("0.1"),
+          interval
+        );
+        await payroll.addRecipient(
+          accounts[2].address,
+          ETH,
+          ethers.utils.parseEther("2"),
+          interval
+        );
+        await payDueRecipients();
+        await payDueRecipients();
+        await payroll.connect(accounts[1]).withdrawPayments(ETH);
+        await payroll.connect(accounts[2]).withdrawPayments(ETH);
+        await payroll.removeRecipient(accounts[2].address);
+      });
+
+      afterEach(() => {
+        fs.rmSync(outDir, { recursive: true, force: true });
+      });
+
+      it("exports every Payroll event in the company ledger", async () => {
+        const { ledger } = await exportPayroll();
+        assert.deepEqual(
+          ledger.map((e) => e.event),
+          [
+            "RecipientAdded",
+            "RecipientAdded",
+            "PaymentDone",
+            "PaymentDone",
+            "PaymentDone",
+            "PaymentDone",
+            "Transfer",
+            "InsufficientBalance",
+            "IouQueued",
+            "RecipientRemoved",
+          ]
+        );
+        const transfer = ledger.find((e) => e.event === "Transfer");
+        assert.equal(transfer.recipient, accounts[1].address);
+        assert.equal(transfer.token, "ETH");
+        assert.equal(transfer.amount, "0.2");
+        const { timestamp } = await ethers.provider.getBlock(transfer.block);
+        assert.equal(transfer.date, formatTimestamp(timestamp));
+        const iou = ledger.find((e) => e.event === "IouQueued");
+        assert.equal(iou.recipient, accounts[2].address);
+        assert.equal(iou.amount, "4.0");
+        assert.equal(iou.details, "position 1 in the queue, 4.0 ETH queued");
+
+        const ledgerCsv = fs
+          .readFileSync(path.join(outDir, "ledger.csv"), "utf8")
+          .split("\n");
+        assert.equal(
+          ledgerCsv[0],
+          "date,block,transaction,event,recipient,token,amount,details"
+        );
+        assert.equal(ledgerCsv.length, ledger.length + 2);
+        const ledgerJson = JSON.parse(
+          fs.readFileSync(path.join(outDir, "ledger.json"), "utf8")
+        );
+        assert.equal(ledgerJson.length, ledger.length);
+      });
+
+      it("exports a payslip per recipient with the accrued, withdrawn and outstanding amounts", async () => {
+        const { payslips } = await exportPayroll();
+
+        const [paidPeriod] = payslips[accounts[1].address].periods;
+        assert.equal(paidPeriod.token, "ETH");
+        assert.equal(paidPeriod.accrued, "0.2");
+        assert.equal(paidPeriod.withdrawn, "0.2");
+        assert.equal(paidPeriod.outstanding, "0.0");
+
+        const [unpaidPeriod] = payslips[accounts[2].address].periods;
+        assert.equal(unpaidPeriod.accrued, "4.0");
+        assert.equal(unpaidPeriod.withdrawn, "0.0");
+        assert.equal(unpaidPeriod.outstanding, "4.0");
+
+        const payslipCsv = fs
+          .readFileSync(
+            path.join(outDir, "payslips", `${accounts[2].address}.csv`),
+            "utf8"
+          )
+          .split("\n");
+        assert.equal(
+          payslipCsv[0],
+          "period,token,accrued,deductions,net,withdrawn,outstanding"
+        );
+        assert.equal(
+          payslipCsv[1],
+          `${unpaidPeriod.period},ETH,4.0,0.0,4.0,0.0,4.0`
+        );
+        const payslipJson = JSON.parse(
+          fs.readFileSync(
+            path.join(outDir, "payslips", `${accounts[2].address}.json`),
+            "utf8"
+          )
+        );
+        assert.equal(payslipJson.periods[0].entries.length, 2);
+      });
+
+      it("only exports the events of a block range", async () => {
+        const toBlock = await ethers.provider.getBlockNumber();
+        await payDueRecipients();
+        const { ledger } = await exportPayroll({ toBlock });
+        assert.equal(ledger.length, 10);
+      });
+
+      it("attributes a payment sent to another address to the recipient", async () => {
+        await payroll.addRecipient(
+          accounts[3].address,
+          ETH,
+          ethers.utils.parseEther("0.1"),
+          interval
+        );
+        await payDueRecipients();
+        // settle the IOU queued by the setup, which comes first
+        await accounts[0].sendTransaction({
+          to: payroll.address,
+          value: ethers.utils.parseEther("4"),
+        });
+        await payroll
+          .connect(accounts[3])
+          .withdrawPaymentsTo(ETH, accounts[4].address);
+        const { ledger, payslips } = await exportPayroll();
+
+        assert.isUndefined(ledger.find((e) => e.event === "PaymentRedirected"));
+        const transfer = ledger[ledger.length - 1];
+        assert.equal(transfer.event, "Transfer");
+        assert.equal(transfer.recipient, accounts[3].address);
+        assert.equal(transfer.details, `sent to ${accounts[4].address}`);
+        assert.equal(payslips[accounts[3].address].periods[0].withdrawn, "0.1");
+        assert.isUndefined(payslips[accounts[4].address]);
+      });
+
+      it("credits the deductions to their beneficiaries", async () => {
+        const beneficiary = accounts[5].address;
+        await payroll.addRecipient(
+          accounts[3].address,
+          ETH,
+          ethers.utils.parseEther("0.1"),
+          interval
+        );
+        await payroll.setDeductions(accounts[3].address, [
+          {
+            name: ethers.utils.formatBytes32String("TAX"),
+            beneficiary,
+            basisPoints: 2500,
+          },
+        ]);
+        await payDueRecipients();
+        const { ledger, payslips } = await exportPayroll();
+
+        const deduction = ledger.find((e) => e.event === "DeductionApplied");
+        assert.equal(deduction.recipient, accounts[3].address);
+        assert.equal(deduction.amount, "0.025");
+        assert.equal(deduction.details, `withheld for ${beneficiary} (TAX)`);
+        const [period] = payslips[accounts[3].address].periods;
+        assert.equal(period.accrued, "0.1");
+        assert.equal(period.deductions, "0.025");
+        assert.equal(period.net, "0.075");
+        assert.equal(period.outstanding, "0.075");
+        const [beneficiaryPeriod] = payslips[beneficiary].periods;
+        assert.equal(beneficiaryPeriod.accrued, "0.025");
+        assert.equal(beneficiaryPeriod.outstanding, "0.025");
+      });
+
+      it("itemises the credits and the advance repayments", async () => {
+        const BONUS = ethers.utils.formatBytes32String("BONUS");
+        await payroll.addRecipient(
+          accounts[3].address,
+          ETH,
+          ethers.utils.parseEther("0.1"),
+          interval
+        );
+        await payroll.issueCredit(
+          accounts[3].address,
+          ETH,
+          ethers.utils.parseEther("0.5"),
+          BONUS,
+          0
+        );
+        await payroll
+          .connect(accounts[3])
+          .requestAdvance(ethers.utils.parseEther("0.04"));
+        await payroll.approveAdvance(accounts[3].address);
+        await payDueRecipients();
+        const { ledger, payslips } = await exportPayroll();
+
+        const released = ledger.find((e) => e.event === "CreditReleased");
+        assert.equal(released.recipient, accounts[3].address);
+        assert.equal(released.amount, "0.5");
+        assert.equal(released.details, "credit #0 (BONUS)");
+        const repaid = ledger.find((e) => e.event === "AdvanceRepaid");
+        assert.equal(repaid.amount, "0.04");
+        assert.equal(repaid.details, "0.0 ETH left to repay");
+        const [period] = payslips[accounts[3].address].periods;
+        assert.equal(period.accrued, "0.64");
+        assert.equal(period.deductions, "0.04");
+        assert.equal(period.outstanding, "0.6");
+      });
+
+      it("counts the clawbacks with the deductions", async () => {
+        const amount = ethers.utils.parseEther("0.1");
+        await payroll.setClawbackWindow(10 * interval);
+        await payroll.addRecipient(accounts[3].address, ETH, amount, interval);
+        await payDueRecipients();
+        await payroll.clawback(
+          accounts[3].address,
+          ETH,
+          amount,
+          ethers.utils.formatBytes32String("ERROR")
+        );
+        const { ledger, payslips } = await exportPayroll();
+
+        const clawback = ledger.find((e) => e.event === "PaymentClawedBack");
+        assert.equal(clawback.recipient, accounts[3].address);
+        assert.equal(clawback.amount, "0.1");
+        assert.equal(
+          clawback.details,
+          `clawed back by ${accounts[0].address} (ERROR)`
+        );
+        const [period] = payslips[accounts[3].address].periods;
+        assert.equal(period.accrued, "0.1");
+        assert.equal(period.deductions, "0.1");
+        assert.equal(period.outstanding, "0.0");
+      });
+
+      describe("periodOf", () => {
+        it("returns the day, week and month of a timestamp", () => {
+          // Wednesday 1 February 2023
+          const timestamp = Date.UTC(2023, 1, 1, 12) / 1000;
+          assert.equal(periodOf(timestamp, "day"), "2023-02-01");
+          assert.equal(periodOf(timestamp, "week"), "2023-01-30");
+          assert.equal(periodOf(timestamp, "month"), "2023-02");
+        });
+      });
+
+      describe("toCsv", () => {
+        it("escapes commas and quotes", () => {
+          assert.equal(
+            toCsv([{ a: 'say "hi", bob', b: 1 }], ["a", "b"]),
+            'a,b\n"say ""hi"", bob",1\n'
+          );
+        });
+      });
+    });
@@ -0,0 +1,184 @@
+const { assert, expect } = require("chai");
+const { ethers } = require("hardhat");
+const { parseRoster, planRoster } = require("../../utils/roster");
+
+describe("roster", () => {
+  const ALICE = "0x70997970C51812dc3A010C7d01b50e0d17dc79C8";
+  const BOB = "0x3C44CdDdB6a900fa2b585dd299e03d12FA4293BC";
+  const CAROL = "0x90F79bf6EB2c4f870365E785982E1f101E93b906";
+  const DAVE = "0x15d34AAf54267DB7D7c367839AAf71A00a2C6A65";
+  const ETH = ethers.constants.AddressZero;
+  const USDC = "0x5FbDB2315678afecb367f032d93F642f64180aa3";
+
+  describe("parseRoster", () => {
+    it("parses a CSV roster with a header and quoted notes", () => {
+      const roster = parseRoster(
+        [
+          "address,amount,interval,token,streaming,notes",
+          `${ALICE.toLowerCase()},0.5 ETH,2 weeks,,,"Engineering, full time"`,
+          "# contractors",
+          "",
+          `${BOB},1500 USDC,30 days,${USDC},Yes,"says ""hi"""`,
+        ].join("\n")
+      );
+      assert.deepEqual(roster, [
+        {
+          address: ALICE,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+          token: "ETH",
+          streaming: false,
+          notes: "Engineering, full time",
+        },
+        {
+          address: BOB,
+          amount: "1500 USDC",
+          interval: "30 days",
+          token: USDC,
+          streaming: true,
+          notes: 'says "hi"',
+        },
+      ]);
+    });
+
+    it("parses a JSON roster", () => {
+      const roster = parseRoster(
+        JSON.stringify([
+          { address: ALICE, amount: "1 ETH", interval: 86400 },
+          { address: BOB, amount: "1 ETH", interval: 86400, streaming: true },
+        ]),
+        "json"
+      );
+      assert.deepEqual(roster, [
+        {
+          address: ALICE,
+          amount: "1 ETH",
+          interval: "86400",
+          token: "ETH",
+          streaming: false,
+          notes: "",
+        },
+        {
+          address: BOB,
+          amount: "1 ETH",
+          interval: "86400",
+          token: "ETH",
+          streaming: true,
+          notes: "",
+        },
+      ]);
+    });
+
+    it("rejects invalid rosters with their line", () => {
+      const header = "address,amount,interval";
+      expect(() =>
+        parseRoster(`${header}\n${ALICE},1 ETH,1 day\n0x1234,1 ETH,1 day`)
+      ).to.throw('Invalid address "0x1234" in roster line 3');
+      expect(() => parseRoster(`${header}\n${ALICE},,1 day`)).to.throw(
+        "Missing amount in roster line 2"
+      );
+      expect(() =>
+        parseRoster(`${header}\n${ALICE},1 ETH,1 day\n${ALICE},2 ETH,1 day`)
+      ).to.throw(`Duplicate address ${ALICE} in roster line 3`);
+      expect(() =>
+        parseRoster(`${header},salary\n${ALICE},1 ETH,1 day,1`)
+      ).to.throw('Unknown column "salary" in roster line 2');
+      expect(() =>
+        parseRoster(`${header},streaming\n${ALICE},1 ETH,1 day,maybe`)
+      ).to.throw('Invalid streaming "maybe" in roster line 2');
+      expect(() => parseRoster("{}", "json")).to.throw("must be an array");
+    });
+  });
+
+  describe("planRoster", () => {
+    const schedule = (address, amount, interval, token = ETH) => ({
+      address,
+      token,
+      amount: ethers.BigNumber.from(amount),
+      interval: ethers.BigNumber.from(interval),
+      usdDenominated: false,
+    });
+
+    it("plans nothing when the payroll matches the roster", () => {
+      const current = [schedule(ALICE, 10, 20), schedule(BOB, 30, 40)];
+      assert.deepEqual(planRoster(current, [...current].reverse()), []);
+    });
+
+    it("adds, updates, replaces and removes recipients", () => {
+      const current = [
+        schedule(ALICE, 10, 20),
+        schedule(BOB, 30, 40),
+        schedule(CAROL, 50, 60),
+      ];
+      const desired = [
+        schedule(BOB, 30, 40, USDC),
+        schedule(ALICE, 10, 30),
+        schedule(DAVE, 70, 80),
+      ];
+      const changes = planRoster(current, desired);
+      assert.deepEqual(
+        changes.map(({ action, address }) => [action, address]),
+        [
+          ["replace", BOB],
+          ["update", ALICE],
+          ["add", DAVE],
+          ["remove", CAROL],
+        ]
+      );
+      assert.equal(changes[1].current, current[0]);
+      assert.equal(changes[1].desired, desired[1]);
+    });
+
+    it("replaces a recipient paid in USD by the same token amount", () => {
+      const current = [{ ...schedule(ALICE, 10, 20), usdDenominated: true }];
+      assert.deepEqual(
+        planRoster(current, [schedule(ALICE, 10, 20)]).map(
+          (change) => change.action
+        ),
+        ["replace"]
+      );
+    });
+
+    it("replaces a streaming recipient the roster pays every interval", () => {
+      const current = [
+        { ...schedule(ALICE, 10, 20), streaming: true },
+        { ...schedule(BOB, 30, 40), streaming: true },
+      ];
+      const desired = [
+        schedule(ALICE, 10, 20),
+        { ...schedule(BOB, 30, 40), streaming: true },
+      ];
+      const changes = planRoster(current, desired);
+      assert.deepEqual(
+        changes.map(({ action, address }) => [action, address]),
+        [["replace", ALICE]]
+      );
+    });
+
+    it("updates a fixed-term recipient but refuses to replace it", () => {
+      const current = [
+        { ...schedule(ALICE, 10, 20), endTime: "2030-01-01T00:00:00.000Z" },
+        { ...schedule(BOB, 30, 40), cliffEnd: "2030-01-01T00:00:00.000Z" },
+      ];
+      assert.deepEqual(
+        planRoster(current, [
+          schedule(ALICE, 10, 30),
+          schedule(BOB, 30, 40),
+        ]).map(({ action, address }) => [action, address]),
+        [["update", ALICE]]
+      );
+      expect(() =>
+        planRoster(current, [
+          schedule(ALICE, 10, 20, USDC),
+          schedule(BOB, 30, 40),
+        ])
+      ).to.throw(`Can't replace ${ALICE}, its schedule has a fixed term`);
+      expect(() =>
+        planRoster(current, [
+          schedule(ALICE, 10, 20),
+          { ...schedule(BOB, 30, 40), streaming: true },
+        ])
+      ).to.throw(`Can't replace ${BOB}, its schedule has a fixed term`);
+    });
+  });
+});
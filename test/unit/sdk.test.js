@@ -0,0 +1,153 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { network, deployments, ethers } = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const {
+  loadPayroll,
+  getRecipient,
+  getRecipientsPage,
+  getAllRecipients,
+  getBalance,
+  nextPaymentAt,
+  totalPayrollPerPeriod,
+} = require("../../utils/sdk");
+const { formatTimestamp } = require("../../utils/units");
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll SDK", () => {
+      const ETH = ethers.constants.AddressZero;
+      const amount = ethers.utils.parseEther("1");
+      const interval = 30;
+      let payroll, accounts;
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        accounts = await ethers.getSigners();
+        // a deployments directory, as written by hardhat-deploy on a live network
+        const deploymentsDir = fs.mkdtempSync(
+          path.join(os.tmpdir(), "payroll-sdk-")
+        );
+        fs.writeFileSync(
+          path.join(deploymentsDir, "Payroll.json"),
+          JSON.stringify(await deployments.get("Payroll"))
+        );
+        payroll = loadPayroll(deploymentsDir, accounts[0]);
+
+        await accounts[0].sendTransaction({
+          to: payroll.address,
+          value: ethers.utils.parseEther("10"),
+        });
+        for (let i = 1; i <= 3; i++) {
+          await payroll.addRecipient(
+            accounts[i].address,
+            ETH,
+            amount.mul(i),
+            interval
+          );
+        }
+        await network.provider.send("evm_increaseTime", [interval]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+      });
+
+      it("loadPayroll merges the extension functions into the payroll", async () => {
+        assert.equal(
+          payroll.address,
+          (await deployments.get("Payroll")).address
+        );
+        assert.equal(await payroll.getName(), "Payroll");
+        assert.equal((await payroll.getCreditCount()).toNumber(), 0);
+      });
+
+      it("getRecipient returns a plain object with BigNumber amounts and ISO dates", async () => {
+        const { lastTimestamp } = await payroll.getPaymentSchedule(
+          accounts[2].address
+        );
+        const recipient = await getRecipient(payroll, accounts[2].address);
+        assert.deepInclude(recipient, {
+          recipient: accounts[2].address,
+          token: ETH,
+          interval,
+          streaming: false,
+          usdDenominated: false,
+          lastPaymentAt: formatTimestamp(lastTimestamp),
+          cliffEnd: null,
+          endTime: null,
+          scheduledUpdate: null,
+          nextPaymentAt: formatTimestamp(lastTimestamp.add(interval)),
+          active: true,
+          payoutAddress: accounts[2].address,
+        });
+        assert.isTrue(ethers.BigNumber.isBigNumber(recipient.amount));
+        assert.equal(recipient.amount.toString(), amount.mul(2).toString());
+        assert.equal(recipient.balance.toString(), amount.mul(2).toString());
+        assert.equal(recipient.advance.outstanding.toNumber(), 0);
+        assert.equal(
+          await nextPaymentAt(payroll, accounts[2].address),
+          recipient.nextPaymentAt
+        );
+      });
+
+      it("getRecipientsPage and getAllRecipients page through the roster", async () => {
+        const { recipients, total } = await getRecipientsPage(payroll, 1, 5);
+        assert.equal(total, 3);
+        assert.deepEqual(
+          recipients.map(({ recipient }) => recipient),
+          [accounts[2].address, accounts[3].address]
+        );
+        const all = await getAllRecipients(payroll, 2);
+        assert.deepEqual(
+          all.map(({ recipient }) => recipient),
+          [accounts[1].address, accounts[2].address, accounts[3].address]
+        );
+        assert.deepEqual(
+          all.map(({ balance }) => balance.toString()),
+          [amount, amount.mul(2), amount.mul(3)].map(String)
+        );
+      });
+
+      it("getAllRecipients rejects an invalid page size and stops at an empty page", async () => {
+        for (const pageSize of [0, -1, 1.5]) {
+          try {
+            await getAllRecipients(payroll, pageSize);
+            assert.fail("the page size was accepted");
+          } catch (error) {
+            assert.include(error.message, `Invalid page size ${pageSize}`);
+          }
+        }
+        // the recipients were removed between two pages
+        const shrunk = {
+          getRecipientsPage: async () => [[], ethers.BigNumber.from(3)],
+        };
+        assert.deepEqual(await getAllRecipients(shrunk, 2), []);
+      });
+
+      it("getBalance splits the final and the pending funds", async () => {
+        await payroll.setClawbackWindow(10 * interval);
+        await network.provider.send("evm_increaseTime", [interval]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+
+        const balance = await getBalance(payroll, accounts[1].address, ETH);
+        assert.equal(balance.total.toString(), amount.mul(2).toString());
+        assert.equal(balance.final.toString(), amount.toString());
+        assert.equal(balance.pending.toString(), amount.toString());
+        const { pendingBalance } = await getRecipient(
+          payroll,
+          accounts[1].address
+        );
+        assert.equal(pendingBalance.toString(), amount.toString());
+      });
+
+      it("totalPayrollPerPeriod returns the amount paid over a period", async () => {
+        assert.equal(
+          (await totalPayrollPerPeriod(payroll, ETH, 2 * interval)).toString(),
+          amount.mul(12).toString()
+        );
+      });
+    });
@@ -0,0 +1,753 @@
+const { assert } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const hre = require("hardhat");
+const { developmentChains } = require("../../helper-hardhat-config");
+const { formatTimestamp } = require("../../utils/units");
+
+const { network, deployments, ethers } = hre;
+
+!developmentChains.includes(network.name)
+  ? describe.skip
+  : describe("Payroll tasks", () => {
+      let payroll, token, recipient;
+
+      // run a task without printing its output
+      const runTask = async (name, taskArgs = {}) => {
+        const { log, table } = console;
+        console.log = console.table = () => {};
+        try {
+          return await hre.run(name, taskArgs);
+        } finally {
+          console.log = log;
+          console.table = table;
+        }
+      };
+
+      beforeEach(async () => {
+        await deployments.fixture(["all"]);
+        payroll = await ethers.getContract("Payroll");
+        token = await ethers.getContract("MockERC20");
+        recipient = (await ethers.getSigners())[1].address;
+      });
+
+      it("payroll:add adds a recipient with human units", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        const paymentSchedule = await payroll.getPaymentSchedule(recipient);
+        assert.equal(
+          paymentSchedule.amount.toString(),
+          ethers.utils.parseEther("0.5").toString()
+        );
+        assert.equal(paymentSchedule.interval.toString(), "1209600");
+        assert.equal(paymentSchedule.token, ethers.constants.AddressZero);
+      });
+
+      it("payroll:add accepts a token deployment name", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "1500 mUSDC",
+          interval: "30 days",
+          token: "MockERC20",
+        });
+        const paymentSchedule = await payroll.getPaymentSchedule(recipient);
+        assert.equal(paymentSchedule.amount.toString(), "1500000000");
+        assert.equal(paymentSchedule.token, token.address);
+      });
+
+      it("payroll:add --streaming adds a streaming recipient", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "3000 mUSDC",
+          interval: "30 days",
+          token: "MockERC20",
+          streaming: true,
+        });
+        const paymentSchedule = await payroll.getPaymentSchedule(recipient);
+        assert.isTrue(paymentSchedule.streaming);
+        assert.equal(paymentSchedule.amount.toString(), "3000000000");
+      });
+
+      it("payroll:add accepts a fixed term with ISO dates", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "1 ETH",
+          interval: "30 days",
+          start: "2099-01-01",
+          end: "2099-04-01T12:00:00Z",
+          cliff: "30 days",
+        });
+        const paymentSchedule = await payroll.getPaymentSchedule(recipient);
+        const startTime = Date.UTC(2099, 0, 1) / 1000;
+        assert.equal(paymentSchedule.lastTimestamp.toNumber(), startTime);
+        assert.equal(paymentSchedule.cliffEnd.toNumber(), startTime + 2592000);
+        assert.equal(
+          paymentSchedule.endTime.toNumber(),
+          Date.UTC(2099, 3, 1, 12) / 1000
+        );
+        const [row] = await runTask("payroll:list");
+        assert.equal(row.end, "2099-04-01T12:00:00Z");
+        assert.equal(row.cliff, "2099-01-31T00:00:00Z");
+      });
+
+      it("payroll:add accepts a USD amount paid in the token", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "5000 USD",
+          interval: "30 days",
+        });
+        const paymentSchedule = await payroll.getPaymentSchedule(recipient);
+        assert.isTrue(paymentSchedule.usdDenominated);
+        assert.equal(paymentSchedule.amount.toString(), "500000000000");
+        assert.equal(paymentSchedule.token, ethers.constants.AddressZero);
+        const [row] = await runTask("payroll:list");
+        assert.equal(row.amount, "5000.0 USD in ETH");
+      });
+
+      it("payroll:add rejects a streamed USD amount", async () => {
+        try {
+          await runTask("payroll:add", {
+            recipient,
+            amount: "5000 USD",
+            interval: "30 days",
+            streaming: true,
+          });
+          assert.fail("the USD amount was added");
+        } catch (error) {
+          assert.include(error.message, "A USD amount can't be streamed");
+        }
+        assert.equal((await payroll.getRecipientCount()).toNumber(), 0);
+      });
+
+      it("payroll:price-feed sets the USD price feed of a token", async () => {
+        const priceFeed = await ethers.getContract("MockV3Aggregator");
+        await runTask("payroll:price-feed", {
+          token: "MockERC20",
+          feed: priceFeed.address,
+          maxAge: "2 hours",
+        });
+        const { feed, maxPriceAge } = await payroll.getPriceFeed(token.address);
+        assert.equal(feed, priceFeed.address);
+        assert.equal(maxPriceAge.toNumber(), 7200);
+      });
+
+      it("payroll:upgrade upgrades the payroll proxy", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        const payrollV2 = await (
+          await ethers.getContractFactory("PayrollV2", {
+            libraries: {
+              PaymentSchedules: (
+                await ethers.getContract("PaymentSchedules")
+              ).address,
+            },
+          })
+        ).deploy(
+          recipient,
+          "Payroll",
+          (
+            await ethers.getContract("PayrollExtension")
+          ).address
+        );
+        await runTask("payroll:upgrade", {
+          implementation: payrollV2.address,
+        });
+        const upgraded = await ethers.getContractAt(
+          "PayrollV2",
+          payroll.address
+        );
+        assert.equal((await upgraded.version()).toNumber(), 2);
+        assert.deepEqual(await payroll.getRecipients(), [recipient]);
+      });
+
+      it("payroll:update changes a payment schedule in place", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        await runTask("payroll:update", { recipient, amount: "0.6 ETH" });
+        let paymentSchedule = await payroll.getPaymentSchedule(recipient);
+        assert.equal(
+          paymentSchedule.amount.toString(),
+          ethers.utils.parseEther("0.6").toString()
+        );
+        assert.equal(paymentSchedule.interval.toString(), "1209600");
+
+        await runTask("payroll:update", {
+          recipient,
+          interval: "1 week",
+          effectiveAt: "2099-01-01",
+        });
+        const update = await payroll.getScheduledUpdate(recipient);
+        assert.equal(update.interval.toString(), "604800");
+        assert.equal(
+          update.effectiveAt.toNumber(),
+          Date.UTC(2099, 0, 1) / 1000
+        );
+        const rows = await runTask("payroll:list");
+        assert.equal(
+          rows[0]["scheduled update"],
+          "0.6 ETH every 1 week from 2099-01-01T00:00:00Z"
+        );
+      });
+
+      it("payroll:list returns a readable row per recipient", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        const rows = await runTask("payroll:list");
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].recipient, recipient);
+        assert.equal(rows[0].amount, "0.5 ETH");
+        assert.equal(rows[0].interval, "2 weeks");
+        assert.equal(rows[0].balance, "0.0 ETH");
+        const { lastTimestamp } = await payroll.getPaymentSchedule(recipient);
+        assert.equal(
+          rows[0]["next payment"],
+          formatTimestamp(lastTimestamp.add(14 * 24 * 3600))
+        );
+        assert.isTrue(rows[0].active);
+      });
+
+      it("payroll:deductions sets the default and per recipient deductions", async () => {
+        const [, , tax, pension] = await ethers.getSigners();
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        let rows = await runTask("payroll:deductions", {
+          set: `TAX:${tax.address}:20%,PENSION:${pension.address}:5.5%`,
+        });
+        assert.deepEqual(rows, [
+          { name: "TAX", beneficiary: tax.address, share: "20%" },
+          { name: "PENSION", beneficiary: pension.address, share: "5.5%" },
+        ]);
+        assert.equal(
+          (await runTask("payroll:list"))[0].deductions,
+          "TAX 20%, PENSION 5.5%"
+        );
+
+        rows = await runTask("payroll:deductions", {
+          recipient,
+          set: `TAX:${tax.address}:250 bps`,
+        });
+        assert.deepEqual(rows, [
+          { name: "TAX", beneficiary: tax.address, share: "2.5%" },
+        ]);
+        rows = await runTask("payroll:deductions", { recipient, reset: true });
+        assert.equal(rows.length, 2);
+      });
+
+      it("timelock tasks queue, list, run and cancel the sensitive changes", async () => {
+        const policy = await runTask("timelock:policy", {
+          delay: "1 day",
+          limit: "0.1 ETH",
+        });
+        assert.deepEqual(policy, {
+          delay: "1 day",
+          instantLimit: "0.1 ETH",
+          instantLimitUsed: "0.0 ETH",
+        });
+
+        // above the instant limit, the change is queued
+        await runTask("payroll:add", {
+          recipient,
+          amount: "1 ETH",
+          interval: "1 day",
+        });
+        assert.equal((await payroll.getRecipientCount()).toNumber(), 0);
+        let [change] = await runTask("timelock:list");
+        assert.equal(change.status, "pending");
+        assert.equal(
+          change.change,
+          `addRecipient(${recipient}, ${
+            ethers.constants.AddressZero
+          }, ${ethers.utils.parseEther("1")}, 86400)`
+        );
+        try {
+          await runTask("timelock:execute", { id: change.id });
+          assert.fail("the change ran before the delay");
+        } catch (error) {
+          assert.include(error.message, "can't run before");
+        }
+        await network.provider.send("evm_increaseTime", [24 * 3600]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        await runTask("timelock:execute", { id: change.id });
+        assert.equal((await payroll.getRecipientCount()).toNumber(), 1);
+        assert.deepEqual(await runTask("timelock:list"), []);
+
+        await runTask("payroll:fund", { amount: "1 ETH" });
+        await runTask("payroll:withdraw", { amount: "0.5 ETH" });
+        [change] = await runTask("timelock:list");
+        assert.equal(
+          change.change,
+          `withdraw(${ethers.constants.AddressZero}, ${ethers.utils.parseEther(
+            "0.5"
+          )})`
+        );
+        await runTask("timelock:cancel", { id: change.id });
+        assert.deepEqual(await runTask("timelock:list"), []);
+      });
+
+      it("timelock tasks don't run an expired change and queue it again", async () => {
+        await runTask("timelock:policy", { delay: "1 day", limit: "0" });
+        await runTask("payroll:fund", { amount: "1 ETH" });
+        await runTask("payroll:withdraw", { amount: "0.5 ETH" });
+        const gracePeriod = (await payroll.CHANGE_GRACE_PERIOD()).toNumber();
+        await network.provider.send("evm_increaseTime", [
+          24 * 3600 + gracePeriod + 1,
+        ]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        let [change] = await runTask("timelock:list");
+        assert.equal(change.status, "expired");
+        try {
+          await runTask("timelock:execute", { id: change.id });
+          assert.fail("the expired change ran");
+        } catch (error) {
+          assert.include(error.message, "queue it again");
+        }
+
+        await runTask("payroll:withdraw", { amount: "0.5 ETH" });
+        [change] = await runTask("timelock:list");
+        assert.equal(change.status, "pending");
+        try {
+          await runTask("payroll:withdraw", { amount: "2 ETH" });
+          assert.fail("withdrew more than the surplus");
+        } catch (error) {
+          assert.include(error.message, "surplus is only 1.0 ETH");
+        }
+      });
+
+      it("roster:plan diffs a roster file that roster:apply applies", async () => {
+        const accounts = await ethers.getSigners();
+        for (const account of [recipient, accounts[2].address]) {
+          await runTask("payroll:add", {
+            recipient: account,
+            amount: "0.5 ETH",
+            interval: "2 weeks",
+          });
+        }
+        await runTask("payroll:add", {
+          recipient: accounts[3].address,
+          amount: "1 ETH",
+          interval: "30 days",
+        });
+        const file = path.join(
+          fs.mkdtempSync(path.join(os.tmpdir(), "roster-")),
+          "roster.csv"
+        );
+        fs.writeFileSync(
+          file,
+          [
+            "address,amount,interval,token,notes",
+            `${recipient},0.6 ETH,2 weeks,,raise`,
+            `${accounts[3].address},1500 mUSDC,30 days,MockERC20,paid in tokens`,
+            `${accounts[4].address},1 ETH,1 week,,"new hire, engineering"`,
+          ].join("\n")
+        );
+
+        const plan = await runTask("roster:plan", { file });
+        assert.deepEqual(plan, [
+          {
+            action: "update",
+            recipient,
+            current: "0.5 ETH every 2 weeks",
+            desired: "0.6 ETH every 2 weeks",
+            notes: "raise",
+          },
+          {
+            action: "replace",
+            recipient: accounts[3].address,
+            current: "1.0 ETH every 4 weeks 2 days",
+            desired: "1500.0 mUSDC every 4 weeks 2 days",
+            notes: "paid in tokens",
+          },
+          {
+            action: "add",
+            recipient: accounts[4].address,
+            current: "",
+            desired: "1.0 ETH every 1 week",
+            notes: "new hire, engineering",
+          },
+          {
+            action: "remove",
+            recipient: accounts[2].address,
+            current: "0.5 ETH every 2 weeks",
+            desired: "",
+            notes: "",
+          },
+        ]);
+        assert.equal((await payroll.getRecipientCount()).toNumber(), 3);
+
+        assert.deepEqual(await runTask("roster:apply", { file }), plan);
+        assert.deepEqual(await runTask("roster:plan", { file }), []);
+        assert.sameMembers(await payroll.getRecipients(), [
+          recipient,
+          accounts[3].address,
+          accounts[4].address,
+        ]);
+        assert.equal(
+          (await payroll.getPaymentSchedule(accounts[3].address)).token,
+          token.address
+        );
+      });
+
+      it("roster:apply keeps a replaced recipient until its timelocked addition runs", async () => {
+        const replaced = (await ethers.getSigners())[3].address;
+        await runTask("payroll:add", {
+          recipient: replaced,
+          amount: "1 ETH",
+          interval: "30 days",
+        });
+        await runTask("timelock:policy", { delay: "1 day" });
+        const file = path.join(
+          fs.mkdtempSync(path.join(os.tmpdir(), "roster-")),
+          "roster.csv"
+        );
+        fs.writeFileSync(
+          file,
+          [
+            "address,amount,interval,token",
+            `${replaced},1500 mUSDC,30 days,MockERC20`,
+          ].join("\n")
+        );
+
+        await runTask("roster:apply", { file });
+        assert.deepEqual(await payroll.getRecipients(), [replaced]);
+        assert.equal(
+          (await payroll.getPaymentSchedule(replaced)).token,
+          ethers.constants.AddressZero
+        );
+        const [change] = await runTask("timelock:list");
+        assert.include(change.change, "addRecipients(");
+
+        await network.provider.send("evm_increaseTime", [24 * 3600]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        await runTask("roster:apply", { file });
+        assert.deepEqual(await payroll.getRecipients(), [replaced]);
+        assert.equal(
+          (await payroll.getPaymentSchedule(replaced)).token,
+          token.address
+        );
+        assert.deepEqual(await runTask("roster:plan", { file }), []);
+        assert.deepEqual(await runTask("timelock:list"), []);
+      });
+
+      it("upkeep tasks fund, pause, unpause and cancel the registered upkeep", async () => {
+        // the deployment registered the payroll upkeep with the default funding
+        let upkeep = await runTask("upkeep:status");
+        assert.equal(upkeep.target, payroll.address);
+        assert.equal(upkeep.balance.toString(), ethers.utils.parseEther("5"));
+
+        const { deployer } = await hre.getNamedAccounts();
+        const link = await ethers.getContract("MockLinkToken");
+        await link.mint(deployer, ethers.utils.parseEther("2"));
+        upkeep = await runTask("upkeep:fund", { amount: "2 LINK" });
+        assert.equal(upkeep.balance.toString(), ethers.utils.parseEther("7"));
+
+        assert.isTrue((await runTask("upkeep:pause")).paused);
+        assert.isFalse((await runTask("upkeep:unpause")).paused);
+        assert.isTrue((await runTask("upkeep:cancel")).cancelled);
+      });
+
+      it("credit and advance tasks issue credits and approve advances", async () => {
+        const [owner, recipientAccount] = await ethers.getSigners();
+        await owner.sendTransaction({
+          to: payroll.address,
+          value: ethers.utils.parseEther("5"),
+        });
+        const { timestamp } = await ethers.provider.getBlock("latest");
+        assert.equal(
+          await runTask("credit:issue", {
+            recipient,
+            amount: "0.5 ETH",
+            reason: "bonus",
+          }),
+          0
+        );
+        await runTask("credit:issue", {
+          recipient,
+          amount: "20 mUSDC",
+          token: "MockERC20",
+          reason: "EXPENSE",
+          releaseAt: String(timestamp + 3600),
+        });
+        const credits = await runTask("credit:list");
+        assert.deepInclude(credits[0], {
+          amount: "0.5 ETH",
+          reason: "BONUS",
+          status: "released",
+        });
+        assert.deepInclude(credits[1], {
+          amount: "20.0 mUSDC",
+          status: "pending",
+        });
+        assert.deepEqual(await runTask("credit:release"), []);
+        await runTask("automation:advance", { time: "1 hour" });
+        assert.deepEqual(await runTask("credit:release"), [1]);
+        assert.equal(
+          (await payroll.balanceOf(recipient, token.address)).toString(),
+          "20000000"
+        );
+
+        await runTask("payroll:add", {
+          recipient,
+          amount: "1 ETH",
+          interval: "30 days",
+        });
+        await runTask("advance:request", {
+          amount: "0.25",
+          signer: recipientAccount.address,
+        });
+        assert.deepEqual(await runTask("advance:list"), [
+          { recipient, requested: "0.25 ETH", "to repay": "0.0 ETH" },
+        ]);
+        await runTask("advance:approve", { recipient });
+        assert.deepEqual(await runTask("advance:list"), [
+          { recipient, requested: "", "to repay": "0.25 ETH" },
+        ]);
+        assert.equal(
+          (
+            await payroll.balanceOf(recipient, ethers.constants.AddressZero)
+          ).toString(),
+          ethers.utils.parseEther("0.75").toString()
+        );
+      });
+
+      it("clawback tasks set the window and claw back pending funds", async () => {
+        const [owner] = await ethers.getSigners();
+        await owner.sendTransaction({
+          to: payroll.address,
+          value: ethers.utils.parseEther("5"),
+        });
+        assert.equal(await runTask("clawback:window"), "none");
+        assert.equal(
+          await runTask("clawback:window", { window: "3 days" }),
+          "3 days"
+        );
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "1 day",
+        });
+        await runTask("automation:advance", { time: "2 days" });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+        assert.deepEqual(await runTask("clawback:list"), [
+          { recipient, balance: "1.0 ETH", pending: "1.0 ETH" },
+        ]);
+
+        const balance = await runTask("clawback:reverse", {
+          recipient,
+          amount: "0.5 ETH",
+          reason: "error",
+        });
+        assert.equal(balance.total.toString(), ethers.utils.parseEther("0.5"));
+        assert.equal(
+          balance.pending.toString(),
+          ethers.utils.parseEther("0.5")
+        );
+        assert.isTrue(balance.final.isZero());
+        const [{ args }] = await payroll.queryFilter(
+          payroll.filters.PaymentClawedBack()
+        );
+        assert.equal(ethers.utils.parseBytes32String(args.reason), "ERROR");
+        const { rows } = await runTask("payroll:balance");
+        assert.equal(rows[0].pending, "0.5 ETH");
+      });
+
+      it("payroll:remove removes a recipient", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        await runTask("payroll:remove", { recipient });
+        assert.equal((await payroll.getRecipients()).length, 0);
+      });
+
+      it("payroll:fund and payroll:withdraw move ETH and tokens", async () => {
+        const [owner] = await ethers.getSigners();
+        await token.mint(owner.address, 2000000000);
+
+        await runTask("payroll:fund", { amount: "1 ETH" });
+        await runTask("payroll:fund", { amount: "2000", token: "MockERC20" });
+        let balance = await runTask("payroll:balance");
+        assert.equal(balance.contractBalance, "1.0 ETH");
+        assert.equal(balance.liabilities, "0.0 ETH");
+        assert.equal(balance.surplus, "1.0 ETH");
+        balance = await runTask("payroll:balance", { token: token.address });
+        assert.equal(balance.contractBalance, "2000.0 mUSDC");
+
+        await runTask("payroll:withdraw", { token: "MockERC20" });
+        balance = await runTask("payroll:balance", { token: "MockERC20" });
+        assert.equal(balance.contractBalance, "0.0 mUSDC");
+      });
+
+      it("payroll:grant and payroll:revoke manage roles", async () => {
+        const treasurerRole = await payroll.TREASURER_ROLE();
+        await runTask("payroll:grant", {
+          role: "treasurer",
+          account: recipient,
+        });
+        assert.isTrue(await payroll.hasRole(treasurerRole, recipient));
+        await runTask("payroll:revoke", {
+          role: "TREASURER",
+          account: recipient,
+        });
+        assert.isFalse(await payroll.hasRole(treasurerRole, recipient));
+      });
+
+      it("payroll:pause and payroll:unpause toggle the pause", async () => {
+        await runTask("payroll:pause");
+        assert.isTrue(await payroll.paused());
+        await runTask("payroll:unpause");
+        assert.isFalse(await payroll.paused());
+      });
+
+      it("payroll:create creates a payroll listed by payroll:payrolls", async () => {
+        const address = await runTask("payroll:create", {
+          name: "Engineering",
+        });
+        const rows = await runTask("payroll:payrolls");
+        assert.deepEqual(rows, [
+          {
+            name: "Engineering",
+            payroll: address,
+            recipients: 0,
+            paused: false,
+          },
+        ]);
+      });
+
+      it("--payroll selects a payroll by name or address", async () => {
+        const address = await runTask("payroll:create", {
+          name: "Engineering",
+        });
+        await runTask("payroll:add", {
+          payroll: "Engineering",
+          recipient,
+          amount: "0.5 ETH",
+          interval: "2 weeks",
+        });
+        const rows = await runTask("payroll:list", { payroll: address });
+        assert.equal(rows.length, 1);
+        assert.equal(rows[0].recipient, recipient);
+        assert.equal((await payroll.getRecipientCount()).toNumber(), 0);
+      });
+
+      it("payroll:push sends the recipients' balances", async () => {
+        await runTask("payroll:fund", { amount: "1 ETH" });
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.1 ETH",
+          interval: "30 seconds",
+        });
+        await network.provider.send("evm_increaseTime", [30]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+
+        const failures = await runTask("payroll:push");
+        assert.deepEqual(failures, []);
+        assert.equal(
+          (
+            await payroll.balanceOf(recipient, ethers.constants.AddressZero)
+          ).toString(),
+          "0"
+        );
+      });
+
+      it("payroll:settle settles the IOUs after a token transfer", async () => {
+        await runTask("payroll:add", {
+          recipient,
+          amount: "100 mUSDC",
+          interval: "30 seconds",
+          token: "MockERC20",
+        });
+        await network.provider.send("evm_increaseTime", [30]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+        const recipientSigner = await ethers.getSigner(recipient);
+        await payroll.connect(recipientSigner).withdrawPayments(token.address);
+
+        let balance = await runTask("payroll:balance", { token: "MockERC20" });
+        assert.equal(balance.shortfall, "100.0 mUSDC");
+        assert.equal(balance.rows[0].iou, "100.0 mUSDC (position 1)");
+
+        // a cancelled IOU stays credited, the recipient queues it again
+        await runTask("payroll:cancel-iou", { recipient, token: "MockERC20" });
+        balance = await runTask("payroll:balance", { token: "MockERC20" });
+        assert.equal(balance.shortfall, "0.0 mUSDC");
+        assert.equal(balance.rows[0].balance, "100.0 mUSDC");
+        assert.equal(balance.rows[0].iou, "");
+        await payroll.connect(recipientSigner).withdrawPayments(token.address);
+
+        await token.mint(payroll.address, 100000000);
+        assert.equal(
+          await runTask("payroll:settle", { token: "MockERC20" }),
+          0
+        );
+        assert.equal(
+          (await token.balanceOf(recipient)).toString(),
+          "100000000"
+        );
+        balance = await runTask("payroll:balance", { token: "MockERC20" });
+        assert.equal(balance.queuedPayments, "0.0 mUSDC");
+      });
+
+      it("claim:sign and claim:relay withdraw without the recipient's gas", async () => {
+        await runTask("payroll:fund", { amount: "1 ETH" });
+        await runTask("payroll:add", {
+          recipient,
+          amount: "0.1 ETH",
+          interval: "30 seconds",
+        });
+        await network.provider.send("evm_increaseTime", [30]);
+        await network.provider.request({ method: "evm_mine", params: [] });
+        const [, performData] = await payroll.checkUpkeep([]);
+        await payroll.performUpkeep(performData);
+
+        const signedClaim = await runTask("claim:sign", {
+          signer: recipient,
+          maxFee: "0.001",
+        });
+        assert.equal(signedClaim.claim.to, recipient);
+        assert.equal(signedClaim.claim.maxFee, "1000000000000000");
+        const recipientBalance = await ethers.provider.getBalance(recipient);
+        await runTask("claim:relay", {
+          claim: JSON.stringify(signedClaim),
+          fee: "0.001",
+        });
+        assert.equal(
+          (await ethers.provider.getBalance(recipient))
+            .sub(recipientBalance)
+            .toString(),
+          ethers.utils.parseEther("0.099").toString()
+        );
+      });
+
+      it("payroll:checkdata encodes a recipient range", async () => {
+        const checkData = await runTask("payroll:checkdata", {
+          start: 500,
+        });
+        const [start, end] = ethers.utils.defaultAbiCoder.decode(
+          ["uint256", "uint256"],
+          checkData
+        );
+        assert.equal(start.toNumber(), 500);
+        assert.isTrue(end.eq(ethers.constants.MaxUint256));
+      });
+    });
@@ -0,0 +1,114 @@
+const { assert, expect } = require("chai");
+const { ethers } = require("hardhat");
+const {
+  parseDuration,
+  formatDuration,
+  parseAmount,
+  formatAmount,
+  parseTimestamp,
+  formatTimestamp,
+  parsePercentage,
+  formatPercentage,
+} = require("../../utils/units");
+
+describe("units", () => {
+  const ETH = { symbol: "ETH", decimals: 18 };
+  const USDC = { symbol: "USDC", decimals: 6 };
+
+  describe("parseDuration", () => {
+    it("parses durations with a unit", () => {
+      assert.equal(parseDuration("2 weeks"), 1209600);
+      assert.equal(parseDuration("30 days"), 2592000);
+      assert.equal(parseDuration("1h"), 3600);
+      assert.equal(parseDuration("1.5 minutes"), 90);
+    });
+
+    it("parses durations without a unit as seconds", () => {
+      assert.equal(parseDuration("90"), 90);
+      assert.equal(parseDuration(45), 45);
+    });
+
+    it("rejects invalid durations", () => {
+      expect(() => parseDuration("two weeks")).to.throw("Invalid duration");
+      expect(() => parseDuration("2 months")).to.throw("Invalid duration unit");
+      expect(() => parseDuration("0.5 seconds")).to.throw("whole number");
+    });
+  });
+
+  describe("formatDuration", () => {
+    it("formats durations with the largest units first", () => {
+      assert.equal(formatDuration(1209600), "2 weeks");
+      assert.equal(formatDuration(90061), "1 day 1 hour 1 minute 1 second");
+      assert.equal(formatDuration(ethers.BigNumber.from(30)), "30 seconds");
+    });
+  });
+
+  describe("parseAmount", () => {
+    it("parses amounts in the token unit", () => {
+      assert.equal(
+        parseAmount("0.5 ETH", ETH).toString(),
+        ethers.utils.parseEther("0.5").toString()
+      );
+      assert.equal(parseAmount("1500 usdc", USDC).toString(), "1500000000");
+      assert.equal(parseAmount("1500", USDC).toString(), "1500000000");
+    });
+
+    it("parses ETH amounts in wei and gwei", () => {
+      assert.equal(parseAmount("1000 wei", ETH).toString(), "1000");
+      assert.equal(parseAmount("2 gwei", ETH).toString(), "2000000000");
+    });
+
+    it("rejects amounts in another token", () => {
+      expect(() => parseAmount("0.5 ETH", USDC)).to.throw("is not in USDC");
+      expect(() => parseAmount("lots", ETH)).to.throw("Invalid amount");
+    });
+  });
+
+  describe("formatAmount", () => {
+    it("formats amounts with the token symbol", () => {
+      assert.equal(formatAmount(1500250000, USDC), "1500.25 USDC");
+      assert.equal(
+        formatAmount(ethers.utils.parseEther("0.5"), ETH),
+        "0.5 ETH"
+      );
+    });
+  });
+
+  describe("parseTimestamp", () => {
+    it("parses ISO dates and unix timestamps", () => {
+      assert.equal(parseTimestamp("2023-01-31"), 1675123200);
+      assert.equal(parseTimestamp("2023-01-31T09:00:00Z"), 1675155600);
+      assert.equal(parseTimestamp("1675123200"), 1675123200);
+    });
+
+    it("rejects invalid dates", () => {
+      expect(() => parseTimestamp("next monday")).to.throw("Invalid date");
+    });
+  });
+
+  describe("formatTimestamp", () => {
+    it("formats timestamps as ISO dates", () => {
+      assert.equal(formatTimestamp(1675155600), "2023-01-31T09:00:00Z");
+    });
+  });
+
+  describe("parsePercentage", () => {
+    it("parses percentages and basis points", () => {
+      assert.equal(parsePercentage("20%"), 2000);
+      assert.equal(parsePercentage("7.65 %"), 765);
+      assert.equal(parsePercentage("250 bps"), 250);
+    });
+
+    it("rejects invalid percentages", () => {
+      expect(() => parsePercentage("20")).to.throw("Invalid percentage");
+      expect(() => parsePercentage("0.125%")).to.throw("Invalid percentage");
+    });
+  });
+
+  describe("formatPercentage", () => {
+    it("formats basis points as percentages", () => {
+      assert.equal(formatPercentage(2000), "20%");
+      assert.equal(formatPercentage(765), "7.65%");
+    });
+  });
+});
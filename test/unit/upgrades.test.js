@@ -0,0 +1,172 @@
+const { assert } = require("chai");
+const {
+  checkStorageLayout,
+  checkSharedStorageLayout,
+} = require("../../utils/upgrades");
+
+describe("upgrades", () => {
+  const types = {
+    t_address: { encoding: "inplace", label: "address", numberOfBytes: "20" },
+    t_bool: { encoding: "inplace", label: "bool", numberOfBytes: "1" },
+    t_uint256: { encoding: "inplace", label: "uint256", numberOfBytes: "32" },
+    "t_struct(Schedule)1_storage": {
+      encoding: "inplace",
+      label: "struct Payroll.Schedule",
+      numberOfBytes: "64",
+      members: [
+        { label: "amount", offset: 0, slot: "0", type: "t_uint256" },
+        { label: "interval", offset: 0, slot: "1", type: "t_uint256" },
+      ],
+    },
+    "t_mapping(t_address,t_struct(Schedule)1_storage)": {
+      encoding: "mapping",
+      key: "t_address",
+      label: "mapping(address => struct Payroll.Schedule)",
+      numberOfBytes: "32",
+      value: "t_struct(Schedule)1_storage",
+    },
+  };
+  const variable = (label, slot, type, offset = 0) => ({
+    label,
+    slot: String(slot),
+    offset,
+    type,
+  });
+  const layout = {
+    storage: [
+      variable(
+        "s_schedules",
+        0,
+        "t_mapping(t_address,t_struct(Schedule)1_storage)"
+      ),
+      variable("s_total", 1, "t_uint256"),
+    ],
+    types,
+  };
+
+  describe("checkStorageLayout", () => {
+    it("accepts the same layout and appended variables", () => {
+      assert.deepEqual(checkStorageLayout(layout, layout), []);
+      const appended = {
+        storage: [...layout.storage, variable("s_paused", 2, "t_bool")],
+        types,
+      };
+      assert.deepEqual(checkStorageLayout(layout, appended), []);
+    });
+
+    it("accepts members appended to a struct stored in a mapping", () => {
+      const schedule = types["t_struct(Schedule)1_storage"];
+      const grown = {
+        storage: layout.storage,
+        types: {
+          ...types,
+          "t_struct(Schedule)1_storage": {
+            ...schedule,
+            numberOfBytes: "96",
+            members: [
+              ...schedule.members,
+              { label: "endTime", offset: 0, slot: "2", type: "t_uint256" },
+            ],
+          },
+        },
+      };
+      assert.deepEqual(checkStorageLayout(layout, grown), []);
+    });
+
+    it("accepts a struct moved to another contract", () => {
+      const schedule = types["t_struct(Schedule)1_storage"];
+      const moved = {
+        storage: [
+          variable(
+            "s_schedules",
+            0,
+            "t_mapping(t_address,t_struct(Schedule)2_storage)"
+          ),
+          layout.storage[1],
+        ],
+        types: {
+          ...types,
+          "t_struct(Schedule)2_storage": {
+            ...schedule,
+            label: "struct PayrollBase.Schedule",
+          },
+          "t_mapping(t_address,t_struct(Schedule)2_storage)": {
+            ...types["t_mapping(t_address,t_struct(Schedule)1_storage)"],
+            label: "mapping(address => struct PayrollBase.Schedule)",
+            value: "t_struct(Schedule)2_storage",
+          },
+        },
+      };
+      assert.deepEqual(checkStorageLayout(layout, moved), []);
+    });
+
+    it("rejects inserted, removed and retyped variables", () => {
+      const inserted = {
+        storage: [variable("s_paused", 0, "t_bool"), ...layout.storage],
+        types,
+      };
+      assert.lengthOf(checkStorageLayout(layout, inserted), 1);
+      const removed = { storage: [layout.storage[1]], types };
+      assert.lengthOf(checkStorageLayout(layout, removed), 1);
+      const retyped = {
+        storage: [layout.storage[0], variable("s_total", 1, "t_address")],
+        types,
+      };
+      assert.deepEqual(checkStorageLayout(layout, retyped), [
+        "s_total: uint256 became address",
+      ]);
+    });
+
+    it("rejects reordered struct members", () => {
+      const schedule = types["t_struct(Schedule)1_storage"];
+      const reordered = {
+        storage: layout.storage,
+        types: {
+          ...types,
+          "t_struct(Schedule)1_storage": {
+            ...schedule,
+            members: [...schedule.members].reverse(),
+          },
+        },
+      };
+      assert.lengthOf(checkStorageLayout(layout, reordered), 1);
+    });
+  });
+
+  describe("checkSharedStorageLayout", () => {
+    it("accepts the same layout", () => {
+      assert.deepEqual(checkSharedStorageLayout(layout, layout), []);
+    });
+
+    it("rejects a variable declared by one of the contracts only", () => {
+      const appended = {
+        storage: [...layout.storage, variable("s_paused", 2, "t_bool")],
+        types,
+      };
+      assert.deepEqual(checkSharedStorageLayout(layout, appended), [
+        "s_paused is only declared by one of the contracts",
+      ]);
+      assert.lengthOf(checkSharedStorageLayout(appended, layout), 1);
+    });
+
+    it("rejects a struct with different members", () => {
+      const schedule = types["t_struct(Schedule)1_storage"];
+      const grown = {
+        storage: layout.storage,
+        types: {
+          ...types,
+          "t_struct(Schedule)1_storage": {
+            ...schedule,
+            numberOfBytes: "96",
+            members: [
+              ...schedule.members,
+              { label: "endTime", offset: 0, slot: "2", type: "t_uint256" },
+            ],
+          },
+        },
+      };
+      assert.lengthOf(checkSharedStorageLayout(layout, grown), 1);
+      assert.lengthOf(checkSharedStorageLayout(grown, layout), 1);
+    });
+  });
+});
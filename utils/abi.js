@@ -0,0 +1,22 @@
+/**
+ * Merge contract ABIs, keeping the first of the entries with the same signature.
+ * Payroll delegates the calls it doesn't implement to PayrollExtension:
+ * the payroll is used through the merged ABI of both.
+ * @param {...object[]} abis the ABIs
+ * @returns {object[]} the merged ABI
+ */
+const mergeAbis = (...abis) => {
+  const signature = ({ type, name, inputs = [] }) =>
+    `${type} ${name || ""}(${inputs.map((input) => input.type).join(",")})`;
+  const merged = new Map();
+  for (const entry of abis.flat()) {
+    if (!merged.has(signature(entry))) {
+      merged.set(signature(entry), entry);
+    }
+  }
+  return [...merged.values()];
+};
+
+module.exports = {
+  mergeAbis,
+};
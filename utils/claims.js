@@ -0,0 +1,201 @@
+// Signs and relays the EIP-712 claims of `Payroll.withdrawPaymentsWithSig`.
+const http = require("http");
+const { ethers } = require("ethers");
+
+// the EIP-712 type of a claim, `Payroll.Claim`
+const CLAIM_TYPES = {
+  Claim: [
+    { name: "recipient", type: "address" },
+    { name: "token", type: "address" },
+    { name: "amount", type: "uint256" },
+    { name: "to", type: "address" },
+    { name: "maxFee", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" },
+  ],
+};
+
+// the largest request body accepted by the relayer
+const MAX_BODY_SIZE = 16 * 1024;
+
+/**
+ * Return the EIP-712 domain of a payroll's claims.
+ * @param {object} payroll the Payroll contract
+ * @returns {Promise<object>} the domain
+ */
+const getClaimDomain = async (payroll) => ({
+  name: "Payroll",
+  version: "1",
+  chainId: (await payroll.provider.getNetwork()).chainId,
+  verifyingContract: payroll.address,
+});
+
+/**
+ * Sign a claim to withdraw a recipient's payments through a relayer.
+ * @param {object} signer the recipient's ethers signer
+ * @param {object} payroll the Payroll contract
+ * @param {object} options
+ * @param {string} [options.token] the token (default: ETH)
+ * @param {ethers.BigNumberish} [options.amount] the amount including the fee (default: the whole balance)
+ * @param {string} [options.to] the address receiving the payment (default: the recipient's payout address)
+ * @param {ethers.BigNumberish} [options.maxFee] the most the relayer can take (default: 0)
+ * @param {ethers.BigNumberish} [options.nonce] the claim nonce (default: the recipient's next nonce)
+ * @param {ethers.BigNumberish} options.deadline the timestamp after which the claim expires
+ * @returns {Promise<{ claim: object, signature: string }>} the claim, with
+ * decimal string amounts, and its signature
+ */
+const signClaim = async (
+  signer,
+  payroll,
+  {
+    token = ethers.constants.AddressZero,
+    amount = ethers.constants.MaxUint256,
+    to,
+    maxFee = 0,
+    nonce,
+    deadline,
+  }
+) => {
+  const recipient = await signer.getAddress();
+  const claim = {
+    recipient,
+    token,
+    amount: ethers.BigNumber.from(amount).toString(),
+    to: to || (await payroll.getPayoutAddress(recipient)),
+    maxFee: ethers.BigNumber.from(maxFee).toString(),
+    nonce: ethers.BigNumber.from(
+      nonce === undefined ? await payroll.nonces(recipient) : nonce
+    ).toString(),
+    deadline: ethers.BigNumber.from(deadline).toString(),
+  };
+  const signature = await signer._signTypedData(
+    await getClaimDomain(payroll),
+    CLAIM_TYPES,
+    claim
+  );
+  return { claim, signature };
+};
+
+/**
+ * Check a signed claim and submit it, taking a fee out of the payment.
+ * The claim is checked and simulated first so that the relayer doesn't pay
+ * the gas of a transaction that would revert.
+ * @param {object} payroll the Payroll contract connected to the relayer signer
+ * @param {object} claim the claim
+ * @param {string} signature the recipient's signature of the claim
+ * @param {ethers.BigNumberish} [fee] the fee taken by the relayer, at most `claim.maxFee`
+ * @returns {Promise<object>} the transaction response
+ */
+const relayClaim = async (payroll, claim, signature, fee = 0) => {
+  const signer = ethers.utils.verifyTypedData(
+    await getClaimDomain(payroll),
+    CLAIM_TYPES,
+    claim,
+    signature
+  );
+  if (signer !== ethers.utils.getAddress(claim.recipient)) {
+    throw new Error(`The claim isn't signed by ${claim.recipient}`);
+  }
+  const { timestamp } = await payroll.provider.getBlock("latest");
+  if (ethers.BigNumber.from(claim.deadline).lt(timestamp)) {
+    throw new Error("The claim has expired");
+  }
+  if (!(await payroll.nonces(claim.recipient)).eq(claim.nonce)) {
+    throw new Error("The claim has already been used or replaced");
+  }
+  if (ethers.BigNumber.from(fee).gt(claim.maxFee)) {
+    throw new Error(`The fee exceeds the claim maxFee of ${claim.maxFee}`);
+  }
+  await payroll.callStatic.withdrawPaymentsWithSig(claim, fee, signature);
+  return payroll.withdrawPaymentsWithSig(claim, fee, signature);
+};
+
+/**
+ * Relay the claims POSTed as JSON `{ claim, signature }` until stopped.
+ * Responds with `{ hash }` once the transaction is sent, or a 400 status and
+ * `{ error }` when the claim is rejected.
+ * @param {object} options
+ * @param {object} options.payroll the Payroll contract connected to the relayer signer
+ * @param {number} [options.port] the port to listen on, 0 for any free port
+ * @param {string} [options.token] the token of the relayed claims, the others are rejected (default: ETH)
+ * @param {ethers.BigNumberish} [options.fee] the fee taken from each claim, capped by its maxFee
+ * @param {function} [options.onRelay] called with each claim and its transaction response
+ * @param {function} [options.onError] called when a claim is rejected
+ * @returns {{ stop: function(): Promise<void>, done: Promise<void>, listening: Promise<number> }}
+ * `listening` resolves to the port once the relayer accepts claims
+ */
+const startRelayer = ({
+  payroll,
+  port = 0,
+  token = ethers.constants.AddressZero,
+  fee = 0,
+  onRelay = () => {},
+  onError = console.error,
+}) => {
+  const respond = (response, status, body) => {
+    response.writeHead(status, { "Content-Type": "application/json" });
+    response.end(JSON.stringify(body));
+  };
+
+  const server = http.createServer((request, response) => {
+    if (request.method !== "POST") {
+      respond(response, 405, { error: "POST a { claim, signature } object" });
+      return;
+    }
+    let body = "";
+    request.on("data", (chunk) => {
+      body += chunk;
+      if (body.length > MAX_BODY_SIZE) {
+        request.destroy();
+      }
+    });
+    request.on("end", async () => {
+      try {
+        const { claim, signature } = JSON.parse(body);
+        if (
+          ethers.utils.getAddress(claim.token) !==
+          ethers.utils.getAddress(token)
+        ) {
+          throw new Error(`Only the claims in ${token} are relayed`);
+        }
+        const claimFee = ethers.BigNumber.from(claim.maxFee).lt(fee)
+          ? claim.maxFee
+          : fee;
+        const txResponse = await relayClaim(
+          payroll,
+          claim,
+          signature,
+          claimFee
+        );
+        onRelay(claim, txResponse);
+        respond(response, 200, { hash: txResponse.hash });
+      } catch (error) {
+        onError(error);
+        respond(response, 400, { error: error.reason || error.message });
+      }
+    });
+  });
+
+  const listening = new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(port, () => resolve(server.address().port));
+  });
+  const done = new Promise((resolve) => server.once("close", resolve));
+
+  return {
+    stop: () => {
+      server.close();
+      return done;
+    },
+    done,
+    listening,
+  };
+};
+
+module.exports = {
+  CLAIM_TYPES,
+  getClaimDomain,
+  signClaim,
+  relayClaim,
+  startRelayer,
+};
@@ -0,0 +1,402 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatAmount, formatDuration, formatTimestamp } = require("./units");
+
+const EXPORTED_EVENTS = [
+  "RecipientAdded",
+  "RecipientRemoved",
+  "PaymentScheduleCompleted",
+  "PaymentScheduleUpdated",
+  "PaymentDone",
+  "DeductionApplied",
+  "PaymentRedirected",
+  "Transfer",
+  "InsufficientBalance",
+  "IouQueued",
+  "IouSettled",
+  "IouCancelled",
+  "CreditIssued",
+  "CreditReleased",
+  "CreditCancelled",
+  "AdvanceRequested",
+  "AdvanceApproved",
+  "AdvanceRejected",
+  "AdvanceRepaid",
+  "AdvanceUnsettled",
+  "PaymentClawedBack",
+];
+
+const LEDGER_COLUMNS = [
+  "date",
+  "block",
+  "transaction",
+  "event",
+  "recipient",
+  "token",
+  "amount",
+  "details",
+];
+
+const PAYSLIP_COLUMNS = [
+  "period",
+  "token",
+  "accrued",
+  "deductions",
+  "net",
+  "withdrawn",
+  "outstanding",
+];
+
+/**
+ * Return the period a timestamp belongs to.
+ * @param {number} timestamp the timestamp in seconds
+ * @param {string} period "day", "week" (starting on Monday) or "month"
+ * @returns {string} e.g. "2023-01-31", "2023-01-30" or "2023-01"
+ */
+const periodOf = (timestamp, period) => {
+  const date = new Date(timestamp * 1000);
+  switch (period) {
+    case "day":
+      return date.toISOString().slice(0, 10);
+    case "week": {
+      const daysSinceMonday = (date.getUTCDay() + 6) % 7;
+      date.setUTCDate(date.getUTCDate() - daysSinceMonday);
+      return date.toISOString().slice(0, 10);
+    }
+    case "month":
+      return date.toISOString().slice(0, 7);
+    default:
+      throw new Error(`Invalid period "${period}" (use day, week or month)`);
+  }
+};
+
+/**
+ * Fetch the Payroll events of a block range, with their block timestamps.
+ * @param {object} payroll the Payroll contract
+ * @param {number} fromBlock the first block to scan
+ * @param {number} toBlock the last block to scan
+ * @param {number} [chunkSize] the number of blocks queried at once
+ * @returns {Promise<object[]>} the events in chronological order
+ */
+const fetchPayrollEvents = async (
+  payroll,
+  fromBlock,
+  toBlock,
+  chunkSize = 10000
+) => {
+  const events = [];
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    const chunk = await payroll.queryFilter("*", start, end);
+    events.push(...chunk.filter((e) => EXPORTED_EVENTS.includes(e.event)));
+  }
+
+  const timestamps = {};
+  for (const event of events) {
+    if (timestamps[event.blockNumber] === undefined) {
+      const block = await payroll.provider.getBlock(event.blockNumber);
+      timestamps[event.blockNumber] = block.timestamp;
+    }
+    event.timestamp = timestamps[event.blockNumber];
+  }
+  return events;
+};
+
+/**
+ * Turn Payroll events into ledger entries with formatted amounts.
+ * @param {object[]} events the events returned by fetchPayrollEvents
+ * @param {function} getToken resolves a token address to `{ address, symbol, decimals }`
+ * @returns {Promise<object[]>} the ledger entries
+ */
+const buildLedger = async (events, getToken) => {
+  // the token of each recipient's schedule, for events that don't carry it
+  const scheduleTokens = {};
+  // transaction hash => payment sent to another address than the recipient
+  const redirects = {};
+  const ledger = [];
+  for (const event of events) {
+    const { args } = event;
+    if (event.event === "PaymentRedirected") {
+      redirects[event.transactionHash] = args;
+      continue;
+    }
+    const redirect =
+      event.event === "Transfer" ? redirects[event.transactionHash] : undefined;
+    const redirected =
+      redirect && redirect.to === args.to && redirect.amount.eq(args.amount);
+    let recipient = args.recipient;
+    if (event.event === "Transfer") {
+      recipient = redirected ? redirect.recipient : args.to;
+    }
+    if (event.event === "RecipientAdded") {
+      scheduleTokens[recipient] = args.token;
+    }
+    const tokenAddress = args.token || scheduleTokens[recipient];
+    const token = tokenAddress ? await getToken(tokenAddress) : undefined;
+    const format = (amount) =>
+      token ? formatAmount(amount, token) : amount.toString();
+
+    let amount;
+    let details = "";
+    switch (event.event) {
+      case "RecipientAdded":
+        amount = args.amount;
+        details = `${format(amount)} every ${formatDuration(args.interval)}`;
+        break;
+      case "PaymentScheduleUpdated":
+        amount = args.newAmount;
+        details = `${format(args.oldAmount)} every ${formatDuration(
+          args.oldInterval
+        )} => ${format(args.newAmount)} every ${formatDuration(
+          args.newInterval
+        )} from ${formatTimestamp(args.effectiveAt)}`;
+        break;
+      case "PaymentDone":
+        amount = args.amount;
+        break;
+      case "DeductionApplied":
+        amount = args.amount;
+        details = `withheld for ${
+          args.beneficiary
+        } (${ethers.utils.parseBytes32String(args.name)})`;
+        break;
+      case "Transfer":
+        amount = args.amount;
+        if (redirected) {
+          details = `sent to ${args.to}`;
+          delete redirects[event.transactionHash];
+        }
+        break;
+      case "InsufficientBalance":
+        amount = args.requiredAmount;
+        details = `contract balance: ${format(args.contractBalance)}`;
+        break;
+      case "IouQueued":
+        amount = args.amount;
+        details = `position ${args.position} in the queue, ${format(
+          args.queuedPayments
+        )} queued`;
+        break;
+      case "IouSettled":
+        amount = args.amount;
+        details = `${format(args.remainingAmount)} still owed`;
+        break;
+      case "IouCancelled":
+        amount = args.amount;
+        details = "cancelled, still credited";
+        break;
+      case "CreditIssued":
+        amount = args.amount;
+        details = `credit #${args.id} (${ethers.utils.parseBytes32String(
+          args.reason
+        )}) released from ${formatTimestamp(args.releaseAt)}`;
+        break;
+      case "CreditReleased":
+      case "CreditCancelled":
+        amount = args.amount;
+        details = `credit #${args.id} (${ethers.utils.parseBytes32String(
+          args.reason
+        )})`;
+        break;
+      case "AdvanceRequested":
+      case "AdvanceRejected":
+        amount = args.amount;
+        break;
+      case "AdvanceApproved":
+      case "AdvanceRepaid":
+        amount = args.amount;
+        details = `${format(args.outstanding)} left to repay`;
+        break;
+      case "AdvanceUnsettled":
+        amount = args.outstanding;
+        details = "left to repay after the removal";
+        break;
+      case "PaymentClawedBack":
+        amount = args.amount;
+        details = `clawed back by ${
+          args.admin
+        } (${ethers.utils.parseBytes32String(args.reason)})`;
+        break;
+    }
+    ledger.push({
+      date: formatTimestamp(event.timestamp),
+      timestamp: event.timestamp,
+      block: event.blockNumber,
+      transaction: event.transactionHash,
+      event: event.event,
+      recipient,
+      token: token ? token.symbol : "",
+      tokenAddress: tokenAddress || "",
+      amount:
+        token && amount !== undefined
+          ? ethers.utils.formatUnits(amount, token.decimals)
+          : "",
+      rawAmount: amount !== undefined ? amount.toString() : "",
+      decimals: token ? token.decimals : undefined,
+      details,
+      ...(event.event === "DeductionApplied"
+        ? { beneficiary: args.beneficiary }
+        : {}),
+    });
+  }
+  return ledger;
+};
+
+/**
+ * Group the ledger into payslips: per recipient, per period and per token,
+ * the amounts accrued, withheld by deductions and withdrawn and the amount
+ * still outstanding. The deductions are accrued by their beneficiaries.
+ * The released credits and the approved advances are accrued, and the
+ * advance repayments are withheld like deductions.
+ * @param {object[]} ledger the entries returned by buildLedger
+ * @param {string} period "day", "week" or "month"
+ * @returns {object} the payslips by recipient address
+ */
+const buildPayslips = (ledger, period = "month") => {
+  const payslips = {};
+  const outstanding = {};
+  // add an amount to a column of a recipient's payslip row
+  const record = (recipient, entry, column, amount) => {
+    if (!payslips[recipient]) {
+      payslips[recipient] = { recipient, periods: [] };
+    }
+    const payslip = payslips[recipient];
+    const periodKey = periodOf(entry.timestamp, period);
+    let row = payslip.periods.find(
+      (p) => p.period === periodKey && p.tokenAddress === entry.tokenAddress
+    );
+    if (!row) {
+      row = {
+        period: periodKey,
+        token: entry.token,
+        tokenAddress: entry.tokenAddress,
+        decimals: entry.decimals,
+        accrued: ethers.constants.Zero,
+        deductions: ethers.constants.Zero,
+        withdrawn: ethers.constants.Zero,
+        outstanding: ethers.constants.Zero,
+        entries: [],
+      };
+      payslip.periods.push(row);
+    }
+
+    const key = `${recipient}-${entry.tokenAddress}`;
+    outstanding[key] = outstanding[key] || ethers.constants.Zero;
+    row[column] = row[column].add(amount);
+    outstanding[key] =
+      column === "accrued"
+        ? outstanding[key].add(amount)
+        : outstanding[key].sub(amount);
+    row.outstanding = outstanding[key];
+    row.entries.push(entry);
+  };
+
+  for (const entry of ledger) {
+    if (!payslips[entry.recipient]) {
+      payslips[entry.recipient] = { recipient: entry.recipient, periods: [] };
+    }
+    const amount = entry.rawAmount
+      ? ethers.BigNumber.from(entry.rawAmount)
+      : undefined;
+    switch (entry.event) {
+      case "PaymentDone":
+      case "CreditReleased":
+      case "AdvanceApproved":
+        record(entry.recipient, entry, "accrued", amount);
+        break;
+      case "AdvanceRepaid":
+      case "PaymentClawedBack":
+        record(entry.recipient, entry, "deductions", amount);
+        break;
+      case "DeductionApplied":
+        record(entry.recipient, entry, "deductions", amount);
+        record(entry.beneficiary, entry, "accrued", amount);
+        break;
+      case "Transfer":
+        record(entry.recipient, entry, "withdrawn", amount);
+        break;
+    }
+  }
+
+  // format the amounts
+  for (const payslip of Object.values(payslips)) {
+    payslip.periods = payslip.periods.map(({ decimals, ...row }) => ({
+      ...row,
+      accrued: ethers.utils.formatUnits(row.accrued, decimals),
+      deductions: ethers.utils.formatUnits(row.deductions, decimals),
+      net: ethers.utils.formatUnits(row.accrued.sub(row.deductions), decimals),
+      withdrawn: ethers.utils.formatUnits(row.withdrawn, decimals),
+      outstanding: ethers.utils.formatUnits(row.outstanding, decimals),
+    }));
+  }
+  return payslips;
+};
+
+/**
+ * Format rows as CSV.
+ * @param {object[]} rows the rows to format
+ * @param {string[]} columns the columns to export
+ * @returns {string} the CSV content
+ */
+const toCsv = (rows, columns) => {
+  const escape = (value) => {
+    const text = value === undefined || value === null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [
+    columns.join(","),
+    ...rows.map((row) => columns.map((c) => escape(row[c])).join(",")),
+  ];
+  return `${lines.join("\n")}\n`;
+};
+
+/**
+ * Write the company ledger and the payslips as CSV and JSON files.
+ * @param {string} outDir the output directory
+ * @param {object[]} ledger the entries returned by buildLedger
+ * @param {object} payslips the payslips returned by buildPayslips
+ * @returns {string[]} the written files
+ */
+const writeExport = (outDir, ledger, payslips) => {
+  const payslipsDir = path.join(outDir, "payslips");
+  fs.mkdirSync(payslipsDir, { recursive: true });
+  const files = [];
+  const write = (file, content) => {
+    fs.writeFileSync(file, content);
+    files.push(file);
+  };
+
+  const ledgerRows = ledger.map(({ timestamp, decimals, ...entry }) => entry);
+  write(path.join(outDir, "ledger.csv"), toCsv(ledgerRows, LEDGER_COLUMNS));
+  write(path.join(outDir, "ledger.json"), JSON.stringify(ledgerRows, null, 2));
+
+  for (const payslip of Object.values(payslips)) {
+    const file = path.join(payslipsDir, payslip.recipient);
+    write(`${file}.csv`, toCsv(payslip.periods, PAYSLIP_COLUMNS));
+    write(
+      `${file}.json`,
+      JSON.stringify(
+        {
+          ...payslip,
+          periods: payslip.periods.map((p) => ({
+            ...p,
+            entries: p.entries.map(({ timestamp, decimals, ...e }) => e),
+          })),
+        },
+        null,
+        2
+      )
+    );
+  }
+  return files;
+};
+
+module.exports = {
+  periodOf,
+  fetchPayrollEvents,
+  buildLedger,
+  buildPayslips,
+  toCsv,
+  writeExport,
+};
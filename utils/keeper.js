@@ -0,0 +1,93 @@
+// Simulates a Chainlink Automation node on development chains.
+
+// guards against an upkeep that never stops being needed
+const MAX_PERFORMS_PER_ROUND = 100;
+
+const sleep = (milliseconds) =>
+  new Promise((resolve) => setTimeout(resolve, milliseconds));
+
+/**
+ * Advance the time of a development chain and mine a block.
+ * @param {object} provider an ethers JSON-RPC provider
+ * @param {number} seconds the number of seconds to advance
+ */
+const advanceTime = async (provider, seconds) => {
+  await provider.send("evm_increaseTime", [seconds]);
+  await provider.send("evm_mine", []);
+};
+
+/**
+ * Run one round of upkeeps: call performUpkeep as long as checkUpkeep
+ * returns true, for each registered checkData.
+ * @param {object} payroll the Payroll contract connected to the keeper signer
+ * @param {string[]} [checkDatas] the checkData of each registered upkeep
+ * @returns {Promise<object[]>} the performUpkeep transaction receipts
+ */
+const performUpkeeps = async (payroll, checkDatas = ["0x"]) => {
+  const receipts = [];
+  for (const checkData of checkDatas) {
+    let [upkeepNeeded, performData] = await payroll.checkUpkeep(checkData);
+    for (let i = 0; upkeepNeeded && i < MAX_PERFORMS_PER_ROUND; i++) {
+      const txResponse = await payroll.performUpkeep(performData);
+      receipts.push(await txResponse.wait());
+      [upkeepNeeded, performData] = await payroll.checkUpkeep(checkData);
+    }
+  }
+  return receipts;
+};
+
+/**
+ * Poll and perform upkeeps in the background until stopped.
+ * @param {object} options
+ * @param {object} options.payroll the Payroll contract connected to the keeper signer
+ * @param {string[]} [options.checkDatas] the checkData of each registered upkeep
+ * @param {number} [options.pollInterval] milliseconds to wait between two rounds
+ * @param {number} [options.advanceTime] seconds to advance the chain time before each round
+ * @param {number} [options.rounds] the number of rounds to run, 0 to run until stopped
+ * @param {function} [options.onPerform] called with each performUpkeep receipt,
+ * awaited when it returns a promise
+ * @param {function} [options.onError] called when a round or onPerform fails
+ * @returns {{ stop: function(): Promise<void>, done: Promise<void> }}
+ */
+const startKeeper = ({
+  payroll,
+  checkDatas = ["0x"],
+  pollInterval = 1000,
+  advanceTime: secondsPerRound = 0,
+  rounds = 0,
+  onPerform = () => {},
+  onError = console.error,
+}) => {
+  let stopped = false;
+  const done = (async () => {
+    for (let round = 0; !stopped && (rounds === 0 || round < rounds); round++) {
+      try {
+        if (secondsPerRound > 0) {
+          await advanceTime(payroll.provider, secondsPerRound);
+        }
+        for (const receipt of await performUpkeeps(payroll, checkDatas)) {
+          await onPerform(receipt);
+        }
+      } catch (error) {
+        onError(error);
+      }
+      if (!stopped) {
+        await sleep(pollInterval);
+      }
+    }
+  })();
+
+  return {
+    stop: () => {
+      stopped = true;
+      return done;
+    },
+    done,
+  };
+};
+
+module.exports = {
+  advanceTime,
+  performUpkeeps,
+  startKeeper,
+};
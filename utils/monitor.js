@@ -0,0 +1,351 @@
+// Watches the health of a payroll and raises alerts through pluggable sinks.
+const fs = require("fs");
+const http = require("http");
+const https = require("https");
+const { formatAmount, formatDuration } = require("./units");
+const { getAllRecipients } = require("./sdk");
+
+// the events of a payment that didn't reach its recipient
+const FAILURE_EVENTS = [
+  "InsufficientBalance",
+  "PaymentPushFailed",
+  "IouQueued",
+];
+
+// the blocks queried at once when following the events
+const BLOCK_CHUNK_SIZE = 10000;
+
+// milliseconds a webhook has to answer
+const WEBHOOK_TIMEOUT = 10 * 1000;
+
+/**
+ * A sink printing the alerts to the standard output.
+ */
+const stdoutSink = () => async (alert) => {
+  console.log(
+    `[${alert.time}] ${alert.severity.toUpperCase()} ${alert.type}: ${
+      alert.message
+    }`
+  );
+};
+
+/**
+ * A sink appending the alerts to a file, one JSON object per line.
+ */
+const fileSink = (file) => async (alert) => {
+  await fs.promises.appendFile(file, `${JSON.stringify(alert)}\n`);
+};
+
+/**
+ * POST a JSON body with the Node.js http or https client, as the supported
+ * Node.js versions don't all have `fetch`.
+ * @returns {Promise<number>} the status code of the response
+ */
+const postJson = (client, url, body) =>
+  new Promise((resolve, reject) => {
+    const data = JSON.stringify(body);
+    const request = client.request(
+      url,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(data),
+        },
+      },
+      (response) => {
+        response.resume(); // the body isn't used
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+    request.setTimeout(WEBHOOK_TIMEOUT, () =>
+      request.destroy(new Error(`The webhook ${url} didn't answer`))
+    );
+    request.on("error", reject);
+    request.end(data);
+  });
+
+/**
+ * A sink POSTing each alert as JSON to a webhook.
+ */
+const webhookSink = (url) => {
+  const client = { "http:": http, "https:": https }[new URL(url).protocol];
+  if (!client) {
+    throw new Error(`The webhook ${url} isn't an http or https URL`);
+  }
+  return async (alert) => {
+    const status = await postJson(client, url, alert);
+    if (status < 200 || status >= 300) {
+      throw new Error(`The webhook ${url} answered ${status}`);
+    }
+  };
+};
+
+/**
+ * Create the sinks of a comma separated list.
+ * @param {string} sinksArg e.g. "stdout,file:alerts.log,webhook:https://example.com/hook"
+ * @returns {function[]} the sinks, called with each alert
+ */
+const parseSinks = (sinksArg) =>
+  sinksArg
+    .split(",")
+    .map((sink) => sink.trim())
+    .filter((sink) => sink)
+    .map((sink) => {
+      const [kind, ...rest] = sink.split(":");
+      const target = rest.join(":");
+      switch (kind.toLowerCase()) {
+        case "stdout":
+          return stdoutSink();
+        case "file":
+          if (!target) {
+            throw new Error('A file sink needs a path, e.g. "file:alerts.log"');
+          }
+          return fileSink(target);
+        case "webhook":
+          if (!target) {
+            throw new Error(
+              'A webhook sink needs a URL, e.g. "webhook:https://example.com/hook"'
+            );
+          }
+          return webhookSink(target);
+        default:
+          throw new Error(
+            `Invalid sink "${sink}" (use stdout, file:<path> or webhook:<url>)`
+          );
+      }
+    });
+
+/**
+ * Watch a payroll until stopped. Each round follows the new Payroll events,
+ * then checks the upkeep and the runway of every token paid:
+ * - `stale-upkeep`: the next payment of a recipient (`nextPaymentAt`) is
+ *   more than `staleAfter` late, checked over the whole roster, also while
+ *   paused or beyond the upkeep batch size
+ * - `low-runway`: the surplus covers less than `minRunway` payroll cycles,
+ *   or IOUs are queued that the contract can't settle
+ * - `failed-withdrawal`: an InsufficientBalance, PaymentPushFailed or IouQueued event
+ * A stale upkeep or a low runway is raised once, and a `resolved` alert
+ * follows once it clears.
+ * @param {object} options
+ * @param {object} options.payroll the Payroll contract
+ * @param {function[]} [options.sinks] called with each alert
+ * `{ type, severity, message, payroll, time, details }`
+ * @param {number} [options.fromBlock] the block the event history starts from
+ * @param {number} [options.pollInterval] milliseconds to wait between two rounds
+ * @param {number} [options.staleAfter] seconds a due payment can wait for the upkeep
+ * @param {number} [options.minRunway] the fewest payroll cycles the surplus must cover
+ * @param {number} [options.rounds] the number of rounds to run, 0 to run until stopped
+ * @param {function} [options.getToken] resolves a token address to
+ * `{ address, symbol, decimals }` to format the amounts
+ * @param {function} [options.onError] called when a round or a sink fails
+ * @returns {{ stop: function(): Promise<void>, done: Promise<void> }}
+ */
+const startMonitor = ({
+  payroll,
+  sinks = [stdoutSink()],
+  fromBlock = 0,
+  pollInterval = 60 * 1000,
+  staleAfter = 3600,
+  minRunway = 1,
+  rounds = 0,
+  getToken,
+  onError = console.error,
+}) => {
+  // the tokens of the added schedules
+  const tokens = new Set();
+  // key => alert raised and not resolved yet
+  const active = {};
+  let nextBlock = fromBlock;
+  let startBlock;
+
+  const format = async (amount, token) =>
+    getToken
+      ? formatAmount(amount, await getToken(token))
+      : `${amount} of ${token}`;
+
+  const raise = async (type, severity, message, details = {}) => {
+    const { timestamp } = await payroll.provider.getBlock("latest");
+    const alert = {
+      type,
+      severity,
+      message,
+      payroll: payroll.address,
+      time: new Date(timestamp * 1000).toISOString(),
+      details,
+    };
+    for (const sink of sinks) {
+      try {
+        await sink(alert);
+      } catch (error) {
+        onError(error);
+      }
+    }
+  };
+
+  // raise the alert of a condition once, and resolve it once it clears
+  const track = async (key, alert) => {
+    if (alert && !active[key]) {
+      active[key] = alert;
+      await raise(alert.type, alert.severity, alert.message, alert.details);
+    } else if (!alert && active[key]) {
+      const { message } = active[key];
+      delete active[key];
+      await raise("resolved", "info", `Resolved: ${message}`, { key });
+    }
+  };
+
+  const followEvents = async () => {
+    const latest = await payroll.provider.getBlockNumber();
+    if (startBlock === undefined) {
+      startBlock = latest + 1; // the failures before the monitor aren't alerts
+    }
+    for (let start = nextBlock; start <= latest; start += BLOCK_CHUNK_SIZE) {
+      const end = Math.min(start + BLOCK_CHUNK_SIZE - 1, latest);
+      for (const event of await payroll.queryFilter("*", start, end)) {
+        const { args } = event;
+        if (event.event === "RecipientAdded") {
+          tokens.add(args.token);
+        } else if (
+          FAILURE_EVENTS.includes(event.event) &&
+          event.blockNumber >= startBlock
+        ) {
+          const amount =
+            event.event === "InsufficientBalance"
+              ? args.requiredAmount
+              : args.amount;
+          await raise(
+            "failed-withdrawal",
+            "critical",
+            `${event.event}: ${await format(amount, args.token)} for ${
+              args.recipient
+            }`,
+            {
+              event: event.event,
+              recipient: args.recipient,
+              token: args.token,
+              amount: amount.toString(),
+              transactionHash: event.transactionHash,
+            }
+          );
+        }
+      }
+    }
+    nextBlock = latest + 1;
+  };
+
+  const checkUpkeep = async () => {
+    const { timestamp } = await payroll.provider.getBlock("latest");
+    // not checkUpkeep: it returns a batch at most, and nothing while paused
+    const recipients = await getAllRecipients(payroll);
+    for (const {
+      recipient,
+      streaming,
+      interval,
+      nextPaymentAt,
+    } of recipients) {
+      let alert;
+      const late = timestamp - Date.parse(nextPaymentAt) / 1000;
+      // a streaming schedule accrues without the upkeep
+      if (!streaming && late > staleAfter) {
+        alert = {
+          type: "stale-upkeep",
+          severity: "warning",
+          message: `${recipient} was due ${formatDuration(
+            late
+          )} ago, every ${formatDuration(interval)}`,
+          details: { recipient, nextPaymentAt, late },
+        };
+      }
+      await track(`stale-upkeep:${recipient}`, alert);
+    }
+    // the recipients removed since the last round aren't stale anymore
+    for (const key of Object.keys(active)) {
+      const [type, address] = key.split(":");
+      if (
+        type === "stale-upkeep" &&
+        !recipients.find(({ recipient }) => recipient === address)
+      ) {
+        await track(key, undefined);
+      }
+    }
+  };
+
+  const checkRunway = async () => {
+    for (const token of tokens) {
+      let alert;
+      const shortfall = await payroll.shortfall(token);
+      const runway = await payroll.runway(token);
+      if (shortfall.gt(0)) {
+        alert = {
+          type: "low-runway",
+          severity: "critical",
+          message: `${await format(
+            shortfall,
+            token
+          )} is missing to settle the queued IOUs`,
+          details: { token, shortfall: shortfall.toString() },
+        };
+      } else if (runway.lt(minRunway)) {
+        const surplus = await payroll.surplus(token);
+        alert = {
+          type: "low-runway",
+          severity: runway.isZero() ? "critical" : "warning",
+          message: `the ${await format(
+            surplus,
+            token
+          )} surplus covers ${runway} payroll cycle(s), less than ${minRunway}`,
+          details: {
+            token,
+            runway: runway.toString(),
+            surplus: surplus.toString(),
+          },
+        };
+      }
+      await track(`low-runway:${token}`, alert);
+    }
+  };
+
+  let stopped = false;
+  // the wait between two rounds, interrupted by stop
+  let wake = () => {};
+  const sleep = (milliseconds) =>
+    new Promise((resolve) => {
+      const timeout = setTimeout(resolve, milliseconds);
+      wake = () => {
+        clearTimeout(timeout);
+        resolve();
+      };
+    });
+  const done = (async () => {
+    for (let round = 0; !stopped && (rounds === 0 || round < rounds); round++) {
+      try {
+        await followEvents();
+        await checkUpkeep();
+        await checkRunway();
+      } catch (error) {
+        onError(error);
+      }
+      if (!stopped && (rounds === 0 || round + 1 < rounds)) {
+        await sleep(pollInterval);
+      }
+    }
+  })();
+
+  return {
+    stop: () => {
+      stopped = true;
+      wake();
+      return done;
+    },
+    done,
+  };
+};
+
+module.exports = {
+  stdoutSink,
+  fileSink,
+  webhookSink,
+  parseSinks,
+  startMonitor,
+};
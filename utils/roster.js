@@ -0,0 +1,216 @@
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+
+const ROSTER_COLUMNS = [
+  "address",
+  "amount",
+  "interval",
+  "token",
+  "streaming",
+  "notes",
+];
+
+/**
+ * Split a CSV line into its fields, the fields in double quotes may contain
+ * commas and doubled quotes.
+ */
+const splitCsvLine = (line) => {
+  const fields = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < line.length; ++i) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        ++i;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(field.trim());
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field.trim());
+  return fields;
+};
+
+/**
+ * Parse the rows of a CSV roster, with a header naming its columns.
+ * @returns {object[]} a row per non-empty line, keyed by column
+ */
+const parseCsvRows = (text) => {
+  const lines = text
+    .split(/\r?\n/)
+    .map((line, index) => ({ line, number: index + 1 }))
+    .filter(({ line }) => line.trim() && !line.trim().startsWith("#"));
+  if (lines.length === 0) {
+    return [];
+  }
+  const header = splitCsvLine(lines[0].line).map((column) =>
+    column.toLowerCase()
+  );
+  return lines.slice(1).map(({ line, number }) => {
+    const fields = splitCsvLine(line);
+    const row = { line: number };
+    header.forEach((column, index) => {
+      row[column] = fields[index];
+    });
+    return row;
+  });
+};
+
+/**
+ * Parse a roster: the recipients a payroll should pay.
+ * @param {string} text the content of the roster file
+ * @param {string} format "csv", with a header line, or "json", an array of objects
+ * @returns {{ address: string, amount: string, interval: string,
+ * token: string, streaming: boolean, notes: string }[]} the entries, with a
+ * checksummed address, the amount and interval as written (e.g. "0.5 ETH",
+ * "2 weeks"), "ETH" when no token is given and `streaming` when the column is
+ * true or yes
+ */
+const parseRoster = (text, format = "csv") => {
+  let rows;
+  if (format === "json") {
+    rows = JSON.parse(text);
+    if (!Array.isArray(rows)) {
+      throw new Error("A JSON roster must be an array of recipients");
+    }
+  } else if (format === "csv") {
+    rows = parseCsvRows(text);
+  } else {
+    throw new Error(`Invalid roster format "${format}" (use csv or json)`);
+  }
+
+  const entries = [];
+  rows.forEach((row, index) => {
+    const where = `roster ${row.line ? "line" : "entry"} ${
+      row.line || index + 1
+    }`;
+    for (const column of Object.keys(row)) {
+      if (column !== "line" && !ROSTER_COLUMNS.includes(column)) {
+        throw new Error(
+          `Unknown column "${column}" in ${where} (use ${ROSTER_COLUMNS.join(
+            ", "
+          )})`
+        );
+      }
+    }
+    for (const column of ["address", "amount", "interval"]) {
+      if (!row[column]) {
+        throw new Error(`Missing ${column} in ${where}`);
+      }
+    }
+    if (!ethers.utils.isAddress(row.address)) {
+      throw new Error(`Invalid address "${row.address}" in ${where}`);
+    }
+    const streaming = String(row.streaming || "false").toLowerCase();
+    if (!["true", "yes", "false", "no"].includes(streaming)) {
+      throw new Error(
+        `Invalid streaming "${row.streaming}" in ${where} (use true or false)`
+      );
+    }
+    const address = ethers.utils.getAddress(row.address);
+    if (entries.find((entry) => entry.address === address)) {
+      throw new Error(`Duplicate address ${address} in ${where}`);
+    }
+    entries.push({
+      address,
+      amount: String(row.amount),
+      interval: String(row.interval),
+      token: row.token || "ETH",
+      streaming: ["true", "yes"].includes(streaming),
+      notes: row.notes || "",
+    });
+  });
+  return entries;
+};
+
+/**
+ * Read a roster file, in JSON if its extension is .json and in CSV otherwise.
+ */
+const readRoster = (file) =>
+  parseRoster(
+    fs.readFileSync(file, "utf8"),
+    path.extname(file).toLowerCase() === ".json" ? "json" : "csv"
+  );
+
+/**
+ * Whether two schedules are paid in the same token, denomination and mode.
+ */
+const samePayment = (current, desired) =>
+  current.token.toLowerCase() === desired.token.toLowerCase() &&
+  current.usdDenominated === desired.usdDenominated &&
+  Boolean(current.streaming) === Boolean(desired.streaming);
+
+/**
+ * Diff the recipients of a payroll against a roster.
+ * @param {object[]} current the payment schedules of the payroll recipients,
+ * with their `address` and the `endTime` and `cliffEnd` of a fixed term
+ * @param {object[]} desired the roster entries, with their token `address`
+ * as `token`, the amount and interval in base units and `usdDenominated`
+ * @returns {{ action: string, address: string, current?: object,
+ * desired?: object }[]} the changes, in roster order then payroll order:
+ * "add", "update" (amount or interval), "replace" (token, denomination or
+ * streaming, the recipient is removed and added again) and "remove"
+ * @throws when a fixed-term schedule would be replaced, the roster has no
+ * term to add it back with
+ */
+const planRoster = (current, desired) => {
+  const changes = [];
+  for (const entry of desired) {
+    const schedule = current.find(
+      (recipient) => recipient.address === entry.address
+    );
+    if (!schedule) {
+      changes.push({ action: "add", address: entry.address, desired: entry });
+    } else if (!samePayment(schedule, entry)) {
+      if (schedule.endTime || schedule.cliffEnd) {
+        throw new Error(
+          `Can't replace ${entry.address}, its schedule has a fixed term: remove it and add it with payroll:add`
+        );
+      }
+      changes.push({
+        action: "replace",
+        address: entry.address,
+        current: schedule,
+        desired: entry,
+      });
+    } else if (
+      !ethers.BigNumber.from(schedule.amount).eq(entry.amount) ||
+      !ethers.BigNumber.from(schedule.interval).eq(entry.interval)
+    ) {
+      changes.push({
+        action: "update",
+        address: entry.address,
+        current: schedule,
+        desired: entry,
+      });
+    }
+  }
+  for (const schedule of current) {
+    if (!desired.find((entry) => entry.address === schedule.address)) {
+      changes.push({
+        action: "remove",
+        address: schedule.address,
+        current: schedule,
+      });
+    }
+  }
+  return changes;
+};
+
+module.exports = {
+  parseRoster,
+  readRoster,
+  planRoster,
+};
@@ -0,0 +1,168 @@
+// Reads a payroll for integrators: plain objects with BigNumber amounts,
+// seconds for the durations and ISO 8601 dates.
+const fs = require("fs");
+const path = require("path");
+const { ethers } = require("ethers");
+const { formatTimestamp } = require("./units");
+
+// the recipients read at once by getAllRecipients
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Get the Payroll of a hardhat-deploy deployments directory, with the
+ * functions of its PayrollExtension.
+ * @param {string} deploymentsDir the directory of a network, e.g. "deployments/goerli"
+ * @param {object} signerOrProvider the ethers signer or provider of the contract
+ * @param {string} [address] another payroll, e.g. one created by the
+ * PayrollFactory (default: the Payroll deployment)
+ * @returns {ethers.Contract} the payroll
+ */
+const loadPayroll = (deploymentsDir, signerOrProvider, address) => {
+  const deployment = JSON.parse(
+    fs.readFileSync(path.join(deploymentsDir, "Payroll.json"), "utf8")
+  );
+  return new ethers.Contract(
+    address || deployment.address,
+    deployment.abi,
+    signerOrProvider
+  );
+};
+
+/**
+ * Format a timestamp as an ISO date, or null when it is 0.
+ */
+const formatDate = (timestamp) =>
+  ethers.BigNumber.from(timestamp).isZero() ? null : formatTimestamp(timestamp);
+
+/**
+ * Turn the `RecipientDetails` returned by the payroll into a plain object.
+ */
+const toRecipient = (details) => {
+  const { paymentSchedule, scheduledUpdate, advance } = details;
+  return {
+    recipient: details.recipient,
+    token: paymentSchedule.token,
+    amount: paymentSchedule.amount,
+    interval: paymentSchedule.interval.toNumber(),
+    streaming: paymentSchedule.streaming,
+    usdDenominated: paymentSchedule.usdDenominated,
+    lastPaymentAt: formatTimestamp(paymentSchedule.lastTimestamp),
+    cliffEnd: paymentSchedule.cliffEnd.gt(paymentSchedule.lastTimestamp)
+      ? formatTimestamp(paymentSchedule.cliffEnd)
+      : null,
+    endTime: formatDate(paymentSchedule.endTime),
+    scheduledUpdate: scheduledUpdate.effectiveAt.isZero()
+      ? null
+      : {
+          amount: scheduledUpdate.amount,
+          interval: scheduledUpdate.interval.toNumber(),
+          effectiveAt: formatTimestamp(scheduledUpdate.effectiveAt),
+        },
+    balance: details.balance,
+    pendingBalance: details.pendingBalance,
+    nextPaymentAt: formatTimestamp(details.nextPaymentAt),
+    active: details.active,
+    payoutAddress: details.payoutAddress,
+    advance: {
+      token: advance.token,
+      requested: advance.requested,
+      outstanding: advance.outstanding,
+    },
+  };
+};
+
+/**
+ * Get the state of a recipient.
+ * @param {ethers.Contract} payroll the payroll
+ * @param {string} recipient the address of the recipient
+ * @returns {Promise<object>} the schedule, `balance` in the schedule token
+ * and its `pendingBalance` that can still be clawed back, `nextPaymentAt`, `active`, `payoutAddress`, `scheduledUpdate` (or null)
+ * and `advance` of the recipient
+ */
+const getRecipient = async (payroll, recipient) =>
+  toRecipient(await payroll.getRecipientDetails(recipient));
+
+/**
+ * Get the state of a page of recipients, in roster order.
+ * @param {ethers.Contract} payroll the payroll
+ * @param {number} offset the index of the first recipient
+ * @param {number} limit the maximum number of recipients
+ * @returns {Promise<{ recipients: object[], total: number }>} the recipients
+ * like getRecipient, and the number of recipients of the payroll
+ */
+const getRecipientsPage = async (payroll, offset, limit) => {
+  const [page, total] = await payroll.getRecipientsPage(offset, limit);
+  return { recipients: page.map(toRecipient), total: total.toNumber() };
+};
+
+/**
+ * Get the state of every recipient, a page at a time.
+ * @param {ethers.Contract} payroll the payroll
+ * @param {number} [pageSize] the recipients read per call, a positive integer
+ * @returns {Promise<object[]>} the recipients like getRecipient, up to the
+ * first empty page when recipients are removed meanwhile
+ */
+const getAllRecipients = async (payroll, pageSize = DEFAULT_PAGE_SIZE) => {
+  if (!Number.isInteger(pageSize) || pageSize <= 0) {
+    throw new Error(
+      `Invalid page size ${pageSize}, expected a positive integer`
+    );
+  }
+  const recipients = [];
+  let total;
+  do {
+    const page = await getRecipientsPage(payroll, recipients.length, pageSize);
+    if (page.recipients.length === 0) {
+      break;
+    }
+    recipients.push(...page.recipients);
+    total = page.total;
+  } while (recipients.length < total);
+  return recipients;
+};
+
+/**
+ * Get the balance of a recipient in a token, split between the final funds,
+ * which can be withdrawn, and the pending funds, which the admin can still
+ * claw back.
+ * @param {ethers.Contract} payroll the payroll
+ * @param {string} recipient the address of the recipient
+ * @param {string} token the token address (address(0) for ETH)
+ * @returns {Promise<{ total: ethers.BigNumber, final: ethers.BigNumber,
+ * pending: ethers.BigNumber }>} the balances
+ */
+const getBalance = async (payroll, recipient, token) => {
+  const total = await payroll.balanceOf(recipient, token);
+  const pending = await payroll.pendingBalanceOf(recipient, token);
+  return { total, final: total.sub(pending), pending };
+};
+
+/**
+ * Get when the next payment of a recipient is allocated.
+ * @param {ethers.Contract} payroll the payroll
+ * @param {string} recipient the address of the recipient
+ * @returns {Promise<string>} the ISO date, in the past when the upkeep is late
+ */
+const nextPaymentAt = async (payroll, recipient) =>
+  formatTimestamp(await payroll.nextPaymentAt(recipient));
+
+/**
+ * Get the amount paid in a token over a period.
+ * @param {ethers.Contract} payroll the payroll
+ * @param {string} token the token address (address(0) for ETH)
+ * @param {number} period the period in seconds, e.g. 30 days
+ * @returns {Promise<ethers.BigNumber>} the recipients' amounts prorated to
+ * the period, the USD amounts converted at the current price
+ */
+const totalPayrollPerPeriod = (payroll, token, period) =>
+  payroll.totalPayrollPerPeriod(token, period);
+
+module.exports = {
+  loadPayroll,
+  getRecipient,
+  getRecipientsPage,
+  getAllRecipients,
+  getBalance,
+  nextPaymentAt,
+  totalPayrollPerPeriod,
+};
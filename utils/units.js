@@ -0,0 +1,177 @@
+const { ethers } = require("ethers");
+
+const DURATION_UNITS = {
+  s: 1,
+  sec: 1,
+  second: 1,
+  m: 60,
+  min: 60,
+  minute: 60,
+  h: 3600,
+  hour: 3600,
+  d: 86400,
+  day: 86400,
+  w: 604800,
+  week: 604800,
+};
+
+// units shown by formatDuration, largest first
+const DISPLAY_UNITS = [
+  ["week", 604800],
+  ["day", 86400],
+  ["hour", 3600],
+  ["minute", 60],
+  ["second", 1],
+];
+
+const AMOUNT_DECIMALS = {
+  wei: 0,
+  gwei: 9,
+};
+
+/**
+ * Parse a human readable duration into seconds.
+ * @param {string|number} value e.g. "2 weeks", "30 days", "1h", "90"
+ * @returns {number} the duration in seconds
+ */
+const parseDuration = (value) => {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+  if (!match) {
+    throw new Error(`Invalid duration: "${value}"`);
+  }
+  const [, quantity, unit] = match;
+  const normalizedUnit = unit.toLowerCase().replace(/s$/, "") || "s";
+  const multiplier = DURATION_UNITS[normalizedUnit];
+  if (multiplier === undefined) {
+    throw new Error(
+      `Invalid duration unit "${unit}" (use seconds, minutes, hours, days or weeks)`
+    );
+  }
+  const seconds = Number(quantity) * multiplier;
+  if (!Number.isInteger(seconds)) {
+    throw new Error(`Duration "${value}" is not a whole number of seconds`);
+  }
+  return seconds;
+};
+
+/**
+ * Format a duration in seconds, e.g. 1209600 => "2 weeks".
+ * @param {number|ethers.BigNumber} value the duration in seconds
+ * @returns {string} the formatted duration
+ */
+const formatDuration = (value) => {
+  let seconds = ethers.BigNumber.from(value).toNumber();
+  if (seconds === 0) {
+    return "0 seconds";
+  }
+  const parts = [];
+  for (const [unit, unitSeconds] of DISPLAY_UNITS) {
+    const quantity = Math.floor(seconds / unitSeconds);
+    if (quantity > 0) {
+      parts.push(`${quantity} ${unit}${quantity > 1 ? "s" : ""}`);
+      seconds -= quantity * unitSeconds;
+    }
+  }
+  return parts.join(" ");
+};
+
+/**
+ * Parse a human readable token amount into base units.
+ * @param {string} value e.g. "0.5 ETH", "1500 USDC", "1000 wei" or "0.5"
+ * @param {{ symbol: string, decimals: number }} token the token the amount is in
+ * @returns {ethers.BigNumber} the amount in base units (wei for ETH)
+ */
+const parseAmount = (value, token) => {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d+)?)\s*([a-zA-Z]*)$/);
+  if (!match) {
+    throw new Error(`Invalid amount: "${value}"`);
+  }
+  const [, quantity, unit] = match;
+  if (!unit || unit.toLowerCase() === token.symbol.toLowerCase()) {
+    return ethers.utils.parseUnits(quantity, token.decimals);
+  }
+  if (token.symbol === "ETH" && unit.toLowerCase() in AMOUNT_DECIMALS) {
+    return ethers.utils.parseUnits(
+      quantity,
+      AMOUNT_DECIMALS[unit.toLowerCase()]
+    );
+  }
+  throw new Error(`Amount "${value}" is not in ${token.symbol}`);
+};
+
+/**
+ * Format an amount in base units, e.g. 500000000000000000 => "0.5 ETH".
+ * @param {ethers.BigNumber} value the amount in base units
+ * @param {{ symbol: string, decimals: number }} token the token the amount is in
+ * @returns {string} the formatted amount
+ */
+const formatAmount = (value, token) =>
+  `${ethers.utils.formatUnits(value, token.decimals)} ${token.symbol}`;
+
+/**
+ * Parse a date into a unix timestamp.
+ * @param {string|number} value an ISO 8601 date, e.g. "2023-01-31" or
+ * "2023-01-31T09:00:00Z", or a unix timestamp in seconds
+ * @returns {number} the timestamp in seconds
+ */
+const parseTimestamp = (value) => {
+  if (/^\d+$/.test(String(value).trim())) {
+    return Number(value);
+  }
+  const milliseconds = Date.parse(value);
+  if (Number.isNaN(milliseconds)) {
+    throw new Error(`Invalid date: "${value}"`);
+  }
+  return Math.floor(milliseconds / 1000);
+};
+
+/**
+ * Format a unix timestamp as an ISO 8601 date.
+ * @param {number|ethers.BigNumber} value the timestamp in seconds
+ * @returns {string} the formatted date, e.g. "2023-01-31T09:00:00Z"
+ */
+const formatTimestamp = (value) =>
+  new Date(ethers.BigNumber.from(value).toNumber() * 1000)
+    .toISOString()
+    .replace(".000Z", "Z");
+
+/**
+ * Parse a percentage into basis points.
+ * @param {string} value e.g. "20%", "7.65%" or "250 bps"
+ * @returns {number} the basis points, 10000 for 100%
+ */
+const parsePercentage = (value) => {
+  const match = String(value)
+    .trim()
+    .match(/^(\d+(?:\.\d{1,2})?)\s*(%|bps)$/i);
+  if (!match) {
+    throw new Error(`Invalid percentage: "${value}"`);
+  }
+  const [, quantity, unit] = match;
+  return unit === "%"
+    ? ethers.utils.parseUnits(quantity, 2).toNumber()
+    : Number(quantity);
+};
+
+/**
+ * Format basis points as a percentage, e.g. 765 => "7.65%".
+ * @param {number|ethers.BigNumber} value the basis points
+ * @returns {string} the formatted percentage
+ */
+const formatPercentage = (value) =>
+  `${ethers.utils.formatUnits(value, 2).replace(/\.0$/, "")}%`;
+
+module.exports = {
+  parseDuration,
+  formatDuration,
+  parseAmount,
+  formatAmount,
+  parseTimestamp,
+  formatTimestamp,
+  parsePercentage,
+  formatPercentage,
+};
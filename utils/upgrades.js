@@ -0,0 +1,150 @@
+const { ethers } = require("ethers");
+
+// the storage slot of the implementation of an ERC-1967 proxy
+const IMPLEMENTATION_SLOT =
+  "0x360894a13ba1a3210667c828492db98dca3e2076cc3735a920a3ca505d382bbc";
+
+/**
+ * Compare two storage types, ignoring the AST ids that change between compilations
+ * and the contract declaring a struct: mappings, arrays and structs are
+ * compared by their members, the other types by their label.
+ * @param {object} oldTypes the types of the old storage layout
+ * @param {string} oldId the old type id
+ * @param {object} newTypes the types of the new storage layout
+ * @param {string} newId the new type id
+ * @param {boolean} growable whether the type may grow, e.g. a struct in a mapping
+ * @returns {string|undefined} the incompatibility, if any
+ */
+const compareTypes = (oldTypes, oldId, newTypes, newId, growable) => {
+  const oldType = oldTypes[oldId];
+  const newType = newTypes[newId];
+  const composite = (type) => Boolean(type.key || type.base || type.members);
+  if (
+    oldType.encoding !== newType.encoding ||
+    composite(oldType) !== composite(newType) ||
+    Boolean(oldType.members) !== Boolean(newType.members) ||
+    (!composite(oldType) && oldType.label !== newType.label)
+  ) {
+    return `${oldType.label} became ${newType.label}`;
+  }
+  if (oldType.key) {
+    return (
+      compareTypes(oldTypes, oldType.key, newTypes, newType.key, false) ||
+      compareTypes(oldTypes, oldType.value, newTypes, newType.value, true)
+    );
+  }
+  if (oldType.base) {
+    const dynamic = oldType.encoding === "dynamic_array";
+    return (
+      compareTypes(oldTypes, oldType.base, newTypes, newType.base, false) ||
+      (!dynamic && oldType.numberOfBytes !== newType.numberOfBytes
+        ? `${oldType.label} changed size`
+        : undefined)
+    );
+  }
+  if (oldType.members) {
+    for (const [i, oldMember] of oldType.members.entries()) {
+      const newMember = newType.members[i];
+      if (
+        !newMember ||
+        newMember.label !== oldMember.label ||
+        newMember.slot !== oldMember.slot ||
+        newMember.offset !== oldMember.offset
+      ) {
+        return `${oldType.label} member ${oldMember.label} moved or was removed`;
+      }
+      const error = compareTypes(
+        oldTypes,
+        oldMember.type,
+        newTypes,
+        newMember.type,
+        false
+      );
+      if (error) {
+        return `${oldType.label} member ${oldMember.label}: ${error}`;
+      }
+    }
+  }
+  if (!growable && oldType.numberOfBytes !== newType.numberOfBytes) {
+    return `${oldType.label} changed size`;
+  }
+  return undefined;
+};
+
+/**
+ * Check that an implementation can replace another behind a proxy: the state
+ * variables of the old storage layout must keep their slot, name and type,
+ * new ones can only be appended.
+ * @param {object} oldLayout the solc storage layout of the deployed implementation
+ * @param {object} newLayout the solc storage layout of the new implementation
+ * @returns {string[]} the incompatibilities, empty if the upgrade is safe
+ */
+const checkStorageLayout = (oldLayout, newLayout) => {
+  const errors = [];
+  for (const [i, oldVariable] of oldLayout.storage.entries()) {
+    const newVariable = newLayout.storage[i];
+    if (!newVariable || newVariable.label !== oldVariable.label) {
+      errors.push(
+        `${oldVariable.label} was removed, renamed or another variable was inserted before it`
+      );
+      break; // the next variables are shifted as well
+    }
+    if (
+      newVariable.slot !== oldVariable.slot ||
+      newVariable.offset !== oldVariable.offset
+    ) {
+      errors.push(
+        `${oldVariable.label} moved from slot ${oldVariable.slot} to slot ${newVariable.slot}`
+      );
+      continue;
+    }
+    const error = compareTypes(
+      oldLayout.types,
+      oldVariable.type,
+      newLayout.types,
+      newVariable.type,
+      false
+    );
+    if (error) {
+      errors.push(`${oldVariable.label}: ${error}`);
+    }
+  }
+  return errors;
+};
+
+/**
+ * Check that two contracts run in the same storage, e.g. a contract and the
+ * extension it delegates calls to: they must declare the same state variables
+ * in the same order, with the same types.
+ * @param {object} layout the solc storage layout of a contract
+ * @param {object} sharedLayout the solc storage layout of the other contract
+ * @returns {string[]} the differences, empty if the layouts are the same
+ */
+const checkSharedStorageLayout = (layout, sharedLayout) => {
+  const errors = checkStorageLayout(layout, sharedLayout);
+  if (errors.length > 0) {
+    return errors;
+  }
+  for (const variable of sharedLayout.storage.slice(layout.storage.length)) {
+    errors.push(`${variable.label} is only declared by one of the contracts`);
+  }
+  // e.g. a struct with members only in the other layout
+  return errors.length > 0 ? errors : checkStorageLayout(sharedLayout, layout);
+};
+
+/**
+ * Return the implementation of an ERC-1967 proxy.
+ * @param {object} provider an ethers provider
+ * @param {string} proxy the proxy address
+ * @returns {Promise<string>} the implementation address
+ */
+const getImplementation = async (provider, proxy) => {
+  const value = await provider.getStorageAt(proxy, IMPLEMENTATION_SLOT);
+  return ethers.utils.getAddress(ethers.utils.hexDataSlice(value, 12));
+};
+
+module.exports = {
+  checkStorageLayout,
+  checkSharedStorageLayout,
+  getImplementation,
+};
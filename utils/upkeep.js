@@ -0,0 +1,125 @@
+// Registers and manages the Chainlink Automation upkeep of a payroll.
+const { ethers } = require("ethers");
+
+// the LINK token, to parse and format its amounts
+const LINK = { symbol: "LINK", decimals: 18 };
+
+// the functions of the LINK token used to fund upkeeps
+const LINK_ABI = [
+  "function balanceOf(address owner) view returns (uint256)",
+  "function transferAndCall(address to, uint256 value, bytes data) returns (bool)",
+];
+
+// the registrar 1.1, registering the upkeeps paid with transferAndCall
+const REGISTRAR_ABI = [
+  "function register(string name, bytes encryptedEmail, address upkeepContract, uint32 gasLimit, address adminAddress, bytes checkData, uint96 amount, uint8 source, address sender)",
+  "event RegistrationRequested(bytes32 indexed hash, string name, bytes encryptedEmail, address indexed upkeepContract, uint32 gasLimit, address adminAddress, bytes checkData, uint96 amount, uint8 indexed source)",
+  "event RegistrationApproved(bytes32 indexed hash, string displayName, uint256 indexed upkeepId)",
+];
+
+// the upkeep management of the registry 1.3
+const REGISTRY_ABI = [
+  "function getUpkeep(uint256 id) view returns (address target, uint32 executeGas, bytes checkData, uint96 balance, address lastKeeper, address admin, uint64 maxValidBlocknumber, uint96 amountSpent, bool paused)",
+  "function pauseUpkeep(uint256 id)",
+  "function unpauseUpkeep(uint256 id)",
+  "function cancelUpkeep(uint256 id)",
+  "event FundsAdded(uint256 indexed id, address indexed from, uint96 amount)",
+  "event UpkeepPaused(uint256 indexed id)",
+  "event UpkeepUnpaused(uint256 indexed id)",
+  "event UpkeepCanceled(uint256 indexed id, uint64 indexed atBlockHeight)",
+];
+
+// the maxValidBlocknumber of an upkeep that isn't cancelled
+const UINT32_MAX = 2 ** 32 - 1;
+
+/**
+ * Register an upkeep through a registrar, funded with LINK from the signer.
+ * @param {object} options
+ * @param {object} options.signer the signer paying the LINK, the upkeep admin
+ * @param {string} options.link the LINK token address
+ * @param {string} options.registrar the registrar address
+ * @param {string} options.target the contract performing the upkeep, e.g. the payroll
+ * @param {string} options.name the name of the upkeep in the Automation App
+ * @param {number} options.gasLimit the gas limit of performUpkeep
+ * @param {ethers.BigNumber} options.amount the LINK funding the upkeep
+ * @param {string} [options.checkData] the checkData of the upkeep
+ * @returns {Promise<{ upkeepId?: ethers.BigNumber, hash: string,
+ * transactionHash: string }>} the registration, without `upkeepId` while
+ * it awaits the approval of the registrar owner
+ */
+const registerUpkeep = async ({
+  signer,
+  link,
+  registrar,
+  target,
+  name,
+  gasLimit,
+  amount,
+  checkData = "0x",
+}) => {
+  const admin = await signer.getAddress();
+  const registrarInterface = new ethers.utils.Interface(REGISTRAR_ABI);
+  const data = registrarInterface.encodeFunctionData("register", [
+    name,
+    "0x",
+    target,
+    gasLimit,
+    admin,
+    checkData,
+    amount,
+    0,
+    admin,
+  ]);
+  const linkToken = new ethers.Contract(link, LINK_ABI, signer);
+  const receipt = await (
+    await linkToken.transferAndCall(registrar, amount, data)
+  ).wait();
+
+  const registration = {
+    hash: ethers.utils.keccak256(
+      ethers.utils.defaultAbiCoder.encode(
+        ["address", "uint32", "address", "bytes"],
+        [target, gasLimit, admin, checkData]
+      )
+    ),
+    transactionHash: receipt.transactionHash,
+  };
+  for (const log of receipt.logs) {
+    if (log.address.toLowerCase() !== registrar.toLowerCase()) {
+      continue;
+    }
+    const event = registrarInterface.parseLog(log);
+    if (event.name === "RegistrationApproved") {
+      registration.upkeepId = event.args.upkeepId;
+    }
+  }
+  return registration;
+};
+
+/**
+ * Get the state of an upkeep.
+ * @param {object} registry the registry contract, with REGISTRY_ABI
+ * @param {ethers.BigNumber|string} upkeepId the upkeep id
+ * @returns {Promise<{ target: string, balance: ethers.BigNumber, admin: string,
+ * paused: boolean, cancelled: boolean, checkData: string }>}
+ */
+const getUpkeep = async (registry, upkeepId) => {
+  const upkeep = await registry.getUpkeep(upkeepId);
+  return {
+    target: upkeep.target,
+    balance: upkeep.balance,
+    admin: upkeep.admin,
+    paused: upkeep.paused,
+    cancelled: upkeep.maxValidBlocknumber.lt(UINT32_MAX),
+    checkData: upkeep.checkData,
+  };
+};
+
+module.exports = {
+  LINK,
+  LINK_ABI,
+  REGISTRAR_ABI,
+  REGISTRY_ABI,
+  registerUpkeep,
+  getUpkeep,
+};